@@ -7,18 +7,27 @@ const FaviconPlugin = require('favicons-webpack-plugin')
 const CleanPlugin = require('clean-webpack-plugin')
 const CopyPlugin = require('copy-webpack-plugin')
 const IncludeAssetsPlugin = require('html-webpack-include-assets-plugin')
+const { GenerateSW } = require('workbox-webpack-plugin')
+const { escapeRegExp } = require('lodash')
 
 const pkg = require('../package.json')
 
 const {
-  isDev, isIpfs, useHttps, dirs, appPath, widgetPath, bundleOutputPath, vendorOutputPath, faviconOutputPath,
+  isDev, isIpfs, useHttps, dirs, appPath, widgetPath, bundleOutputPath, vendorOutputPath, faviconOutputPath, apiUrl,
 } = require('./common.js')
 
 const getBaseConfig = require('./webpack.config.base.js')
 
 const APP_PORT = process.env.APP_PORT || 8080
 
-const vendorDeps = ['charting_library/charting_library.min.js', 'font-awesome-4.7/css/font-awesome.min.css']
+// The WalletConnect sign client uses syntax webpack 3 can't parse, so its prebuilt bundle is included as is
+const walletConnectVendorDep = 'walletconnect/sign-client.umd.js'
+
+const vendorDeps = [
+  'charting_library/charting_library.min.js',
+  'font-awesome-4.7/css/font-awesome.min.css',
+  walletConnectVendorDep,
+]
 
 const routerBaseName = path.join('/', appPath)
 const outputPathPrefix = isDev ? appPath : '' // Prefix output path during development for proxy purposes
@@ -63,7 +72,13 @@ let config = merge.strategy({
       name: 'common',
       minChunks: Object.keys(entryPoints).length,
     }),
-    new CopyPlugin([{ from: path.join(dirs.res, 'vendor'), to: path.join(outputPathPrefix, vendorOutputPath) }]),
+    new CopyPlugin([
+      { from: path.join(dirs.res, 'vendor'), to: path.join(outputPathPrefix, vendorOutputPath) },
+      {
+        from: path.join(dirs.nodeModules, '@walletconnect/sign-client/dist/index.umd.js'),
+        to: path.join(outputPathPrefix, vendorOutputPath, walletConnectVendorDep),
+      },
+    ]),
     new HtmlPlugin({
       template: path.join(dirs.app, 'index.html'),
       filename: path.join(appPath, 'index.html'),
@@ -109,6 +124,38 @@ if (!isDev) {
       new webpack.HashedModuleIdsPlugin(),
     ]
   })
+  if (!isIpfs) {
+    config = merge(config, {
+      plugins: [
+        // Service worker scoped to the app so it works offline, see src/app/serviceWorker.js
+        new GenerateSW({
+          swDest: path.join(appPath, 'sw.js'),
+          importWorkboxFrom: 'local',
+          importsDirectory: path.join(bundleOutputPath, 'workbox'),
+          clientsClaim: true,
+          skipWaiting: true,
+          exclude: [/\.map$/, new RegExp(`^${widgetPath}/`), /widget\.\w+\.(js|css)$/],
+          navigateFallback: path.join(routerBaseName, 'index.html'),
+          navigateFallbackWhitelist: [new RegExp(`^${routerBaseName}`)],
+          runtimeCaching: [
+            { name: 'faast-assets', pattern: `${apiUrl}/api/v2/public/currencies` },
+            { name: 'faast-price-charts', pattern: `${apiUrl}/api/v1/data/cmc/price/` },
+            { name: 'faast-news', pattern: 'https://faast-cors-anywhere.herokuapp.com/https://cryptopanic.com/api/v1/posts/' },
+            // Prices go stale quickly, only use the cached ones when offline
+            { name: 'faast-prices', pattern: `${apiUrl}/api/v2/public/price/`, handler: 'networkFirst' },
+          ].map(({ name, pattern, handler = 'staleWhileRevalidate' }) => ({
+            urlPattern: new RegExp(`^${escapeRegExp(pattern)}`),
+            handler,
+            options: {
+              cacheName: name,
+              expiration: { maxEntries: 50 },
+              cacheableResponse: { statuses: [0, 200] },
+            },
+          })),
+        }),
+      ]
+    })
+  }
 } else {
   config = merge(config, {
     output: {
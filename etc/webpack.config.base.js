@@ -155,6 +155,13 @@ module.exports = function (stage, outputPathPrefix = '') {
         'process.env.SITE_ROOT': JSON.stringify(process.env.SITE_ROOT),
         'process.env.DEPLOY_ENV': JSON.stringify(process.env.DEPLOY_ENV),
         'process.env.API_URL': JSON.stringify(process.env.API_URL),
+        'process.env.WALLETCONNECT_PROJECT_ID': JSON.stringify(process.env.WALLETCONNECT_PROJECT_ID),
+        'process.env.WALLETCONNECT_RELAY_URL': JSON.stringify(process.env.WALLETCONNECT_RELAY_URL),
+        'process.env.TESTNET': JSON.stringify(process.env.TESTNET),
+        'process.env.TESTNET_WEB3_URL': JSON.stringify(process.env.TESTNET_WEB3_URL),
+        'process.env.TESTNET_BTC_BITCORE_URL': JSON.stringify(process.env.TESTNET_BTC_BITCORE_URL),
+        'process.env.TESTNET_LTC_BITCORE_URL': JSON.stringify(process.env.TESTNET_LTC_BITCORE_URL),
+        'process.env.TESTNET_XRP_URL': JSON.stringify(process.env.TESTNET_XRP_URL),
       }),
       ...(stage !== 'prod' ? [] : [
         new OptimizeCssAssetsPlugin(),
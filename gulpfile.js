@@ -26,7 +26,7 @@ gulp.task('lint:js', run('npm run lint:js'))
 gulp.task('lint:ts', run('npm run lint:ts'))
 gulp.task('lint', gulp.parallel(['lint:js', 'lint:ts']))
 
-gulp.task('test:e2e', () =>
+const runE2e = () =>
   gulp.src(path.join(dirs.testE2e, 'test.js'))
     .pipe(testcafe({
       // https://github.com/DevExpress/gulp-testcafe/blob/master/index.js
@@ -41,7 +41,21 @@ gulp.task('test:e2e', () =>
           output: fs.createWriteStream(path.join(dirs.testE2eReports, 'report.xml'))
         }
       ]
-    })))
+    }))
+
+gulp.task('test:e2e', runE2e)
+
+let mockServer
+const startMockApi = () => {
+  const { createMockServer } = require('./test/mock/api/server')
+  mockServer = createMockServer()
+  process.env.MOCK_API_URL = 'http://127.0.0.1:8001'
+  return mockServer.listen(8001)
+}
+const stopMockApi = () => mockServer.close()
+
+// The app must be built with API_URL=http://127.0.0.1:8001 for it to use the mock API
+gulp.task('test:e2e:mock', gulp.series(startMockApi, runE2e, stopMockApi))
 
 gulp.task('compile:app', run('webpack --config etc/webpack.config.app.js'))
 gulp.task('compile:site', run('node --max_old_space_size=8192 ./node_modules/react-static/bin/react-static-build'))
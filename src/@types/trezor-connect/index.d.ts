@@ -296,7 +296,9 @@ export interface TransactionID {
 export interface EthereumUnsignedTransaction {
   to: string,
   value: string,
-  gasPrice: string,
+  gasPrice?: string,
+  maxFeePerGas?: string,
+  maxPriorityFeePerGas?: string,
   gasLimit: string,
   nonce: string,
   data?: string,
@@ -315,6 +317,12 @@ export interface EthereumSignTransactionParams extends CommonParams {
   transaction: EthereumUnsignedTransaction,
 }
 
+export interface EthereumSignMessageParams extends CommonParams {
+  path: PathParam,
+  message: string,
+  hex?: boolean,
+}
+
 export type RippleSignedTx = {
   serializedTx: string,
   signature: string,
@@ -440,6 +448,12 @@ export namespace TrezorConnect {
    */
   function ethereumSignTransaction(params: EthereumSignTransactionParams): Promise<ResponseMessage<EthereumSignedTransaction>>;
 
+  /**
+   * Asks device to sign a message using the private key derived by given
+   * BIP32 path. Signature is in hexadecimal format without 0x prefix.
+   */
+  function ethereumSignMessage(params: EthereumSignMessageParams): Promise<ResponseMessage<SignedMessage>>;
+
   function dispose(): void;
 
   function cancel(): void;
@@ -21,12 +21,6 @@ ReactGA.set({
   dimension1: 'faast'
 })
 
-if (!window.faast) window.faast = {}
-window.faast.intervals = {
-  orderStatus: [],
-  txReceipt: []
-}
-
 const Root = () => {
   i18n.on('languageChanged', (lng) => {
     store.dispatch(languageChanged(lng))
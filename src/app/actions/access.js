@@ -13,7 +13,7 @@ import { toChecksumAddress } from 'Utilities/convert'
 import { getUserWeb3 } from 'Services/Web3'
 import {
   Wallet, MultiWallet, EthereumWalletKeystore,
-  EthereumWalletWeb3, EthereumWalletViewOnly
+  EthereumWalletWeb3, EthereumWalletViewOnly, EthereumWalletWalletConnect,
 } from 'Services/Wallet'
 
 import { getCurrentPortfolio, getWallet, isWalletAdded, getConnectForwardUrl } from 'Selectors'
@@ -135,6 +135,32 @@ export const openBlockstackWallet = (forwardUrl) => (dispatch) => Promise.resolv
   }
 })
 
+/**
+ * Pair with a mobile wallet over WalletConnect and open it once the session is approved.
+ *
+ * @param {Function} onUri - Called with the pairing uri to display as a QR code
+ * @param {String} [forwardUrl] - Where to redirect after the wallet is opened
+ * @return {Function} Cancels the pairing, no error is shown if it hasn't finished yet
+ */
+export const openWalletConnectWallet = (onUri, forwardUrl) => (dispatch) => {
+  const { promise, cancel } = EthereumWalletWalletConnect.connect(onUri)
+  let cancelled = false
+  dispatch(openWallet(promise, forwardUrl))
+    .catch((e) => {
+      if (cancelled) {
+        return
+      }
+      log.error(e)
+      toastr.error(e.message === 'Unsupported network'
+        ? 'Please adjust your mobile wallet to use the Main Ethereum Network'
+        : `Error connecting with WalletConnect: ${e.message}`)
+    })
+  return () => {
+    cancelled = true
+    cancel()
+  }
+}
+
 /** Opens a view only wallet and adds it to the current portfolio */
 export const openViewOnlyWallet = (addressPromise, forwardUrl) => (dispatch, getState) => Promise.resolve(addressPromise)
   .then((address) => {
@@ -6,8 +6,13 @@ import log from 'Log'
 import toastr from 'Utilities/toastrWrapper'
 
 import { newScopedCreateAction } from 'Utilities/action'
-import walletService, { EthereumWalletViewOnly } from 'Services/Wallet'
-import { isValidAddress } from 'Utilities/addressFormat'
+import walletService, {
+  EthereumWalletViewOnly, BitcoinWalletViewOnly, LitecoinWalletViewOnly, BitcoinCashWalletViewOnly,
+  RippleWalletViewOnly, BitcoreAddressWalletViewOnly,
+} from 'Services/Wallet'
+import { resolveEnsName } from 'Services/Web3'
+import { getAddressAssetSymbols } from 'Utilities/addressFormat'
+import { getNetworkConfig, getPaymentTypeForHdKey } from 'Utilities/bitcoin'
 
 import { getWallet, getAccountSearchResultId, getCurrentPortfolio } from 'Selectors'
 import { addWallet, updateWalletBalances } from 'Actions/wallet'
@@ -20,15 +25,98 @@ export const setAccountSearchQuery = createAction('SET_QUERY')
 export const setAccountSearchError = createAction('SET_ERROR')
 export const setAccountSearchResult = createAction('SET_RESULT')
 
-/** Open a temporary view only wallet for an address */
+const hdViewOnlyWalletTypes = {
+  BTC: BitcoinWalletViewOnly,
+  LTC: LitecoinWalletViewOnly,
+  BCH: BitcoinCashWalletViewOnly,
+}
+
+const isHdKeyForAsset = (hdKey, symbol) => {
+  try {
+    getPaymentTypeForHdKey(hdKey, getNetworkConfig(symbol))
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Create a view only wallet for an extended public key. The asset is detected from the key prefix
+ * (xpub defaults to BTC) unless it's explicitly provided before the key (e.g. "BCH:xpub...").
+ * Returns null if the query isn't an extended key. Throws if the key can't be used, native segwit
+ * keys (zpub) aren't supported yet.
+ */
+const createHdViewOnlyWallet = (query) => {
+  const match = query.match(/^(?:([a-z]+):)?([1-9a-z]{100,})$/i)
+  if (!match) {
+    return null
+  }
+  const hdKey = match[2]
+  const symbol = match[1]
+    ? match[1].toUpperCase()
+    : Object.keys(hdViewOnlyWalletTypes).find((s) => isHdKeyForAsset(hdKey, s))
+  const WalletType = hdViewOnlyWalletTypes[symbol]
+  if (!WalletType) {
+    return null
+  }
+  try {
+    return new WalletType(hdKey)
+  } catch (e) {
+    toastr.error(e.message)
+    throw e
+  }
+}
+
+const addressViewOnlyWalletTypes = {
+  ETH: EthereumWalletViewOnly,
+  XRP: RippleWalletViewOnly,
+}
+
+/**
+ * Create a view only wallet for a single address. The asset is detected from the address format
+ * (legacy addresses valid for both BTC and BCH default to BTC) unless it's explicitly provided
+ * before the address (e.g. "BCH:1abc..."). Returns null if the query isn't an address.
+ */
+const createAddressViewOnlyWallet = (query, label) => {
+  let address = query
+  let symbol = getAddressAssetSymbols(query)[0]
+  const match = query.match(/^([a-z]+):(.+)$/i)
+  if (match && getAddressAssetSymbols(match[2]).includes(match[1].toUpperCase())) {
+    address = match[2]
+    symbol = match[1].toUpperCase()
+  }
+  if (!symbol) {
+    return null
+  }
+  const WalletType = addressViewOnlyWalletTypes[symbol]
+  if (WalletType) {
+    return new WalletType(address, label)
+  }
+  return new BitcoreAddressWalletViewOnly(symbol, address, label)
+}
+
+const createViewOnlyWallet = (query, label) => createAddressViewOnlyWallet(query, label)
+  || createHdViewOnlyWallet(query)
+
+const isEnsName = (query) => /^([a-z0-9-]+\.)+eth$/i.test(query)
+
+/** Open a temporary view only wallet for an address, ENS name, or extended public key */
 export const searchAddress = (addressPromise) => (dispatch, getState) => Promise.resolve(addressPromise)
-  .then((address) => {
-    dispatch(setAccountSearchQuery(address))
-    if (!(address && isValidAddress(address, 'ETH'))) {
-      toastr.error('Not a valid Ethereum address')
-      throw new Error('The address provided is not a valid Ethereum address.')
+  .then((query) => {
+    query = typeof query === 'string' ? query.trim() : ''
+    dispatch(setAccountSearchQuery(query))
+    if (isEnsName(query)) {
+      return resolveEnsName(query)
+        .then((address) => createViewOnlyWallet(address, query))
+    }
+    return query && createViewOnlyWallet(query)
+  })
+  .then((walletInstance) => {
+    if (!walletInstance) {
+      toastr.error('Not a valid address, ENS name or extended public key')
+      throw new Error('The query provided is not a valid ETH, BTC, LTC, BCH or XRP address, ENS name, '
+        + 'or BTC, LTC or BCH extended public key (xpub or ypub).')
     }
-    const walletInstance = new EthereumWalletViewOnly(address)
     walletInstance.setPersistAllowed(false)
     const wallet = getWallet(getState(), walletInstance.getId())
     if (wallet) {
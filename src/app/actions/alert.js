@@ -0,0 +1,103 @@
+import uuid from 'uuid/v4'
+
+import { newScopedCreateAction } from 'Utilities/action'
+import { ALERT_RULE_TYPES, describeAlertRule, isAlertRuleMet } from 'Utilities/alert'
+import { notify } from 'Utilities/notification'
+
+import { getAllAlertRules, getAlertRule, getAllAssets, getDefaultPortfolioWithHoldings, getSwap } from 'Selectors'
+import { getSelectedLabel } from 'Selectors/currency'
+
+const createAction = newScopedCreateAction(__filename)
+
+export const alertRulesRestored = createAction('RESTORED')
+export const alertRuleAdded = createAction('ADDED')
+export const alertRuleUpdated = createAction('UPDATED')
+export const alertRuleRemoved = createAction('REMOVED', (id) => ({ id }))
+export const alertRuleTriggered = createAction('TRIGGERED', (id) => ({ id, triggered: true, triggeredAt: Date.now() }))
+export const alertRuleReset = createAction('RESET', (id) => ({ id, triggered: false }))
+
+export const restoreAlertRules = (alertState) => (dispatch) => {
+  dispatch(alertRulesRestored(alertState))
+}
+
+/**
+ * Add an alert rule. Price and portfolio values are in the currently selected currency and
+ * the rule is only checked while that currency is selected.
+ */
+export const addAlertRule = ({ type, symbol, value, statuses }) => (dispatch, getState) => {
+  const ruleType = ALERT_RULE_TYPES[type]
+  if (!ruleType) {
+    throw new Error(`Unknown alert rule type ${type}`)
+  }
+  const rule = {
+    id: uuid(),
+    type,
+    symbol: ruleType.hasSymbol ? symbol : undefined,
+    value: ruleType.isSwap ? undefined : value,
+    currency: ruleType.isSwap || ruleType.isPercent ? undefined : getSelectedLabel(getState()),
+    statuses: ruleType.isSwap ? statuses : undefined,
+    enabled: true,
+    triggered: false,
+    createdAt: Date.now(),
+  }
+  dispatch(alertRuleAdded(rule))
+  // Don't notify right away about conditions that are already met when the rule is added
+  const isMet = isAlertRuleMet(rule, getAlertContext(getState()))
+  if (isMet) {
+    dispatch(alertRuleUpdated({ id: rule.id, triggered: true }))
+  }
+  return rule
+}
+
+export const removeAlertRule = (id) => (dispatch) => {
+  dispatch(alertRuleRemoved(id))
+}
+
+export const toggleAlertRuleEnabled = (id) => (dispatch, getState) => {
+  const rule = getAlertRule(getState(), id)
+  if (rule) {
+    dispatch(alertRuleUpdated({ id, enabled: !rule.enabled }))
+  }
+}
+
+const getAlertContext = (state) => {
+  const portfolio = getDefaultPortfolioWithHoldings(state)
+  return {
+    assets: getAllAssets(state),
+    portfolioValue: portfolio && portfolio.holdingsLoaded ? portfolio.totalFiat : undefined,
+    currency: getSelectedLabel(state),
+  }
+}
+
+/**
+ * Check all price and portfolio rules, notifying about the ones with a condition that has
+ * become met. A rule triggers once and can trigger again after its condition stops being met.
+ */
+export const checkAlertRules = () => (dispatch, getState) => {
+  const context = getAlertContext(getState())
+  getAllAlertRules(getState())
+    .filter(({ enabled }) => enabled)
+    .forEach((rule) => {
+      const isMet = isAlertRuleMet(rule, context)
+      if (isMet && !rule.triggered) {
+        notify('Faa.st alert', describeAlertRule(rule))
+        dispatch(alertRuleTriggered(rule.id))
+      } else if (isMet === false && rule.triggered) {
+        dispatch(alertRuleReset(rule.id))
+      }
+    })
+}
+
+/** Notify about a swap status change if any swap rule covers the new status */
+export const checkSwapAlertRules = (swapId, orderStatus) => (dispatch, getState) => {
+  const swap = getSwap(getState(), swapId)
+  if (!swap) {
+    return
+  }
+  getAllAlertRules(getState())
+    .filter(({ enabled, type, statuses }) => enabled && type === 'swapStatus' && statuses.includes(orderStatus))
+    .forEach((rule) => {
+      notify('Faa.st swap update', `Your ${swap.sendSymbol} to ${swap.receiveSymbol} swap is ${orderStatus}`)
+      dispatch(alertRuleTriggered(rule.id))
+    })
+}
@@ -2,6 +2,7 @@ import qs from 'query-string'
 import { newScopedCreateAction } from 'Utilities/action'
 import { localStorageGetJson, sessionStorageSet, localStorageSet, localStorageGet } from 'Utilities/storage'
 import blockstack from 'Utilities/blockstack'
+import { loadCachedState } from 'Utilities/stateCache'
 import { filterUrl } from 'Utilities/helpers'
 import log from 'Utilities/log'
 import { restoreCachedAffiliateInfo } from 'Actions/affiliate'
@@ -10,16 +11,21 @@ import walletService from 'Services/Wallet'
 import config from 'Config'
 import { retrieveAssets, restoreAssets } from 'Actions/asset'
 import { setSettings } from 'Actions/settings'
-import { removeAllWallets } from 'Actions/wallet'
-import { restoreAllPortfolios, updateAllHoldings } from 'Actions/portfolio'
+import { removeAllWallets, restoreWalletBalances } from 'Actions/wallet'
+import {
+  restoreAllPortfolios, updateAllHoldings, targetAllocationsRestored, portfoliosReordered,
+} from 'Actions/portfolio'
 import { restoreTxs } from 'Actions/tx'
-import { retrieveAllSwaps, restoreSwapTxIds, restoreSwapPolling } from 'Actions/swap'
+import { retrieveAllSwaps, restoreSwapTxIds, restoreSwapPolling, restoreCachedSwaps } from 'Actions/swap'
 import { fetchGeoRestrictions, languageLoad } from 'Common/actions/app'
 import { restoreSwaps } from 'Common/actions/swap'
 import { restoreSwapWidget } from 'Actions/widget'
 import { restoreWithdrawals } from 'Actions/withdrawal'
+import { restoreAlertRules } from 'Actions/alert'
+import { restoreAssetViews } from 'Actions/assetView'
 import { setCurrencySymbol } from './currency'
 import { currencies } from 'Config/currencies'
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from 'Utilities/costBasis'
 
 import { getTradeableAssetFilter } from 'Selectors/app'
 
@@ -33,59 +39,98 @@ export const updateConnectForwardUrl = createAction('UPDATE_CONNECT_FORWARD_URL'
 export const resetAll = createAction('RESET_ALL')
 export const updateAssetsFilterByTradeable = createAction('UPDATE_ASSETS_TRADEABLE_FILTER')
 export const updateRememberWallets = createAction('UPDATE_REMEMBER_WALLES')
+export const updateCostBasisMethod = createAction('UPDATE_COST_BASIS_METHOD')
+export const cachedStateRestored = createAction('CACHED_STATE_RESTORED', (restoredAt) => restoredAt)
 
-export const restoreState = (dispatch) => Promise.resolve()
-  .then(() => {
-    dispatch(restoreRememberWallets())
-    dispatch(toggleAssetsByTradeable())
-    dispatch(restoreCachedAffiliateInfo())
-    dispatch(restoreCachedMakerInfo())
-    dispatch(languageLoad())
-    dispatch(currencyLoad())
-    const assetCache = localStorageGetJson('state:asset')
-    if (assetCache) {
-      dispatch(restoreAssets(assetCache))
-      dispatch(retrieveAssets()) // Retrieve updated assets in background
-    } else {
-      return dispatch(retrieveAssets()) // asset list required to restore wallets
-    }
-  }).then(() => {
-    const swapCache = localStorageGetJson('state:swaps')
-    if (swapCache) {
-      dispatch(restoreSwaps(swapCache))
-    }
-  }).then(() => {
-    const withdrawalCache = localStorageGetJson('state:withdrawal')
-    if (withdrawalCache) {
-      dispatch(restoreWithdrawals(withdrawalCache))
-    }
-  }).then(() => {
-    const swapWidgetCache = localStorageGetJson('state:swapWidget')
-    if (swapWidgetCache) {
-      dispatch(restoreSwapWidget(swapWidgetCache))
-    }
-  })
-  .then(() => dispatch(restoreAllPortfolios()))
-  .then(() => {
-    dispatch(handleWalletConnectVersioning())
-    dispatch(updateAllHoldings())
-    const txState = localStorageGetJson('state:tx')
-    if (txState) {
-      dispatch(restoreTxs(txState))
-    }
-    return dispatch(retrieveAllSwaps())
-  })
-  .then((retrievedSwaps) => {
-    const swapTxIds = localStorageGetJson('state:swap-txId')
-    if (swapTxIds) {
-      dispatch(restoreSwapTxIds(swapTxIds))
-    }
-    retrievedSwaps.forEach(({ orderId }) => dispatch(restoreSwapPolling(orderId)))
-  })
-  .catch((e) => {
-    log.error(e)
-    throw new Error('Error loading app: ' + e.message)
-  })
+export const restoreState = (dispatch) => {
+  let cachedState = {}
+  return loadCachedState()
+    .then((result) => {
+      cachedState = result
+      dispatch(restoreRememberWallets())
+      dispatch(restoreCostBasisMethod())
+      dispatch(toggleAssetsByTradeable())
+      dispatch(restoreCachedAffiliateInfo())
+      dispatch(restoreCachedMakerInfo())
+      dispatch(languageLoad())
+      dispatch(currencyLoad())
+      const assetCache = cachedState.asset ? cachedState.asset.data : localStorageGetJson('state:asset')
+      if (assetCache) {
+        dispatch(restoreAssets(assetCache))
+        dispatch(retrieveAssets()) // Retrieve updated assets in background
+      } else {
+        return dispatch(retrieveAssets()) // asset list required to restore wallets
+      }
+    }).then(() => {
+      if (cachedState.swap) {
+        dispatch(restoreCachedSwaps(cachedState.swap.data))
+      }
+      const swapCache = localStorageGetJson('state:swaps')
+      if (swapCache) {
+        dispatch(restoreSwaps(swapCache))
+      }
+    }).then(() => {
+      const withdrawalCache = localStorageGetJson('state:withdrawal')
+      if (withdrawalCache) {
+        dispatch(restoreWithdrawals(withdrawalCache))
+      }
+      const alertCache = localStorageGetJson('state:alert')
+      if (alertCache) {
+        dispatch(restoreAlertRules(alertCache))
+      }
+      const assetViewCache = localStorageGetJson('state:assetView')
+      if (assetViewCache) {
+        dispatch(restoreAssetViews(assetViewCache))
+      }
+    }).then(() => {
+      const swapWidgetCache = localStorageGetJson('state:swapWidget')
+      if (swapWidgetCache) {
+        dispatch(restoreSwapWidget(swapWidgetCache))
+      }
+    })
+    .then(() => dispatch(restoreAllPortfolios()))
+    .then(() => {
+      if (cachedState.walletBalances) {
+        dispatch(restoreWalletBalances(cachedState.walletBalances.data))
+      }
+      if (Object.keys(cachedState).length > 0) {
+        dispatch(cachedStateRestored(Date.now()))
+      }
+      const targetAllocationCache = localStorageGetJson('state:portfolio-targetAllocation')
+      if (targetAllocationCache) {
+        dispatch(targetAllocationsRestored(targetAllocationCache))
+      }
+      const portfolioOrderCache = localStorageGetJson('state:portfolio-order')
+      if (portfolioOrderCache) {
+        dispatch(portfoliosReordered(portfolioOrderCache))
+      }
+    })
+    .then(() => {
+      dispatch(handleWalletConnectVersioning())
+      dispatch(updateAllHoldings())
+      const txState = localStorageGetJson('state:tx')
+      if (txState) {
+        dispatch(restoreTxs(txState))
+      }
+      return dispatch(retrieveAllSwaps())
+        .catch((e) => {
+          // Don't prevent the app from starting offline with the cached swaps
+          log.error('Failed to retrieve swaps', e)
+          return []
+        })
+    })
+    .then((retrievedSwaps) => {
+      const swapTxIds = localStorageGetJson('state:swap-txId')
+      if (swapTxIds) {
+        dispatch(restoreSwapTxIds(swapTxIds))
+      }
+      retrievedSwaps.forEach(({ orderId }) => dispatch(restoreSwapPolling(orderId)))
+    })
+    .catch((e) => {
+      log.error(e)
+      throw new Error('Error loading app: ' + e.message)
+    })
+}
 
 export const handleWalletConnectVersioning = () => (dispatch) => {
   let walletConnectVersion = localStorageGet('walletConnectVersion') 
@@ -114,6 +159,22 @@ export const handleRememberWallets = (type) => (dispatch) => {
   dispatch(updateRememberWallets(type))
 }
 
+/** Switch testnet mode on or off. Networks are configured on startup so the app is reloaded. */
+export const setTestnetMode = (enabled) => () => {
+  localStorageSet('testnet', enabled ? 'true' : 'false')
+  window.location.reload()
+}
+
+export const restoreCostBasisMethod = () => (dispatch) => {
+  const method = localStorageGet('cost_basis_method')
+  dispatch(updateCostBasisMethod(COST_BASIS_METHODS.includes(method) ? method : DEFAULT_COST_BASIS_METHOD))
+}
+
+export const setCostBasisMethod = (method) => (dispatch) => {
+  localStorageSet('cost_basis_method', method)
+  dispatch(updateCostBasisMethod(method))
+}
+
 export const currencyLoad = () => (dispatch) => {
   let currency = localStorageGetJson('currency_symbol') || currencies[0]
   dispatch(setCurrencySymbol(currency))
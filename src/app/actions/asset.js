@@ -3,6 +3,8 @@ import { newScopedCreateAction } from 'Utilities/action'
 import { localStorageSetJson, localStorageGetJson } from 'Utilities/storage'
 
 import { getTop10MarketCapSymbols } from 'Selectors/asset'
+import { retrieveAssets } from 'Common/actions/asset'
+import { scheduleJob, cancelJob } from 'Actions/scheduler'
 
 export * from 'Common/actions/asset'
 
@@ -10,6 +12,15 @@ const createAction = newScopedCreateAction(__filename)
 
 export const watchlistUpdated = createAction('WATCHLIST_UPDATED', (symbol, onWatchlist) => ({ symbol, onWatchlist }))
 
+export const ASSETS_JOB_NAME = 'assets'
+
+/** Refresh the asset list and prices every 5 minutes */
+export const pollAssets = () => (dispatch) => {
+  dispatch(scheduleJob(ASSETS_JOB_NAME, () => dispatch(retrieveAssets()), { interval: 300000 }))
+}
+
+export const stopPollingAssets = () => cancelJob(ASSETS_JOB_NAME)
+
 export const handleWatchlist = (symbol) => (dispatch, getState) => {
   let watchlist = localStorageGetJson('watchlist') || getTop10MarketCapSymbols(getState())
   const index = watchlist.indexOf(symbol)
@@ -0,0 +1,55 @@
+import uuid from 'uuid/v4'
+
+import { newScopedCreateAction } from 'Utilities/action'
+import { pickAssetIndexQuery, toAssetIndexQuery, parseAssetIndexQuery } from 'Utilities/assetIndex'
+import { updateQueryStringReplace } from 'Actions/router'
+
+import { getAssetView } from 'Selectors/assetView'
+
+const createAction = newScopedCreateAction(__filename)
+
+export const assetViewsRestored = createAction('RESTORED')
+export const assetViewAdded = createAction('ADDED')
+export const assetViewRemoved = createAction('REMOVED', (id) => ({ id }))
+
+export const restoreAssetViews = (assetViewState) => (dispatch) => {
+  dispatch(assetViewsRestored(assetViewState))
+}
+
+/** Save the asset index filters and columns in query under a name so they can be applied later */
+export const saveAssetView = (name, query) => (dispatch) => {
+  name = name.trim()
+  if (!name) {
+    throw new Error('A saved view needs a name')
+  }
+  const view = {
+    id: uuid(),
+    name,
+    query: pickAssetIndexQuery(query),
+    createdAt: Date.now(),
+  }
+  dispatch(assetViewAdded(view))
+  return view
+}
+
+export const removeAssetView = (id) => (dispatch) => {
+  dispatch(assetViewRemoved(id))
+}
+
+/**
+ * Replace the asset index filters and columns in the URL. Goes back to the first page because
+ * the current one may no longer exist once filtered.
+ */
+export const updateAssetIndexQuery = ({ filters, columns }) => (dispatch) =>
+  dispatch(updateQueryStringReplace({
+    ...toAssetIndexQuery({ filters, columns }),
+    page: undefined,
+  }))
+
+export const applyAssetView = (id) => (dispatch, getState) => {
+  const view = getAssetView(getState(), id)
+  if (!view) {
+    throw new Error(`Saved view ${id} not found`)
+  }
+  return dispatch(updateAssetIndexQuery(parseAssetIndexQuery(view.query)))
+}
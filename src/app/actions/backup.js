@@ -0,0 +1,168 @@
+import { uniq, difference, sortBy } from 'lodash'
+
+import pkg from 'Pkg'
+import config from 'Config'
+import log from 'Utilities/log'
+import { encryptJson, decryptJson } from 'Utilities/encryption'
+import { downloadJson, dateNowString } from 'Utilities/helpers'
+import { localStorageGetJson, localStorageSetJson } from 'Utilities/storage'
+import walletService, { WalletSerializer, MultiWallet, EthereumWalletBlockstack } from 'Services/Wallet'
+import Faast from 'Services/Faast'
+
+import { getWatchlistSymbols, getAppLanguage, getAllSwapsArray, getSentSwapOrderTxIds, getSwap } from 'Selectors'
+import { getSelectedLabel, getSelectedSymbol } from 'Selectors/currency'
+import { addWallet, removeWallet, addNestedWallets } from 'Actions/wallet'
+import { addPortfolio, updateAllHoldings } from 'Actions/portfolio'
+import { watchlistUpdated } from 'Actions/asset'
+import { setCurrencySymbol } from 'Actions/currency'
+import { selectLanguage } from 'Actions/app'
+import { swapAdded, restoreSwapPolling, restoreSwapTxIds } from 'Actions/swap'
+
+const { defaultPortfolioId } = config
+
+const BACKUP_TYPE = 'faast-backup'
+const BACKUP_VERSION = 1
+
+/**
+ * merge: keep existing wallets and settings, only add what's missing.
+ * replace: remove all connected wallets and apply the settings from the backup.
+ */
+export const BACKUP_IMPORT_MODES = ['merge', 'replace']
+
+// Blockstack wallets are restored from the Blockstack session rather than storage
+const isWalletBackedUp = (wallet) => wallet.isPersistAllowed() && !(wallet instanceof EthereumWalletBlockstack)
+
+// Add nested wallets before the MultiWallets that reference them and portfolios last
+const getImportOrder = (wallet) => wallet.getType() === MultiWallet.type ? 2 : (wallet instanceof MultiWallet ? 1 : 0)
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  if (!file) {
+    return reject(new Error('Select a backup file to import'))
+  }
+  const reader = new window.FileReader()
+  reader.onload = (event) => resolve(event.target.result)
+  reader.onerror = () => reject(new Error('Unable to read backup file'))
+  reader.readAsText(file)
+})
+
+const parseBackup = (backupString, password) => {
+  let backup
+  try {
+    backup = JSON.parse(backupString)
+  } catch (e) {
+    throw new Error('Invalid backup file')
+  }
+  if (!backup || backup.type !== BACKUP_TYPE || !backup.crypto) {
+    throw new Error('Invalid backup file')
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('Backup was created by a newer version of the app')
+  }
+  return decryptJson(backup.crypto, password)
+}
+
+/**
+ * Download an encrypted backup of every connected wallet and portfolio along with the
+ * watchlist, currency, language and known swaps so the setup can be moved to another browser.
+ *
+ * @param {String} password - Password to encrypt the backup with
+ */
+export const exportBackup = (password) => (dispatch, getState) => Promise.resolve()
+  .then(() => {
+    const state = getState()
+    const data = {
+      wallets: walletService.getAll().filter(isWalletBackedUp).map(WalletSerializer.stringify),
+      watchlist: getWatchlistSymbols(state),
+      currency: { label: getSelectedLabel(state), symbol: getSelectedSymbol(state) },
+      language: getAppLanguage(state),
+      swapIds: getAllSwapsArray(state).map(({ orderId }) => orderId).filter(Boolean),
+      swapTxIds: { ...localStorageGetJson('state:swap-txId'), ...getSentSwapOrderTxIds(state) },
+    }
+    const backup = {
+      type: BACKUP_TYPE,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      crypto: encryptJson(data, password),
+    }
+    return downloadJson(backup, `${pkg.name}-backup-${dateNowString('_', '-')}`)
+  })
+
+const removeAllImportableWallets = () => (dispatch) => walletService.getAll()
+  .filter((wallet) => wallet.getId() !== defaultPortfolioId && isWalletBackedUp(wallet))
+  .map((wallet) => wallet.getId())
+  .reduce((prev, id) => prev.then(() => dispatch(removeWallet(id))), Promise.resolve())
+
+const importWallets = (serializedWallets = [], mode) => (dispatch) => {
+  const wallets = sortBy(serializedWallets.map(WalletSerializer.parse).filter(Boolean), getImportOrder)
+  let added = 0
+  return wallets.reduce((prev, wallet) => prev.then(() => {
+    const id = wallet.getId()
+    const existing = walletService.get(id)
+    if (existing instanceof MultiWallet && wallet instanceof MultiWallet) {
+      if (mode === 'replace') {
+        existing.setLabel(wallet.getLabel())
+      }
+      return dispatch(addNestedWallets(id, ...wallet.getWalletIds()))
+    }
+    if (existing) {
+      log.debug(`importWallets: keeping existing wallet ${id}`)
+      return
+    }
+    added++
+    return wallet.getType() === MultiWallet.type
+      ? dispatch(addPortfolio(wallet))
+      : dispatch(addWallet(wallet))
+  }), Promise.resolve())
+    .then(() => added)
+}
+
+const importWatchlist = (watchlist, mode) => (dispatch, getState) => {
+  if (!Array.isArray(watchlist)) {
+    return
+  }
+  const current = getWatchlistSymbols(getState())
+  const updated = mode === 'replace' ? watchlist : uniq([...current, ...watchlist])
+  localStorageSetJson('watchlist', updated)
+  difference(updated, current).forEach((symbol) => dispatch(watchlistUpdated(symbol, true)))
+  difference(current, updated).forEach((symbol) => dispatch(watchlistUpdated(symbol, false)))
+}
+
+const importSwaps = (swapIds = [], swapTxIds = {}) => (dispatch, getState) => {
+  localStorageSetJson('state:swap-txId', { ...swapTxIds, ...localStorageGetJson('state:swap-txId') })
+  const missingSwapIds = swapIds.filter((swapId) => !getSwap(getState(), swapId))
+  return Promise.all(missingSwapIds.map((swapId) => Faast.fetchSwap(swapId)
+    .then((swap) => {
+      dispatch(swapAdded(swap))
+      dispatch(restoreSwapPolling(swap.orderId))
+    })
+    .catch((e) => log.error(`importSwaps: failed to retrieve swap ${swapId}`, e))))
+    .then(() => dispatch(restoreSwapTxIds(swapTxIds)))
+}
+
+/**
+ * Restore an encrypted backup created by exportBackup.
+ *
+ * @param {File} file - Backup file selected by the user
+ * @param {String} password - Password the backup was encrypted with
+ * @param {String} [mode='merge'] - One of BACKUP_IMPORT_MODES
+ * @return {Promise<Number>} Number of wallets and portfolios added
+ */
+export const importBackup = (file, password, mode = 'merge') => (dispatch) => readFile(file)
+  .then((backupString) => parseBackup(backupString, password))
+  .then((data) => Promise.resolve()
+    .then(() => mode === 'replace' && dispatch(removeAllImportableWallets()))
+    .then(() => dispatch(importWallets(data.wallets, mode)))
+    .then((added) => {
+      dispatch(importWatchlist(data.watchlist, mode))
+      if (mode === 'replace') {
+        if (data.currency && data.currency.label) {
+          dispatch(setCurrencySymbol(data.currency))
+        }
+        if (data.language) {
+          dispatch(selectLanguage(data.language))
+        }
+      }
+      dispatch(updateAllHoldings())
+      dispatch(importSwaps(data.swapIds, data.swapTxIds))
+      return added
+    }))
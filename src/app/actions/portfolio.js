@@ -2,14 +2,18 @@ import { flatten, difference } from 'lodash'
 
 import { newScopedCreateAction } from 'Utilities/action'
 import log from 'Utilities/log'
-import { MultiWallet } from 'Services/Wallet'
+import { parseAllocation } from 'Utilities/allocation'
 import config from 'Config'
 
+import walletService, { MultiWallet } from 'Services/Wallet'
 import {
-  addWallet, removeWallet, restoreAllWallets, updateWalletBalances, addNestedWallets
+  addWallet, removeWallet, restoreAllWallets, updateWalletBalances, addNestedWallets, removeNestedWallets,
+  updateWallet,
 } from 'Actions/wallet'
 import { retrieveAssets } from 'Common/actions/asset'
-import { getDefaultPortfolio, getCurrentWalletHeldSymbols } from 'Selectors'
+import { scheduleJob, cancelJob } from 'Actions/scheduler'
+import { recordPortfolioSnapshots } from 'Actions/portfolioHistory'
+import { getDefaultPortfolio, getCurrentWalletHeldSymbols, getAllPortfolioIds } from 'Selectors'
 
 import { i18nTranslate as t } from 'Utilities/translate'
 
@@ -23,6 +27,27 @@ export const setCurrentPortfolio = createAction('SET_CURRENT_PORTFOLIO', (portfo
 export const setCurrentWallet = createAction('SET_CURRENT_PORTFOLIO_WALLET', (walletId) => ({ walletId }))
 export const setCurrentPortfolioAndWallet = createAction('SET_CURRENT_WALLET', (portfolioId, walletId) => ({ portfolioId, walletId }))
 export const portfolioAdded = createAction('PORTFOLIO_ADDED')
+export const targetAllocationSaved = createAction('TARGET_ALLOCATION_SAVED', (portfolioId, name, weights) => ({ portfolioId, name, weights }))
+export const targetAllocationRemoved = createAction('TARGET_ALLOCATION_REMOVED', (portfolioId, name) => ({ portfolioId, name }))
+export const targetAllocationSelected = createAction('TARGET_ALLOCATION_SELECTED', (portfolioId, name) => ({ portfolioId, name }))
+export const targetAllocationsRestored = createAction('TARGET_ALLOCATIONS_RESTORED')
+export const portfoliosReordered = createAction('PORTFOLIOS_REORDERED', (portfolioIds) => ({ portfolioIds }))
+
+/**
+ * Save a named target allocation for a portfolio and select it.
+ * The allocation is either weights by symbol or a string such as "BTC 50 / ETH 30 / rest 20".
+ */
+export const saveTargetAllocation = (portfolioId, name, allocation) => (dispatch) => Promise.resolve()
+  .then(() => {
+    name = (name || '').trim()
+    if (!name) {
+      throw new Error('Target allocation name is required')
+    }
+    const weights = typeof allocation === 'string' ? parseAllocation(allocation) : allocation
+    dispatch(targetAllocationSaved(portfolioId, name, weights))
+    dispatch(targetAllocationSelected(portfolioId, name))
+    return weights
+  })
 
 export const removePortfolio = (id) => (dispatch) => Promise.resolve()
   .then(() => {
@@ -32,6 +57,56 @@ export const removePortfolio = (id) => (dispatch) => Promise.resolve()
     return dispatch(removeWallet(id))
   })
 
+const getPortfolioInstance = (id) => {
+  const portfolio = walletService.get(id)
+  if (!portfolio || portfolio.getType() !== MultiWallet.type) {
+    throw new Error(`Portfolio ${id} not found`)
+  }
+  return portfolio
+}
+
+export const renamePortfolio = (id, label) => (dispatch) => Promise.resolve()
+  .then(() => {
+    label = (label || '').trim()
+    if (!label) {
+      throw new Error('Portfolio name is required')
+    }
+    getPortfolioInstance(id).setLabel(label)
+    return dispatch(updateWallet(id))
+  })
+
+/**
+ * Move a portfolio to a new position in the portfolio list. The default portfolio
+ * holds every wallet and always stays first.
+ */
+export const movePortfolio = (id, toIndex) => (dispatch, getState) => {
+  if (id === defaultPortfolioId) {
+    return
+  }
+  const portfolioIds = getAllPortfolioIds(getState()).filter((portfolioId) => portfolioId !== id)
+  toIndex = Math.max(1, Math.min(toIndex, portfolioIds.length))
+  portfolioIds.splice(toIndex, 0, id)
+  dispatch(portfoliosReordered(portfolioIds))
+}
+
+export const addWalletToPortfolio = (portfolioId, walletId) => (dispatch) => Promise.resolve()
+  .then(() => {
+    getPortfolioInstance(portfolioId)
+    if (portfolioId === walletId) {
+      throw new Error('Cannot add a portfolio to itself')
+    }
+    return dispatch(addNestedWallets(portfolioId, walletId))
+  })
+
+export const removeWalletFromPortfolio = (portfolioId, walletId) => (dispatch) => Promise.resolve()
+  .then(() => {
+    if (portfolioId === defaultPortfolioId) {
+      throw new Error('Wallets can only be removed from the default portfolio by disconnecting them')
+    }
+    getPortfolioInstance(portfolioId)
+    return dispatch(removeNestedWallets(portfolioId, walletId))
+  })
+
 export const addPortfolio = (walletInstance, setCurrent = false) => (dispatch) => Promise.resolve()
   .then(() => dispatch(addWallet(walletInstance)))
   .then((wallet) => {
@@ -42,8 +117,8 @@ export const addPortfolio = (walletInstance, setCurrent = false) => (dispatch) =
     return wallet
   })
 
-export const createNewPortfolio = (setCurrent = false) => (dispatch) => Promise.resolve()
-  .then(() => dispatch(addPortfolio(new MultiWallet(), setCurrent)))
+export const createNewPortfolio = (setCurrent = false, label) => (dispatch) => Promise.resolve()
+  .then(() => dispatch(addPortfolio(new MultiWallet(undefined, [], label), setCurrent)))
 
 const createDefaultPortfolio = () => (dispatch, getState) => Promise.resolve()
   .then(() => {
@@ -93,5 +168,19 @@ export const updateAllHoldings = () => (dispatch, getState) => {
   return Promise.all([
     dispatch(retrieveAssets(heldSymbols)),
     dispatch(updateWalletBalances(defaultPortfolioId)),
-  ]).catch(log.error)
+  ])
+    .then(() => {
+      // Not returned so a slow or broken IndexedDB never holds up the holdings job
+      dispatch(recordPortfolioSnapshots()).catch(log.error)
+    })
+    .catch(log.error)
+}
+
+export const HOLDINGS_JOB_NAME = 'holdings'
+
+/** Refresh balances and prices of the default portfolio every 3 minutes */
+export const pollAllHoldings = (delay) => (dispatch) => {
+  dispatch(scheduleJob(HOLDINGS_JOB_NAME, () => dispatch(updateAllHoldings()), { interval: 180000, delay }))
 }
+
+export const stopPollingAllHoldings = () => cancelJob(HOLDINGS_JOB_NAME)
@@ -0,0 +1,69 @@
+import { newScopedCreateAction } from 'Utilities/action'
+import log from 'Utilities/log'
+import idb from 'Utilities/idb'
+import { SNAPSHOT_INTERVAL, createSnapshot, getExpendableSnapshots } from 'Utilities/portfolioHistory'
+
+import {
+  getAllPortfolioIds, getWalletWithHoldings, isPortfolioHistoryLoaded, getLatestPortfolioSnapshot,
+} from 'Selectors'
+import { getSelectedLabel } from 'Selectors/currency'
+
+const createAction = newScopedCreateAction(__filename)
+
+const STORE_NAME = 'portfolioSnapshots'
+
+export const portfolioSnapshotsLoaded = createAction('SNAPSHOTS_LOADED')
+export const portfolioSnapshotAdded = createAction('SNAPSHOT_ADDED')
+
+let historyLoading
+
+/**
+ * Load all stored snapshots, discarding those of removed portfolios and thinning out old history.
+ */
+export const loadPortfolioHistory = () => (dispatch, getState) => {
+  if (isPortfolioHistoryLoaded(getState())) {
+    return Promise.resolve()
+  }
+  if (!historyLoading) {
+    historyLoading = idb.setup([STORE_NAME])
+      .then(() => idb.getAll(STORE_NAME))
+      .then((snapshots) => {
+        const portfolioIds = getAllPortfolioIds(getState())
+        const expendable = [
+          ...snapshots.filter(({ portfolioId }) => !portfolioIds.includes(portfolioId)),
+          ...getExpendableSnapshots(snapshots),
+        ]
+        const expendableIds = expendable.map(({ id }) => id)
+        dispatch(portfolioSnapshotsLoaded(snapshots.filter(({ id }) => !expendableIds.includes(id))))
+        return Promise.all(expendableIds.map((id) => idb.remove(STORE_NAME, id)))
+      })
+      .catch((e) => {
+        historyLoading = null
+        log.error('loadPortfolioHistory', e)
+      })
+  }
+  return historyLoading
+}
+
+/**
+ * Store a snapshot of every portfolio with loaded holdings. Portfolios snapshotted less
+ * than SNAPSHOT_INTERVAL ago are skipped.
+ */
+export const recordPortfolioSnapshots = () => (dispatch, getState) => Promise.resolve()
+  .then(() => dispatch(loadPortfolioHistory()))
+  .then(() => {
+    const state = getState()
+    const currency = getSelectedLabel(state)
+    const now = Date.now()
+    const snapshots = getAllPortfolioIds(state)
+      .filter((portfolioId) => {
+        const latest = getLatestPortfolioSnapshot(state, portfolioId)
+        return !latest || now - latest.timestamp >= SNAPSHOT_INTERVAL
+      })
+      .map((portfolioId) => getWalletWithHoldings(state, portfolioId))
+      .filter((portfolio) => portfolio && portfolio.holdingsLoaded && !portfolio.holdingsError)
+      .map((portfolio) => createSnapshot(portfolio, currency, now))
+    return Promise.all(snapshots.map((snapshot) => idb.put(STORE_NAME, snapshot)
+      .then((id) => dispatch(portfolioSnapshotAdded({ ...snapshot, id })))))
+  })
+  .catch((e) => log.error('recordPortfolioSnapshots', e))
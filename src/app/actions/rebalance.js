@@ -0,0 +1,47 @@
+import log from 'Utilities/log'
+import { processArray } from 'Utilities/helpers'
+import { planSwapLegs, estimateSwapLeg } from 'Utilities/rebalance'
+
+import { retrievePairData } from 'Actions/rate'
+import { getAllAssets } from 'Selectors'
+import {
+  getRatePrice, getRateWithdrawalFee, getRateMinimumDeposit, isRateStale, isRateLoading,
+} from 'Selectors/rate'
+
+/** Read the rate of a pair retrieved with retrievePairData */
+const selectLegRate = (state, pair) => ({
+  price: getRatePrice(state, pair),
+  withdrawalFee: getRateWithdrawalFee(state, pair),
+  minimumDeposit: getRateMinimumDeposit(state, pair),
+  // retrievePairData resolves with the cached rate while another request for the pair is loading
+  isStale: isRateStale(state, pair) || isRateLoading(state, pair),
+})
+
+/**
+ * Plan the swaps needed to apply a set of holding adjustments (see planSwapLegs) and estimate
+ * the fees and slippage of each leg. Legs below the pair minimum deposit, or for a pair that
+ * can't be swapped, are dropped. Legs estimated from an outdated rate are flagged with isEstimateStale.
+ *
+ * @return {Promise<Object>} { legs, droppedLegs, unmatched }
+ */
+export const planRebalance = (adjustments) => (dispatch, getState) => Promise.resolve()
+  .then(() => {
+    const { legs, unmatched } = planSwapLegs(adjustments)
+    const allAssets = getAllAssets(getState())
+    // Sequentially so legs of the same pair reuse the pair data already retrieved
+    return processArray(legs, (leg) => dispatch(retrievePairData(leg.sendSymbol, leg.receiveSymbol, leg.sendAmount))
+      .then(() => estimateSwapLeg(
+        leg,
+        selectLegRate(getState(), `${leg.sendSymbol}_${leg.receiveSymbol}`),
+        allAssets[leg.sendSymbol],
+        allAssets[leg.receiveSymbol]))
+      .catch((e) => {
+        log.error('planRebalance', e)
+        return { ...leg, error: e.message }
+      }))
+      .then((estimatedLegs = []) => ({
+        legs: estimatedLegs.filter(({ error, belowMinimum }) => !error && !belowMinimum),
+        droppedLegs: estimatedLegs.filter(({ error, belowMinimum }) => error || belowMinimum),
+        unmatched,
+      }))
+  })
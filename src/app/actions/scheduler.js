@@ -0,0 +1 @@
+export * from 'Common/actions/scheduler'
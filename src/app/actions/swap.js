@@ -1,15 +1,17 @@
-import { flatten } from 'lodash'
+import { flatten, pick } from 'lodash'
 import { MultiWallet } from 'Services/Wallet'
 import { newScopedCreateAction } from 'Utilities/action'
 import log from 'Log'
 import Faast from 'Services/Faast'
 import toastr from 'Utilities/toastrWrapper'
+import { toBigNumber } from 'Utilities/convert'
+import { mapValues } from 'Utilities/helpers'
 import { signTx, sendTx } from 'Actions/tx'
 import { defaultPortfolioId } from 'Actions/portfolio'
 import { walletOrdersLoading, walletOrdersLoaded, walletOrdersAllLoaded } from 'Actions/wallet'
 import { getTx, getWallet } from 'Selectors'
 import { getSwap } from 'Common/selectors/swap'
-import { swapAdded, createSwapTx, pollOrderStatus } from 'Common/actions/swap'
+import { swapAdded, createSwapTx, pollOrderStatus, stopSwapPolling, restoreSwaps } from 'Common/actions/swap'
 
 export * from 'Common/actions/swap'
 
@@ -20,6 +22,19 @@ export const swapsRetrieved = createAction('RETRIEVED', (orders) => orders, (_,
 export const swapRemoved = createAction('REMOVED', (id) => ({ id }))
 export const swapTxIdUpdated = createAction('TX_ID_UPDATED', (id, txId) => ({ id, txId }))
 
+const SWAP_AMOUNT_FIELDS = [
+  'sendAmount', 'depositAmount', 'receiveAmount', 'spotRate', 'rate', 'amountDeposited', 'amountWithdrawn',
+  'withdrawalFee', 'valueUsd', 'valueBtc', 'makerRewardsBtc',
+]
+const SWAP_DATE_FIELDS = ['createdAt', 'updatedAt', 'rateLockedAt', 'rateLockedUntil']
+
+/** Restore swaps from the offline state cache, reviving the amounts and dates lost to JSON */
+export const restoreCachedSwaps = (swaps) => restoreSwaps(mapValues(swaps, (swap) => ({
+  ...swap,
+  ...mapValues(pick(swap, SWAP_AMOUNT_FIELDS), (value) => value ? toBigNumber(value) : value),
+  ...mapValues(pick(swap, SWAP_DATE_FIELDS), (value) => value ? new Date(value) : value),
+})))
+
 export const retrieveSwaps = (walletId, page, limit) => (dispatch, getState) => {
   const wallet = getWallet(getState(), walletId)
   if (!wallet) {
@@ -49,6 +64,23 @@ export const retrievePaginatedSwaps = (page, limit) => (dispatch) => {
   return dispatch(retrieveSwaps(defaultPortfolioId, page, limit))
 }
 
+const FULL_HISTORY_PAGE_SIZE = 50
+const FULL_HISTORY_MAX_PAGES = 100
+
+/**
+ * Retrieve every page of swaps for all wallets rather than only the most recent ones.
+ * Resolves once a page comes back empty for every wallet.
+ */
+export const retrieveFullSwapHistory = () => (dispatch) => {
+  const retrievePage = (page) => Promise.resolve(dispatch(retrievePaginatedSwaps(page, FULL_HISTORY_PAGE_SIZE)))
+    .then((swaps = []) => {
+      if (swaps.filter(Boolean).length > 0 && page < FULL_HISTORY_MAX_PAGES) {
+        return retrievePage(page + 1)
+      }
+    })
+  return retrievePage(1)
+}
+
 export const restoreSwapTxIds = (swapIdToTxId) => (dispatch) => {
   Object.entries(swapIdToTxId).forEach(([swapId, txId]) => dispatch(swapTxIdUpdated(swapId, txId)))
 }
@@ -57,8 +89,12 @@ export const addSwap = (swap) => (dispatch) => {
   return dispatch(swapAdded(swap)).payload
 }
 
-export const removeSwap = (swapOrId) => (dispatch) => {
+export const removeSwap = (swapOrId) => (dispatch, getState) => {
   const id = typeof swapOrId !== 'string' ? swapOrId.id : swapOrId
+  const swap = getSwap(getState(), id)
+  if (swap) {
+    dispatch(stopSwapPolling(swap))
+  }
   dispatch(swapRemoved(id))
 }
 
@@ -9,7 +9,7 @@ import { ZERO, BigNumber } from 'Utilities/convert'
 import {
   addSwap, removeSwap, restoreSwapPolling,
   createOrder, createSwapTx, signSwap, sendSwap, setSwapTx,
-  swapError, pollOrderStatus
+  swapError, pollOrderStatus, stopSwapPolling
 } from 'Actions/swap'
 import { createAggregateTx } from 'Actions/tx'
 import { getAllWallets, getSwundle, getCurrentSwundle, getLatestSwundle } from 'Selectors'
@@ -56,12 +56,6 @@ export const removeSwundle = (swundleOrId) => (dispatch, getState) => {
   swundle.swaps.forEach((swap) => dispatch(removeSwap(swap)))
 }
 
-const clearAllIntervals = () => {
-  Object.keys(window.faast.intervals).forEach((key) => {
-    window.faast.intervals[key].forEach(a => window.clearInterval(a))
-  })
-}
-
 export const removeCurrentSwundle = () => (dispatch, getState) => {
   const current = getCurrentSwundle(getState())
   if (current) {
@@ -72,7 +66,7 @@ export const removeCurrentSwundle = () => (dispatch, getState) => {
 export const dismissLatestSwundle = () => (dispatch, getState) => {
   const latest = getLatestSwundle(getState())
   if (latest) {
-    clearAllIntervals()
+    latest.swaps.forEach((swap) => dispatch(stopSwapPolling(swap)))
     dispatch(swundleDismissed(latest.id))
   }
 }
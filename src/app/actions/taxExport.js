@@ -0,0 +1,28 @@
+import { uniqBy } from 'lodash'
+
+import { downloadCsv } from 'Utilities/helpers'
+import { filterTaxSwaps, toTaxCsv } from 'Utilities/taxExport'
+import { retrieveFullSwapHistory } from 'Actions/swap'
+import { getConnectedWalletsCompletedSwaps } from 'Selectors'
+
+import { i18nTranslate as t } from 'Utilities/translate'
+
+/**
+ * Download the completed swaps matching the filters as a CSV file in the given layout.
+ * The full swap history is retrieved first so older swaps are included.
+ *
+ * @param {Object} options - { layout, from, to, walletId } (see filterTaxSwaps)
+ * @return {Promise<Number>} Number of swaps exported
+ */
+export const exportTaxReport = ({ layout, from, to, walletId }) => (dispatch, getState) => Promise.resolve()
+  .then(() => dispatch(retrieveFullSwapHistory()))
+  .then(() => {
+    const completedSwaps = uniqBy(getConnectedWalletsCompletedSwaps(getState()), 'orderId')
+    const swaps = filterTaxSwaps(completedSwaps, { from, to, walletId })
+    if (swaps.length === 0) {
+      throw new Error(t('app.taxExport.noSwaps', 'No completed swaps match the selected filters'))
+    }
+    const range = [from, to].filter(Boolean).join('_to_')
+    downloadCsv(toTaxCsv(swaps, layout), ['faast-swaps', layout, range].filter(Boolean).join('-'))
+    return swaps.length
+  })
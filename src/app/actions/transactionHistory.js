@@ -0,0 +1,55 @@
+import { newScopedCreateAction } from 'Utilities/action'
+import log from 'Utilities/log'
+import walletService from 'Services/Wallet'
+import { getTransactionHistory } from 'Selectors/transactionHistory'
+
+const createAction = newScopedCreateAction(__filename)
+
+export const transactionHistoryLoading = createAction('LOADING', (walletId, symbol) => ({ walletId, symbol }))
+export const transactionHistoryLoaded = createAction('LOADED', (walletId, symbol, {
+  transactions, page, hasMore, unsupported = false,
+}) => ({
+  walletId,
+  symbol,
+  transactions,
+  page,
+  hasMore,
+  unsupported,
+}))
+export const transactionHistoryError = createAction('ERROR', (walletId, symbol, error) => ({
+  walletId,
+  symbol,
+  error: error.message || error,
+}))
+
+/**
+ * Load the next page of on-chain transactions of an asset in a wallet, or the first page when
+ * reload is true.
+ */
+export const loadTransactionHistory = (walletId, symbol, reload = false) => (dispatch, getState) => {
+  const history = getTransactionHistory(getState(), { walletId, symbol })
+  if (history.loading || (!reload && history.loaded && !history.hasMore)) {
+    return Promise.resolve(history.transactions)
+  }
+  const page = reload || !history.loaded ? 0 : history.page + 1
+  dispatch(transactionHistoryLoading(walletId, symbol))
+  return Promise.resolve()
+    .then(() => {
+      const walletInstance = walletService.get(walletId)
+      if (!walletInstance) {
+        throw new Error(`Could not find wallet with id ${walletId}`)
+      }
+      if (!walletInstance.isTransactionHistorySupported(symbol)) {
+        return { transactions: [], page, hasMore: false, unsupported: true }
+      }
+      return walletInstance.getTransactionHistory(symbol, page)
+    })
+    .then((result) => {
+      dispatch(transactionHistoryLoaded(walletId, symbol, result))
+      return result.transactions
+    })
+    .catch((e) => {
+      log.error(`Failed to load ${symbol} transaction history of wallet ${walletId}`, e)
+      dispatch(transactionHistoryError(walletId, symbol, e))
+    })
+}
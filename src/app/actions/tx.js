@@ -2,6 +2,7 @@ import { isUndefined, identity } from 'lodash'
 import uuid from 'uuid/v4'
 
 import { getWalletPassword } from 'Actions/walletPasswordPrompt'
+import { scheduleJob, cancelJob } from 'Actions/scheduler'
 import { newScopedCreateAction } from 'Utilities/action'
 import walletService from 'Services/Wallet'
 import { getTx, getPreviousTransaction } from 'Selectors'
@@ -27,6 +28,12 @@ export const txSendingStart = createAction('SENDING_START', (id) => ({ id }))
 export const txSendingSuccess = createAction('SENDING_SUCCESS', (updatedTx) => updatedTx)
 export const txSendingFailed = createAction('SENDING_FAILED', (id, errorMessage) => ({ id, sendingError: errorMessage }))
 
+export const txStuck = createAction('STUCK', (id) => ({ id }))
+export const txReplaced = createAction('REPLACED', (id, replacementId, replacementType) => ({ id, replacedById: replacementId, replacementType }))
+
+/** Time after sending that a transaction without a receipt is considered stuck */
+export const STUCK_TX_THRESHOLD = 10 * 60 * 1000
+
 export const restoreTxs = (txs) => (dispatch) => {
   dispatch(txsRestored(txs))
 }
@@ -119,7 +126,7 @@ export const sendTx = (tx, sendOptions) => (dispatch) => Promise.resolve().then(
   return walletInstance.sendTransaction(tx, { ...eventListeners, ...sendOptions })
     .then((sentTx) => {
       dispatch(pollTxReceipt(tx.id))
-      return dispatch(txSendingSuccess(sentTx)).payload 
+      return dispatch(txSendingSuccess({ ...sentTx, sentAt: Date.now() })).payload
     })
     .catch(newTxErrorHandler(dispatch, tx, 'sendTx', txSendingFailed, (message) => {
       if (message.includes('User denied transaction signature') || message.includes('denied by the user')) {
@@ -133,17 +140,15 @@ export const sendTx = (tx, sendOptions) => (dispatch) => Promise.resolve().then(
 })
 
 
-export const updateTxReceipt = (txId) => (dispatch, getState) => {
+const fetchTxReceipt = (txId) => (dispatch, getState) => Promise.resolve().then(() => {
   const tx = getTx(getState(), txId)
   if (!tx) {
-    log.error(`updateTxReceipt: failed to get tx ${txId}`)
-    return
+    throw new Error(`failed to get tx ${txId}`)
   }
   const { walletId } = tx
   const walletInstance = walletService.get(walletId)
   if (!walletInstance) {
-    log.error(`updateTxReceipt: failed to get wallet ${walletId}`)
-    return
+    throw new Error(`failed to get wallet ${walletId}`)
   }
   return walletInstance.getTransactionReceipt(tx)
     .then((receipt) => {
@@ -153,20 +158,77 @@ export const updateTxReceipt = (txId) => (dispatch, getState) => {
       }
       return receipt
     })
-    .catch((e) => log.error(`failed to get tx ${txId} receipt`, e))
-}
+})
 
-export const pollTxReceipt = (txId) => (dispatch) => {
-  return new Promise((resolve) => {
-    const receiptInterval = window.setInterval(() => {
-      dispatch(updateTxReceipt(txId))
-        .then((receipt) => {
-          if (receipt && receipt.confirmed) {
-            clearInterval(receiptInterval)
-            resolve(receipt)
-          }
-        })
-    }, 5000)
-    window.faast.intervals.txReceipt.push(receiptInterval)
-  })
-}
+export const updateTxReceipt = (txId) => (dispatch) => dispatch(fetchTxReceipt(txId))
+  .catch((e) => log.error(`updateTxReceipt: failed to get tx ${txId} receipt`, e))
+
+/** True if tx has been replaced or replaces another tx and the other one was confirmed */
+const isSettledByOtherTx = (state, tx) => [tx.replacedById, tx.replacesTxId]
+  .map((otherTxId) => otherTxId && getTx(state, otherTxId))
+  .some((otherTx) => otherTx && otherTx.confirmed)
+
+const isTxStuck = (tx) => Boolean(tx.sent && !tx.receipt && !tx.stuck && !tx.replacedById
+  && tx.txData && typeof tx.txData.nonce !== 'undefined'
+  && tx.sentAt && Date.now() - tx.sentAt >= STUCK_TX_THRESHOLD)
+
+export const getTxReceiptJobName = (txId) => `txReceipt:${txId}`
+
+/** Poll for the receipt of a sent tx. Resolves once confirmed or null if another tx with the same nonce was. */
+export const pollTxReceipt = (txId) => (dispatch, getState) => dispatch(scheduleJob(getTxReceiptJobName(txId), (finish) => {
+  if (!getTx(getState(), txId)) {
+    dispatch(cancelJob(getTxReceiptJobName(txId)))
+    return
+  }
+  return dispatch(fetchTxReceipt(txId))
+    .then((receipt) => {
+      if (receipt && receipt.confirmed) {
+        finish(receipt)
+        return
+      }
+      const tx = getTx(getState(), txId)
+      if (isSettledByOtherTx(getState(), tx)) {
+        finish(null)
+      } else if (isTxStuck(tx)) {
+        log.info(`tx ${txId} has been pending for too long`)
+        dispatch(txStuck(txId))
+      }
+    })
+}, { interval: 5000 }))
+
+/**
+ * Replace a stuck transaction with one using the same nonce and a higher gas price. The
+ * replacement either resends the original (speed up) or sends nothing to the wallet itself (cancel).
+ *
+ * @param {String} txId - ID of the pending tx
+ * @param {Object} [options]
+ * @param {Boolean} [options.cancel=false] - Cancel instead of speeding up
+ * @param {Numerical} [options.gasPrice] - Gas price to use if greater than the minimum increase
+ * @return {Promise<Object>} The sent replacement tx
+ */
+export const replaceTx = (txId, { cancel = false, gasPrice } = {}) => (dispatch, getState) => Promise.resolve().then(() => {
+  const tx = getTx(getState(), txId)
+  if (!tx) {
+    throw new Error(`Cannot get tx ${txId}`)
+  }
+  if (tx.receipt) {
+    throw new Error('Transaction has already been confirmed')
+  }
+  const walletInstance = walletService.getOrThrow(tx.walletId)
+  if (typeof walletInstance.createReplacementTransaction !== 'function') {
+    throw new Error(`Replacing transactions is not supported by ${walletInstance.getType()}`)
+  }
+  const replacementType = cancel ? 'cancel' : 'speedUp'
+  return walletInstance.createReplacementTransaction(tx, { cancel, gasPrice })
+    .then((replacementTx) => dispatch(addTx({ ...replacementTx, replacesTxId: txId, replacementType })))
+    .then((replacementTx) => dispatch(signTx(replacementTx, {}))
+      .then((signedTx) => dispatch(sendTx(signedTx || replacementTx))))
+    .then((sentTx) => {
+      dispatch(txReplaced(txId, sentTx.id, replacementType))
+      return sentTx
+    })
+})
+
+export const speedUpTx = (txId) => replaceTx(txId)
+
+export const cancelTx = (txId) => replaceTx(txId, { cancel: true })
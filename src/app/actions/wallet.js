@@ -1,11 +1,15 @@
 import { newScopedCreateAction } from 'Utilities/action'
 import blockstack from 'Utilities/blockstack'
 import log from 'Utilities/log'
-import walletService, { Wallet, MultiWallet, EthereumWalletBlockstack } from 'Services/Wallet'
+import walletService, {
+  Wallet, MultiWallet, EthereumWalletBlockstack, EthereumWalletWalletConnect,
+} from 'Services/Wallet'
 import { getAllAssets, getWalletParents, areWalletBalancesUpdating, getWalletBalances, areWalletBalancesLoaded } from 'Selectors'
 import { getWalletIconProps } from 'Utilities/walletIcon'
-import { retry } from 'Utilities/helpers'
+import { retry, mapValues } from 'Utilities/helpers'
+import { toBigNumber } from 'Utilities/convert'
 import { removePortfolio } from 'Actions/portfolio'
+import { getWalletPassword } from 'Actions/walletPasswordPrompt'
 
 const createAction = newScopedCreateAction(__filename)
 
@@ -25,6 +29,8 @@ const convertWalletInstance = (wallet) => wallet instanceof Wallet ? ({
   isBlockstack: wallet instanceof EthereumWalletBlockstack,
   isReadOnly: wallet.isReadOnly(),
   isSignTxSupported: wallet.isSignTransactionSupported(),
+  isSignMessageSupported: wallet.isSignMessageSupported(),
+  isVerifyMessageSupported: wallet.isVerifyMessageSupported(),
   supportedAssets: wallet.getSupportedAssetSymbols(),
   unsendableAssets: wallet.getUnsendableAssetSymbols(),
   nestedWalletIds: wallet instanceof MultiWallet ? wallet.getWalletIds() : [],
@@ -47,6 +53,11 @@ export const walletBalancesLoaded = createAction('BALANCES_LOADED', (walletId, b
   id: walletId,
   balances
 }))
+export const walletBalancesRestored = createAction('BALANCES_RESTORED', (walletId, balances, balancesLastUpdated) => ({
+  id: walletId,
+  balances,
+  balancesLastUpdated,
+}))
 export const walletBalancesError = createAction('BALANCES_ERROR', (walletId, error) => ({
   id: walletId,
   error: error.message || error,
@@ -125,7 +136,16 @@ export const removeAllWallets = () => (dispatch) => Promise.resolve()
 export const restoreAllWallets = () => (dispatch, getState) => Promise.resolve()
   .then(() => walletService.setAssetProvider(() => getAllAssets(getState())))
   .then(() => walletService.restoreAll())
-  .then((walletInstances) => walletInstances.map((w) => dispatch(walletAdded(w)).payload))
+  .then((walletInstances) => {
+    // Save WalletConnect sessions whenever the mobile wallet updates or ends them
+    EthereumWalletWalletConnect.setSessionListener((w) => dispatch(updateWallet(w.getId())).catch(log.error))
+    // Listen for requests on WalletConnect sessions from a previous visit
+    walletInstances
+      .filter((w) => w instanceof EthereumWalletWalletConnect && w.session)
+      .forEach((w) => w.reconnect()
+        .catch((e) => log.error(`Failed to reconnect WalletConnect session for wallet ${w.getId()}`, e)))
+    return walletInstances.map((w) => dispatch(walletAdded(w)).payload)
+  })
 
 const getManyBalances = (walletInstance, walletId) => {
   const top10SupportedAssets = walletInstance.getTop10SupportedAssets()
@@ -148,6 +168,19 @@ const getAllBalances = (walletInstance, walletId) => {
   })
 }
 
+/**
+ * Show the last known balances of wallets until they're refreshed, such as when the app is started offline.
+ *
+ * @param {Object} cachedBalances - { balances, balancesLastUpdated } keyed by wallet id
+ */
+export const restoreWalletBalances = (cachedBalances) => (dispatch, getState) => {
+  Object.entries(cachedBalances).forEach(([walletId, { balances, balancesLastUpdated }]) => {
+    if (balances && !areWalletBalancesLoaded(getState(), walletId)) {
+      dispatch(walletBalancesRestored(walletId, mapValues(balances, toBigNumber), balancesLastUpdated))
+    }
+  })
+}
+
 export const updateWalletBalances = (walletId) => (dispatch, getState) => Promise.resolve()
   .then(() => {
     const walletInstance = walletService.get(walletId)
@@ -217,3 +250,15 @@ export const addNestedWallets = doForNestedWallets((multiWallet, nestedWallet) =
 export const addNestedWallet = addNestedWallets
 export const removeNestedWallets = doForNestedWallets((multiWallet, nestedWallet) => multiWallet.removeWallet(nestedWallet))
 export const removeNestedWallet = removeNestedWallets
+
+/** Sign a message with a wallet to prove ownership of its address, prompting for a password if needed */
+export const signWalletMessage = (walletId, message) => (dispatch) => Promise.resolve()
+  .then(() => {
+    const walletInstance = walletService.getOrThrow(walletId)
+    return (walletInstance.isPasswordProtected() ? dispatch(getWalletPassword(walletId)) : Promise.resolve())
+      .then((password) => walletInstance.signMessage(message, { password }))
+  })
+
+/** Resolves true if signature was made by address for message, using the network of the wallet */
+export const verifyWalletMessage = (walletId, message, address, signature) => () => Promise.resolve()
+  .then(() => walletService.getOrThrow(walletId).verifyMessage(message, address, signature))
@@ -1,7 +1,7 @@
 import { newScopedCreateAction } from 'Utilities/action'
 import toastr from 'Utilities/toastrWrapper'
 import log from 'Utilities/log'
-import { createTx, signTx, sendTx } from 'Actions/tx'
+import { createTx, signTx, sendTx, txRemoved } from 'Actions/tx'
 
 export * from 'Common/actions/app'
 
@@ -9,6 +9,7 @@ const createAction = newScopedCreateAction(__filename)
 
 export const addWithdrawal = createAction('ADD_WITHDRAWAL')
 export const updateWithdrawal = createAction('UPDATE_WITHDRAWAL')
+export const removeWithdrawal = createAction('REMOVE_WITHDRAWAL', (id) => ({ id }))
 export const restoreWithdrawals = createAction('RESTORE_WITHDRAWALS', (withdrawals) => withdrawals)
 
 export const createWithdrawalTx = (walletId, address, amount, assetSymbol, options = { }) => (dispatch) => Promise.resolve()
@@ -30,6 +31,21 @@ export const createWithdrawalTx = (walletId, address, amount, assetSymbol, optio
     throw new Error('Error creating withdrawal tx: ' + e.message)
   })
 
+/**
+ * Replace an unsigned withdrawal tx with one created using different options (e.g. a
+ * different fee preset), keeping the nonce of Ethereum txs.
+ */
+export const recreateWithdrawalTx = (tx, address, amount, options = {}) => (dispatch) => Promise.resolve()
+  .then(() => dispatch(createWithdrawalTx(tx.walletId, address, amount, tx.assetSymbol, {
+    ...options,
+    nonce: tx.txData ? tx.txData.nonce : undefined,
+  })))
+  .then((newTx) => {
+    dispatch(removeWithdrawal(tx.id))
+    dispatch(txRemoved({ id: tx.id }))
+    return newTx
+  })
+
 export const signAndSubmitTx = (tx, passwordCache = {}, sendOptions) => (dispatch) => Promise.resolve()
   .then(async () => {
     const newTx = await dispatch(signTx(tx, passwordCache))
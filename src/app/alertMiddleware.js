@@ -0,0 +1,15 @@
+import { assetPricesUpdated } from 'Actions/asset'
+import { swapOrderStatusUpdated } from 'Actions/swap'
+import { checkAlertRules, checkSwapAlertRules } from 'Actions/alert'
+
+/** Check the alert rules after any action that could trigger one */
+export const alertMiddleware = ({ dispatch }) => (next) => (action) => {
+  const result = next(action)
+  if (action.type === assetPricesUpdated.getType()) {
+    dispatch(checkAlertRules())
+  } else if (action.type === swapOrderStatusUpdated.getType()) {
+    const { id, orderStatus } = action.payload
+    dispatch(checkSwapAlertRules(id, orderStatus))
+  }
+  return result
+}
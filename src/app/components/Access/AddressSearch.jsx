@@ -2,11 +2,12 @@ import React from 'react'
 import { connect } from 'react-redux'
 import { push } from 'react-router-redux'
 
+import routes from 'Routes'
 import AddressSearchForm from 'Components/AddressSearchForm'
 
 const AddressSearch = ({ routerPush, ...props }) => (
   <AddressSearchForm
-    onSubmit={({ address }) => address && routerPush(`/address/${address}`)}
+    onSubmit={({ address }) => address && routerPush(routes.viewOnlyAddress(address.trim()))}
     {...props}
   />
 )
@@ -0,0 +1,20 @@
+import { compose, setDisplayName, withProps } from 'recompose'
+import { Link } from 'react-router-dom'
+
+import config from 'Config'
+import routes from 'Routes'
+
+import AccessTile from './AccessTile'
+
+export default compose(
+  setDisplayName('WalletConnectAccessTile'),
+  withProps(() => {
+    const { name, icon } = config.walletTypes.walletconnect
+    return ({
+      name,
+      icon,
+      tag: Link,
+      to: routes.connectWalletConnect(),
+    })
+  }),
+)(AccessTile)
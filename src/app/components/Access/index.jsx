@@ -1,7 +1,9 @@
 import React from 'react'
 import { Row, Col, Button } from 'reactstrap'
+import config from 'Config'
 import CoinIcon from 'Components/CoinIcon'
 import Web3Wallet from './Web3Wallet'
+import WalletConnectWallet from './WalletConnectWallet'
 import CreateWallet from './CreateWallet'
 import ImportKeystore from './ImportKeystore'
 import HardwareWallet from './HardwareWallet'
@@ -44,6 +46,10 @@ const Access = () => (
           <TileCol><Web3Wallet type='trust' /></TileCol>
           <TileCol><Web3Wallet type='coinbase' /></TileCol>
           <TileCol><Web3Wallet type='status' /></TileCol>
+          {config.walletConnectProjectId && (
+            // Pairing needs a project registered with WalletConnect
+            <TileCol><WalletConnectWallet /></TileCol>
+          )}
         </TileRow>
       </Col>
       <Col xs='12' className={MOBILE_ORDER}>
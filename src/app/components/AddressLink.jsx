@@ -2,11 +2,12 @@ import React from 'react'
 import PropTypes from 'prop-types'
 import classNames from 'class-names'
 
+import config from 'Config'
 import { tag as tagPropType } from 'Utilities/propTypes'
 
 
 const AddressLink = ({ tag: Tag, address, className, children, ...props }) => (
-  <Tag href={`https://etherscan.io/address/${address}`} target='_blank' rel='noopener'
+  <Tag href={`${config.explorerUrls.ETH}/address/${address}`} target='_blank' rel='noopener'
     className={classNames('word-break-all', className)} {...props}>
     {children || address}
   </Tag>
@@ -5,6 +5,8 @@ import Connect from 'Components/Connect'
 import TradeHistory from 'Components/TradeHistory'
 import WalletOpened from 'Components/WalletOpened'
 import Dashboard from 'Components/Dashboard'
+import Portfolios from 'Components/Portfolios'
+import Modify from 'Components/Modify'
 import SearchResults from 'Components/SearchResults'
 import ModalRoute from 'Components/ModalRoute'
 import TradeDetailModal from 'Components/TradeDetailModal'
@@ -25,9 +27,13 @@ import AffiliateAccountModal from 'Components/Affiliate/AccountModal'
 import AssetWatchlist from 'Components/AssetWatchlist'
 import AssetTrending from 'Components/AssetTrending'
 import Footer from 'Components/Footer'
+import CommandPalette from 'Components/CommandPalette'
+import TestnetBanner from 'Components/TestnetBanner'
 import MobileWalletModal from 'Components/MobileWalletModal'
 import Settings from 'Components/Settings'
+import AlertSettings from 'Components/Settings/Alerts'
 import Wallets from 'Components/Wallets'
+import WalletMessage from 'Components/WalletMessage'
 import WalletDepositModal from 'Components/WalletDepositModal'
 import WalletWithdrawalModal from 'Components/WalletWithdrawalModal'
 import MakerLogin from 'Components/Maker/Login'
@@ -51,13 +57,13 @@ import MakerNotifications from 'Components/Maker/Notifications'
 import { AuthenticatedRoute, AuthRoutes } from 'Components/Auth'
 
 import {
-  root, dashboard, connect, viewOnlyAddress,
+  root, dashboard, portfolios, rebalance, connect, viewOnlyAddress,
   tradeHistory, tradeDetail, swapWidget, assetDetail, assetIndex,
   affiliateLogin, affiliateSignup, affiliateDashboard, affiliateSettings,
   affiliatePayouts, affiliateSwaps, affiliateAccountModal,
   watchlist, trending, affiliateTerms, swapWidgetStepTwo, tradeWidgetDetail,
-  connectMobileWallet, settings, affiliateAcceptTerms, wallets, walletDepositModal,
-  walletWithdrawalModal, assetNews, makerLogin, makerDashboard, makerSwaps, makerSettings,
+  connectMobileWallet, settings, alertSettings, affiliateAcceptTerms, wallets, walletDepositModal,
+  walletWithdrawalModal, walletMessage, assetNews, makerLogin, makerDashboard, makerSwaps, makerSettings,
   makerLoading, makerBalances, makerRegister, makerRegisterProfile, makerAccountModal,
   makerSetup, makerExchangeSetup, makerBalanceSetup, capacityDepositModal, makerRetractCapacityModal, 
   makerNotifications, makerNotifcationsDepositModal, makerBalanceDepositModal, makerMinimumBalancesModal
@@ -75,7 +81,11 @@ const AppView = ({ hasNoWallets }) => {
 
         {/* Routes requiring a connected wallet */}
         <WalletOpened path={dashboard.path} component={Dashboard}/>
+        <WalletOpened path={portfolios.path} component={Portfolios}/>
+        <WalletOpened path={rebalance.path} component={Modify}/>
+        <WalletOpened path={alertSettings.path} component={AlertSettings}/>
         <WalletOpened path={settings.path} component={Settings}/>
+        <WalletOpened path={walletMessage.path} component={WalletMessage}/>
         <WalletOpened path={wallets.path} component={Wallets}/>
 
         {/* Routes that don't require a connected wallet */}
@@ -158,6 +168,8 @@ const AppView = ({ hasNoWallets }) => {
         <MinimumBalancesModal {...props}/>
       )}/>
       <Footer />
+      <CommandPalette/>
+      <TestnetBanner/>
     </Fragment>
   )
 }
@@ -14,6 +14,7 @@ import {
 
 import log from 'Log'
 import { toBigNumber } from 'Utilities/convert'
+import { canFixSwapRate } from 'Utilities/swap'
 import * as validator from 'Utilities/validator'
 import { capitalizeFirstLetter } from 'Utilities/helpers'
 import { createSwap as createSwapAction } from 'Actions/swap'
@@ -33,6 +34,7 @@ import GrumpyCat from 'Img/grumpy-cat.gif'
 import GAEventButton from 'Components/GAEventButton'
 import ReduxFormField from 'Components/ReduxFormField'
 import Checkbox from 'Components/Checkbox'
+import RateModeSelector from 'Components/RateModeSelector'
 import CoinIcon from 'Components/CoinIcon'
 import AssetSelector from 'Src/app/components/AssetSelectorList'
 import WalletSelectField from 'Components/WalletSelectField'
@@ -69,7 +71,7 @@ const AssetDetailSwapWidget = ({
   onChangeSendAmount, sendWallet, receiveWallet, symbol, receiveAsset, ethReceiveBalanceAmount,
   onChangeReceiveAmount, estimatedField, previousSwapInputs = {},
   onChangeRefundAddress, onChangeReceiveAddress, rateError, t, onCloseAssetSelector,
-  validateDepositTag, isSubmittingSwap, isBlocked
+  validateDepositTag, isSubmittingSwap, isBlocked, sendAmount, receiveAmount, fixedRate, setFixedRate,
 }) => {
   return (
     <Fragment>
@@ -250,6 +252,16 @@ const AssetDetailSwapWidget = ({
                     )}
                   </Col>
                 </Row>
+                <RateModeSelector
+                  className='mb-3'
+                  fixedRate={fixedRate}
+                  onChange={setFixedRate}
+                  sendSymbol={sendSymbol}
+                  receiveSymbol={receiveSymbol}
+                  sendAmount={sendAmount}
+                  receiveAmount={receiveAmount}
+                  estimatedField={estimatedField}
+                />
                 <div className='mt-0 mb-4'>
                   <Checkbox
                     label={
@@ -360,6 +372,7 @@ export default compose(
   withState('assetSelect', 'setAssetSelect', null), // send, receive, or null
   withState('estimatedField', 'setEstimatedField', 'receive'), // send or receive
   withState('isSubmittingSwap', 'updateIsSubmittingSwap', false),
+  withState('fixedRate', 'setFixedRate', ({ previousSwapInputs }) => !previousSwapInputs || previousSwapInputs.fixedRate !== false),
   withHandlers({
     onCloseAssetSelector: ({ setAssetSelect }) => () => {
       setAssetSelect(null)
@@ -381,7 +394,7 @@ export default compose(
     ),
     onSubmit: ({
       sendSymbol, receiveAsset, sendAsset,
-      createSwap, openViewOnly, push, estimatedField,
+      createSwap, openViewOnly, push, estimatedField, fixedRate,
       ethSendBalanceAmount, t, fullBalanceAmount, updateIsSubmittingSwap
     }) => async (values) => {
       updateIsSubmittingSwap(true)
@@ -430,17 +443,22 @@ export default compose(
       if (refundAddress) {
         await validatePayportField('refundAddress', 'refundAddressExtraId', sendAsset, refundAddress, refundAddressExtraId)
       }
+      // A floating rate swap from a connected wallet still needs an amount for the deposit tx
+      const isFixed = fixedRate && canFixSwapRate({ estimatedField, sendAmount, receiveAmount })
       return createSwap({
         sendSymbol: sendSymbol,
-        sendAmount: sendAmount && estimatedField !== 'send' ? toBigNumber(sendAmount).round(sendAsset.decimals) : undefined,
+        sendAmount: sendAmount && (isFixed ? estimatedField !== 'send' : sendWalletId)
+          ? toBigNumber(sendAmount).round(sendAsset.decimals) : undefined,
         sendWalletId,
         receiveSymbol,
         receiveAddress,
         refundAddress,
         receiveWalletId,
-        receiveAmount: sendAmount && estimatedField !== 'receive' ? toBigNumber(receiveAmount).round(receiveAsset.decimals) : undefined,
+        receiveAmount: isFixed && estimatedField === 'send'
+          ? toBigNumber(receiveAmount).round(receiveAsset.decimals) : undefined,
         receiveAddressExtraId,
-        refundAddressExtraId
+        refundAddressExtraId,
+        fixedRate: isFixed,
       })
         .then((swap) => {
           updateIsSubmittingSwap(false)
@@ -451,7 +469,7 @@ export default compose(
         }).catch(() => updateIsSubmittingSwap(false))
     },
     handleSaveSwapWidgetInputs: ({ saveSwapWidgetInputs, receiveAsset, sendAsset, 
-      receiveAddress, refundAddress, receiveAmount, sendAmount, sendWallet, receiveWallet }) => (inputs) => {
+      receiveAddress, refundAddress, receiveAmount, sendAmount, sendWallet, receiveWallet, fixedRate }) => (inputs) => {
       const { to, from, toAddress, fromAddress, toAmount, fromAmount, sendWalletId, receiveWalletId } = inputs
       saveSwapWidgetInputs({
         to: to ? to : receiveAsset.symbol,
@@ -462,6 +480,7 @@ export default compose(
         fromAmount: fromAmount ? fromAmount : sendAmount ? parseFloat(sendAmount) : undefined,
         sendWalletId: sendWalletId ? sendWalletId : sendWallet ? sendWallet.id : undefined,
         receiveWalletId: receiveWalletId ? receiveWalletId : receiveWallet ? receiveWallet.id : undefined,
+        fixedRate,
       })
     }
   }),
@@ -670,7 +689,7 @@ export default compose(
     componentWillUnmount() {
       const { saveSwapWidgetInputs, sendAsset, receiveAsset, 
         refundAddress, receiveAddress, sendAmount, receiveAmount,
-        sendWallet, receiveWallet } = this.props
+        sendWallet, receiveWallet, fixedRate } = this.props
       saveSwapWidgetInputs({
         to: receiveAsset ? receiveAsset.symbol : undefined,
         from: sendAsset ? sendAsset.symbol : undefined,
@@ -679,7 +698,8 @@ export default compose(
         sendWalletId: sendWallet ? sendWallet.id : undefined,
         receiveWalletId: receiveWallet ? receiveWallet.id : undefined,
         fromAmount: sendAmount ? parseFloat(sendAmount) : undefined,
-        toAmount: receiveAmount ? parseFloat(receiveAmount) : undefined
+        toAmount: receiveAmount ? parseFloat(receiveAmount) : undefined,
+        fixedRate,
       })
     }
   }),
@@ -7,16 +7,20 @@ import { createStructuredSelector } from 'reselect'
 import { compose, setDisplayName, withProps, lifecycle } from 'recompose'
 import withToggle from 'Hoc/withToggle'
 import { retrieveAssets } from 'Actions/asset'
+import { parseAssetIndexQuery, countActiveFilters } from 'Utilities/assetIndex'
 
 import AssetIndexTable from 'Components/AssetIndexTable'
+import AssetIndexFilters from 'Components/AssetIndexFilters'
 import Layout from 'Components/Layout'
 import Paginator from 'Components/Paginator'
 import LoadingFullscreen from 'Components/LoadingFullscreen'
 import T from 'Components/i18n/T'
 
-import { getAssetIndexPage, getNumberOfAssets, areAssetPricesLoaded, getAssetPricesError } from 'Selectors'
+import { getFilteredAssetIndex, areAssetPricesLoaded, getAssetPricesError } from 'Selectors'
 
-const AssetIndex = ({ assets, currentPage, numberOfAssets, title, pricesLoaded, pricesError }) => {
+const AssetIndex = ({
+  assets, currentPage, numberOfAssets, title, pricesLoaded, pricesError, filters, columns, isFiltered,
+}) => {
   return (
     pricesLoaded ? (
       <Fragment>
@@ -25,7 +29,15 @@ const AssetIndex = ({ assets, currentPage, numberOfAssets, title, pricesLoaded,
           <meta name='description' content='An aggregated list of top cryptocurrencies sorted by market cap, volume, supply, and other data metrics.' /> 
         </Helmet>
         <Layout className='pt-3'>
-          <AssetIndexTable tableHeader={title} assets={assets} />
+          <AssetIndexTable
+            tableHeader={title}
+            assets={assets}
+            columns={columns}
+            toolbar={<AssetIndexFilters filters={filters} columns={columns}/>}
+            emptyMessage={isFiltered ? (
+              <T tag='span' i18nKey='app.assetIndex.noMatches'>No assets match these filters.</T>
+            ) : undefined}
+          />
           <Paginator page={currentPage} pages={Math.ceil(numberOfAssets / 50)}/>
         </Layout>
       </Fragment>) : (
@@ -46,22 +58,29 @@ export default compose(
     const page = currentPage - 1
     const sortField = 'marketCap'
     const limit = 50
+    const { filters, columns } = parseAssetIndexQuery(urlParams)
     return ({
       currentPage,
       page,
       limit,
       sortField,
-      title
+      title,
+      filters,
+      columns,
+      isFiltered: countActiveFilters(filters) > 0,
     })
   }),
   connect(createStructuredSelector({
-    assets: (state, { page, limit, sortField }) => getAssetIndexPage(state, { page, limit, sortField }),
-    numberOfAssets: getNumberOfAssets,
+    filteredAssets: (state, { filters, sortField }) => getFilteredAssetIndex(state, { filters, sortField }),
     pricesLoaded: areAssetPricesLoaded,
     pricesError: getAssetPricesError
   }), {
     retrieveAssets
   }),
+  withProps(({ filteredAssets, page, limit }) => ({
+    assets: filteredAssets.slice(page * limit, page * limit + limit),
+    numberOfAssets: filteredAssets.length,
+  })),
   lifecycle({
     componentDidMount() {
       const { retrieveAssets } = this.props
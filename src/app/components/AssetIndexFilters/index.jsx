@@ -0,0 +1,261 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, withProps, withState, withHandlers } from 'recompose'
+import {
+  Button, Badge, Collapse, CardBody, Row, Col, Form, FormGroup, Label, Input, InputGroup,
+  Dropdown, DropdownToggle, DropdownMenu, DropdownItem,
+} from 'reactstrap'
+import { isNil, isEqual, omitBy } from 'lodash'
+import withToggle from 'Hoc/withToggle'
+
+import { saveAssetView, removeAssetView, applyAssetView, updateAssetIndexQuery } from 'Actions/assetView'
+import { getAllAssetViews } from 'Selectors/assetView'
+import {
+  ASSET_INDEX_COLUMNS, DEFAULT_ASSET_INDEX_COLUMNS, MARKET_CAP_BANDS, countActiveFilters, toAssetIndexQuery,
+} from 'Utilities/assetIndex'
+import toastr from 'Utilities/toastrWrapper'
+import log from 'Utilities/log'
+
+import T from 'Components/i18n/T'
+
+const ChangeRangeInputs = ({ label, minName, maxName, filters, onChangeBound }) => (
+  <FormGroup>
+    <Label className='d-block'>{label}</Label>
+    <InputGroup size='sm'>
+      {[[minName, 'Min %'], [maxName, 'Max %']].map(([name, placeholder]) => (
+        <Input
+          // Remount when the bound changes elsewhere (e.g. a view is applied) so the shown value stays in sync
+          key={`${name}-${filters[name]}`}
+          type='number'
+          step='any'
+          placeholder={placeholder}
+          defaultValue={isNil(filters[name]) ? '' : filters[name]}
+          onBlur={(e) => onChangeBound(name, e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && onChangeBound(name, e.target.value)}
+        />
+      ))}
+    </InputGroup>
+  </FormGroup>
+)
+
+const AssetIndexFilters = ({
+  filters, columns, views, activeViewId, activeFilterCount,
+  isFiltersOpen, toggleFiltersOpen, isColumnsOpen, toggleColumnsOpen, isViewsOpen, toggleViewsOpen,
+  viewName, setViewName, isSavingView, setIsSavingView,
+  updateFilters, handleToggleColumn, handleToggleCapBand, handleChangeBound, handleClearFilters,
+  handleSaveView, handleApplyView, handleRemoveView,
+}) => (
+  <CardBody className='border-bottom py-2'>
+    <div className='d-flex flex-wrap align-items-center'>
+      <Button size='sm' color='dark' className='mr-2 my-1' onClick={toggleFiltersOpen}>
+        <i className='fa fa-filter mr-1'/>
+        <T tag='span' i18nKey='app.assetIndexFilters.filters'>Filters</T>
+        {activeFilterCount > 0 && (<Badge color='primary' className='ml-1'>{activeFilterCount}</Badge>)}
+      </Button>
+      <Dropdown size='sm' className='mr-2 my-1' isOpen={isColumnsOpen} toggle={toggleColumnsOpen}>
+        <DropdownToggle color='dark' caret>
+          <T tag='span' i18nKey='app.assetIndexFilters.columns'>Columns</T>
+        </DropdownToggle>
+        <DropdownMenu>
+          {DEFAULT_ASSET_INDEX_COLUMNS.map((key) => (
+            <DropdownItem key={key} toggle={false} onClick={() => handleToggleColumn(key)}>
+              <i className={columns.includes(key) ? 'fa fa-fw fa-check-square-o mr-2' : 'fa fa-fw fa-square-o mr-2'}/>
+              <T tag='span' i18nKey={ASSET_INDEX_COLUMNS[key].i18nKey}>{ASSET_INDEX_COLUMNS[key].label}</T>
+            </DropdownItem>
+          ))}
+        </DropdownMenu>
+      </Dropdown>
+      <Dropdown size='sm' className='mr-2 my-1' isOpen={isViewsOpen} toggle={toggleViewsOpen}>
+        <DropdownToggle color='dark' caret>
+          <T tag='span' i18nKey='app.assetIndexFilters.savedViews'>Saved views</T>
+        </DropdownToggle>
+        <DropdownMenu>
+          {views.length === 0 && (
+            <DropdownItem header>
+              <T tag='span' i18nKey='app.assetIndexFilters.noViews'>No saved views yet</T>
+            </DropdownItem>
+          )}
+          {views.map(({ id, name }) => (
+            <DropdownItem key={id} active={id === activeViewId} onClick={() => handleApplyView(id)}
+              className='d-flex align-items-center justify-content-between'>
+              <span className='mr-3'>{name}</span>
+              <i className='fa fa-trash-o' title='Delete view' onClick={(e) => handleRemoveView(e, id)}/>
+            </DropdownItem>
+          ))}
+          <DropdownItem divider/>
+          <DropdownItem onClick={() => setIsSavingView(true)}>
+            <i className='fa fa-fw fa-plus mr-1'/>
+            <T tag='span' i18nKey='app.assetIndexFilters.saveView'>Save current view</T>
+          </DropdownItem>
+        </DropdownMenu>
+      </Dropdown>
+      {activeFilterCount > 0 && (
+        <Button size='sm' color='link' className='my-1' onClick={handleClearFilters}>
+          <T tag='span' i18nKey='app.assetIndexFilters.clear'>Clear filters</T>
+        </Button>
+      )}
+    </div>
+    {isSavingView && (
+      <Form inline className='mt-2' onSubmit={handleSaveView}>
+        <Input
+          bsSize='sm'
+          className='mr-2'
+          autoFocus
+          placeholder='e.g. DeFi tokens under 100M'
+          value={viewName}
+          onChange={(e) => setViewName(e.target.value)}
+        />
+        <Button size='sm' color='primary' type='submit' className='mr-2' disabled={!viewName.trim()}>
+          <T tag='span' i18nKey='app.assetIndexFilters.save'>Save</T>
+        </Button>
+        <Button size='sm' color='link' onClick={() => setIsSavingView(false)}>
+          <T tag='span' i18nKey='app.assetIndexFilters.cancel'>Cancel</T>
+        </Button>
+      </Form>
+    )}
+    <Collapse isOpen={isFiltersOpen}>
+      <Row className='gutter-3 pt-3'>
+        <Col xs='12' sm='6' lg='3'>
+          <FormGroup check className='mb-3'>
+            <Label check>
+              <Input type='checkbox' checked={filters.tradeable} onChange={() => updateFilters({ tradeable: !filters.tradeable })}/>
+              <T tag='span' i18nKey='app.assetIndexFilters.tradeable'>Tradeable on Faa.st only</T>
+            </Label>
+          </FormGroup>
+          <FormGroup>
+            <Label for='assetIndexSupport'>
+              <T tag='span' i18nKey='app.assetIndexFilters.support'>Support</T>
+            </Label>
+            <Input id='assetIndexSupport' type='select' bsSize='sm' value={filters.support || ''}
+              onChange={(e) => updateFilters({ support: e.target.value || undefined })}>
+              <option value=''>Any</option>
+              <option value='deposit'>Can be sent in a swap</option>
+              <option value='receive'>Can be received from a swap</option>
+            </Input>
+          </FormGroup>
+          <FormGroup>
+            <Label for='assetIndexType'>
+              <T tag='span' i18nKey='app.assetIndexFilters.type'>Type</T>
+            </Label>
+            <Input id='assetIndexType' type='select' bsSize='sm' value={filters.type || ''}
+              onChange={(e) => updateFilters({ type: e.target.value || undefined })}>
+              <option value=''>Any</option>
+              <option value='erc20'>ERC20 tokens</option>
+              <option value='native'>Native coins</option>
+            </Input>
+          </FormGroup>
+        </Col>
+        <Col xs='12' sm='6' lg='3'>
+          <Label className='d-block'>
+            <T tag='span' i18nKey='app.assetIndexFilters.marketCap'>Market cap</T>
+          </Label>
+          {Object.keys(MARKET_CAP_BANDS).map((band) => (
+            <FormGroup check key={band}>
+              <Label check>
+                <Input type='checkbox' checked={filters.cap.includes(band)} onChange={() => handleToggleCapBand(band)}/>
+                {MARKET_CAP_BANDS[band].label}
+              </Label>
+            </FormGroup>
+          ))}
+        </Col>
+        <Col xs='12' sm='6' lg='3'>
+          <ChangeRangeInputs
+            label={<T tag='span' i18nKey='app.assetIndexFilters.change24'>24h change</T>}
+            minName='change24Min'
+            maxName='change24Max'
+            filters={filters}
+            onChangeBound={handleChangeBound}
+          />
+        </Col>
+        <Col xs='12' sm='6' lg='3'>
+          <ChangeRangeInputs
+            label={<T tag='span' i18nKey='app.assetIndexFilters.change7d'>7d change</T>}
+            minName='change7dMin'
+            maxName='change7dMax'
+            filters={filters}
+            onChangeBound={handleChangeBound}
+          />
+        </Col>
+      </Row>
+    </Collapse>
+  </CardBody>
+)
+
+/**
+ * Filters, visible columns and saved views for the asset index. All of it lives in the URL query
+ * so any view can be shared with a link.
+ */
+export default compose(
+  setDisplayName('AssetIndexFilters'),
+  setPropTypes({
+    filters: PropTypes.object.isRequired,
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }),
+  connect(createStructuredSelector({
+    views: getAllAssetViews,
+  }), {
+    saveAssetView,
+    removeAssetView,
+    applyAssetView,
+    updateAssetIndexQuery,
+  }),
+  withProps(({ filters, columns, views }) => {
+    const query = omitBy(toAssetIndexQuery({ filters, columns }), isNil)
+    const activeView = views.find((view) => isEqual(view.query, query))
+    return {
+      query,
+      activeViewId: activeView ? activeView.id : null,
+      activeFilterCount: countActiveFilters(filters),
+    }
+  }),
+  withToggle('filtersOpen'),
+  withToggle('columnsOpen'),
+  withToggle('viewsOpen'),
+  withState('isSavingView', 'setIsSavingView', false),
+  withState('viewName', 'setViewName', ''),
+  withHandlers({
+    updateFilters: ({ filters, columns, updateAssetIndexQuery }) => (changes) =>
+      updateAssetIndexQuery({ filters: { ...filters, ...changes }, columns }),
+    handleToggleColumn: ({ filters, columns, updateAssetIndexQuery }) => (key) => {
+      const updated = DEFAULT_ASSET_INDEX_COLUMNS.filter((column) => columns.includes(column) !== (column === key))
+      if (updated.length > 0) {
+        updateAssetIndexQuery({ filters, columns: updated })
+      }
+    },
+    handleClearFilters: ({ columns, updateAssetIndexQuery }) => () =>
+      updateAssetIndexQuery({ filters: {}, columns }),
+    handleSaveView: ({ query, viewName, saveAssetView, setViewName, setIsSavingView }) => (e) => {
+      e.preventDefault()
+      try {
+        const view = saveAssetView(viewName, query)
+        toastr.success(`Saved view ${view.name}`)
+        setViewName('')
+        setIsSavingView(false)
+      } catch (err) {
+        log.error(err)
+        toastr.error(err.message)
+      }
+    },
+    handleApplyView: ({ applyAssetView }) => (id) => applyAssetView(id),
+    handleRemoveView: ({ removeAssetView }) => (e, id) => {
+      // Don't also apply the view being removed
+      e.stopPropagation()
+      removeAssetView(id)
+    },
+  }),
+  withHandlers({
+    handleToggleCapBand: ({ filters, updateFilters }) => (band) => updateFilters({
+      cap: filters.cap.includes(band)
+        ? filters.cap.filter((b) => b !== band)
+        : Object.keys(MARKET_CAP_BANDS).filter((b) => b === band || filters.cap.includes(b)),
+    }),
+    handleChangeBound: ({ filters, updateFilters }) => (name, value) => {
+      const bound = value === '' ? undefined : Number(value)
+      if ((isNil(bound) || Number.isFinite(bound)) && bound !== filters[name]) {
+        updateFilters({ [name]: bound })
+      }
+    },
+  }),
+)(AssetIndexFilters)
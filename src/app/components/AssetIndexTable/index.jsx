@@ -21,12 +21,14 @@ import T from 'Components/i18n/T'
 
 import PriceArrowIconSvg from 'Img/price-arrow.svg?inline'
 import { sortObjOfArray } from 'Utilities/helpers'
+import { DEFAULT_ASSET_INDEX_COLUMNS } from 'Utilities/assetIndex'
 
 import { indexTable, mediaBody, sortingArrow } from './style'
 
 const TableRow = ({ asset: { symbol, availableSupply, name,
-  marketCap, price, change24, volume24, change7d, change1 }, timeFrame, push, defaultPriceChange, ...props }) => {
+  marketCap, price, change24, volume24, change7d, change1 }, timeFrame, push, defaultPriceChange, columns, ...props }) => {
   timeFrame = defaultPriceChange ? defaultPriceChange : timeFrame
+  const show = (column) => columns.includes(column)
   const percentChange = timeFrame === '1d' ? change24 : timeFrame === '7d' ? change7d : change1
   return (
     <tr {...props}>
@@ -58,7 +60,7 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
         <Row className='d-flex d-md-none'>
           <Col className='position-relative' xs='8'>
             <div className='pl-3 ml-2 font-xs text-muted'>
-              <div className='mt-1'>
+              {show('marketCap') && (<div className='mt-1'>
                 <span style={{ width: 45 }} className='mr-2 d-inline-block'>Mkt Cap:</span>
                 <span>
                   <Units
@@ -71,8 +73,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
                     abbreviate
                   />
                 </span>
-              </div>
-              <div className='mt-1'>
+              </div>)}
+              {show('volume24') && (<div className='mt-1'>
                 <span style={{ width: 45 }} className='mr-2 d-inline-block'>24h Vol:</span>
                 <span>
                   <Units
@@ -85,8 +87,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
                     abbreviate
                   />
                 </span>
-              </div>
-              <div className='mt-1'>
+              </div>)}
+              {show('availableSupply') && (<div className='mt-1'>
                 <span style={{ width: 45 }} className='mr-2 d-inline-block'>Supply:</span>
                 <span>
                   <Units
@@ -97,12 +99,12 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
                     abbreviate
                   />
                 </span>
-              </div>
+              </div>)}
             </div>
           </Col>
         </Row>
       </td>
-      <td className='d-table-cell d-md-none'>
+      {show('price') && (<td className='d-table-cell d-md-none'>
         <span className='position-relative'>
           <Units 
             className='my-1 d-inline-block'
@@ -113,8 +115,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
             symbolSpaced={false}
           />
         </span>
-      </td>
-      <td className='d-table-cell d-md-none'>
+      </td>)}
+      {show('change') && (<td className='d-table-cell d-md-none'>
         <span>
           <ChangePercent>{percentChange}</ChangePercent>
           <PriceArrowIcon
@@ -124,8 +126,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
             color={percentChange < 0 ? 'danger' : percentChange > 0 ? 'success' : null}
           />
         </span>
-      </td>
-      <td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
+      </td>)}
+      {show('price') && (<td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
         <Units 
           className='mt-1 d-inline-block'
           value={price} 
@@ -134,8 +136,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
           prefixSymbol
           symbolSpaced={false}
         />
-      </td>
-      <td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
+      </td>)}
+      {show('marketCap') && (<td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
         <Units
           className='text-nowrap'
           value={marketCap} 
@@ -145,8 +147,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
           prefixSymbol
           abbreviate
         />
-      </td>
-      <td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
+      </td>)}
+      {show('volume24') && (<td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
         <Units
           className='text-nowrap'
           value={volume24} 
@@ -156,8 +158,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
           prefixSymbol
           abbreviate
         />
-      </td>
-      <td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
+      </td>)}
+      {show('availableSupply') && (<td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
         <Units
           className='text-nowrap'
           value={availableSupply} 
@@ -165,8 +167,8 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
           precision={6} 
           abbreviate
         />
-      </td>
-      <td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
+      </td>)}
+      {show('change') && (<td className='d-none d-md-table-cell' onClick={() => push(routes.assetDetail(symbol))}>
         <div>
           <ChangePercent>{percentChange}</ChangePercent>
           <PriceArrowIcon
@@ -176,14 +178,14 @@ const TableRow = ({ asset: { symbol, availableSupply, name,
             color={percentChange < 0 ? 'danger' : percentChange > 0 ? 'success' : null}
           />
         </div>
-      </td>
+      </td>)}
     </tr>
   )
 }
 
 const AssetIndexTable = ({ assetList, push, isMobileDropdownOpen, toggleMobileDropdownOpen, toggleDropdownOpen, isDropdownOpen, updateTimeFrame, 
   timeFrame, tableHeader, defaultPriceChange, heading, showSearch, handleSortKey,
-  sortKey, sortDesc
+  sortKey, sortDesc, columns, toolbar, emptyMessage,
 }) => (
   <Fragment>
     <Row className='justify-content-between align-items-end gutter-x-3'>
@@ -234,10 +236,11 @@ const AssetIndexTable = ({ assetList, push, isMobileDropdownOpen, toggleMobileDr
             </DropdownMenu>
           </Dropdown>) : null}
       </CardHeader>
+      {toolbar}
       <CardBody className='p-0'>
         {assetList.length === 0 ? (
           <p className='text-center mt-3'>
-            <i>No assets to show. Please refresh.</i>
+            <i>{emptyMessage}</i>
           </p>
         ) : (
           <Table hover striped responsive className={indexTable}>
@@ -247,19 +250,19 @@ const AssetIndexTable = ({ assetList, push, isMobileDropdownOpen, toggleMobileDr
                 <th onClick={() => handleSortKey('name')} className='pl-3 pl-md-5 border-0 d-none d-md-table-cell'>
                   <T tag='span' i18nKey='app.assetIndexTable.coin'>Coin</T> {sortKey === 'name' && (<Icon src={PriceArrowIconSvg} className={sortingArrow} rotate={sortDesc ? 'down' : 'up'} />)}
                 </th>
-                <th onClick={() => handleSortKey('price')} className='border-0 d-none d-md-table-cell'>
+                {columns.includes('price') && (<th onClick={() => handleSortKey('price')} className='border-0 d-none d-md-table-cell'>
                   <T tag='span' i18nKey='app.assetIndexTable.price'>Price</T> {sortKey === 'price' && (<Icon src={PriceArrowIconSvg} className={sortingArrow} rotate={sortDesc ? 'down' : 'up'} />)}
-                </th>
-                <th onClick={() => handleSortKey('marketCap')} className='border-0 d-none d-md-table-cell'>
+                </th>)}
+                {columns.includes('marketCap') && (<th onClick={() => handleSortKey('marketCap')} className='border-0 d-none d-md-table-cell'>
                   <T tag='span' i18nKey='app.assetIndexTable.marketCap'>Market Cap</T> {sortKey === 'marketCap' && (<Icon src={PriceArrowIconSvg} className={sortingArrow} rotate={sortDesc ? 'down' : 'up'} />)}
-                </th>
-                <th onClick={() => handleSortKey('volume24')} className='border-0 d-none d-md-table-cell'>
+                </th>)}
+                {columns.includes('volume24') && (<th onClick={() => handleSortKey('volume24')} className='border-0 d-none d-md-table-cell'>
                   <T tag='span' i18nKey='app.assetIndexTable.volume'>Volume</T> {sortKey === 'volume24' && (<Icon src={PriceArrowIconSvg} className={sortingArrow} rotate={sortDesc ? 'down' : 'up'} />)}
-                </th>
-                <th onClick={() => handleSortKey('availableSupply')} className='border-0 d-none d-md-table-cell'>
+                </th>)}
+                {columns.includes('availableSupply') && (<th onClick={() => handleSortKey('availableSupply')} className='border-0 d-none d-md-table-cell'>
                   <T tag='span' i18nKey='app.assetIndexTable.supply'>Supply</T> {sortKey === 'availableSupply' && (<Icon src={PriceArrowIconSvg} className={sortingArrow} rotate={sortDesc ? 'down' : 'up'} />)}
-                </th>
-                <th className={classNames('border-0 d-none d-md-table-cell', !defaultPriceChange ? 'p-0' : null)}>
+                </th>)}
+                {columns.includes('change') && (<th className={classNames('border-0 d-none d-md-table-cell', !defaultPriceChange ? 'p-0' : null)}>
                   {!defaultPriceChange ? (
                     <Dropdown group isOpen={isDropdownOpen} size="sm" toggle={toggleDropdownOpen}>
                       <DropdownToggle 
@@ -296,7 +299,7 @@ const AssetIndexTable = ({ assetList, push, isMobileDropdownOpen, toggleMobileDr
                         </DropdownItem>
                       </DropdownMenu>
                     </Dropdown>) : <span>{defaultPriceChange} <T tag='span' i18nKey='app.assetIndexTable.change'>Change</T></span>}
-                </th>
+                </th>)}
               </tr>
             </thead>
             <tbody>
@@ -307,6 +310,7 @@ const AssetIndexTable = ({ assetList, push, isMobileDropdownOpen, toggleMobileDr
                   push={push}
                   timeFrame={timeFrame}
                   defaultPriceChange={defaultPriceChange}
+                  columns={columns}
                 />
               )
               )}
@@ -329,7 +333,10 @@ export default compose(
     defaultPriceChange: PropTypes.string,
     heading: PropTypes.node,
     showSearch: PropTypes.bool,
-    allowSorting: PropTypes.bool
+    allowSorting: PropTypes.bool,
+    columns: PropTypes.arrayOf(PropTypes.oneOf(DEFAULT_ASSET_INDEX_COLUMNS)),
+    toolbar: PropTypes.node,
+    emptyMessage: PropTypes.node,
   }),
   defaultProps({
     assets: [{}],
@@ -337,7 +344,10 @@ export default compose(
     defaultPriceChange: undefined,
     heading: undefined,
     showSearch: true,
-    allowSorting: true
+    allowSorting: true,
+    columns: DEFAULT_ASSET_INDEX_COLUMNS,
+    toolbar: null,
+    emptyMessage: 'No assets to show. Please refresh.',
   }),
   withState('assetList', 'updateAssetList', ({ assets }) => assets),
   withState('sortKey', 'updateSortKey', ({ allowSorting }) => allowSorting ? 'marketCap' : null),
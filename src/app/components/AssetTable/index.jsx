@@ -10,6 +10,7 @@ import routes from 'Routes'
 import display from 'Utilities/display'
 
 import ChangePercent from 'Components/ChangePercent'
+import ProfitLoss from 'Components/ProfitLoss'
 import Units from 'Components/Units'
 import CoinIcon from 'Components/CoinIcon'
 import WatchlistStar from 'Components/WatchlistStar'
@@ -17,9 +18,10 @@ import T from 'Components/i18n/T'
 
 import { tableStyle, expandedOnly, collapsedOnly, collapsedRow } from './style'
 
-const renderAssetRows = ({ assetRows, push }) => {
+const renderAssetRows = ({ assetRows, profitLoss, push }) => {
   return assetRows.map((asset) => {
     const { symbol, name, fiat, balance, price, percentage, change24 } = asset
+    const assetProfitLoss = profitLoss && profitLoss[symbol]
     const displayName = name.length > 12 ? symbol : name
     const displayUnits = (<Units value={balance} symbol={symbol} showSymbol={false}/>)
     const displayWeight = display.percentage(percentage)
@@ -59,6 +61,20 @@ const renderAssetRows = ({ assetRows, push }) => {
         <td onClick={() => push(routes.assetDetail(symbol))} className={expandedOnly}>
           {displayChange}
         </td>
+        {profitLoss && (
+          <td onClick={() => push(routes.assetDetail(symbol))} className={expandedOnly}>
+            {assetProfitLoss ? (
+              <Fragment>
+                <ProfitLoss value={assetProfitLoss.unrealized} percent={assetProfitLoss.unrealizedPercent}/>
+                {!assetProfitLoss.realized.isZero() && (
+                  <small className='d-block mt-1 text-muted'>
+                    <T tag='span' i18nKey='app.assetTable.realized'>Realized</T> <ProfitLoss value={assetProfitLoss.realized}/>
+                  </small>
+                )}
+              </Fragment>
+            ) : '-'}
+          </td>
+        )}
       </tr>
     )
   })
@@ -71,8 +87,9 @@ export default compose(
   }),
   setPropTypes({
     assetRows: PropTypes.arrayOf(PropTypes.object).isRequired,
+    profitLoss: PropTypes.object, // Profit and loss by symbol, see getWalletProfitLoss
   })
-)(({ assetRows, push }) => (
+)(({ assetRows, profitLoss, push }) => (
   <Fragment>
     {assetRows && assetRows.length === 0 ? (
       <p className='text-center mt-3'>
@@ -89,10 +106,13 @@ export default compose(
             <th className={classNames(expandedOnly, 'border-0')}><T tag='h6' i18nKey='app.assetTable.th4'>Weight</T></th>
             <th className='border-0'><T tag='h6' i18nKey='app.assetTable.th5'>Price</T></th>
             <th className={classNames(expandedOnly, 'border-0')}><T tag='h6' i18nKey='app.assetTable.th6'>24h change</T></th>
+            {profitLoss && (
+              <th className={classNames(expandedOnly, 'border-0')}><T tag='h6' i18nKey='app.assetTable.th7'>P&amp;L</T></th>
+            )}
           </tr>
         </thead>
         <tbody>
-          {renderAssetRows({ assetRows, push })}
+          {renderAssetRows({ assetRows, profitLoss, push })}
         </tbody>
       </Table>
     )}
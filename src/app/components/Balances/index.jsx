@@ -13,7 +13,8 @@ import { getWalletWithHoldings, } from 'Selectors'
 import { getConnectedWalletsPendingSwaps } from 'Selectors/swap'
 import { areCurrentPortfolioBalancesUpdating } from 'Selectors/portfolio'
 import { getNewsSymbols } from 'Selectors/news'
-import { updateAllHoldings } from 'Actions/portfolio'
+import { getWalletProfitLoss } from 'Selectors/profitLoss'
+import { updateAllHoldings, HOLDINGS_JOB_NAME } from 'Actions/portfolio'
 import { removeAllWallets } from 'Actions/wallet'
 
 import withToggle from 'Hoc/withToggle'
@@ -26,21 +27,26 @@ import Address from 'Components/Address'
 import LoadingFullscreen from 'Components/LoadingFullscreen'
 import PieChart from 'Components/PieChart'
 import AssetTable from 'Components/AssetTable'
+import ProfitLossSummary from 'Components/ProfitLossSummary'
 import ShareButton from 'Components/ShareButton'
 import T from 'Components/i18n/T'
 import Units from 'Components/Units'
+import NextRefresh from 'Components/NextRefresh'
+import StaleDataIndicator from 'Components/StaleDataIndicator'
 
 import { statLabel } from './style'
 import Expandable from '../Expandable'
 
 const Balances = ({ wallet, handleRemove, removeAllWallets, isDropdownOpen, toggleDropdownOpen, 
-  handleAdd, isAlreadyInPortfolio, showStats, pendingSwaps, newsSymbols, updateAllHoldings, areBalancesUpdating }) => {
+  handleAdd, isAlreadyInPortfolio, showStats, pendingSwaps, newsSymbols, updateAllHoldings, areBalancesUpdating,
+  profitLoss }) => {
   const {
     address, assetHoldings, holdingsLoaded, holdingsError, label, totalFiat, 
     totalFiat24hAgo, totalChange, id
   } = wallet
 
   const assetRows = assetHoldings.filter(({ shown }) => shown)
+  const hasProfitLoss = Boolean(profitLoss && Object.keys(profitLoss.bySymbol).length > 0)
 
   const stats = [
     {
@@ -157,6 +163,12 @@ const Balances = ({ wallet, handleRemove, removeAllWallets, isDropdownOpen, togg
                   ) : (<T tag='span' i18nKey='app.dashboard.portfolioHoldings'>Portfolio Holdings</T>)}
                   </h5>
                 </Col>
+                <Col xs='auto' className='px-0'>
+                  <StaleDataIndicator className='text-warning mr-2'/>
+                </Col>
+                <Col xs='auto' className='px-0 d-none d-sm-block'>
+                  <NextRefresh jobName={HOLDINGS_JOB_NAME}/>
+                </Col>
                 <Expandable 
                   shrunk={(
                     <Button className={`${id !== 'default' && 'pr-1'}`} onClick={updateAllHoldings} color='transparent'>
@@ -184,7 +196,17 @@ const Balances = ({ wallet, handleRemove, removeAllWallets, isDropdownOpen, togg
             </Row>
           )}
         </CardHeader>
-        <AssetTable assetRows={assetRows}/>
+        <AssetTable assetRows={assetRows} profitLoss={hasProfitLoss ? profitLoss.bySymbol : null}/>
+        {hasProfitLoss && (
+          <CardBody className='border-top'>
+            <ProfitLossSummary
+              costBasis={profitLoss.totalCostBasis}
+              realized={profitLoss.totalRealized}
+              unrealized={profitLoss.totalUnrealized}
+              unrealizedPercent={profitLoss.totalUnrealizedPercent}
+            />
+          </CardBody>
+        )}
       </Card>
       {assetRows.length > 0 && (<Card className='mt-3'>
         <CardHeader>
@@ -236,6 +258,7 @@ export default compose(
     pendingSwaps: getConnectedWalletsPendingSwaps,
     areBalancesUpdating: areCurrentPortfolioBalancesUpdating,
     newsSymbols: getNewsSymbols,
+    profitLoss: (state, { wallet }) => getWalletProfitLoss(state, wallet.id),
   }), {
     updateAllHoldings: updateAllHoldings,
     removeAllWallets,
@@ -0,0 +1,127 @@
+import { push } from 'react-router-redux'
+
+import config from 'Config'
+import routes from 'Routes'
+import toastr from 'Utilities/toastrWrapper'
+import { i18nTranslate as t } from 'Utilities/translate'
+import { handleWatchlist } from 'Actions/asset'
+import { setCurrentPortfolioAndWallet } from 'Actions/portfolio'
+import { isAssetOnWatchlist } from 'Selectors/asset'
+import { getCurrentChildWalletsForSymbol, getWalletParents } from 'Selectors/wallet'
+
+const { defaultPortfolioId } = config
+
+const openWalletModal = (symbol, getPath, { requireSend = false } = {}) => (dispatch, getState) => {
+  const wallet = getCurrentChildWalletsForSymbol(getState(), symbol)
+    .find(({ isReadOnly }) => !requireSend || !isReadOnly)
+  if (!wallet) {
+    toastr.error(t('app.commandPalette.noWallet', 'None of your connected wallets support this asset'))
+    return
+  }
+  dispatch(push(getPath(symbol, wallet.id)))
+}
+
+const setWatchlist = (symbol, onWatchlist) => (dispatch, getState) => {
+  if (isAssetOnWatchlist(getState(), symbol) !== onWatchlist) {
+    dispatch(handleWatchlist(symbol))
+  }
+}
+
+/**
+ * Commands typed into the palette. Templates are matched by Utilities/commandPalette and
+ * run is called with the parameter values to get the action to dispatch.
+ */
+export const COMMANDS = [
+  {
+    id: 'swap',
+    icon: 'fa-exchange',
+    templates: ['swap {from} to {to}'],
+    run: ({ from, to }) => push(routes.swapWidget({ from, to })),
+  },
+  {
+    id: 'receive',
+    icon: 'fa-download',
+    templates: ['receive {symbol}', 'deposit {symbol}'],
+    run: ({ symbol }) => openWalletModal(symbol, routes.walletDepositModal),
+  },
+  {
+    id: 'send',
+    icon: 'fa-upload',
+    templates: ['send {symbol}', 'withdraw {symbol}'],
+    run: ({ symbol }) => openWalletModal(symbol, routes.walletWithdrawalModal, { requireSend: true }),
+  },
+  {
+    id: 'watch',
+    icon: 'fa-star',
+    templates: ['add {symbol} to watchlist', 'add to watchlist {symbol}', 'watch {symbol}'],
+    run: ({ symbol }) => setWatchlist(symbol, true),
+  },
+  {
+    id: 'unwatch',
+    icon: 'fa-star-o',
+    templates: ['remove {symbol} from watchlist', 'remove from watchlist {symbol}', 'unwatch {symbol}'],
+    run: ({ symbol }) => setWatchlist(symbol, false),
+  },
+  {
+    id: 'asset',
+    icon: 'fa-line-chart',
+    templates: ['view {symbol}', 'price {symbol}'],
+    run: ({ symbol }) => push(routes.assetDetail(symbol)),
+  },
+]
+
+/** Pages that can be searched for by name */
+export const PAGES = [
+  { id: 'dashboard', icon: 'fa-pie-chart', label: 'Dashboard', keywords: 'portfolio holdings home', path: routes.dashboard() },
+  { id: 'portfolios', icon: 'fa-folder', label: 'Portfolios', keywords: 'manage group wallets', path: routes.portfolios() },
+  { id: 'wallets', icon: 'fa-folder-open', label: 'Wallets', keywords: 'send receive', path: '/wallets' },
+  { id: 'swap', icon: 'fa-exchange', label: 'Swap', keywords: 'trade exchange', path: routes.swapWidget() },
+  { id: 'orders', icon: 'fa-list', label: 'Orders', keywords: 'swaps trade history', path: routes.tradeHistory() },
+  { id: 'assets', icon: 'fa-th-list', label: 'Assets', keywords: 'coins markets prices', path: routes.assetIndex() },
+  { id: 'watchlist', icon: 'fa-star', label: 'Watchlist', keywords: 'favorites', path: routes.watchlist() },
+  { id: 'trending', icon: 'fa-fire', label: 'Trending', keywords: 'gainers losers', path: '/assets/trending' },
+  { id: 'news', icon: 'fa-newspaper-o', label: 'News', keywords: 'articles', path: routes.assetNews() },
+  { id: 'rebalance', icon: 'fa-balance-scale', label: 'Rebalance', keywords: 'allocation modify', path: routes.rebalance() },
+  { id: 'connect', icon: 'fa-plus', label: 'Connect wallet', keywords: 'add wallet', path: routes.connect() },
+  { id: 'settings', icon: 'fa-cog', label: 'Settings', keywords: 'preferences currency language backup', path: routes.settings() },
+  { id: 'alerts', icon: 'fa-bell', label: 'Alerts', keywords: 'notifications', path: routes.alertSettings() },
+].map((page) => ({
+  ...page,
+  type: 'page',
+  i18nKey: `app.commandPalette.pages.${page.id}`,
+  run: () => push(page.path),
+}))
+
+export const createAssetItem = ({ symbol, name }) => ({
+  id: `asset:${symbol}`,
+  type: 'asset',
+  symbol,
+  label: name,
+  detail: symbol,
+  keywords: symbol,
+  run: () => push(routes.assetDetail(symbol)),
+})
+
+export const createWalletItem = ({ id, label, typeLabel, address }) => ({
+  id: `wallet:${id}`,
+  type: 'wallet',
+  icon: 'fa-folder-open',
+  label,
+  detail: typeLabel,
+  keywords: [typeLabel, address].filter(Boolean).join(' '),
+  run: () => (dispatch, getState) => {
+    const parent = getWalletParents(getState(), id)[0]
+    dispatch(setCurrentPortfolioAndWallet(parent ? parent.id : defaultPortfolioId, id))
+    dispatch(push(routes.dashboard()))
+  },
+})
+
+export const createSwapItem = ({ orderId, sendSymbol, receiveSymbol, status }) => ({
+  id: `swap:${orderId}`,
+  type: 'swap',
+  icon: 'fa-exchange',
+  label: `${sendSymbol} to ${receiveSymbol}`,
+  detail: status && status.label,
+  keywords: [orderId, sendSymbol, receiveSymbol].join(' '),
+  run: () => push(routes.tradeDetail(orderId)),
+})
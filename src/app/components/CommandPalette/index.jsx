@@ -0,0 +1,219 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, withState, withPropsOnChange, withHandlers, lifecycle } from 'recompose'
+import { Modal, ModalBody, Input, ListGroup, ListGroupItem } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+import { flatMap, uniqBy, sortBy } from 'lodash'
+import classNames from 'class-names'
+import Fuse from 'fuse.js'
+
+import { matchTemplate } from 'Utilities/commandPalette'
+import { getAllAssetsArray, getLeafWallets, getAllSwapsArray } from 'Selectors'
+
+import CoinIcon from 'Components/CoinIcon'
+import T from 'Components/i18n/T'
+
+import { COMMANDS, PAGES, createAssetItem, createWalletItem, createSwapItem } from './commands'
+
+const MAX_COMMAND_RESULTS = 5
+const MAX_ITEM_RESULTS = 10
+const RECENT_SWAP_COUNT = 5
+
+const isToggleShortcut = (e) => (e.ctrlKey || e.metaKey) && !e.altKey && e.key && e.key.toLowerCase() === 'k'
+
+const CommandPalette = ({
+  isOpen, closePalette, query, handleQueryChange, handleKeyDown, results, selectedIndex,
+  runResult, t,
+}) => (
+  <Modal isOpen={isOpen} toggle={closePalette} size='lg'>
+    <ModalBody className='p-0'>
+      <Input
+        autoFocus
+        type='text'
+        className='border-0 rounded-0 p-3'
+        autoComplete='off'
+        autoCorrect='off'
+        autoCapitalize='off'
+        spellCheck='false'
+        placeholder={t('app.commandPalette.placeholder', 'Search or type a command, e.g. swap BTC to ETH')}
+        value={query}
+        onChange={handleQueryChange}
+        onKeyDown={handleKeyDown}
+      />
+      <ListGroup flush style={{ maxHeight: '50vh', overflowY: 'auto' }}>
+        {results.map((result, i) => (
+          <ListGroupItem
+            key={result.id}
+            tag='button'
+            action
+            active={i === selectedIndex}
+            className='d-flex align-items-center text-left'
+            onClick={() => runResult(result)}
+          >
+            {result.symbol ? (
+              <CoinIcon symbol={result.symbol} inline size='sm' className='mr-2'/>
+            ) : (
+              <i className={classNames('fa fa-fw mr-2', result.icon)}/>
+            )}
+            <span className={classNames({ 'text-monospace': result.type === 'command' })}>
+              {result.i18nKey ? t(result.i18nKey, result.label) : result.label}
+            </span>
+            {result.detail && (
+              <small className='ml-2 text-muted'>{result.detail}</small>
+            )}
+            {result.type === 'command' && !result.complete && i === selectedIndex && (
+              <small className='ml-auto text-muted'>
+                <T tag='span' i18nKey='app.commandPalette.tabToComplete'>Tab to complete</T>
+              </small>
+            )}
+          </ListGroupItem>
+        ))}
+        {results.length === 0 && (
+          <ListGroupItem className='text-muted'>
+            <T tag='span' i18nKey='app.commandPalette.noResults'>No results</T>
+          </ListGroupItem>
+        )}
+      </ListGroup>
+      <div className='px-3 py-2 border-top'>
+        <T tag='small' i18nKey='app.commandPalette.hint' className='text-muted'>
+          Up and down to select, Tab to complete, Enter to run, Esc to close
+        </T>
+      </div>
+    </ModalBody>
+  </Modal>
+)
+
+export default compose(
+  setDisplayName('CommandPalette'),
+  connect(createStructuredSelector({
+    assets: getAllAssetsArray,
+    wallets: getLeafWallets,
+    swaps: getAllSwapsArray,
+  })),
+  withTranslation(),
+  withState('isOpen', 'setOpen', false),
+  withState('query', 'setQuery', ''),
+  withState('selectedIndex', 'setSelectedIndex', 0),
+  withPropsOnChange(['assets', 'wallets', 'swaps'], ({ assets, wallets, swaps }) => {
+    const recentSwapItems = swaps.slice(0, RECENT_SWAP_COUNT).map(createSwapItem)
+    const items = [
+      ...PAGES,
+      ...wallets.map(createWalletItem),
+      ...recentSwapItems,
+      ...assets.map(createAssetItem),
+    ]
+    const symbols = assets.map(({ symbol }) => symbol)
+    const paramOptions = {
+      symbol: symbols,
+      from: assets.filter(({ deposit }) => deposit).map(({ symbol }) => symbol),
+      to: assets.filter(({ receive }) => receive).map(({ symbol }) => symbol),
+    }
+    return {
+      defaultItems: [...PAGES, ...recentSwapItems],
+      getParamOptions: (param) => paramOptions[param],
+      fuse: new Fuse(items, {
+        shouldSort: true,
+        threshold: 0.4,
+        location: 0,
+        distance: 100,
+        minMatchCharLength: 1,
+        keys: [{
+          name: 'keywords',
+          weight: 0.5,
+        }, {
+          name: 'label',
+          weight: 0.5,
+        }],
+      }),
+    }
+  }),
+  withPropsOnChange(['query', 'fuse', 'getParamOptions', 'defaultItems'], ({
+    query, fuse, getParamOptions, defaultItems,
+  }) => {
+    const commandResults = flatMap(COMMANDS, (command) => flatMap(command.templates, (template) =>
+      matchTemplate(query, template, getParamOptions).map(({ params, complete, completion, display }) => ({
+        id: `command:${display}`,
+        type: 'command',
+        icon: command.icon,
+        label: display,
+        complete,
+        completion,
+        run: () => command.run(params),
+      }))))
+    const trimmedQuery = query.trim()
+    const itemResults = trimmedQuery
+      ? fuse.search(trimmedQuery).slice(0, MAX_ITEM_RESULTS)
+      : defaultItems
+    return {
+      results: [
+        ...sortBy(uniqBy(commandResults, 'id'), ({ complete }) => !complete).slice(0, MAX_COMMAND_RESULTS),
+        ...itemResults,
+      ],
+    }
+  }),
+  withHandlers({
+    closePalette: ({ setOpen, setQuery, setSelectedIndex }) => () => {
+      setOpen(false)
+      setQuery('')
+      setSelectedIndex(0)
+    },
+  }),
+  withHandlers({
+    togglePalette: ({ isOpen, setOpen, closePalette }) => () => {
+      if (isOpen) {
+        closePalette()
+      } else {
+        setOpen(true)
+      }
+    },
+    handleQueryChange: ({ setQuery, setSelectedIndex }) => (e) => {
+      setQuery(e.target.value)
+      setSelectedIndex(0)
+    },
+    runResult: ({ dispatch, closePalette, setQuery, setSelectedIndex }) => (result) => {
+      if (result.type === 'command' && !result.complete) {
+        setQuery(result.completion)
+        setSelectedIndex(0)
+        return
+      }
+      closePalette()
+      dispatch(result.run())
+    },
+  }),
+  withHandlers({
+    handleKeyDown: ({ results, selectedIndex, setSelectedIndex, setQuery, runResult }) => (e) => {
+      const selected = results[selectedIndex]
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setSelectedIndex((selectedIndex + step + results.length) % Math.max(results.length, 1))
+      } else if (e.key === 'Tab') {
+        e.preventDefault()
+        if (selected && selected.type === 'command') {
+          setQuery(selected.completion)
+          setSelectedIndex(0)
+        }
+      } else if (e.key === 'Enter') {
+        e.preventDefault()
+        if (selected) {
+          runResult(selected)
+        }
+      }
+    },
+  }),
+  lifecycle({
+    componentDidMount() {
+      this.handleShortcut = (e) => {
+        if (isToggleShortcut(e)) {
+          e.preventDefault()
+          this.props.togglePalette()
+        }
+      }
+      window.addEventListener('keydown', this.handleShortcut)
+    },
+    componentWillUnmount() {
+      window.removeEventListener('keydown', this.handleShortcut)
+    },
+  }),
+)(CommandPalette)
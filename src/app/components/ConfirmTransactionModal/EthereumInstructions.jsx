@@ -20,7 +20,12 @@ const EthereumInstructions = ({
       [<T tag='span' i18nKey='app.ethInstructions.to'>To:</T>, <Fragment><span className='text-monospace'>{txData.to}</span> {assetSymbol !== 'ETH' && (<i>({assetSymbol} contract)</i>)}</Fragment>],
       [<T tag='span' i18nKey='app.ethInstructions.value'>Value:</T>, <Units value={txData.value} precision={null} symbol={'ETH'}/>],
       [<T tag='span' i18nKey='app.ethInstructions.gas'>Gas:</T>, <Units value={txData.gas} maxDigits={null}/>],
-      [<T tag='span' i18nKey='app.ethInstructions.gasPrice'>Gas price:</T>, <Units value={toBigNumber(txData.gasPrice).div(1e9)} maxDigits={null} symbol={'GWei'}/>],
+      ...(txData.maxFeePerGas ? [
+        [<T tag='span' i18nKey='app.ethInstructions.maxFee'>Max Fee:</T>, <Units value={toBigNumber(txData.maxFeePerGas).div(1e9)} maxDigits={null} symbol={'GWei'}/>],
+        [<T tag='span' i18nKey='app.ethInstructions.maxPriorityFee'>Max Priority Fee:</T>, <Units value={toBigNumber(txData.maxPriorityFeePerGas).div(1e9)} maxDigits={null} symbol={'GWei'}/>],
+      ] : [
+        [<T tag='span' i18nKey='app.ethInstructions.gasPrice'>Gas price:</T>, <Units value={toBigNumber(txData.gasPrice).div(1e9)} maxDigits={null} symbol={'GWei'}/>],
+      ]),
       [<T tag='span' i18nKey='app.ethInstructions.data'>Data:</T>, <span className='text-monospace'>{txData.data}</span>],
     ]}/>
   </div>
@@ -9,6 +9,7 @@ import HardwareWalletModal from 'Components/HardwareWalletModal'
 import Layout from 'Components/Layout'
 import Access from 'Components/Access'
 import WalletInfoModal from 'Components/WalletInfoModal'
+import WalletConnectModal from 'Components/WalletConnectModal'
 import { lifecycle, compose, setDisplayName, withProps } from 'recompose'
 
 import { updateConnectForward } from 'Actions/app'
@@ -25,6 +26,9 @@ const Connect = () => (
         <ModalRoute closePath={routes.connect.path} path={routes.connectHwWallet.path} render={(props) => (
           <HardwareWalletModal walletType={props.match.params.walletType} {...props}/>
         )}/>
+        <ModalRoute closePath={routes.connect.path} path={routes.connectWalletConnect.path} render={(props) => (
+          <WalletConnectModal {...props}/>
+        )}/>
         <ModalRoute closePath={routes.connect.path} path={routes.walletInfoModal.path} render={(props) => (
           <WalletInfoModal walletType={props.match.params.walletType} {...props}/>
         )}/>
@@ -4,11 +4,11 @@ import { Redirect, withRouter } from 'react-router-dom'
 import { createStructuredSelector } from 'reselect'
 import { Helmet } from 'react-helmet'
 import {
-  getCurrentWalletWithHoldings, isDefaultPortfolioEmpty
+  getCurrentWalletWithHoldings, getCurrentPortfolioId, isDefaultPortfolioEmpty
 } from 'Selectors'
-import { updateAllHoldings, removePortfolio, defaultPortfolioId } from 'Actions/portfolio'
+import { pollAllHoldings, stopPollingAllHoldings, removePortfolio, defaultPortfolioId } from 'Actions/portfolio'
 import { doToggleFeedbackForm } from 'Actions/app'
-import { retrieveAssets } from 'Actions/asset'
+import { pollAssets, stopPollingAssets } from 'Actions/asset'
 
 import DashboardView from './view'
 
@@ -19,20 +19,16 @@ class Dashboard extends Component {
   }
 
   componentDidMount () {
-    const { updateAllHoldings, retrieveAssets } = this.props
-    const balancesInterval = window.setInterval(updateAllHoldings, 180000)
-    this.setState({ balancesInterval })
-    const assetsInterval = window.setInterval(retrieveAssets, 300000)
-    this.setState({ assetsInterval })
-    const { wallet } = this.props
-    if (Date.now() - wallet.balancesLastUpdated > 180000 && !wallet.balancesUpdating) {
-      setTimeout(updateAllHoldings, 5000)
-    }
+    const { wallet, pollAllHoldings, pollAssets } = this.props
+    const isStale = Date.now() - wallet.balancesLastUpdated > 180000 && !wallet.balancesUpdating
+    pollAllHoldings(isStale ? 5000 : undefined)
+    pollAssets()
   }
 
   componentWillUnmount () {
-    window.clearInterval(this.state.balancesInterval)
-    window.clearInterval(this.state.assetsInterval)
+    const { stopPollingAllHoldings, stopPollingAssets } = this.props
+    stopPollingAllHoldings()
+    stopPollingAssets()
   }
 
   _removeWallet () {
@@ -41,13 +37,14 @@ class Dashboard extends Component {
   }
 
   render () {
-    const { wallet, isDefaultPortfolioEmpty, doToggleFeedbackForm } = this.props
+    const { wallet, portfolioId, isDefaultPortfolioEmpty, doToggleFeedbackForm } = this.props
     const isViewOnly = wallet.isReadOnly
     if (isDefaultPortfolioEmpty && !isViewOnly) {
       return (<Redirect to='/connect'/>)
     }
 
     const disableRemove = wallet.id === defaultPortfolioId
+    const isPortfolioShown = wallet.id === portfolioId && !isDefaultPortfolioEmpty
     return (
       <Fragment>
         <Helmet>
@@ -59,6 +56,8 @@ class Dashboard extends Component {
           handleRemove={this._removeWallet}
           viewOnly={isViewOnly}
           disableRemove={disableRemove}
+          showTargetAllocation={isPortfolioShown}
+          showPortfolioHistory={isPortfolioShown}
           isDefaultPortfolioEmpty={isDefaultPortfolioEmpty}
           doToggleFeedbackForm={doToggleFeedbackForm}
           {...this.props}
@@ -70,13 +69,16 @@ class Dashboard extends Component {
 
 const mapStateToProps = createStructuredSelector({
   wallet: getCurrentWalletWithHoldings,
+  portfolioId: getCurrentPortfolioId,
   isDefaultPortfolioEmpty: isDefaultPortfolioEmpty,
 })
 
 const mapDispatchToProps = {
-  updateAllHoldings,
+  pollAllHoldings,
+  stopPollingAllHoldings,
+  pollAssets,
+  stopPollingAssets,
   removePortfolio,
-  retrieveAssets,
   doToggleFeedbackForm,
 }
 
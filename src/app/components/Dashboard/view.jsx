@@ -8,12 +8,14 @@ import Layout from 'Components/Layout'
 import BlockstackWelcome from 'Components/BlockstackWelcome'
 import Balances from 'Components/Balances'
 import Sidebar from 'Components/Sidebar'
+import TargetAllocation from 'Components/TargetAllocation'
+import PortfolioHistoryChart from 'Components/PortfolioHistoryChart'
 import T from 'Components/i18n/T'
 
 const DashboardView = (props) => {
   const {
     wallet, viewOnly, toggleChart, openCharts, handleRemove, isDefaultPortfolioEmpty,
-    doToggleFeedbackForm,
+    doToggleFeedbackForm, showTargetAllocation, showPortfolioHistory,
   } = props
 
   return (
@@ -49,6 +51,12 @@ const DashboardView = (props) => {
                 openCharts={openCharts}
                 handleRemove={handleRemove}
               />
+              {showPortfolioHistory && (
+                <PortfolioHistoryChart />
+              )}
+              {showTargetAllocation && (
+                <TargetAllocation />
+              )}
             </Col>
           </Row>
         </Col>
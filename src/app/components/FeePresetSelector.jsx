@@ -0,0 +1,46 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { compose, setDisplayName, setPropTypes, defaultProps } from 'recompose'
+import { Button, ButtonGroup } from 'reactstrap'
+
+import T from 'Components/i18n/T'
+
+const FEE_PRESETS = [
+  ['slow', <T key='slow' tag='span' i18nKey='app.feePresets.slow'>Slow</T>],
+  ['normal', <T key='normal' tag='span' i18nKey='app.feePresets.normal'>Normal</T>],
+  ['fast', <T key='fast' tag='span' i18nKey='app.feePresets.fast'>Fast</T>],
+]
+
+/** Choose how quickly an Ethereum transaction should be mined */
+const FeePresetSelector = ({ value, onChange, disabled, className }) => (
+  <div className={className}>
+    <T tag='small' i18nKey='app.feePresets.label' className='text-muted mr-2'>Network fee:</T>
+    <ButtonGroup size='sm'>
+      {FEE_PRESETS.map(([preset, label]) => (
+        <Button
+          key={preset}
+          color='dark'
+          active={preset === value}
+          disabled={disabled}
+          onClick={() => preset !== value && onChange(preset)}
+        >
+          {label}
+        </Button>
+      ))}
+    </ButtonGroup>
+  </div>
+)
+
+export default compose(
+  setDisplayName('FeePresetSelector'),
+  setPropTypes({
+    value: PropTypes.oneOf(FEE_PRESETS.map(([preset]) => preset)).isRequired,
+    onChange: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    className: PropTypes.string,
+  }),
+  defaultProps({
+    disabled: false,
+    className: '',
+  }),
+)(FeePresetSelector)
@@ -3,19 +3,26 @@ import { connect } from 'react-redux'
 import { push } from 'react-router-redux'
 import { createStructuredSelector } from 'reselect'
 import uuid from 'uuid/v4'
+import qs from 'query-string'
 import { Helmet } from 'react-helmet'
 
 import { toUnit, toPercentage } from 'Utilities/convert'
 import { updateObjectInArray, splice } from 'Utilities/helpers'
 import log from 'Utilities/log'
 import toastr from 'Utilities/toastrWrapper'
-import { ZERO, toBigNumber } from 'Utilities/convert'
+import { ZERO, BigNumber, toBigNumber } from 'Utilities/convert'
+import { resolveTargetWeights } from 'Utilities/allocation'
 
-import { getCurrentPortfolioWithIndividualWalletHoldings, getAllAssets, isAppRestricted, isAppBlocked } from 'Selectors'
+import {
+  getCurrentPortfolioWithIndividualWalletHoldings, getCurrentPortfolioTargetAllocations,
+  getAllAssets, isAppRestricted, isAppBlocked
+} from 'Selectors'
 import { toggleOrderModal, showOrderModal } from 'Actions/orderModal'
 import { createSwundle } from 'Actions/swundle'
+import { planRebalance } from 'Actions/rebalance'
 
 import Blocked from 'Components/Blocked'
+import RebalancePlanModal from 'Components/RebalancePlanModal'
 import ModifyView from './view'
 
 const filterAdjustedHoldings = (walletHoldings) => {
@@ -47,7 +54,10 @@ const initialState = {
   assetListWalletId: '',
   walletHoldingsLoaded: {}, // By walletId
   walletHoldings: {}, // By walletId
-  addButtonLocation: 'top'
+  addButtonLocation: 'top',
+  targetAllocation: null, // { name, skippedSymbols } once holdings are pre-filled from a target allocation
+  isPlanOpen: false,
+  rebalancePlan: null, // Result of planRebalance while reviewing swaps
 }
 
 class Modify extends Component {
@@ -63,7 +73,9 @@ class Modify extends Component {
     this._handleSelectAsset = this._handleSelectAsset.bind(this)
     this._handleRemoveAsset = this._handleRemoveAsset.bind(this)
     this._handleSave = this._handleSave.bind(this)
-    this.state = this.getInitialState(props, initialState)
+    this._handleConfirmPlan = this._handleConfirmPlan.bind(this)
+    this._handleCancelPlan = this._handleCancelPlan.bind(this)
+    this.state = this._withTargetAllocation(props, this.getInitialState(props, initialState))
   }
 
   getInitialState = (props, state) => {
@@ -88,7 +100,116 @@ class Modify extends Component {
     const { portfolio: nextPortfolio } = nextProps
     if (currentPortfolio.id !== nextPortfolio.id
       || countLoadedWallets(currentPortfolio) !== countLoadedWallets(nextPortfolio)) {
-      this.setState(this.getInitialState(nextProps, this.state))
+      this.setState(this._withTargetAllocation(nextProps, this.getInitialState(nextProps, this.state)))
+    }
+  }
+
+  /**
+   * Pre-fill the adjusted holdings so the portfolio reaches the target allocation named in
+   * the `target` query param. Only holdings that can be swapped are adjusted and the total
+   * bought always matches the total sold so nothing is left in the allowance.
+   */
+  _withTargetAllocation (props, state) {
+    const { portfolio, targetAllocations, allAssets, isAppRestricted, location } = props
+    const targetName = qs.parse(location.search).target
+    if (!targetName || state.targetAllocation
+      || countLoadedWallets(portfolio) < portfolio.nestedWallets.length) {
+      return state
+    }
+    const weights = targetAllocations[targetName]
+    if (!weights) {
+      toastr.error(`Target allocation ${targetName} not found`)
+      return { ...state, targetAllocation: { name: targetName, skippedSymbols: [] } }
+    }
+    const walletsById = portfolio.nestedWallets.reduce((byId, w) => ({ ...byId, [w.id]: w }), {})
+    const isSwappable = (wallet, symbol) => {
+      const asset = allAssets[symbol]
+      return Boolean(!wallet.isReadOnly && asset && asset.swapEnabled && !(asset.restricted && isAppRestricted))
+    }
+    const walletHoldings = { ...state.walletHoldings }
+    const allHoldings = flatten(Object.values(walletHoldings))
+    const fiatBySymbol = allHoldings.reduce((bySymbol, { symbol, fiat }) => ({
+      ...bySymbol,
+      [symbol]: (bySymbol[symbol] || ZERO).plus(fiat.original),
+    }), {})
+    const targetWeights = resolveTargetWeights(weights, fiatBySymbol)
+    const sells = [] // [holding, fiat to sell]
+    const buys = [] // [holding, fiat to buy]
+    const skippedSymbols = []
+    Object.keys({ ...fiatBySymbol, ...targetWeights }).forEach((symbol) => {
+      const targetFiat = (targetWeights[symbol] || ZERO).div(100).times(portfolio.totalFiat)
+      const delta = targetFiat.minus(fiatBySymbol[symbol] || ZERO)
+      if (delta.abs().lessThan(0.01)) {
+        return
+      }
+      if (delta.isNegative()) {
+        const sellable = allHoldings.filter(({ walletId, symbol: s, fiat }) => s === symbol
+          && fiat.original.greaterThan(0)
+          && isSwappable(walletsById[walletId], symbol)
+          && !walletsById[walletId].unsendableAssets.includes(symbol))
+        const sellableFiat = sellable.reduce((sum, { fiat }) => sum.plus(fiat.original), ZERO)
+        if (sellableFiat.isZero()) {
+          skippedSymbols.push(symbol)
+          return
+        }
+        const toSell = BigNumber.min(delta.abs(), sellableFiat)
+        sellable.forEach((h) => sells.push([h, toSell.times(h.fiat.original).div(sellableFiat)]))
+      } else {
+        const receiveWallets = portfolio.nestedWallets
+          .filter((w) => w.supportedAssets.includes(symbol) && isSwappable(w, symbol))
+        // Prefer a wallet already holding the asset
+        const receiveWallet = receiveWallets
+          .find(({ id }) => walletHoldings[id].some((h) => h.symbol === symbol && h.shown))
+          || receiveWallets[0]
+        if (!receiveWallet) {
+          skippedSymbols.push(symbol)
+          return
+        }
+        const holding = walletHoldings[receiveWallet.id].find((h) => h.symbol === symbol)
+          || this._assetItem(receiveWallet.id, allAssets[symbol])
+        buys.push([holding, delta])
+      }
+    })
+    const totalSell = sells.reduce((sum, [, fiat]) => sum.plus(fiat), ZERO)
+    const totalBuy = buys.reduce((sum, [, fiat]) => sum.plus(fiat), ZERO)
+    if (totalSell.isZero() || totalBuy.isZero()) {
+      return { ...state, targetAllocation: { name: targetName, skippedSymbols } }
+    }
+    // Scale down whichever side is larger so everything sold is bought
+    const sellScale = totalBuy.lessThan(totalSell) ? totalBuy.div(totalSell) : toBigNumber(1)
+    const buyScale = totalSell.lessThan(totalBuy) ? totalSell.div(totalBuy) : toBigNumber(1)
+    const adjust = (holding, adjustedFiat) => {
+      const holdings = walletHoldings[holding.walletId]
+      const index = holdings.findIndex((h) => h.symbol === holding.symbol)
+      const item = {
+        ...holding,
+        shown: true,
+        fiat: { ...holding.fiat, adjusted: adjustedFiat },
+        weight: { ...holding.weight, adjusted: toPercentage(adjustedFiat, portfolio.totalFiat) },
+        units: { ...holding.units, adjusted: toUnit(adjustedFiat, holding.price, holding.decimals, true) },
+      }
+      walletHoldings[holding.walletId] = index >= 0
+        ? updateObjectInArray(holdings, { index, item })
+        : [item].concat(holdings)
+    }
+    let sold = ZERO
+    sells.forEach(([holding, fiat]) => {
+      fiat = BigNumber.min(fiat.times(sellScale).round(2), holding.fiat.original)
+      sold = sold.plus(fiat)
+      adjust(holding, holding.fiat.original.minus(fiat))
+    })
+    let bought = ZERO
+    buys.forEach(([holding, fiat], i) => {
+      // Last buy absorbs rounding differences
+      fiat = i === buys.length - 1 ? sold.minus(bought) : fiat.times(buyScale).round(2)
+      bought = bought.plus(fiat)
+      adjust(holding, holding.fiat.original.plus(fiat))
+    })
+    return {
+      ...state,
+      walletHoldings,
+      allowance: { fiat: ZERO, weight: ZERO },
+      targetAllocation: { name: targetName, skippedSymbols },
     }
   }
 
@@ -202,88 +323,45 @@ class Modify extends Component {
     
     if (allowance.fiat.greaterThan(0)) return toastr.error('Amounts remain to move')
 
-    const filteredHoldingsByWalletId = filterAdjustedHoldings(walletHoldings)
-    const adjustedWalletIds = Object.keys(filteredHoldingsByWalletId)
-    if (adjustedWalletIds.length === 0) return toastr.error('Nothing to swap')
+    const filtered = flatten(Object.values(filterAdjustedHoldings(walletHoldings)))
+    if (filtered.length === 0) return toastr.error('Nothing to swap')
 
-    const filtered = flatten(Object.values(filteredHoldingsByWalletId))
-    const swapSend = filtered.filter(s => !s.fiatToSwap.isNegative()).map((s) => {
-      return Object.assign({}, s, { emptyAsset: s.fiat.adjusted.isZero() })
-    })
-    const swapReceive = filtered.filter((s) => s.fiatToSwap.isNegative())
-    const sendReduce = swapSend.reduce((sAcc, sVal) => {
-      const receiveReduce = sAcc.receiveList.reduce((rAcc, rVal) => {
-        let remaining
-        let toReceive
-        let spent = ZERO
-        if (rAcc.toSwap.greaterThan(0) && rVal.fiatToSwap.lessThan(0)) {
-          remaining = rAcc.toSwap.plus(rVal.fiatToSwap)
-          spent = remaining.lessThan(0) ? rAcc.toSwap : rAcc.toSwap.minus(remaining)
-          let sendAmount = toUnit(spent, sVal.price, sVal.decimals, true)
-          // Round to a reasonable number of decimal places to improve readability on hardware wallet
-          // screens. 8 decimals is more than enough to accurately represent $0.01 of any asset
-          sendAmount = sendAmount.round(8)
-          toReceive = rAcc.toReceive.concat({
-            walletId: rVal.walletId,
-            symbol: rVal.symbol,
-            sendAmount
-          })
-        } else {
-          remaining = rAcc.toSwap
-          toReceive = rAcc.toReceive
-        }
-        return Object.assign({}, rAcc, {
-          toSwap: remaining,
-          toReceive,
-          list: rAcc.list.concat(Object.assign({}, rVal, {
-            fiatToSwap: rVal.fiatToSwap.plus(spent)
-          }))
-        })
-      }, { toSwap: sVal.fiatToSwap, toReceive: [], list: [] })
-      return Object.assign({}, sAcc, {
-        swapList: sAcc.swapList.concat({
-          walletId: sVal.walletId,
-          symbol: sVal.symbol,
-          toReceive: receiveReduce.toReceive,
-          emptyAsset: sVal.emptyAsset
-        }),
-        receiveList: receiveReduce.list
-      })
-    }, { receiveList: swapReceive, swapList: [] })
-
-    const repairedList = sendReduce.swapList.map((s) => {
-      // If sending entire asset balance, ensure no dust is left behind
-      // by adding the difference to the last swap that sends it
-      const { walletId: fromWalletId, symbol: fromSymbol, emptyAsset, toReceive } = s
-      if (emptyAsset) {
-        const sendAmountTotal = toReceive.reduce((sum, { sendAmount }) => sum.plus(sendAmount), ZERO)
-        const assetHolding = walletHoldings[fromWalletId].find(({ symbol }) => symbol === fromSymbol)
-        const difference = assetHolding.balance.minus(sendAmountTotal)
-        const last = toReceive[toReceive.length - 1]
-        const newsendAmount = last.sendAmount.plus(difference)
-        const newLast = { ...last, sendAmount: newsendAmount }
-        const repairedToReceive = toReceive.slice(0, -1).concat([newLast])
-        return { ...s, toReceive: repairedToReceive }
-      }
-      return s
-    })
+    const adjustments = filtered.map(({ walletId, symbol, price, decimals, balance, fiat, fiatToSwap }) => ({
+      walletId, symbol, price, decimals, balance,
+      fiat: fiatToSwap,
+      emptyAsset: fiat.adjusted.isZero(),
+    }))
 
-    const emptyingETH = repairedList.find(a => a.symbol === 'ETH' && a.emptyAsset)
+    const emptyingETH = adjustments.find(a => a.symbol === 'ETH' && a.emptyAsset && a.fiat.greaterThan(0))
     if (emptyingETH) return toastr.error('Swapping the entire balance of your Ether is not possible as some ETH is required for transaction fees', { timeOut: 10000 })
 
-    const normalizedList = repairedList.reduce((result, send) => [
-      ...result, ...send.toReceive.map((receive) => ({
-        id: uuid(),
-        sendWalletId: send.walletId,
-        sendSymbol: send.symbol,
-        sendAmount: receive.sendAmount,
-        receiveWalletId: receive.walletId,
-        receiveSymbol: receive.symbol
-      }))
-    ], [])
+    this.setState({ isPlanOpen: true, rebalancePlan: null })
+    this.props.planRebalance(adjustments)
+      .then((rebalancePlan) => this.setState({ rebalancePlan }))
+      .catch((e) => {
+        log.error(e)
+        toastr.error(`Failed to plan swaps: ${e.message}`)
+        this._handleCancelPlan()
+      })
+  }
 
+  _handleConfirmPlan () {
+    const { rebalancePlan } = this.state
+    const swaps = rebalancePlan.legs.map((leg) => ({
+      id: uuid(),
+      sendWalletId: leg.sendWalletId,
+      sendSymbol: leg.sendSymbol,
+      sendAmount: leg.sendAmount,
+      receiveWalletId: leg.receiveWalletId,
+      receiveSymbol: leg.receiveSymbol,
+    }))
+    this._handleCancelPlan()
     this.props.showOrderModal()
-    this.props.createSwundle(normalizedList)
+    this.props.createSwundle(swaps)
+  }
+
+  _handleCancelPlan () {
+    this.setState({ isPlanOpen: false, rebalancePlan: null })
   }
 
   _hideAssetList () {
@@ -337,7 +415,9 @@ class Modify extends Component {
 
   render () {
     const { portfolio, isAppRestricted, blocked } = this.props
-    const { walletHoldings, assetListWalletId, allowance, isAssetListOpen } = this.state
+    const {
+      walletHoldings, assetListWalletId, allowance, isAssetListOpen, targetAllocation, isPlanOpen, rebalancePlan
+    } = this.state
     const adjustedPortfolio = {
       ...portfolio,
       nestedWallets: portfolio.nestedWallets.map((nestedWallet) => ({
@@ -385,6 +465,13 @@ class Modify extends Component {
           handleSave={this._handleSave}
           disableSave={disableSave}
           isAppRestricted={isAppRestricted}
+          targetAllocation={targetAllocation}
+        />
+        <RebalancePlanModal
+          isOpen={isPlanOpen}
+          plan={rebalancePlan}
+          onConfirm={this._handleConfirmPlan}
+          onCancel={this._handleCancelPlan}
         />
       </Fragment>
     )
@@ -393,6 +480,7 @@ class Modify extends Component {
 
 const mapStateToProps = createStructuredSelector({
   portfolio: getCurrentPortfolioWithIndividualWalletHoldings,
+  targetAllocations: getCurrentPortfolioTargetAllocations,
   allAssets: getAllAssets,
   isAppRestricted: isAppRestricted,
   blocked: isAppBlocked,
@@ -401,6 +489,7 @@ const mapStateToProps = createStructuredSelector({
 const mapDispatchToProps = {
   routerPush: push,
   createSwundle,
+  planRebalance,
   toggleOrderModal,
   showOrderModal,
 }
@@ -30,7 +30,9 @@ import T from 'Components/i18n/T'
 import styles from './style'
 
 const ModifyView = (props) => {
-  const { portfolio, handleSave, disableSave, isAppRestricted } = props
+  const { portfolio, handleSave, disableSave, isAppRestricted, targetAllocation } = props
+  const targetName = targetAllocation && targetAllocation.name
+  const skippedSymbols = targetAllocation ? targetAllocation.skippedSymbols.join(', ') : ''
   const saveButtonContent = (<T i18nKey='app.rebalance.saveChanges'><i className='fa fa-check mr-2' />Save Changes</T>)
   const addButtonContent = (<T i18nKey='app.rebalance.addAsset'><i className='fa fa-plus'/> add asset</T>)
   const removeButtonContent = (<T i18nKey='app.rebalance.remove'><i className='fa fa-times'/> remove</T>)
@@ -314,6 +316,20 @@ const ModifyView = (props) => {
               </ModalBody>
             </Modal>
           )}/>
+          {targetAllocation && (
+            <Alert color='info' className='text-center'>
+              <T tag='span' i18nKey='app.rebalance.targetPrefilled'>
+                Holdings have been adjusted to reach your target allocation <b>{{ targetName }}</b>. Review the changes and save to begin swapping.
+              </T>
+              {skippedSymbols && (
+                <div className='mt-2'>
+                  <T tag='small' i18nKey='app.rebalance.targetSkipped'>
+                    These assets can&apos;t be swapped from your connected wallets and were left unchanged: {{ skippedSymbols }}
+                  </T>
+                </div>
+              )}
+            </Alert>
+          )}
           <Row className='gutter-x-0 gutter-y-3'>
             {renderHoldings(portfolio.nestedWallets)}
           </Row>
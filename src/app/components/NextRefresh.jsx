@@ -0,0 +1,55 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, defaultProps, withState, lifecycle } from 'recompose'
+
+import { getJob, isSchedulerPaused } from 'Selectors/scheduler'
+
+import T from 'Components/i18n/T'
+
+/** Shows the seconds until the next run of a scheduled job */
+const NextRefresh = ({ job, isPaused, now, className }) => {
+  if (!job) {
+    return null
+  }
+  return (
+    <small className={className}>
+      {job.running ? (
+        <T tag='span' i18nKey='app.nextRefresh.refreshing'>Refreshing...</T>
+      ) : isPaused ? (
+        <T tag='span' i18nKey='app.nextRefresh.paused'>Refresh paused</T>
+      ) : (
+        <span>
+          <T tag='span' i18nKey='app.nextRefresh.nextRefreshIn'>Next refresh in</T>
+          {` ${Math.max(0, Math.ceil((job.nextRunAt - now) / 1000))}s`}
+        </span>
+      )}
+    </small>
+  )
+}
+
+export default compose(
+  setDisplayName('NextRefresh'),
+  setPropTypes({
+    jobName: PropTypes.string.isRequired,
+    className: PropTypes.string,
+  }),
+  defaultProps({
+    className: 'text-muted',
+  }),
+  connect(createStructuredSelector({
+    job: (state, { jobName }) => getJob(state, jobName),
+    isPaused: isSchedulerPaused,
+  })),
+  withState('now', 'updateNow', () => Date.now()),
+  lifecycle({
+    componentDidMount() {
+      // Only re-renders the countdown, the job itself is run by the scheduler
+      this.tickInterval = window.setInterval(() => this.props.updateNow(Date.now()), 1000)
+    },
+    componentWillUnmount() {
+      window.clearInterval(this.tickInterval)
+    },
+  }),
+)(NextRefresh)
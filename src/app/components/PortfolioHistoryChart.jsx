@@ -0,0 +1,124 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, withState, withProps, lifecycle } from 'recompose'
+import { Card, CardHeader, CardBody, Row, Col, Button, ButtonGroup } from 'reactstrap'
+import ReactHighcharts from 'react-highcharts'
+import { withTranslation } from 'react-i18next'
+
+import { themeColor } from 'Utilities/style'
+import { HISTORY_RANGES, getHistorySeries } from 'Utilities/portfolioHistory'
+import { getCurrentPortfolioSnapshots, isPortfolioHistoryLoaded } from 'Selectors'
+import { getSelectedSymbol } from 'Selectors/currency'
+import { loadPortfolioHistory } from 'Actions/portfolioHistory'
+
+import T from 'Components/i18n/T'
+
+const assetColors = ['#0AA16F', '#0dd590', '#0EF0A1', '#0dd3b9', '#0B9986', '#076A5D', '#4293fc', '#fc4e42']
+
+const PortfolioHistoryChart = ({ range, setRange, config, hasHistory, historyLoaded }) => (
+  <Card className='mt-3'>
+    <CardHeader>
+      <Row className='gutter-3 align-items-center'>
+        <Col>
+          <T tag='h5' i18nKey='app.portfolioHistory.title'>Portfolio History</T>
+        </Col>
+        <Col xs='auto'>
+          <ButtonGroup size='sm'>
+            {Object.keys(HISTORY_RANGES).map((rangeKey) => (
+              <Button key={rangeKey} color='dark' active={rangeKey === range} onClick={() => setRange(rangeKey)}>
+                {rangeKey === 'all'
+                  ? (<T tag='span' i18nKey='app.portfolioHistory.all'>All</T>)
+                  : rangeKey}
+              </Button>
+            ))}
+          </ButtonGroup>
+        </Col>
+      </Row>
+    </CardHeader>
+    <CardBody>
+      {hasHistory ? (
+        <ReactHighcharts config={config}/>
+      ) : historyLoaded ? (
+        <T tag='p' i18nKey='app.portfolioHistory.empty' className='text-muted m-0'>
+          Your portfolio value is recorded each time your balances are updated. Check back later to see how it has changed.
+        </T>
+      ) : (
+        <i className='fa fa-spinner fa-pulse'/>
+      )}
+    </CardBody>
+  </Card>
+)
+
+export default compose(
+  setDisplayName('PortfolioHistoryChart'),
+  connect(createStructuredSelector({
+    snapshots: getCurrentPortfolioSnapshots,
+    historyLoaded: isPortfolioHistoryLoaded,
+    currencySymbol: getSelectedSymbol,
+  }), {
+    loadPortfolioHistory,
+  }),
+  withTranslation(),
+  withState('range', 'setRange', '7d'),
+  withProps(({ snapshots, range, currencySymbol, t }) => {
+    const { total, assets, other } = getHistorySeries(snapshots, HISTORY_RANGES[range])
+    const tooltip = { valuePrefix: currencySymbol, valueDecimals: 2 }
+    const assetSeries = assets.map(({ symbol, data }) => ({ name: symbol, data, tooltip }))
+    if (other.length > 0) {
+      assetSeries.push({ name: t('app.portfolioHistory.other', 'Other'), data: other, tooltip })
+    }
+    return {
+      // A single snapshot can't be drawn as a line
+      hasHistory: total.length > 1,
+      config: {
+        colors: assetColors,
+        chart: { height: 320 },
+        title: null,
+        credits: { enabled: false },
+        xAxis: {
+          type: 'datetime',
+          lineColor: '#707073',
+          tickColor: '#707073',
+          labels: { style: { color: '#E0E0E3' } },
+        },
+        yAxis: {
+          title: null,
+          gridLineColor: '#707073',
+          labels: {
+            format: `${currencySymbol}{value}`,
+            style: { color: '#E0E0E3' },
+          },
+        },
+        tooltip: { shared: true },
+        plotOptions: {
+          area: {
+            stacking: 'normal',
+            lineWidth: 1,
+            fillOpacity: 0.5,
+            marker: { enabled: false },
+          },
+          line: {
+            marker: { enabled: false },
+          },
+        },
+        series: [
+          ...assetSeries.map((series) => ({ ...series, type: 'area' })),
+          {
+            name: t('app.portfolioHistory.total', 'Total'),
+            type: 'line',
+            color: themeColor.primary,
+            lineWidth: 2,
+            data: total,
+            tooltip,
+          },
+        ],
+      },
+    }
+  }),
+  lifecycle({
+    componentDidMount() {
+      this.props.loadPortfolioHistory()
+    },
+  }),
+)(PortfolioHistoryChart)
@@ -0,0 +1,176 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, withState, withHandlers } from 'recompose'
+import {
+  Card, CardHeader, CardBody, CardFooter, ListGroup, ListGroupItem, Button, Input, Form,
+} from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+import classNames from 'class-names'
+
+import toastr from 'Utilities/toastrWrapper'
+import { getWalletWithHoldings } from 'Selectors'
+import {
+  renamePortfolio, removePortfolio, movePortfolio, addWalletToPortfolio, removeWalletFromPortfolio,
+} from 'Actions/portfolio'
+
+import Units from 'Components/Units'
+import ChangePercent from 'Components/ChangePercent'
+import WalletLabel from 'Components/WalletLabel'
+import T from 'Components/i18n/T'
+
+import { setDragItem, getDragItem, allowDrop } from './dnd'
+
+const PortfolioCard = ({
+  portfolio, index, isFirst, isLast, isEditing, labelInput, setLabelInput, isDragOver,
+  handleStartEditing, handleCancelEditing, handleRename, handleRemove, handleMove, handleRemoveWallet,
+  handleView, handleDragStart, handleDragEnter, handleDragLeave, handleDrop, t,
+}) => (
+  <Card
+    className={classNames({ 'border-primary': isDragOver })}
+    onDragOver={allowDrop}
+    onDragEnter={handleDragEnter}
+    onDragLeave={handleDragLeave}
+    onDrop={handleDrop}
+  >
+    <CardHeader className='d-flex align-items-center'>
+      <i
+        className='fa fa-bars text-muted mr-2 cursor-pointer'
+        draggable
+        onDragStart={handleDragStart}
+        title={t('app.portfolios.dragToReorder', 'Drag to reorder')}
+      />
+      {isEditing ? (
+        <Form inline className='flex-grow-1' onSubmit={handleRename}>
+          <Input
+            autoFocus
+            bsSize='sm'
+            className='flex-grow-1 mr-2'
+            value={labelInput}
+            onChange={(e) => setLabelInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && handleCancelEditing()}
+          />
+          <Button size='sm' color='primary' type='submit'>
+            <T tag='span' i18nKey='app.portfolios.save'>Save</T>
+          </Button>
+        </Form>
+      ) : (
+        <h5 className='m-0 flex-grow-1 text-truncate'>
+          {portfolio.label}
+          <Button color='link' size='sm' className='p-0 ml-2' onClick={handleStartEditing}>
+            <i className='fa fa-pencil'/>
+          </Button>
+        </h5>
+      )}
+      <div className='text-nowrap ml-2'>
+        <Button color='link' size='sm' className='p-1' disabled={isFirst} onClick={() => handleMove(index - 1)}>
+          <i className='fa fa-arrow-up'/>
+        </Button>
+        <Button color='link' size='sm' className='p-1' disabled={isLast} onClick={() => handleMove(index + 1)}>
+          <i className='fa fa-arrow-down'/>
+        </Button>
+      </div>
+    </CardHeader>
+    <CardBody className='py-2'>
+      <h4 className='m-0 font-weight-bold'>
+        <Units value={portfolio.totalFiat} precision={6} currency symbolSpaced={false} prefixSymbol/>
+      </h4>
+      <small><ChangePercent>{portfolio.totalChange}</ChangePercent></small>
+    </CardBody>
+    <ListGroup flush>
+      {portfolio.nestedWalletIds.map((walletId) => (
+        <ListGroupItem key={walletId} className='d-flex align-items-center py-2'>
+          <div className='flex-grow-1 text-truncate'>
+            <WalletLabel.Connected id={walletId} showBalance/>
+          </div>
+          <Button color='link' size='sm' className='p-0 ml-2 text-muted' onClick={() => handleRemoveWallet(walletId)}>
+            <i className='fa fa-times'/>
+          </Button>
+        </ListGroupItem>
+      ))}
+      {portfolio.nestedWalletIds.length === 0 && (
+        <ListGroupItem className='text-muted py-3 text-center'>
+          <T tag='small' i18nKey='app.portfolios.dropWallets'>Drag wallets here to add them</T>
+        </ListGroupItem>
+      )}
+    </ListGroup>
+    <CardFooter className='d-flex justify-content-between'>
+      <Button size='sm' color='primary' outline onClick={handleView}>
+        <T tag='span' i18nKey='app.portfolios.view'>View dashboard</T>
+      </Button>
+      <Button size='sm' color='danger' outline onClick={handleRemove}>
+        <T tag='span' i18nKey='app.portfolios.delete'>Delete</T>
+      </Button>
+    </CardFooter>
+  </Card>
+)
+
+const handleError = (e) => toastr.error(e.message)
+
+export default compose(
+  setDisplayName('PortfolioCard'),
+  setPropTypes({
+    id: PropTypes.string.isRequired,
+    index: PropTypes.number.isRequired,
+    isFirst: PropTypes.bool,
+    isLast: PropTypes.bool,
+    onView: PropTypes.func.isRequired,
+  }),
+  connect(createStructuredSelector({
+    portfolio: (state, { id }) => getWalletWithHoldings(state, id),
+  }), {
+    renamePortfolio,
+    removePortfolio,
+    movePortfolio,
+    addWalletToPortfolio,
+    removeWalletFromPortfolio,
+  }),
+  withTranslation(),
+  withState('isEditing', 'setEditing', false),
+  withState('labelInput', 'setLabelInput', ''),
+  withState('isDragOver', 'setDragOver', false),
+  withHandlers({
+    handleStartEditing: ({ portfolio, setEditing, setLabelInput }) => () => {
+      setLabelInput(portfolio.label)
+      setEditing(true)
+    },
+    handleCancelEditing: ({ setEditing }) => () => setEditing(false),
+    handleRename: ({ id, labelInput, renamePortfolio, setEditing }) => (e) => {
+      e.preventDefault()
+      renamePortfolio(id, labelInput)
+        .then(() => setEditing(false))
+        .catch(handleError)
+    },
+    handleRemove: ({ id, removePortfolio, t }) => () => {
+      toastr.confirm(t('app.portfolios.confirmDelete', 'Delete this portfolio? Its wallets will stay connected.'), {
+        onOk: () => removePortfolio(id).catch(handleError),
+      })
+    },
+    handleMove: ({ id, movePortfolio }) => (toIndex) => movePortfolio(id, toIndex),
+    handleRemoveWallet: ({ id, removeWalletFromPortfolio }) => (walletId) =>
+      removeWalletFromPortfolio(id, walletId).catch(handleError),
+    handleView: ({ id, onView }) => () => onView(id),
+    handleDragStart: ({ id }) => (e) => setDragItem(e, 'portfolio', id),
+    handleDragEnter: ({ setDragOver }) => () => setDragOver(true),
+    handleDragLeave: ({ setDragOver }) => (e) => {
+      // Ignore leaving the card for one of its own children
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDragOver(false)
+      }
+    },
+    handleDrop: ({ id, index, setDragOver, movePortfolio, addWalletToPortfolio }) => (e) => {
+      e.preventDefault()
+      setDragOver(false)
+      const item = getDragItem(e)
+      if (!item) {
+        return
+      }
+      if (item.type === 'wallet') {
+        addWalletToPortfolio(id, item.id).catch(handleError)
+      } else if (item.type === 'portfolio' && item.id !== id) {
+        movePortfolio(item.id, index)
+      }
+    },
+  }),
+)(PortfolioCard)
@@ -0,0 +1,20 @@
+const DATA_TYPE = 'text/plain'
+
+/** Drag payloads are { type, id } where type is 'wallet' or 'portfolio' */
+export const setDragItem = (e, type, id) => {
+  e.dataTransfer.effectAllowed = type === 'wallet' ? 'copy' : 'move'
+  e.dataTransfer.setData(DATA_TYPE, JSON.stringify({ type, id }))
+}
+
+export const getDragItem = (e) => {
+  try {
+    const item = JSON.parse(e.dataTransfer.getData(DATA_TYPE))
+    return item && item.type && item.id ? item : null
+  } catch (err) {
+    return null
+  }
+}
+
+export const allowDrop = (e) => {
+  e.preventDefault()
+}
@@ -0,0 +1,147 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { push as pushAction } from 'react-router-redux'
+import { compose, setDisplayName, withState, withHandlers } from 'recompose'
+import {
+  Row, Col, Card, CardHeader, CardBody, ListGroup, ListGroupItem, Button, Form, Input,
+} from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+
+import routes from 'Routes'
+import toastr from 'Utilities/toastrWrapper'
+import { getAllPortfolioIds, getDefaultPortfolioWithHoldings } from 'Selectors'
+import { createNewPortfolio, setCurrentPortfolio, defaultPortfolioId } from 'Actions/portfolio'
+
+import Layout from 'Components/Layout'
+import Sidebar from 'Components/Sidebar'
+import Units from 'Components/Units'
+import ChangePercent from 'Components/ChangePercent'
+import WalletLabel from 'Components/WalletLabel'
+import T from 'Components/i18n/T'
+
+import PortfolioCard from './PortfolioCard'
+import { setDragItem } from './dnd'
+
+const Portfolios = ({
+  allPortfolios, portfolioIds, newLabel, setNewLabel, handleCreate, handleView, t,
+}) => (
+  <Layout className='pt-3'>
+    <Row className='gutter-3'>
+      <Col xs='12' md='5' lg='4' xl='3'>
+        <Sidebar/>
+      </Col>
+      <Col xs='12' md='7' lg='8' xl='9'>
+        <Row className='gutter-3'>
+          <Col xs='12'>
+            <Card>
+              <CardHeader className='d-flex align-items-center justify-content-between'>
+                <T tag='h5' i18nKey='app.portfolios.allPortfolios' className='m-0'>All portfolios</T>
+                <Button size='sm' color='primary' outline onClick={() => handleView(defaultPortfolioId)}>
+                  <T tag='span' i18nKey='app.portfolios.view'>View dashboard</T>
+                </Button>
+              </CardHeader>
+              <CardBody>
+                <Row className='gutter-3 align-items-end'>
+                  <Col xs='12' sm>
+                    <h3 className='m-0 font-weight-bold'>
+                      <Units value={allPortfolios.totalFiat} precision={6} currency symbolSpaced={false} prefixSymbol/>
+                    </h3>
+                    <small><ChangePercent>{allPortfolios.totalChange}</ChangePercent></small>
+                    <T tag='small' i18nKey='app.portfolios.consolidated' className='d-block text-muted'>
+                      Every connected wallet, counted once
+                    </T>
+                  </Col>
+                  <Col xs='12' sm='auto'>
+                    <Form inline onSubmit={handleCreate}>
+                      <Input
+                        bsSize='sm'
+                        className='mr-2'
+                        placeholder={t('app.portfolios.newPortfolioName', 'New portfolio name')}
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                      />
+                      <Button size='sm' color='primary' type='submit'>
+                        <i className='fa fa-plus'/> <T tag='span' i18nKey='app.portfolios.create'>Create portfolio</T>
+                      </Button>
+                    </Form>
+                  </Col>
+                </Row>
+              </CardBody>
+            </Card>
+          </Col>
+          <Col xs='12' lg='4'>
+            <Card>
+              <CardHeader>
+                <T tag='h5' i18nKey='app.portfolios.wallets' className='m-0'>Wallets</T>
+                <T tag='small' i18nKey='app.portfolios.dragHint' className='text-muted'>
+                  Drag a wallet onto a portfolio to add it
+                </T>
+              </CardHeader>
+              <ListGroup flush>
+                {allPortfolios.nestedWalletIds.map((walletId) => (
+                  <ListGroupItem
+                    key={walletId}
+                    className='py-2 cursor-pointer'
+                    draggable
+                    onDragStart={(e) => setDragItem(e, 'wallet', walletId)}
+                  >
+                    <WalletLabel.Connected id={walletId} showBalance/>
+                  </ListGroupItem>
+                ))}
+              </ListGroup>
+            </Card>
+          </Col>
+          <Col xs='12' lg='8'>
+            <Row className='gutter-3'>
+              {portfolioIds.map((portfolioId, index) => portfolioId !== defaultPortfolioId && (
+                <Col key={portfolioId} xs='12' xl='6'>
+                  <PortfolioCard
+                    id={portfolioId}
+                    index={index}
+                    isFirst={index <= 1}
+                    isLast={index === portfolioIds.length - 1}
+                    onView={handleView}
+                  />
+                </Col>
+              ))}
+              {portfolioIds.length <= 1 && (
+                <Col xs='12'>
+                  <T tag='p' i18nKey='app.portfolios.empty' className='text-muted text-center my-4'>
+                    Create a portfolio to group wallets together.
+                  </T>
+                </Col>
+              )}
+            </Row>
+          </Col>
+        </Row>
+      </Col>
+    </Row>
+  </Layout>
+)
+
+export default compose(
+  setDisplayName('Portfolios'),
+  connect(createStructuredSelector({
+    allPortfolios: getDefaultPortfolioWithHoldings,
+    portfolioIds: getAllPortfolioIds,
+  }), {
+    createNewPortfolio,
+    setCurrentPortfolio,
+    push: pushAction,
+  }),
+  withTranslation(),
+  withState('newLabel', 'setNewLabel', ''),
+  withHandlers({
+    handleCreate: ({ newLabel, setNewLabel, createNewPortfolio }) => (e) => {
+      e.preventDefault()
+      createNewPortfolio(false, newLabel.trim() || undefined)
+        .then(() => setNewLabel(''))
+        .catch((e) => toastr.error(e.message))
+    },
+    handleView: ({ setCurrentPortfolio, push }) => (portfolioId) => {
+      setCurrentPortfolio(portfolioId)
+      push(routes.dashboard())
+    },
+  }),
+)(Portfolios)
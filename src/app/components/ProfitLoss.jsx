@@ -0,0 +1,38 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import classNames from 'class-names'
+
+import { BigNumber } from 'Utilities/convert'
+import display from 'Utilities/display'
+
+import Units from 'Components/Units'
+
+/** Fiat gain or loss colored by sign, optionally followed by the percent change */
+const ProfitLoss = ({ value, percent, className }) => (
+  <span className={classNames(className, value.isNegative() ? 'text-negative' : value.greaterThan(0) ? 'text-positive' : null)}>
+    <Units
+      value={value.abs()}
+      precision={6}
+      symbolSpaced={false}
+      prefixSymbol
+      currency
+      prefix={value.isNegative() ? '-' : value.greaterThan(0) ? '+' : null}
+    />
+    {percent && (
+      <small className='ml-1'>({display.percentage(percent, true)})</small>
+    )}
+  </span>
+)
+
+ProfitLoss.propTypes = {
+  value: PropTypes.instanceOf(BigNumber).isRequired,
+  percent: PropTypes.instanceOf(BigNumber),
+  className: PropTypes.string,
+}
+
+ProfitLoss.defaultProps = {
+  percent: null,
+  className: '',
+}
+
+export default ProfitLoss
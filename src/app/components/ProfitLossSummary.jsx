@@ -0,0 +1,85 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, defaultProps } from 'recompose'
+import { Row, Col, Input } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+
+import { BigNumber } from 'Utilities/convert'
+import { COST_BASIS_METHODS } from 'Utilities/costBasis'
+import { getCostBasisMethod } from 'Selectors'
+import { setCostBasisMethod } from 'Actions/app'
+
+import ProfitLoss from 'Components/ProfitLoss'
+import Units from 'Components/Units'
+import T from 'Components/i18n/T'
+
+const ProfitLossSummary = ({ costBasis, realized, unrealized, unrealizedPercent, method, setCostBasisMethod, className, t }) => {
+  const methodLabels = {
+    fifo: t('app.profitLoss.fifo', 'FIFO'),
+    lifo: t('app.profitLoss.lifo', 'LIFO'),
+    average: t('app.profitLoss.average', 'Average cost'),
+  }
+  return (
+    <div className={className}>
+      <Row className='gutter-3 align-items-center'>
+        <Col xs='12' sm>
+          <small className='text-muted d-block'>
+            <T tag='span' i18nKey='app.profitLoss.costBasis'>Cost basis</T>
+          </small>
+          <Units value={costBasis} precision={6} symbolSpaced={false} prefixSymbol currency/>
+        </Col>
+        <Col xs='6' sm>
+          <small className='text-muted d-block'>
+            <T tag='span' i18nKey='app.profitLoss.unrealized'>Unrealized P&amp;L</T>
+          </small>
+          <ProfitLoss value={unrealized} percent={unrealizedPercent}/>
+        </Col>
+        <Col xs='6' sm>
+          <small className='text-muted d-block'>
+            <T tag='span' i18nKey='app.profitLoss.realized'>Realized P&amp;L</T>
+          </small>
+          <ProfitLoss value={realized}/>
+        </Col>
+        <Col xs='12' sm='auto'>
+          <Input
+            type='select'
+            bsSize='sm'
+            value={method}
+            onChange={(e) => setCostBasisMethod(e.target.value)}
+            title={t('app.profitLoss.method', 'Cost basis method')}
+          >
+            {COST_BASIS_METHODS.map((m) => (
+              <option key={m} value={m}>{methodLabels[m]}</option>
+            ))}
+          </Input>
+        </Col>
+      </Row>
+      <T tag='small' i18nKey='app.profitLoss.help' className='text-muted d-block mt-2'>
+        Based on the value of your completed swaps. Assets deposited without a swap are not included.
+      </T>
+    </div>
+  )
+}
+
+export default compose(
+  setDisplayName('ProfitLossSummary'),
+  setPropTypes({
+    costBasis: PropTypes.instanceOf(BigNumber).isRequired,
+    realized: PropTypes.instanceOf(BigNumber).isRequired,
+    unrealized: PropTypes.instanceOf(BigNumber).isRequired,
+    unrealizedPercent: PropTypes.instanceOf(BigNumber),
+    className: PropTypes.string,
+  }),
+  defaultProps({
+    unrealizedPercent: null,
+    className: '',
+  }),
+  connect(createStructuredSelector({
+    method: getCostBasisMethod,
+  }), {
+    setCostBasisMethod,
+  }),
+  withTranslation(),
+)(ProfitLossSummary)
@@ -0,0 +1,94 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { compose, setDisplayName, setPropTypes, withProps, withState, withHandlers } from 'recompose'
+import { Button, Input, Label } from 'reactstrap'
+
+import { refreshSwap } from 'Actions/swap'
+import { isRateLockLapsed } from 'Utilities/swap'
+import log from 'Utilities/log'
+
+import Timer from 'Components/Timer'
+import T from 'Components/i18n/T'
+
+const RateLockCountdown = ({
+  secondsLeft, isLapsed, isRequoting, autoRequote, setAutoRequote, handleTimerEnd, handleRequote,
+  className, style,
+}) => {
+  if (isRequoting) {
+    return (
+      <T tag='span' i18nKey='app.rateLockCountdown.requoting' className={className} style={style}>
+        <i className='fa fa-spinner fa-pulse'/> Getting a new quote...
+      </T>
+    )
+  }
+  if (secondsLeft > 0) {
+    return (
+      <span className={className} style={style}>
+        <Timer seconds={secondsLeft} onTimerEnd={handleTimerEnd}
+          label={<T tag='span' i18nKey='app.stepTwoManual.quotedRate'>* Quoted rate is guaranteed if funds are sent within:</T>}/>
+        <Label check className='d-block ml-4'>
+          <Input type='checkbox' checked={autoRequote} onChange={() => setAutoRequote(!autoRequote)}/>
+          <T tag='span' i18nKey='app.rateLockCountdown.autoRequote'>Get a new quote automatically if it expires</T>
+        </Label>
+      </span>
+    )
+  }
+  if (isLapsed) {
+    return (
+      <span className={className} style={style}>
+        <T tag='span' i18nKey='app.rateLockCountdown.lapsed' className='text-warning'>
+          * The quoted rate has expired. Don&apos;t send funds until you get a new quote.
+        </T>
+        <Button color='link' size='sm' className='p-0 ml-1 align-baseline' onClick={handleRequote}>
+          <T tag='span' i18nKey='app.rateLockCountdown.requote'>Get a new quote</T>
+        </Button>
+      </span>
+    )
+  }
+  return null
+}
+
+/**
+ * Counts down the rate lock of a fixed rate swap. When the lock lapses before a deposit is seen the
+ * swap is requoted, automatically unless the user opted out.
+ */
+export default compose(
+  setDisplayName('RateLockCountdown'),
+  setPropTypes({
+    swap: PropTypes.object.isRequired,
+    className: PropTypes.string,
+    style: PropTypes.object,
+  }),
+  connect(null, {
+    refreshSwap,
+  }),
+  withState('now', 'setNow', () => Date.now()),
+  withState('autoRequote', 'setAutoRequote', true),
+  withState('isRequoting', 'setIsRequoting', false),
+  withProps(({ swap, now }) => ({
+    // Fixed to `now` so the timer isn't restarted by unrelated renders
+    secondsLeft: swap.rateLockedUntil ? (Date.parse(swap.rateLockedUntil) - now) / 1000 : 0,
+    isLapsed: isRateLockLapsed(swap, now),
+  })),
+  withHandlers({
+    handleRequote: ({ swap, refreshSwap, setIsRequoting, setNow }) => () => {
+      setIsRequoting(true)
+      return refreshSwap(swap.orderId)
+        .catch(log.error)
+        .then(() => {
+          setIsRequoting(false)
+          setNow(Date.now())
+        })
+    },
+  }),
+  withHandlers({
+    handleTimerEnd: ({ swap, autoRequote, handleRequote, setNow }) => () => {
+      const now = Date.now()
+      setNow(now)
+      if (autoRequote && isRateLockLapsed(swap, now)) {
+        handleRequote()
+      }
+    },
+  }),
+)(RateLockCountdown)
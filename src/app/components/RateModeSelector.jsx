@@ -0,0 +1,221 @@
+import React, { Fragment } from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { compose, setDisplayName, setPropTypes, defaultProps, withProps, withState, withHandlers, lifecycle } from 'recompose'
+import { Row, Col, Button } from 'reactstrap'
+import classNames from 'class-names'
+
+import { retrieveFixedQuote } from 'Common/actions/rate'
+import { toBigNumber } from 'Utilities/convert'
+import { getEnteredSwapAmount, canFixSwapRate } from 'Utilities/swap'
+import { numberish } from 'Utilities/propTypes'
+import log from 'Utilities/log'
+
+import Units from 'Components/Units'
+import T from 'Components/i18n/T'
+
+/** Milliseconds to wait for the amount to stop changing before requesting a fixed quote */
+const QUOTE_DELAY = 500
+
+const RateModeOption = ({ active, disabled, onSelect, title, outcome, details }) => (
+  <Button
+    type='button'
+    color='primary'
+    outline={!active}
+    block
+    disabled={disabled}
+    onClick={onSelect}
+    className='h-100 text-left px-3 py-2'
+    style={{ whiteSpace: 'normal' }}
+  >
+    <div className='font-weight-bold'>
+      <i className={classNames('fa fa-fw mr-1', active ? 'fa-check-circle' : 'fa-circle-o')}/>
+      {title}
+    </div>
+    <div>{outcome}</div>
+    <small className='d-block' style={{ opacity: 0.8 }}>{details}</small>
+  </Button>
+)
+
+const QuoteAmount = ({ amount, symbol }) => (
+  <Units value={amount} symbol={symbol} precision={8} roundingType='dp'/>
+)
+
+const RateModeSelector = ({
+  fixedRate, canFixRate, isQuotingReceive, quoteSymbol, fixedQuote, floatingAmount, quoteDifference,
+  onChange, className,
+}) => {
+  const fixedAmount = fixedQuote && fixedQuote.amount
+  let fixedOutcome
+  if (!canFixRate) {
+    fixedOutcome = <T tag='span' i18nKey='app.rateModeSelector.enterAmount'>Enter an amount to lock a rate</T>
+  } else if (fixedAmount) {
+    fixedOutcome = (
+      <Fragment>
+        {isQuotingReceive ? (
+          <T tag='span' i18nKey='app.rateModeSelector.receiveExactly'>Receive exactly</T>
+        ) : (
+          <T tag='span' i18nKey='app.rateModeSelector.sendExactly'>Send exactly</T>
+        )} <QuoteAmount amount={fixedAmount} symbol={quoteSymbol}/>
+        {quoteDifference && (
+          <small className='d-block'>
+            <Units value={quoteDifference.abs()} symbol={quoteSymbol} precision={8} roundingType='dp'
+              prefix={quoteDifference.isNegative() ? '-' : '+'}/>
+            {' '}<T tag='span' i18nKey='app.rateModeSelector.difference'>compared to floating</T>
+          </small>
+        )}
+      </Fragment>
+    )
+  } else if (fixedQuote && fixedQuote.error) {
+    fixedOutcome = <T tag='span' i18nKey='app.rateModeSelector.quoteError'>A fixed quote isn&apos;t available right now</T>
+  } else {
+    fixedOutcome = (
+      <T tag='span' i18nKey='app.rateModeSelector.quoting'>
+        <i className='fa fa-spinner fa-pulse'/> Getting a quote...
+      </T>
+    )
+  }
+  return (
+    <Row className={classNames('gutter-2', className)}>
+      <Col xs='6'>
+        <RateModeOption
+          active={fixedRate}
+          disabled={!canFixRate}
+          onSelect={() => onChange(true)}
+          title={<T tag='span' i18nKey='app.rateModeSelector.fixed'>Fixed rate</T>}
+          outcome={fixedOutcome}
+          details={
+            <T tag='span' i18nKey='app.rateModeSelector.fixedDetails'>
+              The rate is locked for a limited time. Send the exact amount before the countdown ends.
+            </T>
+          }
+        />
+      </Col>
+      <Col xs='6'>
+        <RateModeOption
+          active={!fixedRate}
+          onSelect={() => onChange(false)}
+          title={<T tag='span' i18nKey='app.rateModeSelector.floating'>Floating rate</T>}
+          outcome={canFixRate && floatingAmount ? (
+            <Fragment>
+              {isQuotingReceive ? (
+                <T tag='span' i18nKey='app.rateModeSelector.receiveAbout'>Receive about</T>
+              ) : (
+                <T tag='span' i18nKey='app.rateModeSelector.sendAbout'>Send about</T>
+              )} <QuoteAmount amount={floatingAmount} symbol={quoteSymbol}/>
+            </Fragment>
+          ) : (
+            <T tag='span' i18nKey='app.rateModeSelector.marketRate'>Receive the market rate</T>
+          )}
+          details={
+            <T tag='span' i18nKey='app.rateModeSelector.floatingDetails'>
+              The amount depends on the market when your deposit confirms. No time limit.
+            </T>
+          }
+        />
+      </Col>
+    </Row>
+  )
+}
+
+/**
+ * Choose between a fixed rate, locked when the swap is created, and a floating rate set when the
+ * deposit confirms. A rate can only be fixed once there's an amount to quote, until then the
+ * floating option is shown as selected. The fixed option shows a quote for the amount entered,
+ * which is compared to the floating estimate made from the market rate.
+ */
+export default compose(
+  setDisplayName('RateModeSelector'),
+  setPropTypes({
+    fixedRate: PropTypes.bool.isRequired,
+    onChange: PropTypes.func.isRequired,
+    sendSymbol: PropTypes.string,
+    receiveSymbol: PropTypes.string,
+    sendAmount: numberish,
+    receiveAmount: numberish,
+    /** The amount field estimated from the other, 'send' when the user entered the receive amount */
+    estimatedField: PropTypes.string,
+    className: PropTypes.string,
+  }),
+  defaultProps({
+    sendSymbol: '',
+    receiveSymbol: '',
+    sendAmount: null,
+    receiveAmount: null,
+    estimatedField: 'receive',
+    className: '',
+  }),
+  connect(null, {
+    retrieveFixedQuote,
+  }),
+  withProps(({ fixedRate, sendSymbol, receiveSymbol, sendAmount, receiveAmount, estimatedField }) => {
+    // A fixed swap locks the amount the user entered, so the other one is what gets quoted
+    const isQuotingReceive = estimatedField !== 'send'
+    const enteredAmount = getEnteredSwapAmount({ estimatedField, sendAmount, receiveAmount })
+    const canFixRate = canFixSwapRate({ estimatedField, sendAmount, receiveAmount })
+    return {
+      isQuotingReceive,
+      enteredAmount,
+      canFixRate,
+      fixedRate: fixedRate && canFixRate,
+      quoteSymbol: isQuotingReceive ? receiveSymbol : sendSymbol,
+      floatingAmount: isQuotingReceive ? receiveAmount : sendAmount,
+      quoteKey: canFixRate
+        ? [sendSymbol, receiveSymbol, isQuotingReceive, toBigNumber(enteredAmount).toString()].join(':')
+        : null,
+    }
+  }),
+  withState('fixedQuote', 'setFixedQuote', null),
+  withProps(({ fixedQuote, quoteKey, floatingAmount }) => {
+    // Ignore a quote for an amount or pair that has since changed
+    const currentQuote = fixedQuote && fixedQuote.key === quoteKey ? fixedQuote : null
+    return {
+      fixedQuote: currentQuote,
+      quoteDifference: currentQuote && currentQuote.amount && floatingAmount
+        ? currentQuote.amount.minus(floatingAmount)
+        : null,
+    }
+  }),
+  withHandlers({
+    loadFixedQuote: ({
+      quoteKey, isQuotingReceive, enteredAmount, sendSymbol, receiveSymbol, retrieveFixedQuote, setFixedQuote,
+    }) => () => {
+      if (!quoteKey) {
+        return
+      }
+      const amount = toBigNumber(enteredAmount).toString()
+      setFixedQuote({ key: quoteKey })
+      return retrieveFixedQuote(
+        sendSymbol,
+        receiveSymbol,
+        isQuotingReceive ? amount : undefined,
+        isQuotingReceive ? undefined : amount)
+        .then((quote) => {
+          const quotedAmount = isQuotingReceive ? quote.withdrawal_amount : quote.deposit_amount
+          return quotedAmount ? { amount: toBigNumber(quotedAmount) } : { error: 'Quote has no amount' }
+        })
+        .catch((e) => {
+          log.error(e)
+          return { error: e.message }
+        })
+        // Drop the result if a quote for another amount was requested meanwhile
+        .then((result) => setFixedQuote((current) => current && current.key === quoteKey
+          ? { key: quoteKey, ...result }
+          : current))
+    },
+  }),
+  lifecycle({
+    componentDidMount() {
+      this.props.loadFixedQuote()
+    },
+    componentDidUpdate(prevProps) {
+      if (prevProps.quoteKey !== this.props.quoteKey) {
+        clearTimeout(this.quoteTimeout)
+        this.quoteTimeout = setTimeout(() => this.props.loadFixedQuote(), QUOTE_DELAY)
+      }
+    },
+    componentWillUnmount() {
+      clearTimeout(this.quoteTimeout)
+    },
+  }),
+)(RateModeSelector)
@@ -0,0 +1,149 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { compose, setDisplayName, setPropTypes, defaultProps } from 'recompose'
+import {
+  Modal, ModalHeader, ModalBody, ModalFooter, Button, Table, Alert,
+} from 'reactstrap'
+import classNames from 'class-names'
+
+import { ZERO } from 'Utilities/convert'
+import display from 'Utilities/display'
+
+import CoinIcon from 'Components/CoinIcon'
+import Units from 'Components/Units'
+import WalletLabel from 'Components/WalletLabel'
+import Loading from 'Components/Loading'
+import T from 'Components/i18n/T'
+
+/** Slippage (in percent) above which a leg is highlighted */
+const SLIPPAGE_WARNING_THRESHOLD = 2
+
+const LegAsset = ({ symbol, amount, walletId, prefix }) => (
+  <div>
+    <CoinIcon symbol={symbol} size='sm' inline className='mr-1'/>
+    <Units value={amount} symbol={symbol} precision={6} prefix={prefix}/>
+    <WalletLabel.Connected id={walletId} tag='small' className='d-block text-muted' hideIcon/>
+  </div>
+)
+
+const RebalancePlanModal = ({ isOpen, plan, onConfirm, onCancel }) => {
+  const { legs, droppedLegs, unmatched } = plan || {}
+  const totalFeeFiat = (legs || []).reduce((sum, { feeFiat }) => sum.plus(feeFiat), ZERO)
+  return (
+    <Modal size='lg' isOpen={isOpen} toggle={onCancel} backdrop='static'>
+      <ModalHeader toggle={onCancel} className='text-primary'>
+        <T tag='span' i18nKey='app.rebalancePlan.title'>Review Swaps</T>
+      </ModalHeader>
+      <ModalBody className='modal-text'>
+        {!plan ? (
+          <Loading center label={<T tag='span' i18nKey='app.rebalancePlan.loading'>Planning swaps...</T>}/>
+        ) : (
+          <div>
+            <T tag='p' i18nKey='app.rebalancePlan.description'>
+              These are the fewest swaps needed to save the changes you made to your portfolio.
+              Fees and slippage are estimates based on current rates.
+            </T>
+            {legs.length > 0 && (
+              <Table size='sm' responsive>
+                <thead>
+                  <tr>
+                    <th><T tag='span' i18nKey='app.rebalancePlan.send'>Send</T></th>
+                    <th><T tag='span' i18nKey='app.rebalancePlan.receive'>Receive (est.)</T></th>
+                    <th className='text-right'><T tag='span' i18nKey='app.rebalancePlan.fee'>Withdrawal fee</T></th>
+                    <th className='text-right'><T tag='span' i18nKey='app.rebalancePlan.slippage'>Slippage</T></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {legs.map((leg, i) => (
+                    <tr key={i}>
+                      <td><LegAsset symbol={leg.sendSymbol} amount={leg.sendAmount} walletId={leg.sendWalletId} prefix='-'/></td>
+                      <td>
+                        <LegAsset symbol={leg.receiveSymbol} amount={leg.receiveAmount} walletId={leg.receiveWalletId} prefix='+'/>
+                        {leg.isEstimateStale && (
+                          <T tag='small' i18nKey='app.rebalancePlan.staleEstimate' className='d-block text-warning'>
+                            <i className='fa fa-exclamation-triangle'/> Based on an outdated rate
+                          </T>
+                        )}
+                      </td>
+                      <td className='text-right'>
+                        <Units value={leg.withdrawalFee} symbol={leg.receiveSymbol} precision={6}/>
+                        <small className='d-block text-muted'>{display.fiat(leg.feeFiat)}</small>
+                      </td>
+                      <td className={classNames('text-right', {
+                        'text-warning': leg.slippage && leg.slippage.greaterThan(SLIPPAGE_WARNING_THRESHOLD)
+                      })}>
+                        {leg.slippage ? display.percentage(leg.slippage) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+            {legs.some(({ isEstimateStale }) => isEstimateStale) && (
+              <T tag='p' i18nKey='app.rebalancePlan.staleNotice' className='text-warning'>
+                Some rates couldn&apos;t be refreshed. Those estimates may be off, the final amounts are quoted when each swap is created.
+              </T>
+            )}
+            {legs.length > 0 && (
+              <p>
+                <T tag='span' i18nKey='app.rebalancePlan.totalFee'>Total withdrawal fees:</T> {display.fiat(totalFeeFiat)}
+              </p>
+            )}
+            {droppedLegs.length > 0 && (
+              <Alert color='warning'>
+                <T tag='p' i18nKey='app.rebalancePlan.dropped' className='mb-1'>
+                  The following swaps were left out because they can&apos;t be made:
+                </T>
+                <ul className='mb-0'>
+                  {droppedLegs.map(({ sendSymbol, sendAmount, receiveSymbol, minimumDeposit, error }, i) => (
+                    <li key={i}>
+                      <Units value={sendAmount} symbol={sendSymbol} precision={6}/> &rarr; {receiveSymbol}
+                      {': '}
+                      {error || (
+                        <span>
+                          <T tag='span' i18nKey='app.rebalancePlan.belowMinimum'>below the minimum of</T> <Units value={minimumDeposit} symbol={sendSymbol} precision={6}/>
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </Alert>
+            )}
+            {unmatched.length > 0 && (
+              <Alert color='warning'>
+                <T tag='span' i18nKey='app.rebalancePlan.unmatched'>
+                  Some changes couldn&apos;t be paired with a swap and were left out:
+                </T> {unmatched.map(({ symbol }) => symbol).join(', ')}
+              </Alert>
+            )}
+          </div>
+        )}
+      </ModalBody>
+      <ModalFooter className='justify-content-between'>
+        <Button color='primary' outline onClick={onCancel}>
+          <T tag='span' i18nKey='app.rebalancePlan.cancel'>Cancel</T>
+        </Button>
+        <Button color='primary' onClick={onConfirm} disabled={!plan || plan.legs.length === 0}>
+          <T tag='span' i18nKey='app.rebalancePlan.confirm'>Continue</T>
+        </Button>
+      </ModalFooter>
+    </Modal>
+  )
+}
+
+export default compose(
+  setDisplayName('RebalancePlanModal'),
+  setPropTypes({
+    isOpen: PropTypes.bool.isRequired,
+    plan: PropTypes.shape({
+      legs: PropTypes.arrayOf(PropTypes.object).isRequired,
+      droppedLegs: PropTypes.arrayOf(PropTypes.object).isRequired,
+      unmatched: PropTypes.arrayOf(PropTypes.object).isRequired,
+    }),
+    onConfirm: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+  }),
+  defaultProps({
+    plan: null,
+  }),
+)(RebalancePlanModal)
@@ -0,0 +1,193 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { createSelector, createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, withHandlers, withState } from 'recompose'
+import { reduxForm, formValueSelector, SubmissionError } from 'redux-form'
+import { Row, Col, Card, CardBody, CardHeader, Button, Form, Table, Alert } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+import classNames from 'class-names'
+
+import { ALERT_RULE_TYPES, ALERT_SWAP_STATUSES, describeAlertRule } from 'Utilities/alert'
+import { getNotificationPermission, requestNotificationPermission } from 'Utilities/notification'
+import * as validator from 'Utilities/validator'
+import { getAllAlertRules, getAllAssetsArray } from 'Selectors'
+import { getSelectedLabel } from 'Selectors/currency'
+import { addAlertRule, removeAlertRule, toggleAlertRuleEnabled } from 'Actions/alert'
+
+import Layout from 'Components/Layout'
+import Sidebar from 'Components/Sidebar'
+import ReduxFormField from 'Components/ReduxFormField'
+import T from 'Components/i18n/T'
+
+import style from './style.scss'
+
+const FORM_NAME = 'alertRule'
+const getFormValue = formValueSelector(FORM_NAME)
+
+const getAlertableAssets = createSelector(getAllAssetsArray, (assets) => assets
+  .filter(({ priceLoaded }) => priceLoaded)
+  .sort((a, b) => a.symbol.localeCompare(b.symbol)))
+
+const validateValue = validator.all(
+  validator.required(),
+  validator.number(),
+  validator.greaterThan(0),
+)
+
+const AlertRuleForm = ({ handleSubmit, submitting, error, ruleType, assets, currency, t }) => (
+  <Form onSubmit={handleSubmit}>
+    <Row className='gutter-3 align-items-end'>
+      <Col xs='12' md='4'>
+        <ReduxFormField name='type' type='select' label={t('app.alerts.type', 'Alert when')}>
+          {Object.entries(ALERT_RULE_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </ReduxFormField>
+      </Col>
+      {ruleType.hasSymbol && (
+        <Col xs='12' sm='6' md='3'>
+          <ReduxFormField name='symbol' type='select' label={t('app.alerts.asset', 'Asset')}>
+            {assets.map(({ symbol, name }) => (
+              <option key={symbol} value={symbol}>{symbol} - {name}</option>
+            ))}
+          </ReduxFormField>
+        </Col>
+      )}
+      {!ruleType.isSwap && (
+        <Col xs='12' sm='6' md='3'>
+          <ReduxFormField
+            name='value'
+            type='number'
+            step='any'
+            label={ruleType.isPercent ? '%' : currency}
+            validate={validateValue}
+          />
+        </Col>
+      )}
+      {ruleType.isSwap && (
+        <Col xs='12' md='6' className='mb-3'>
+          {ALERT_SWAP_STATUSES.map((status) => (
+            <ReduxFormField
+              key={status}
+              name={`statuses.${status}`}
+              type='checkbox'
+              label={status}
+              labelClass='text-capitalize'
+              className='d-inline-block mr-3 mb-0'
+            />
+          ))}
+        </Col>
+      )}
+      <Col xs='12' md='2' className='mb-3'>
+        <Button color='primary' type='submit' block disabled={submitting}>
+          <T tag='span' i18nKey='app.alerts.add'>Add</T>
+        </Button>
+      </Col>
+    </Row>
+    {error && (
+      <Alert color='danger' className='mb-0'>{error}</Alert>
+    )}
+  </Form>
+)
+
+const ConnectedAlertRuleForm = compose(
+  setDisplayName('AlertRuleForm'),
+  connect(createStructuredSelector({
+    ruleType: (state) => ALERT_RULE_TYPES[getFormValue(state, 'type')] || {},
+    assets: getAlertableAssets,
+    currency: getSelectedLabel,
+  }), {
+    addAlertRule,
+  }),
+  withTranslation(),
+  withHandlers({
+    onSubmit: ({ addAlertRule, t }) => ({ type, symbol, value, statuses = {} }, dispatch, { reset }) => {
+      const selectedStatuses = ALERT_SWAP_STATUSES.filter((status) => statuses[status])
+      if (ALERT_RULE_TYPES[type].isSwap && selectedStatuses.length === 0) {
+        throw new SubmissionError({ _error: t('app.alerts.noStatus', 'Select at least one swap status') })
+      }
+      addAlertRule({ type, symbol, value, statuses: selectedStatuses })
+      reset()
+    },
+  }),
+  reduxForm({
+    form: FORM_NAME,
+    initialValues: {
+      type: 'priceAbove',
+      symbol: 'BTC',
+      statuses: { complete: true, refunded: true },
+    },
+  }),
+)(AlertRuleForm)
+
+export default compose(
+  setDisplayName('AlertSettings'),
+  connect(createStructuredSelector({
+    rules: getAllAlertRules,
+  }), {
+    removeAlertRule,
+    toggleAlertRuleEnabled,
+  }),
+  withState('notificationPermission', 'setNotificationPermission', getNotificationPermission),
+  withHandlers({
+    handleEnableNotifications: ({ setNotificationPermission }) => () =>
+      requestNotificationPermission().then(setNotificationPermission),
+  }),
+)(({ rules, removeAlertRule, toggleAlertRuleEnabled, notificationPermission, handleEnableNotifications }) => (
+  <Layout className='pt-3'>
+    <Row className='gutter-3'>
+      <Col xs='12' md='5' lg='4' xl='3'>
+        <Sidebar/>
+      </Col>
+      <Col xs='12' md='7' lg='8' xl='9'>
+        <Card>
+          <CardHeader>
+            <T tag='h5' i18nKey='app.alerts.title'>Alerts</T>
+          </CardHeader>
+          <CardBody>
+            <T tag='p' i18nKey='app.alerts.description' className='text-muted'>
+              Get notified when prices or your portfolio value cross a threshold, or when a swap finishes. Alerts are stored in this browser and are only checked while the app is open.
+            </T>
+            {notificationPermission === 'default' && (
+              <Button size='sm' color='primary' outline className='mb-3' onClick={handleEnableNotifications}>
+                <T tag='span' i18nKey='app.alerts.enableNotifications'>Enable browser notifications</T>
+              </Button>
+            )}
+            {(notificationPermission === 'denied' || notificationPermission === 'unsupported') && (
+              <T tag='p' i18nKey='app.alerts.notificationsUnavailable' className='small text-warning'>
+                Browser notifications are unavailable so alerts will be shown in the app instead.
+              </T>
+            )}
+            <ConnectedAlertRuleForm/>
+          </CardBody>
+          {rules.length > 0 ? (
+            <Table hover striped responsive className='mb-0'>
+              <tbody>
+                {rules.map(({ id, enabled, ...rule }) => (
+                  <tr key={id} className={classNames({ 'text-muted': !enabled })}>
+                    <td className='align-middle'>{describeAlertRule(rule)}</td>
+                    <td className='align-middle text-right' style={{ width: '1%' }}>
+                      <label className={classNames(style.switcher, 'mb-0')}>
+                        <input type='checkbox' onChange={() => toggleAlertRuleEnabled(id)} checked={enabled} />
+                        <span className={classNames(style.slider, style.round)}></span>
+                      </label>
+                    </td>
+                    <td className='align-middle text-right' style={{ width: '1%' }}>
+                      <Button size='sm' color='danger' outline onClick={() => removeAlertRule(id)}>
+                        <i className='fa fa-trash'/>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <CardBody className='pt-0'>
+              <T tag='p' i18nKey='app.alerts.noRules' className='text-muted text-center mb-0'>You have no alerts</T>
+            </CardBody>
+          )}
+        </Card>
+      </Col>
+    </Row>
+  </Layout>
+))
@@ -0,0 +1,162 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { compose, setDisplayName, withHandlers, withState } from 'recompose'
+import { reduxForm, SubmissionError } from 'redux-form'
+import { Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Input, Label, Alert } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+
+import toastr from 'Utilities/toastrWrapper'
+import * as validator from 'Utilities/validator'
+import { exportBackup, importBackup, BACKUP_IMPORT_MODES } from 'Actions/backup'
+
+import ReduxFormField from 'Components/ReduxFormField'
+import T from 'Components/i18n/T'
+
+const validatePassword = validator.required()
+
+const ExportBackupForm = ({ handleSubmit, submitting, error, t }) => (
+  <Form onSubmit={handleSubmit}>
+    <T tag='p' i18nKey='app.backup.exportDescription' className='text-muted'>
+      Download your connected wallets, portfolios, watchlist and settings as a file encrypted with a password.
+    </T>
+    <Row className='gutter-3 align-items-end'>
+      <Col xs='12' sm='6' lg='4'>
+        <ReduxFormField
+          name='password'
+          type='password'
+          autoComplete='new-password'
+          label={t('app.backup.password', 'Password')}
+          validate={validatePassword}
+        />
+      </Col>
+      <Col xs='12' sm='6' lg='4'>
+        <ReduxFormField
+          name='confirmPassword'
+          type='password'
+          autoComplete='new-password'
+          label={t('app.backup.confirmPassword', 'Confirm password')}
+          validate={validatePassword}
+        />
+      </Col>
+      <Col xs='12' lg='4' className='mb-3'>
+        <Button color='primary' type='submit' block disabled={submitting}>
+          <T tag='span' i18nKey='app.backup.export'>Export backup</T>
+        </Button>
+      </Col>
+    </Row>
+    {error && (
+      <Alert color='danger' className='mb-0'>{error}</Alert>
+    )}
+  </Form>
+)
+
+const ConnectedExportBackupForm = compose(
+  setDisplayName('ExportBackupForm'),
+  connect(null, {
+    exportBackup,
+  }),
+  withTranslation(),
+  withHandlers({
+    onSubmit: ({ exportBackup, t }) => ({ password, confirmPassword }, dispatch, { reset }) => {
+      if (password !== confirmPassword) {
+        throw new SubmissionError({ confirmPassword: t('app.backup.passwordMismatch', 'Passwords do not match') })
+      }
+      return exportBackup(password)
+        .then(() => reset())
+        .catch((e) => {
+          throw new SubmissionError({ _error: e.message })
+        })
+    },
+  }),
+  reduxForm({
+    form: 'backupExport',
+  }),
+)(ExportBackupForm)
+
+const ImportBackupForm = ({ handleSubmit, submitting, error, setFile, t }) => (
+  <Form onSubmit={handleSubmit}>
+    <T tag='p' i18nKey='app.backup.importDescription' className='text-muted'>
+      Restore a backup file. Merging keeps your current wallets and settings while replacing disconnects them first.
+    </T>
+    <Row className='gutter-3 align-items-end'>
+      <Col xs='12' lg='4'>
+        <FormGroup>
+          <Label for='backup-import-file'>
+            <T tag='span' i18nKey='app.backup.file'>Backup file</T>
+          </Label>
+          <Input
+            id='backup-import-file'
+            type='file'
+            accept='.json,application/json'
+            onChange={(e) => setFile(e.target.files[0])}
+          />
+        </FormGroup>
+      </Col>
+      <Col xs='12' sm='6' lg='3'>
+        <ReduxFormField
+          name='password'
+          type='password'
+          autoComplete='current-password'
+          label={t('app.backup.password', 'Password')}
+          validate={validatePassword}
+        />
+      </Col>
+      <Col xs='12' sm='6' lg='3'>
+        <ReduxFormField name='mode' type='select' label={t('app.backup.mode', 'Existing wallets')}>
+          {BACKUP_IMPORT_MODES.map((mode) => (
+            <option key={mode} value={mode}>{t(`app.backup.modes.${mode}`, mode)}</option>
+          ))}
+        </ReduxFormField>
+      </Col>
+      <Col xs='12' lg='2' className='mb-3'>
+        <Button color='primary' type='submit' block disabled={submitting}>
+          <T tag='span' i18nKey='app.backup.import'>Import</T>
+        </Button>
+      </Col>
+    </Row>
+    {error && (
+      <Alert color='danger' className='mb-0'>{error}</Alert>
+    )}
+  </Form>
+)
+
+const ConnectedImportBackupForm = compose(
+  setDisplayName('ImportBackupForm'),
+  connect(null, {
+    importBackup,
+  }),
+  withTranslation(),
+  withState('file', 'setFile', null),
+  withHandlers({
+    onSubmit: ({ importBackup, file }) => ({ password, mode }, dispatch, { reset }) =>
+      importBackup(file, password, mode)
+        .then((added) => {
+          toastr.success(`Backup imported, ${added} wallets added`)
+          reset()
+        })
+        .catch((e) => {
+          throw new SubmissionError({ _error: e.message })
+        }),
+  }),
+  reduxForm({
+    form: 'backupImport',
+    initialValues: {
+      mode: 'merge',
+    },
+  }),
+)(ImportBackupForm)
+
+export default compose(
+  setDisplayName('BackupSettings'),
+)(() => (
+  <Card>
+    <CardHeader>
+      <T tag='h5' i18nKey='app.backup.title'>Backup</T>
+    </CardHeader>
+    <CardBody>
+      <ConnectedExportBackupForm/>
+      <hr/>
+      <ConnectedImportBackupForm/>
+    </CardBody>
+  </Card>
+))
@@ -2,16 +2,20 @@ import React from 'react'
 import { compose, setDisplayName, withHandlers } from 'recompose'
 import { Row, Col, Card, CardBody, CardHeader, Button } from 'reactstrap'
 import { push as pushAction } from 'react-router-redux'
+import { Link } from 'react-router-dom'
 import { connect } from 'react-redux'
 import { createStructuredSelector } from 'reselect'
 import Sidebar from 'Components/Sidebar'
 import Layout from 'Components/Layout'
-import { handleRememberWallets } from 'Actions/app'
+import { handleRememberWallets, setTestnetMode } from 'Actions/app'
 import { removeAllWallets } from 'Actions/wallet'
 import LanguageSelector from 'Components/LanguageSelector'
 import CurrencySelector from 'Components/CurrencySelector'
+import BackupSettings from './Backup'
 
 import { shouldRememberWallets } from 'Selectors/app'
+import routes from 'Routes'
+import config from 'Config'
 import style from './style.scss'
 import classNames from 'class-names'
 
@@ -22,6 +26,7 @@ export default compose(
   }), {
     push: pushAction,
     handleRememberWallets,
+    setTestnetMode,
     removeAllWallets
   }),
   withHandlers({
@@ -35,9 +40,12 @@ export default compose(
         shouldRememberWallets = 'local'
       }
       handleRememberWallets(shouldRememberWallets)
+    },
+    handleTestnetSetting: ({ setTestnetMode }) => () => {
+      setTestnetMode(!config.isTestnet)
     }
   }),
-)(({ handleSelectLanguage, shouldRememberWallets, handleRememberWalletSetting, removeAllWallets }) => (
+)(({ handleSelectLanguage, shouldRememberWallets, handleRememberWalletSetting, handleTestnetSetting, removeAllWallets }) => (
   <Layout className='pt-3'>
     <Row className='gutter-3'>
       <Col xs='12' md='5' lg='4' xl='3'>
@@ -69,6 +77,22 @@ export default compose(
                       </label>
                     </div>
                   </Col>
+                  <Col className='mb-3' sm='12'>
+                    Testnet mode
+                    <small className='d-block text-muted'>
+                      Use test networks and worthless test coins. The app will reload.
+                    </small>
+                    <div className='mt-2'>
+                      <label className={style.switcher}>
+                        <input type='checkbox' onChange={handleTestnetSetting} checked={config.isTestnet} />
+                        <span className={classNames(style.slider, style.round)}></span>
+                      </label>
+                    </div>
+                  </Col>
+                  <Col className='mb-3' sm='12'>
+                    <p>Price, portfolio and swap alerts</p>
+                    <Button size='sm' color='primary' outline tag={Link} to={routes.alertSettings()}>Manage alerts</Button>
+                  </Col>
                   <Col>
                     <p>Disconnect all wallets</p>
                     <Button size='sm' color='primary' onClick={removeAllWallets}>Logout</Button>
@@ -77,6 +101,9 @@ export default compose(
               </CardBody>
             </Card>
           </Col>
+          <Col xs='12'>
+            <BackupSettings/>
+          </Col>
         </Row>
       </Col>
     </Row>
@@ -10,10 +10,11 @@ import {
 } from 'reactstrap'
 import { compose, setDisplayName, withState, withProps } from 'recompose'
 import {
-  getWatchlist, getTrendingPositive, getTrendingNegative, getWalletIdsOfDefaultNestedWallets,
-  getCurrentPortfolioId, getCurrentWalletWithHoldings, getTradeableAssetFilter,
+  getWatchlist, getTrendingPositive, getTrendingNegative, getCurrentPortfolioWalletIds,
+  getCurrentPortfolioId, getCurrentWalletWithHoldings, getTradeableAssetFilter, getAllPortfolioIds,
 } from 'Selectors'
-import { setCurrentPortfolioAndWallet } from 'Actions/portfolio'
+import { setCurrentPortfolioAndWallet, setCurrentPortfolio } from 'Actions/portfolio'
+import routes from 'Routes'
 
 import ChangePercent from 'Components/ChangePercent'
 import ChangeFiat from 'Components/ChangeFiat'
@@ -30,7 +31,7 @@ import withToggle from 'Hoc/withToggle'
 import { sidebarLabel } from './style'
 
 const Sidebar = ({
-  watchlist, trendingPositive, currentPortfolioId, portfolioWalletIds,
+  watchlist, trendingPositive, currentPortfolioId, portfolioWalletIds, portfolioIds, setCurrentPortfolio,
   trendingNegative, isTrendingDropDownOpen, toggleTrendingDropDownOpen, toggleDropdownOpen, isDropdownOpen, currentWallet,
   timeFrame, updateTimeFrame, trendingTimeFrame, updateTrendingTimeFrame, className, push, setCurrentPortfolioAndWallet
 }) => {
@@ -56,7 +57,7 @@ const Sidebar = ({
                 color='light'
               >
                 {portfolioWalletIds.length}
-              </Badge>{currentWalletId === 'default' ? label : typeLabel}</small>
+              </Badge>{currentWalletId === currentPortfolioId ? label : typeLabel}</small>
             </DropdownToggle>
             <DropdownMenu>
               <DropdownItem
@@ -75,6 +76,20 @@ const Sidebar = ({
                   <WalletLabel.Connected id={walletId} showBalance grouped />
                 </DropdownItem>
               ))}
+              <DropdownItem divider/>
+              <DropdownItem header>
+                <T tag='span' i18nKey='app.sidebar.portfolios'>Portfolios</T>
+              </DropdownItem>
+              {portfolioIds.filter((portfolioId) => portfolioId !== currentPortfolioId).map((portfolioId) => (
+                <DropdownItem key={portfolioId} onClick={() => setCurrentPortfolio(portfolioId)}>
+                  <WalletLabel.Connected id={portfolioId} showBalance hideIcon/>
+                </DropdownItem>
+              ))}
+              <DropdownItem onClick={() => push(routes.portfolios())}>
+                <small className='text-primary'>
+                  <i className='fa fa-folder'/> <T tag='span' i18nKey='app.sidebar.managePortfolios'>Manage portfolios</T>
+                </small>
+              </DropdownItem>
             </DropdownMenu>
           </Dropdown>
           <div style={{ zIndex: 99 }} className='position-relative'>
@@ -306,9 +321,11 @@ export default compose(
     watchlist: getWatchlist,
     currentPortfolioId: getCurrentPortfolioId,
     currentWallet: getCurrentWalletWithHoldings,
-    portfolioWalletIds: getWalletIdsOfDefaultNestedWallets,
+    portfolioWalletIds: getCurrentPortfolioWalletIds,
+    portfolioIds: getAllPortfolioIds,
   }), {
     setCurrentPortfolioAndWallet: setCurrentPortfolioAndWallet,
+    setCurrentPortfolio: setCurrentPortfolio,
     push: push,
   }),
 )(Sidebar)
@@ -0,0 +1,49 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, defaultProps } from 'recompose'
+
+import { formatDate } from 'Utilities/display'
+import { isOffline } from 'Selectors/scheduler'
+import { getStaleBalancesLastUpdated } from 'Selectors/wallet'
+
+import T from 'Components/i18n/T'
+
+/** Warns that the data shown is out of date because the app is offline or started from the cache */
+const StaleDataIndicator = ({ offline, staleSince, className }) => {
+  if (!offline && !staleSince) {
+    return null
+  }
+  return (
+    <small className={className}>
+      <i className='fa fa-exclamation-triangle mr-1'/>
+      {offline ? (
+        <T tag='span' i18nKey='app.staleData.offline'>Offline</T>
+      ) : (
+        <T tag='span' i18nKey='app.staleData.cached'>Cached data</T>
+      )}
+      {staleSince && (
+        <span>
+          {' - '}
+          <T tag='span' i18nKey='app.staleData.lastUpdated'>last updated</T>
+          {` ${formatDate(staleSince, 'yyyy-MM-dd hh:mm')}`}
+        </span>
+      )}
+    </small>
+  )
+}
+
+export default compose(
+  setDisplayName('StaleDataIndicator'),
+  setPropTypes({
+    className: PropTypes.string,
+  }),
+  defaultProps({
+    className: 'text-warning',
+  }),
+  connect(createStructuredSelector({
+    offline: isOffline,
+    staleSince: getStaleBalancesLastUpdated,
+  })),
+)(StaleDataIndicator)
@@ -0,0 +1,57 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { compose, setDisplayName, setPropTypes, withState, withHandlers } from 'recompose'
+import { Row, Col, Button } from 'reactstrap'
+
+import { speedUpTx, cancelTx } from 'Actions/tx'
+import toastr from 'Utilities/toastrWrapper'
+import log from 'Utilities/log'
+
+import T from 'Components/i18n/T'
+
+const replaceTx = (updateIsReplacing, replace) => {
+  updateIsReplacing(true)
+  return replace()
+    .catch((e) => {
+      log.error(e)
+      toastr.error(e.message)
+    })
+    .then(() => updateIsReplacing(false))
+}
+
+const StuckTxActions = ({ isReplacing, onSpeedUp, onCancel }) => (
+  <Row className='gutter-2 align-items-center justify-content-center'>
+    <Col xs='12' sm>
+      <T tag='span' i18nKey='app.stuckTx.description'>
+        This transaction hasn&apos;t confirmed yet. You can resend it with a higher fee or cancel it.
+      </T>
+    </Col>
+    <Col xs='auto'>
+      <Button size='sm' color='primary' disabled={isReplacing} onClick={onSpeedUp}>
+        <T tag='span' i18nKey='app.stuckTx.speedUp'>Speed up</T>
+      </Button>
+    </Col>
+    <Col xs='auto'>
+      <Button size='sm' color='danger' outline disabled={isReplacing} onClick={onCancel}>
+        <T tag='span' i18nKey='app.stuckTx.cancel'>Cancel</T>
+      </Button>
+    </Col>
+  </Row>
+)
+
+export default compose(
+  setDisplayName('StuckTxActions'),
+  setPropTypes({
+    txId: PropTypes.string.isRequired,
+  }),
+  connect(null, {
+    speedUpTx,
+    cancelTx,
+  }),
+  withState('isReplacing', 'updateIsReplacing', false),
+  withHandlers({
+    onSpeedUp: ({ speedUpTx, txId, updateIsReplacing }) => () => replaceTx(updateIsReplacing, () => speedUpTx(txId)),
+    onCancel: ({ cancelTx, txId, updateIsReplacing }) => () => replaceTx(updateIsReplacing, () => cancelTx(txId)),
+  }),
+)(StuckTxActions)
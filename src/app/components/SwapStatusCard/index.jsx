@@ -17,6 +17,8 @@ import Spinner from 'Components/Spinner'
 import DataLayout from 'Components/DataLayout'
 import T from 'Components/i18n/T'
 import { statusIcons } from 'Components/TradeTable'
+import StuckTxActions from 'Components/StuckTxActions'
+import SwapTimeline from 'Components/SwapTimeline'
 
 import style from './style.scss'
 
@@ -93,17 +95,20 @@ export default compose(
     shortStatus: getShortStatus(swap),
   }))
 )(({
+  swap,
   swap: {
     orderId, sendWalletId, sendSymbol, sendAsset, sendAmount, marketMakerName,
     receiveWalletId, receiveSymbol, receiveAsset, receiveAmount, receiveAddress,
     error, friendlyError, rate, fee: swapFee, hasFee: hasSwapFee, depositTxId,
-    tx: { feeAmount: txFee, feeSymbol: txFeeSymbol },
+    tx, tx: { feeAmount: txFee, feeSymbol: txFeeSymbol },
     status: { code, details, detailsCode }, createdAt, createdAtFormatted, initializing, isManual
   },
   shortStatus, showShortStatus, showDetails, isExpanded, togglerProps, expanded, light
 }) => {
   const isComplete = code === 'complete'
   const explorerURL = txFeeSymbol ? config.explorerUrls[txFeeSymbol] : sendAsset.ERC20 ? config.explorerUrls['ETH'] : config.explorerUrls[sendSymbol]
+  // Replacements can get stuck too so act on the most recent one
+  const pendingTx = tx.replacement || tx
   const loadingValue = (error
     ? (<span className='text-danger'>-</span>)
     : (<Spinner inline size='sm'/>))
@@ -158,6 +163,11 @@ export default compose(
         : (showDetails && details && (
           <StatusFooter className='text-center text-muted'>{details}</StatusFooter>
         ))}
+      {!error && pendingTx.stuck && !pendingTx.receipt && !tx.cancelled && (
+        <StatusFooter light={light} className='text-center text-muted'>
+          <StuckTxActions txId={pendingTx.id}/>
+        </StatusFooter>
+      )}
       <Collapse isOpen={isExpanded}>
         <StatusFooter light={light}>
           <DataLayout rows={[
@@ -225,6 +235,12 @@ export default compose(
               </Fragment>
             ]
           ]}/>
+          {orderId && (
+            <div className='mt-3'>
+              <T tag='h6' i18nKey='app.swapStatusCard.timeline'>Timeline</T>
+              <SwapTimeline swap={swap}/>
+            </div>
+          )}
         </StatusFooter>
       </Collapse>
     </Card>
@@ -18,11 +18,13 @@ import SwapStatusCard from 'Components/SwapStatusCard'
 import Timer from 'Components/Timer'
 import Spinner from 'Components/Spinner'
 import ConfirmTransactionModal from 'Components/ConfirmTransactionModal'
+import FeePresetSelector from 'Components/FeePresetSelector'
 import T from 'Components/i18n/T'
 import { connect } from 'react-redux'
 import { createStructuredSelector } from 'reselect'
 import { toggleOrderModal } from 'Actions/orderModal'
 import { refreshSwap } from 'Actions/swap'
+import { recreateSwapTx } from 'Common/actions/swap'
 import { getGeoLimit } from 'Selectors/app'
 import { push } from 'react-router-redux'
 import toastr from 'Utilities/toastrWrapper'
@@ -38,7 +40,7 @@ const SwapSubmit = ({
   isOpen, swaps, headerText, continueText, continueDisabled, continueLoading,
   errorMessage, handleCancel, currentSwap, secondsUntilPriceExpiry, totalTxFee,
   handleTimerEnd, handleSubmit, invalid, submitting, modal, termsAccepted, singleSwap,
-  geoLimit, forwardTo, requiresSigning
+  geoLimit, forwardTo, requiresSigning, feeAdjustable, feePreset, updatingFees, handleChangeFeePreset
 }) => {
   const Wrapper = modal ? Modal : RenderChildren
   const Header = modal ? ModalHeader : RenderNothing
@@ -84,6 +86,14 @@ const SwapSubmit = ({
                 : <Spinner inline size='sm'/>}
               </p>
             )}
+            {feeAdjustable && (
+              <FeePresetSelector
+                className='mb-3'
+                value={feePreset}
+                onChange={handleChangeFeePreset}
+                disabled={updatingFees || submitting}
+              />
+            )}
             {(secondsUntilPriceExpiry > 0)
               ? (<span><small><Timer className='text-warning' seconds={secondsUntilPriceExpiry} label={<T tag='span' i18nKey='app.swapSubmit.timer'>* Quoted rates are guaranteed if submitted within:</T>} onTimerEnd={handleTimerEnd}/></small></span>)
               : null}
@@ -163,6 +173,8 @@ export default compose(
     forwardTo: undefined
   }),
   withState('currentlySending', 'updateCurrentlySending', false),
+  withState('feePreset', 'updateFeePreset', 'normal'),
+  withState('updatingFees', 'updateUpdatingFees', false),
   connect(createStructuredSelector({
     isOpen: ({ orderModal: { show } }) => show,
     geoLimit: getGeoLimit
@@ -170,8 +182,9 @@ export default compose(
     toggle: toggleOrderModal,
     routerPush: push,
     refreshSwap,
+    recreateSwapTx,
   }),
-  withProps(({ swap, requiresSigning, startedSigning, startedSending, finishedSending, currentlySending }) => {
+  withProps(({ swap, requiresSigning, startedSigning, startedSending, finishedSending, currentlySending, updatingFees }) => {
     let singleSwap = false
     let swaps = swap
     if (!Array.isArray(swap)) {
@@ -183,7 +196,9 @@ export default compose(
     const secondsUntilPriceExpiry = (Date.parse(soonestPriceExpiry) - Date.now()) / 1000
     const currentSwap = swaps.find(({ txSigning, txSending, sendWallet }) =>
       txSigning || (txSending && sendWallet && !sendWallet.isSignTxSupported))
-    const continueDisabled = startedSending || startedSigning || finishedSending || currentlySending
+    const continueDisabled = startedSending || startedSigning || finishedSending || currentlySending || updatingFees
+    // Ethereum deposits that haven't been signed yet can be recreated with a different fee
+    const feeAdjustableSwaps = swaps.filter(({ tx }) => tx && tx.feeSymbol === 'ETH' && tx.txData && !tx.signed && !tx.sent)
     const continueLoading = startedSending || startedSigning || finishedSending || currentlySending
     const continueText = !requiresSigning ? (singleSwap ? <T tag='span' i18nKey='app.swapSubmit.submit'>Submit</T> : <T tag='span' i18nKey='app.swapSubmit.submitAll'>Submit all</T>) : <T tag='span' i18nKey='app.swapSubmit.signAndSubmit'>Sign and Submit</T>
     const headerText = !requiresSigning ? <T tag='span' i18nKey='app.swapSubmit.confirmSubmit'>Confirm and Submit</T> : <T tag='span' i18nKey='app.swapSubmit.reviewSign'>Review and Sign</T>
@@ -198,6 +213,8 @@ export default compose(
       continueLoading,
       continueText,
       headerText,
+      feeAdjustableSwaps,
+      feeAdjustable: feeAdjustableSwaps.length > 0,
     }
   }),
   withHandlers({
@@ -238,6 +255,16 @@ export default compose(
           log.error(e)
         })
     },
+    handleChangeFeePreset: ({ feeAdjustableSwaps, recreateSwapTx, updateFeePreset, updateUpdatingFees }) => (feePreset) => {
+      updateUpdatingFees(true)
+      return Promise.all(feeAdjustableSwaps.map((swap) => recreateSwapTx(swap, { feePreset })))
+        .then(() => updateFeePreset(feePreset))
+        .catch((e) => {
+          toastr.error(e.message || e)
+          log.error(e)
+        })
+        .then(() => updateUpdatingFees(false))
+    },
     handleTimerEnd: ({ swaps, refreshSwap }) => () => {
       swaps.map(swap => refreshSwap(swap.orderId))
     },
@@ -0,0 +1,103 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { compose, setDisplayName, setPropTypes, withProps, withState, withHandlers } from 'recompose'
+import { Button } from 'reactstrap'
+import classNames from 'class-names'
+
+import { recheckSwap } from 'Actions/swap'
+import { getSwapTimeline, isSwapFinalized } from 'Utilities/swap'
+import { getExplorerUrl } from 'Utilities/transactionHistory'
+import { ellipsize, formatDate } from 'Utilities/display'
+import log from 'Utilities/log'
+
+import Units from 'Components/Units'
+import T from 'Components/i18n/T'
+
+const stateIcons = {
+  done: 'fa-check-circle text-success',
+  active: 'fa-spinner fa-pulse text-primary',
+  pending: 'fa-circle-o text-muted',
+  warning: 'fa-exclamation-circle text-warning',
+  failed: 'fa-times-circle text-danger',
+}
+
+const TimelineEvent = ({ event, explorerUrl }) => {
+  const { label, state, date, txId, amount, expectedAmount, symbol, guidance } = event
+  return (
+    <li className='d-flex mb-2'>
+      <i className={classNames('fa fa-fw mt-1 mr-2', stateIcons[state])}/>
+      <div className='flex-grow-1'>
+        <span className={classNames({ 'text-muted': state === 'pending' })}>{label}</span>
+        {date && (
+          <small className='text-muted ml-2'>{formatDate(date, 'yyyy-MM-dd hh:mm:ss')}</small>
+        )}
+        {amount && (
+          <small className='ml-2'>
+            <Units value={amount} symbol={symbol} precision={null}/>
+            {expectedAmount && (
+              <span> / <Units value={expectedAmount} symbol={symbol} precision={null}/></span>
+            )}
+          </small>
+        )}
+        {txId && (
+          <small className='d-block'>
+            {explorerUrl ? (
+              <a href={`${explorerUrl}/tx/${txId}`} target='_blank' rel='noopener noreferrer' className='word-break-all'>
+                {ellipsize(txId, 24)}
+              </a>
+            ) : ellipsize(txId, 24)}
+          </small>
+        )}
+        {guidance && (
+          <small className={classNames('d-block', state === 'failed' ? 'text-danger' : 'text-warning')}>{guidance}</small>
+        )}
+      </div>
+    </li>
+  )
+}
+
+const SwapTimeline = ({ swap, events, isRechecking, onRecheck }) => (
+  <div>
+    <ul className='list-unstyled mb-2'>
+      {events.map((event) => (
+        <TimelineEvent
+          key={event.code}
+          event={event}
+          explorerUrl={getExplorerUrl(event.symbol === swap.sendSymbol ? swap.sendAsset : swap.receiveAsset)}
+        />
+      ))}
+    </ul>
+    {!isSwapFinalized(swap) && (
+      <Button size='sm' color='primary' outline disabled={isRechecking} onClick={onRecheck}>
+        {isRechecking ? (
+          <i className='fa fa-spinner fa-pulse'/>
+        ) : (
+          <T tag='span' i18nKey='app.swapTimeline.recheck'>Re-check now</T>
+        )}
+      </Button>
+    )}
+  </div>
+)
+
+export default compose(
+  setDisplayName('SwapTimeline'),
+  setPropTypes({
+    swap: PropTypes.object.isRequired,
+  }),
+  connect(null, {
+    recheckSwap,
+  }),
+  withProps(({ swap }) => ({
+    events: getSwapTimeline(swap),
+  })),
+  withState('isRechecking', 'updateIsRechecking', false),
+  withHandlers({
+    onRecheck: ({ swap, recheckSwap, updateIsRechecking }) => () => {
+      updateIsRechecking(true)
+      return recheckSwap(swap.id)
+        .catch(log.error)
+        .then(() => updateIsRechecking(false))
+    },
+  }),
+)(SwapTimeline)
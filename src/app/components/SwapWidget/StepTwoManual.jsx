@@ -3,7 +3,7 @@ import React, { Fragment } from 'react'
 import PropTypes from 'prop-types'
 import { connect } from 'react-redux'
 import { push as pushAction } from 'react-router-redux'
-import { compose, setDisplayName, lifecycle, setPropTypes, withHandlers, withProps } from 'recompose'
+import { compose, setDisplayName, lifecycle, setPropTypes, withProps } from 'recompose'
 import { CardHeader, CardBody, CardFooter, Alert } from 'reactstrap'
 
 import routes from 'Routes'
@@ -12,11 +12,10 @@ import conditionalRedirect from 'Hoc/conditionalRedirect'
 import DepositQRCode from 'Components/DepositQRCode'
 import ClipboardCopyField from 'Components/ClipboardCopyField'
 import Rate from 'Components/Rate'
-import Timer from 'Components/Timer'
+import RateLockCountdown from 'Components/RateLockCountdown'
 import Expandable from 'Components/Expandable'
 import Units from 'Components/Units'
 import { retrievePairData } from 'Actions/rate'
-import { refreshSwap } from 'Actions/swap'
 import { getRateMinimumDeposit, getRatePrice, getRateMaximumDeposit } from 'Selectors/rate'
 import DataLayout from 'Components/DataLayout'
 import T from 'Components/i18n/T'
@@ -30,7 +29,8 @@ import style from './style.scss'
 
 /* eslint-disable react/jsx-key */
 const StepTwoManual = ({
-  handleTimerEnd, secondsUntilPriceExpiry, minimumDeposit, maxiumumDeposit, quotedRate, maxGeoBuy,
+  minimumDeposit, maxiumumDeposit, quotedRate, maxGeoBuy,
+  swap,
   swap: {
     orderId = '', sendSymbol = '', depositAddress = '', receiveSymbol = '', receiveAddress = '',
     sendAmount, receiveAmount, orderStatus = '', refundAddress = '', isFixedPrice, sendAsset, 
@@ -124,11 +124,9 @@ const StepTwoManual = ({
           <small className='text-muted'>
             {!isFixedPrice ? (
               <T tag='span' i18nKey='app.stepTwoManual.fixedPrice'>* Quoted rate is an estimate based on current market conditions. Actual rate may vary.</T>
-            ) : (secondsUntilPriceExpiry > 0 && (
-              <Timer className='text-warning' seconds={secondsUntilPriceExpiry}
-                label={ <T tag='span' i18nKey='app.stepTwoManual.quotedRate'>* Quoted rate is guaranteed if funds are sent within:</T>}
-                onTimerEnd={handleTimerEnd}/>
-            ))}
+            ) : (
+              <RateLockCountdown className='text-warning' swap={swap}/>
+            )}
           </small>
         </div>
       </CardFooter>
@@ -153,23 +151,16 @@ export default compose(
     currentSwap: getSwap(state, id),
   }), {
     push: pushAction,
-    refreshSwap,
     retrievePairData: retrievePairData,
   }),
-  withProps(({ swap: { rateLockedUntil, rate, sendAsset }, estimatedRate, swap, limit, currentSwap }) => {
+  withProps(({ swap: { rate, sendAsset }, estimatedRate, swap, limit, currentSwap }) => {
     const maxGeoBuy = limit ? limit.per_transaction.amount / parseFloat(sendAsset.price) : null
     return ({
-      secondsUntilPriceExpiry: (Date.parse(rateLockedUntil) - Date.now()) / 1000,
       quotedRate: rate || estimatedRate,
       maxGeoBuy,
       swap: currentSwap ? currentSwap : swap
     })
   }),
-  withHandlers({
-    handleTimerEnd: ({ refreshSwap, swap }) => () => {
-      refreshSwap(swap.orderId)
-    },
-  }),
   lifecycle({
     componentDidUpdate() {
       const { swap, minimumDeposit, retrievePairData } = this.props
@@ -0,0 +1,61 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { compose, setDisplayName, setPropTypes, withHandlers } from 'recompose'
+import { reduxForm, SubmissionError } from 'redux-form'
+import { Form, Button, Row, Col } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+
+import ReduxFormField from 'Components/ReduxFormField'
+import T from 'Components/i18n/T'
+
+const TargetAllocationForm = ({ handleSubmit, onCancel, submitting, t }) => (
+  <Form onSubmit={handleSubmit}>
+    <ReduxFormField
+      name='name'
+      type='text'
+      label={t('app.targetAllocation.name', 'Name')}
+      placeholder={t('app.targetAllocation.namePlaceholder', 'e.g. Long term')}
+      autoFocus
+    />
+    <ReduxFormField
+      name='allocation'
+      type='text'
+      label={t('app.targetAllocation.allocation', 'Allocation')}
+      placeholder='BTC 50 / ETH 30 / rest 20'
+      helpText={t('app.targetAllocation.allocationHelp', 'Percentages by asset. The rest is spread over your other assets by their current value.')}
+    />
+    <Row className='gutter-2 justify-content-end'>
+      <Col xs='auto'>
+        <Button size='sm' color='dark' onClick={onCancel}>
+          <T tag='span' i18nKey='app.targetAllocation.cancel'>Cancel</T>
+        </Button>
+      </Col>
+      <Col xs='auto'>
+        <Button size='sm' color='primary' type='submit' disabled={submitting}>
+          <T tag='span' i18nKey='app.targetAllocation.save'>Save target</T>
+        </Button>
+      </Col>
+    </Row>
+  </Form>
+)
+
+export default compose(
+  setDisplayName('TargetAllocationForm'),
+  setPropTypes({
+    saveAllocation: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+  }),
+  withTranslation(),
+  withHandlers({
+    onSubmit: ({ saveAllocation }) => ({ name, allocation }) => saveAllocation(name, allocation)
+      .catch((e) => {
+        throw new SubmissionError({
+          [name && name.trim() ? 'allocation' : 'name']: e.message,
+        })
+      }),
+  }),
+  reduxForm({
+    form: 'targetAllocation',
+    enableReinitialize: true,
+  }),
+)(TargetAllocationForm)
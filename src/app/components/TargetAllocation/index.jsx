@@ -0,0 +1,159 @@
+import React from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, withState, withHandlers } from 'recompose'
+import { Link } from 'react-router-dom'
+import {
+  Card, CardHeader, CardBody, Row, Col, Button, Table,
+  Dropdown, DropdownToggle, DropdownMenu, DropdownItem,
+} from 'reactstrap'
+import classNames from 'class-names'
+
+import routes from 'Routes'
+import display from 'Utilities/display'
+import { formatAllocation } from 'Utilities/allocation'
+import {
+  getCurrentPortfolioId, getCurrentPortfolioTargetAllocations, getCurrentPortfolioTargetDrift,
+} from 'Selectors'
+import { saveTargetAllocation, targetAllocationRemoved, targetAllocationSelected } from 'Actions/portfolio'
+import withToggle from 'Hoc/withToggle'
+
+import CoinIcon from 'Components/CoinIcon'
+import T from 'Components/i18n/T'
+import TargetAllocationForm from './TargetAllocationForm'
+
+/** Drift (in percentage points) above which an asset is highlighted */
+const DRIFT_WARNING_THRESHOLD = 5
+
+const TargetAllocation = ({
+  targetAllocations, drift, editing, handleNew, handleEdit, handleCancel, handleSave,
+  handleRemove, selectTargetAllocation, isDropdownOpen, toggleDropdownOpen,
+}) => {
+  const names = Object.keys(targetAllocations)
+  const selected = drift && drift.name
+  return (
+    <Card className='mt-3'>
+      <CardHeader>
+        <Row className='gutter-3 align-items-center'>
+          <Col>
+            <T tag='h5' i18nKey='app.targetAllocation.title'>Target Allocation</T>
+          </Col>
+          {names.length > 0 && (
+            <Col xs='auto'>
+              <Dropdown group isOpen={isDropdownOpen} size='sm' toggle={toggleDropdownOpen}>
+                <DropdownToggle caret color='dark' size='sm'>
+                  {selected || <T tag='span' i18nKey='app.targetAllocation.select'>Select target</T>}
+                </DropdownToggle>
+                <DropdownMenu right>
+                  {names.map((name) => (
+                    <DropdownItem key={name} active={name === selected} onClick={() => selectTargetAllocation(name)}>
+                      {name}
+                    </DropdownItem>
+                  ))}
+                </DropdownMenu>
+              </Dropdown>
+            </Col>
+          )}
+          <Col xs='auto'>
+            <Button size='sm' color='primary' onClick={handleNew}>
+              <i className='fa fa-plus mr-1'/> <T tag='span' i18nKey='app.targetAllocation.new'>New</T>
+            </Button>
+          </Col>
+        </Row>
+      </CardHeader>
+      <CardBody>
+        {editing ? (
+          <TargetAllocationForm
+            initialValues={editing}
+            saveAllocation={handleSave}
+            onCancel={handleCancel}
+          />
+        ) : names.length === 0 ? (
+          <T tag='p' i18nKey='app.targetAllocation.empty' className='text-muted m-0'>
+            Save a target allocation such as &quot;BTC 50 / ETH 30 / rest 20&quot; to see how far your portfolio has drifted from it.
+          </T>
+        ) : !drift ? (
+          <T tag='p' i18nKey='app.targetAllocation.noneSelected' className='text-muted m-0'>
+            Select a target allocation to see how far your portfolio has drifted from it.
+          </T>
+        ) : (
+          <div>
+            <Table size='sm' className='mb-3'>
+              <thead>
+                <tr>
+                  <th><T tag='span' i18nKey='app.targetAllocation.asset'>Asset</T></th>
+                  <th className='text-right'><T tag='span' i18nKey='app.targetAllocation.current'>Current</T></th>
+                  <th className='text-right'><T tag='span' i18nKey='app.targetAllocation.target'>Target</T></th>
+                  <th className='text-right'><T tag='span' i18nKey='app.targetAllocation.drift'>Drift</T></th>
+                </tr>
+              </thead>
+              <tbody>
+                {drift.assets.map(({ symbol, weight, targetWeight, drift: assetDrift }) => (
+                  <tr key={symbol}>
+                    <td><CoinIcon size='sm' symbol={symbol} inline className='mr-2'/>{symbol}</td>
+                    <td className='text-right'>{display.percentage(weight)}</td>
+                    <td className='text-right'>{display.percentage(targetWeight)}</td>
+                    <td className={classNames('text-right', {
+                      'text-warning': assetDrift.abs().greaterThan(DRIFT_WARNING_THRESHOLD)
+                    })}>
+                      {display.percentage(assetDrift, true)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <Row className='gutter-2 align-items-center'>
+              <Col>
+                <Button size='sm' color='link' className='p-0 mr-3' onClick={() => handleEdit(drift)}>
+                  <T tag='span' i18nKey='app.targetAllocation.edit'>Edit</T>
+                </Button>
+                <Button size='sm' color='link' className='p-0 text-danger' onClick={() => handleRemove(drift.name)}>
+                  <T tag='span' i18nKey='app.targetAllocation.remove'>Remove</T>
+                </Button>
+              </Col>
+              <Col xs='auto'>
+                <Button size='sm' color='primary' tag={Link} to={routes.rebalance({ target: drift.name })}>
+                  <T tag='span' i18nKey='app.targetAllocation.rebalance'>Rebalance to target</T>
+                </Button>
+              </Col>
+            </Row>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
+
+export default compose(
+  setDisplayName('TargetAllocation'),
+  connect(createStructuredSelector({
+    portfolioId: getCurrentPortfolioId,
+    targetAllocations: getCurrentPortfolioTargetAllocations,
+    drift: getCurrentPortfolioTargetDrift,
+  }), {
+    saveTargetAllocation,
+    removeTargetAllocation: targetAllocationRemoved,
+    selectTargetAllocation: targetAllocationSelected,
+  }),
+  withToggle('dropdownOpen'),
+  withState('editing', 'setEditing', null), // Initial form values while the form is open
+  withHandlers({
+    handleNew: ({ setEditing }) => () => setEditing({}),
+    handleEdit: ({ setEditing }) => ({ name, weights }) => setEditing({
+      name,
+      allocation: formatAllocation(weights),
+    }),
+    handleCancel: ({ setEditing }) => () => setEditing(null),
+    handleSave: ({ portfolioId, editing, saveTargetAllocation, removeTargetAllocation, setEditing }) => (name, allocation) =>
+      saveTargetAllocation(portfolioId, name, allocation)
+        .then(() => {
+          // Editing the name renames the allocation rather than copying it
+          if (editing.name && editing.name !== name.trim()) {
+            removeTargetAllocation(portfolioId, editing.name)
+          }
+          setEditing(null)
+        }),
+    handleRemove: ({ portfolioId, removeTargetAllocation }) => (name) => removeTargetAllocation(portfolioId, name),
+    selectTargetAllocation: ({ portfolioId, selectTargetAllocation }) => (name) => selectTargetAllocation(portfolioId, name),
+  }),
+)(TargetAllocation)
@@ -0,0 +1,29 @@
+import React from 'react'
+import { compose, setDisplayName } from 'recompose'
+import { Link } from 'react-router-dom'
+
+import config from 'Config'
+import routes from 'Routes'
+import { TESTNET_ASSETS } from 'Utilities/networks'
+
+import T from 'Components/i18n/T'
+
+const assets = TESTNET_ASSETS.join(', ')
+
+/** Shown on every page in testnet mode so test coins are never mistaken for real ones */
+export default compose(
+  setDisplayName('TestnetBanner'),
+)(() => !config.isTestnet ? null : (
+  <div
+    className='bg-warning text-dark text-center font-weight-bold py-1 px-3'
+    style={{ position: 'fixed', bottom: 0, left: 0, right: 0, zIndex: 1030 }}
+  >
+    <i className='fa fa-flask mr-2'/>
+    <T tag='span' i18nKey='app.testnetBanner.message'>
+      Testnet mode: only {{ assets }} are available, using worthless test coins. Other assets are disabled.
+    </T>
+    <Link to={routes.settings()} className='text-dark ml-2'>
+      <u><T tag='span' i18nKey='app.testnetBanner.settings'>Switch off</T></u>
+    </Link>
+  </div>
+))
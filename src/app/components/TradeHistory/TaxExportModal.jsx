@@ -0,0 +1,120 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, withHandlers } from 'recompose'
+import { reduxForm, SubmissionError } from 'redux-form'
+import { Modal, ModalHeader, ModalBody, ModalFooter, Form, Button, Row, Col, Alert } from 'reactstrap'
+import { withTranslation } from 'react-i18next'
+
+import { TAX_EXPORT_LAYOUTS } from 'Utilities/taxExport'
+import { getLeafWallets } from 'Selectors'
+import { exportTaxReport } from 'Actions/taxExport'
+import toastr from 'Utilities/toastrWrapper'
+
+import ReduxFormField from 'Components/ReduxFormField'
+import T from 'Components/i18n/T'
+
+const TaxExportModal = ({ isOpen, toggle, wallets, handleSubmit, submitting, error, t }) => (
+  <Modal isOpen={isOpen} toggle={toggle}>
+    <Form onSubmit={handleSubmit}>
+      <ModalHeader tag='h4' toggle={toggle} className='text-primary'>
+        <T tag='span' i18nKey='app.taxExport.title'>Export Swaps</T>
+      </ModalHeader>
+      <ModalBody>
+        <T tag='p' i18nKey='app.taxExport.description' className='text-muted'>
+          Download your completed swaps as a CSV file for your records or a crypto tax tool.
+        </T>
+        <ReduxFormField
+          name='layout'
+          type='select'
+          label={t('app.taxExport.layout', 'Format')}
+        >
+          {Object.entries(TAX_EXPORT_LAYOUTS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </ReduxFormField>
+        <Row className='gutter-3'>
+          <Col xs='12' sm='6'>
+            <ReduxFormField
+              name='from'
+              type='date'
+              label={t('app.taxExport.from', 'From')}
+            />
+          </Col>
+          <Col xs='12' sm='6'>
+            <ReduxFormField
+              name='to'
+              type='date'
+              label={t('app.taxExport.to', 'To')}
+            />
+          </Col>
+        </Row>
+        <ReduxFormField
+          name='walletId'
+          type='select'
+          label={t('app.taxExport.wallet', 'Wallet')}
+          helpText={t('app.taxExport.utc', 'Dates are in UTC. Values are in USD at the time of the swap.')}
+        >
+          <option value=''>{t('app.taxExport.allWallets', 'All wallets')}</option>
+          {wallets.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </ReduxFormField>
+        {error && (
+          <Alert color='danger' className='mb-0'>{error}</Alert>
+        )}
+      </ModalBody>
+      <ModalFooter className='justify-content-between'>
+        <Button color='primary' outline onClick={toggle}>
+          <T tag='span' i18nKey='app.taxExport.cancel'>Cancel</T>
+        </Button>
+        <Button color='primary' type='submit' disabled={submitting}>
+          {submitting ? (
+            <T tag='span' i18nKey='app.taxExport.loading'>Loading history...</T>
+          ) : (
+            <T tag='span' i18nKey='app.taxExport.download'>Download CSV</T>
+          )}
+        </Button>
+      </ModalFooter>
+    </Form>
+  </Modal>
+)
+
+export default compose(
+  setDisplayName('TaxExportModal'),
+  setPropTypes({
+    isOpen: PropTypes.bool.isRequired,
+    toggle: PropTypes.func.isRequired,
+  }),
+  connect(createStructuredSelector({
+    wallets: getLeafWallets,
+  }), {
+    exportTaxReport,
+  }),
+  withTranslation(),
+  withHandlers({
+    onSubmit: ({ exportTaxReport, toggle, t }) => (values) => {
+      if (values.from && values.to && values.from > values.to) {
+        throw new SubmissionError({ to: t('app.taxExport.invalidRange', 'Must be after the start date') })
+      }
+      return exportTaxReport(values)
+        .then((count) => {
+          toastr.success(`${t('app.taxExport.success', 'Swaps exported:')} ${count}`)
+          toggle()
+        })
+        .catch((e) => {
+          throw new SubmissionError({ _error: e.message })
+        })
+    },
+  }),
+  reduxForm({
+    form: 'taxExport',
+    initialValues: {
+      layout: 'generic',
+      from: '',
+      to: '',
+      walletId: '',
+    },
+  }),
+)(TaxExportModal)
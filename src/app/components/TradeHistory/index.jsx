@@ -5,10 +5,14 @@ import { compose, setDisplayName, lifecycle } from 'recompose'
 import { createStructuredSelector } from 'reselect' 
 import { connect } from 'react-redux'
 import { Helmet } from 'react-helmet'
+import { Row, Col, Button } from 'reactstrap'
+
+import withToggle from 'Hoc/withToggle'
 
 import Layout from 'Components/Layout'
 import TradeTable from 'Components/TradeTable'
 import T from 'Components/i18n/T'
+import TaxExportModal from './TaxExportModal'
 
 import { getConnectedWalletsPendingSwaps, getConnectedWalletsCompletedSwaps, isDefaultPortfolioEmpty } from 'Selectors'
 
@@ -30,13 +34,23 @@ export const tableHeadingsCompleted = [
   { text: <T tag='span' i18nKey='app.orders.rate'>Rate</T>, mobile: false }
 ]
 
-const TradeHistory = ({ pendingSwaps, completedSwaps }) => (
+const TradeHistory = ({ pendingSwaps, completedSwaps, isExportOpen, toggleExportOpen }) => (
   <Layout className='pt-3'>
     <Helmet>
       <title>Cryptocurrency Order History - Faa.st</title>
       <meta name='description' content='Keep track of all your previous cryptocurrency trades and swaps, and analyze whether trades were positive or negative.' /> 
     </Helmet>
-    <T tag='h4' i18nKey='app.orders.orderHistory' className='mt-2 text-primary'>Order History</T>
+    <Row className='gutter-3 align-items-center mt-2'>
+      <Col>
+        <T tag='h4' i18nKey='app.orders.orderHistory' className='m-0 text-primary'>Order History</T>
+      </Col>
+      <Col xs='auto'>
+        <Button size='sm' color='primary' outline onClick={toggleExportOpen}>
+          <i className='fa fa-download mr-1'/> <T tag='span' i18nKey='app.orders.export'>Export CSV</T>
+        </Button>
+      </Col>
+    </Row>
+    <TaxExportModal isOpen={isExportOpen} toggle={toggleExportOpen}/>
     <TradeTable 
       swaps={uniqBy(pendingSwaps, 'orderId')} 
       tableTitle={<T tag='span' i18nKey='app.orders.openOrdersTitle'>Open Orders</T>} 
@@ -62,6 +76,7 @@ export default compose(
   }), {
     push: pushAction,
   }),
+  withToggle('exportOpen'),
   lifecycle({
     componentWillMount() {
       const { hasZeroWallets, push } = this.props
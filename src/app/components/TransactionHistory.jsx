@@ -0,0 +1,159 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+import { compose, setDisplayName, setPropTypes, withHandlers, lifecycle } from 'recompose'
+import { Table, Button } from 'reactstrap'
+import classNames from 'class-names'
+
+import { ellipsize, formatDate, timeSince } from 'Utilities/display'
+import { getExplorerUrl } from 'Utilities/transactionHistory'
+import { getTransactionHistory } from 'Selectors/transactionHistory'
+import { getAsset } from 'Selectors/asset'
+import { loadTransactionHistory } from 'Actions/transactionHistory'
+
+import Units from 'Components/Units'
+import Expandable from 'Components/Expandable'
+import WalletLabel from 'Components/WalletLabel'
+import T from 'Components/i18n/T'
+
+const typeLabels = {
+  sent: 'Sent',
+  received: 'Received',
+  self: 'Self',
+}
+
+const HistoryRow = ({ transaction, explorerUrl }) => {
+  const { hash, type, amount, assetSymbol, feeAmount, feeSymbol, confirmations, timestamp } = transaction
+  return (
+    <tr>
+      <td>
+        <span className={classNames({ 'text-success': type === 'received', 'text-danger': type === 'sent' })}>
+          {typeLabels[type]}
+        </span>
+      </td>
+      <td>
+        {type === 'sent' ? '-' : (type === 'received' ? '+' : '')}
+        <Units value={amount} precision={6} symbol={assetSymbol} showSymbol/>
+      </td>
+      <td>
+        {feeAmount ? (<Units value={feeAmount} precision={6} symbol={feeSymbol} showSymbol/>) : '-'}
+      </td>
+      <td>
+        {confirmations > 0 ? confirmations : (
+          <T tag='span' i18nKey='app.transactionHistory.pending' className='text-warning'>Pending</T>
+        )}
+      </td>
+      <td>
+        {timestamp ? (
+          <Expandable
+            shrunk={<span className='text-muted font-sm'>{timeSince(timestamp)}</span>}
+            expanded={formatDate(timestamp, 'yyyy-MM-dd hh:mm:ss')}
+          />
+        ) : '-'}
+      </td>
+      <td>
+        {explorerUrl ? (
+          <a href={`${explorerUrl}/tx/${hash}`} target='_blank' rel='noopener noreferrer' className='word-break-all font-sm'>
+            {ellipsize(hash, 14)}
+          </a>
+        ) : ellipsize(hash, 14)}
+      </td>
+    </tr>
+  )
+}
+
+const TransactionHistory = ({ wallet, symbol, history, explorerUrl, handleLoadMore }) => {
+  const { transactions, loaded, loading, hasMore, unsupported, error } = history
+  return (
+    <div className='mb-4'>
+      <div className='mb-2'>
+        <WalletLabel wallet={wallet}/>
+      </div>
+      {unsupported ? (
+        <p className='text-muted'>
+          <T tag='span' i18nKey='app.transactionHistory.unsupported'>
+            History isn&apos;t available for this asset in this wallet.
+          </T>
+          {explorerUrl && wallet.address && (
+            <a className='ml-2' href={`${explorerUrl}/address/${wallet.address}`} target='_blank' rel='noopener noreferrer'>
+              <T tag='span' i18nKey='app.transactionHistory.viewOnExplorer'>View on explorer</T>
+            </a>
+          )}
+        </p>
+      ) : (transactions.length > 0 ? (
+        <Table responsive className='text-left'>
+          <thead>
+            <tr>
+              <th></th>
+              <T tag='th' i18nKey='app.transactionHistory.amount'>Amount</T>
+              <T tag='th' i18nKey='app.transactionHistory.fee'>Fee</T>
+              <T tag='th' i18nKey='app.transactionHistory.confirmations'>Confirmations</T>
+              <T tag='th' i18nKey='app.transactionHistory.date'>Date</T>
+              <T tag='th' i18nKey='app.transactionHistory.txId'>Tx ID</T>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map((transaction) => (
+              <HistoryRow
+                key={`${transaction.hash}:${transaction.type}`}
+                transaction={transaction}
+                explorerUrl={explorerUrl}
+              />
+            ))}
+          </tbody>
+        </Table>
+      ) : (loaded && !error && (
+        <p className='text-muted'>
+          <i>No {symbol} transactions found{hasMore ? ' recently' : ''}.</i>
+        </p>
+      )))}
+      {error && (
+        <p className='text-danger'>{error}</p>
+      )}
+      {loading ? (
+        <p className='text-muted'><i className='fa fa-spinner fa-pulse'/></p>
+      ) : ((hasMore || error) && (
+        <Button size='sm' color='ultra-dark' className='flat' onClick={handleLoadMore}>
+          {error ? (
+            <T tag='span' i18nKey='app.transactionHistory.retry'>Retry</T>
+          ) : (
+            <T tag='span' i18nKey='app.transactionHistory.loadMore'>Load older transactions</T>
+          )}
+        </Button>
+      ))}
+    </div>
+  )
+}
+
+export default compose(
+  setDisplayName('TransactionHistory'),
+  setPropTypes({
+    wallet: PropTypes.object.isRequired,
+    symbol: PropTypes.string.isRequired,
+  }),
+  connect(createStructuredSelector({
+    history: (state, { wallet, symbol }) => getTransactionHistory(state, { walletId: wallet.id, symbol }),
+    explorerUrl: (state, { symbol }) => getExplorerUrl(getAsset(state, symbol)),
+  }), {
+    loadTransactionHistory,
+  }),
+  withHandlers({
+    handleLoadMore: ({ wallet, symbol, loadTransactionHistory }) => () =>
+      loadTransactionHistory(wallet.id, symbol),
+  }),
+  lifecycle({
+    componentDidMount() {
+      const { wallet, symbol, history, loadTransactionHistory } = this.props
+      if (!history.loaded) {
+        loadTransactionHistory(wallet.id, symbol)
+      }
+    },
+    componentDidUpdate(prevProps) {
+      const { wallet, symbol, history, loadTransactionHistory } = this.props
+      if ((wallet.id !== prevProps.wallet.id || symbol !== prevProps.symbol) && !history.loaded) {
+        loadTransactionHistory(wallet.id, symbol)
+      }
+    },
+  }),
+)(TransactionHistory)
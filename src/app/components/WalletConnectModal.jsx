@@ -0,0 +1,58 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { compose, setDisplayName, setPropTypes, withState, lifecycle } from 'recompose'
+import { Modal, ModalHeader, ModalBody } from 'reactstrap'
+import { connect } from 'react-redux'
+import QRCode from 'qrcode.react'
+
+import { openWalletConnectWallet } from 'Actions/access'
+
+import ClipboardCopyField from 'Components/ClipboardCopyField'
+import T from 'Components/i18n/T'
+
+export default compose(
+  setDisplayName('WalletConnectModal'),
+  setPropTypes({
+    isOpen: PropTypes.bool.isRequired,
+    toggle: PropTypes.func.isRequired,
+  }),
+  connect(null, {
+    openWalletConnectWallet,
+  }),
+  withState('uri', 'setUri', ''),
+  lifecycle({
+    componentDidMount() {
+      const { openWalletConnectWallet, setUri } = this.props
+      this.cancelPairing = openWalletConnectWallet(setUri)
+    },
+    componentWillUnmount() {
+      if (this.cancelPairing) {
+        this.cancelPairing()
+      }
+    },
+  }),
+)(({ isOpen, toggle, uri }) => (
+  <Modal size='md' className='text-center' backdrop='static' isOpen={isOpen} toggle={toggle}>
+    <ModalHeader tag='h3' className='text-primary' toggle={toggle}>
+      <T tag='span' i18nKey='app.walletConnectModal.title'>Connect with WalletConnect</T>
+    </ModalHeader>
+    <ModalBody>
+      <T tag='p' i18nKey='app.walletConnectModal.instructions'>
+        Scan this code with a WalletConnect compatible mobile wallet and approve the connection on your phone.
+      </T>
+      {uri ? (
+        <div>
+          <div className='bg-white d-inline-block p-2 mb-3'>
+            <QRCode level='L' size={240} value={uri}/>
+          </div>
+          <T tag='small' i18nKey='app.walletConnectModal.copyLink' className='d-block text-muted'>
+            Or copy the pairing link into your wallet
+          </T>
+          <ClipboardCopyField value={uri} autoFocus={false} successText='Pairing link copied to clipboard'/>
+        </div>
+      ) : (
+        <p className='my-5'><i className='fa fa-spinner fa-pulse fa-2x'/></p>
+      )}
+    </ModalBody>
+  </Modal>
+))
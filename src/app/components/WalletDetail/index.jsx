@@ -9,6 +9,7 @@ import { Row, Col, Button, Table } from 'reactstrap'
 import { getHoldingsByAsset, getCurrentChildWalletsForSymbol } from 'Selectors/wallet'
 import { getSentSwapsByAsset } from 'Selectors/swap'
 import { getAsset } from 'Selectors/asset'
+import { getWalletProfitLoss } from 'Selectors/profitLoss'
 import { updateHoldings } from 'Actions/portfolio'
 import { getSentWithdrawalsByAsset } from 'Selectors/withdrawal'
 import Units from 'Components/Units'
@@ -16,6 +17,8 @@ import CoinIcon from 'Components/CoinIcon'
 import Expandable from 'Components/Expandable'
 import Link from 'Components/Link'
 import WalletLabel from 'Components/WalletLabel'
+import ProfitLossSummary from 'Components/ProfitLossSummary'
+import TransactionHistory from 'Components/TransactionHistory'
 import { removeWallet } from 'Actions/wallet'
 import { ellipsize } from 'Utilities/display'
 import config from 'Config'
@@ -50,6 +53,16 @@ const WalletRow = ({ wallet, symbol, push, removeWallet }) => {
         >
           Receive
         </Button>
+        {(wallet.isSignMessageSupported || wallet.isVerifyMessageSupported) && (
+          <Button
+            onClick={() => push(`/wallets/${symbol}/message/${wallet.id}`)}
+            size='sm'
+            color='ultra-dark'
+            className='flat mt-xs-0 mt-2 ml-2'
+          >
+            Sign / Verify
+          </Button>
+        )}
       </td>
       <td>
         <Expandable 
@@ -171,7 +184,7 @@ const TransactionTable = ({ transactions, symbol, asset }) => {
 }
 
 const WalletDetail = ({ symbol, holdings, connectedWallets, transactions, push, asset, 
-  showMobileSearch, removeWallet }) => {
+  showMobileSearch, removeWallet, profitLoss }) => {
   return (
     <div className='text-center'>
       <Button
@@ -193,6 +206,15 @@ const WalletDetail = ({ symbol, holdings, connectedWallets, transactions, push,
           <h4 className='text-muted mb-0'>
             (<Units value={holdings} symbol={symbol} />)
           </h4>
+          {profitLoss && (
+            <ProfitLossSummary
+              className='mt-4 text-left'
+              costBasis={profitLoss.costBasis}
+              realized={profitLoss.realized}
+              unrealized={profitLoss.unrealized}
+              unrealizedPercent={profitLoss.unrealizedPercent}
+            />
+          )}
         </Col>
       </Row>
       <Row className='text-left'>
@@ -204,6 +226,14 @@ const WalletDetail = ({ symbol, holdings, connectedWallets, transactions, push,
           <h3 style={{ fontWeight: 600 }} className='mb-3'>{symbol} Transactions</h3>
           <TransactionTable transactions={transactions} asset={asset} />
         </Col>
+        {connectedWallets.length > 0 && (
+          <Col xs='12'>
+            <h3 style={{ fontWeight: 600 }} className='mb-3'>{symbol} Deposits and Withdrawals</h3>
+            {connectedWallets.map((wallet) => (
+              <TransactionHistory key={wallet.id} wallet={wallet} symbol={symbol}/>
+            ))}
+          </Col>
+        )}
       </Row>
     </div>
   )
@@ -216,7 +246,11 @@ export default compose(
     connectedWallets: (state, { symbol }) => getCurrentChildWalletsForSymbol(state, symbol),
     sentSwaps: (state, { symbol }) => getSentSwapsByAsset(state, symbol),
     asset: (state, { symbol }) => getAsset(state, symbol),
-    withdrawals: (state, { symbol }) => getSentWithdrawalsByAsset(state, symbol)
+    withdrawals: (state, { symbol }) => getSentWithdrawalsByAsset(state, symbol),
+    profitLoss: (state, { symbol }) => {
+      const walletProfitLoss = getWalletProfitLoss(state, config.defaultPortfolioId)
+      return walletProfitLoss && walletProfitLoss.bySymbol[symbol]
+    },
   }), {
     push,
     removeWallet,
@@ -0,0 +1,238 @@
+import React from 'react'
+import { compose, setDisplayName, withProps, withState, withHandlers } from 'recompose'
+import { Row, Col, Card, CardBody, CardHeader, Button, Form, FormGroup, Label, Input } from 'reactstrap'
+import { Link } from 'react-router-dom'
+import { connect } from 'react-redux'
+import { createStructuredSelector } from 'reselect'
+
+import routes from 'Routes'
+import log from 'Utilities/log'
+import { getWallet } from 'Selectors/wallet'
+import { signWalletMessage, verifyWalletMessage } from 'Actions/wallet'
+
+import Layout from 'Components/Layout'
+import WalletLabel from 'Components/WalletLabel'
+import ClipboardCopyField from 'Components/ClipboardCopyField'
+import WalletPasswordPrompt from 'Components/WalletPasswordPrompt'
+import T from 'Components/i18n/T'
+
+const SignCard = ({
+  wallet, signInput, setSignInput, signing, signed, signError, handleSign, handleVerifySigned,
+}) => (
+  <Card>
+    <CardHeader>
+      <T tag='h5' i18nKey='app.walletMessage.sign' className='m-0'>Sign message</T>
+    </CardHeader>
+    <CardBody>
+      {wallet.isSignMessageSupported ? (
+        <Form onSubmit={handleSign}>
+          <FormGroup>
+            <Label for='signMessage'>
+              <T tag='span' i18nKey='app.walletMessage.message'>Message</T>
+            </Label>
+            <Input
+              id='signMessage'
+              type='textarea'
+              rows='4'
+              value={signInput}
+              onChange={(e) => setSignInput(e.target.value)}
+            />
+          </FormGroup>
+          <Button color='primary' type='submit' disabled={signing || !signInput}>
+            {signing ? (
+              <i className='fa fa-spinner fa-pulse'/>
+            ) : (
+              <T tag='span' i18nKey='app.walletMessage.signButton'>Sign</T>
+            )}
+          </Button>
+          {signing && (
+            <T tag='small' i18nKey='app.walletMessage.confirmOnDevice' className='ml-2 text-muted'>
+              Confirm the message in your wallet
+            </T>
+          )}
+          {signError && (
+            <p className='text-danger mt-3 mb-0'>{signError}</p>
+          )}
+          {signed && (
+            <div className='mt-3'>
+              <T tag='small' i18nKey='app.walletMessage.address' className='text-muted'>Address</T>
+              <ClipboardCopyField value={signed.address} autoFocus={false}/>
+              <T tag='small' i18nKey='app.walletMessage.signature' className='text-muted'>Signature</T>
+              <ClipboardCopyField value={signed.signature} autoFocus={false} successText='Signature copied to clipboard'/>
+              <Button color='link' size='sm' className='p-0' onClick={handleVerifySigned}>
+                <T tag='span' i18nKey='app.walletMessage.verifySigned'>Verify this signature</T>
+              </Button>
+            </div>
+          )}
+        </Form>
+      ) : (
+        <T tag='p' i18nKey='app.walletMessage.signUnsupported' className='text-muted m-0'>
+          This wallet can&apos;t sign messages.
+        </T>
+      )}
+    </CardBody>
+  </Card>
+)
+
+const VerifyCard = ({
+  wallet, verifyInput, setVerifyInput, verifying, verified, verifyError, handleVerify,
+}) => (
+  <Card>
+    <CardHeader>
+      <T tag='h5' i18nKey='app.walletMessage.verify' className='m-0'>Verify message</T>
+    </CardHeader>
+    <CardBody>
+      {wallet.isVerifyMessageSupported ? (
+        <Form onSubmit={handleVerify}>
+          <FormGroup>
+            <Label for='verifyMessage'>
+              <T tag='span' i18nKey='app.walletMessage.message'>Message</T>
+            </Label>
+            <Input
+              id='verifyMessage'
+              type='textarea'
+              rows='4'
+              value={verifyInput.message}
+              onChange={(e) => setVerifyInput({ ...verifyInput, message: e.target.value })}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label for='verifyAddress'>
+              <T tag='span' i18nKey='app.walletMessage.address'>Address</T>
+            </Label>
+            <Input
+              id='verifyAddress'
+              value={verifyInput.address}
+              onChange={(e) => setVerifyInput({ ...verifyInput, address: e.target.value })}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label for='verifySignature'>
+              <T tag='span' i18nKey='app.walletMessage.signature'>Signature</T>
+            </Label>
+            <Input
+              id='verifySignature'
+              type='textarea'
+              rows='2'
+              value={verifyInput.signature}
+              onChange={(e) => setVerifyInput({ ...verifyInput, signature: e.target.value })}
+            />
+          </FormGroup>
+          <Button
+            color='primary'
+            type='submit'
+            disabled={verifying || !verifyInput.message || !verifyInput.address || !verifyInput.signature}
+          >
+            <T tag='span' i18nKey='app.walletMessage.verifyButton'>Verify</T>
+          </Button>
+          {verified === true && (
+            <T tag='p' i18nKey='app.walletMessage.valid' className='text-success mt-3 mb-0'>
+              <i className='fa fa-check-circle'/> The signature is valid for this message and address.
+            </T>
+          )}
+          {verified === false && (
+            <T tag='p' i18nKey='app.walletMessage.invalid' className='text-danger mt-3 mb-0'>
+              <i className='fa fa-times-circle'/> The signature doesn&apos;t match this message and address.
+            </T>
+          )}
+          {verifyError && (
+            <p className='text-danger mt-3 mb-0'>{verifyError}</p>
+          )}
+        </Form>
+      ) : (
+        <T tag='p' i18nKey='app.walletMessage.verifyUnsupported' className='text-muted m-0'>
+          Signatures can&apos;t be verified for this wallet&apos;s network.
+        </T>
+      )}
+    </CardBody>
+  </Card>
+)
+
+const WalletMessage = ({ symbol, wallet, ...props }) => (
+  <Layout className='pt-3'>
+    <div className='d-flex align-items-center mb-3'>
+      <Button tag={Link} to={routes.wallets(symbol)} color='link' className='pl-0'>
+        <i className='fa fa-long-arrow-left'/> <T tag='span' i18nKey='app.walletMessage.back'>Back to wallets</T>
+      </Button>
+    </div>
+    {wallet ? (
+      <Row className='gutter-3'>
+        <Col xs='12'>
+          <T tag='h4' i18nKey='app.walletMessage.title'>Sign / Verify message</T>
+          <WalletLabel wallet={wallet}/>
+          <T tag='p' i18nKey='app.walletMessage.description' className='text-muted mt-2'>
+            Sign a message to prove you own an address, or check a signature someone else gave you.
+          </T>
+        </Col>
+        <Col xs='12' lg='6'>
+          <SignCard wallet={wallet} {...props}/>
+        </Col>
+        <Col xs='12' lg='6'>
+          <VerifyCard wallet={wallet} {...props}/>
+        </Col>
+      </Row>
+    ) : (
+      <T tag='p' i18nKey='app.walletMessage.notFound' className='text-muted'>
+        This wallet isn&apos;t connected.
+      </T>
+    )}
+    <WalletPasswordPrompt/>
+  </Layout>
+)
+
+const emptyVerifyInput = { message: '', address: '', signature: '' }
+
+export default compose(
+  setDisplayName('WalletMessage'),
+  withProps(({ match: { params: { symbol, walletId } } }) => ({
+    symbol,
+    walletId,
+  })),
+  connect(createStructuredSelector({
+    wallet: (state, { walletId }) => getWallet(state, walletId),
+  }), {
+    signWalletMessage,
+    verifyWalletMessage,
+  }),
+  withState('signInput', 'setSignInput', ''),
+  withState('signing', 'setSigning', false),
+  withState('signed', 'setSigned', null),
+  withState('signError', 'setSignError', ''),
+  withState('verifyInput', 'setVerifyInput', emptyVerifyInput),
+  withState('verifying', 'setVerifying', false),
+  withState('verified', 'setVerified', null),
+  withState('verifyError', 'setVerifyError', ''),
+  withHandlers({
+    handleSign: ({ walletId, signInput, signWalletMessage, setSigning, setSigned, setSignError }) => (e) => {
+      e.preventDefault()
+      setSigning(true)
+      setSigned(null)
+      setSignError('')
+      signWalletMessage(walletId, signInput)
+        .then(setSigned)
+        .catch((e) => {
+          log.error(e)
+          setSignError(e.message)
+        })
+        .then(() => setSigning(false))
+    },
+    handleVerify: ({
+      walletId, verifyInput, verifyWalletMessage, setVerifying, setVerified, setVerifyError,
+    }) => (e) => {
+      e.preventDefault()
+      const { message, address, signature } = verifyInput
+      setVerifying(true)
+      setVerified(null)
+      setVerifyError('')
+      verifyWalletMessage(walletId, message, address, signature)
+        .then(setVerified)
+        .catch((e) => setVerifyError(e.message))
+        .then(() => setVerifying(false))
+    },
+    handleVerifySigned: ({ signed, setVerifyInput, setVerified }) => () => {
+      const { message, address, signature } = signed
+      setVerifyInput({ message, address, signature })
+      setVerified(null)
+    },
+  }),
+)(WalletMessage)
@@ -0,0 +1,163 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { compose, setDisplayName, setPropTypes, withState, withProps, withHandlers, lifecycle } from 'recompose'
+import { Table, Input, Collapse, Button } from 'reactstrap'
+
+import { toBigNumber, toNumber } from 'Utilities/convert'
+import { ellipsize } from 'Utilities/display'
+import { getWalletForAsset } from 'Utilities/wallet'
+import log from 'Utilities/log'
+import * as validator from 'Utilities/validator'
+import withToggle from 'Hoc/withToggle'
+
+import ReduxFormField from 'Components/ReduxFormField'
+import Units from 'Components/Units'
+import Spinner from 'Components/Spinner'
+import T from 'Components/i18n/T'
+
+const validateFeeRate = validator.all(
+  validator.number(),
+  validator.greaterThanOrEqualTo(1),
+)
+
+/** Fee rate and coin control options for sends from UTXO based wallets */
+const UtxoOptions = ({
+  symbol, utxos, defaultFeeRate, selectedUtxoIds, selectedTotal, feeEstimate, feeEstimateError,
+  isCoinControlOpen, toggleCoinControlOpen, handleToggleUtxo,
+}) => (
+  <div className='text-left mt-3'>
+    <ReduxFormField
+      name='feeRate'
+      validate={validateFeeRate}
+      type='number'
+      min='1'
+      step='any'
+      inputClass='flat'
+      label={<T tag='span' i18nKey='app.utxoOptions.feeRate'>Fee rate (sat/vB)</T>}
+      placeholder={defaultFeeRate ? String(defaultFeeRate) : ''}
+    />
+    <p className='font-xs mb-2'>
+      <T tag='span' i18nKey='app.utxoOptions.estimatedFee' className='text-muted'>Estimated fee:</T>{' '}
+      {feeEstimateError ? (
+        <span className='text-danger'>{feeEstimateError}</span>
+      ) : feeEstimate ? (
+        <Units value={feeEstimate} symbol={symbol} precision={8} showSymbol/>
+      ) : '-'}
+    </p>
+    <Button size='sm' color='ultra-dark' className='flat' onClick={toggleCoinControlOpen}>
+      <i className={`fa fa-chevron-${isCoinControlOpen ? 'up' : 'down'} mr-2`}/>
+      <T tag='span' i18nKey='app.utxoOptions.coinControl'>Coin control</T>
+      {selectedUtxoIds.length > 0 && (
+        <span className='ml-2 text-primary'>
+          ({selectedUtxoIds.length} <T tag='span' i18nKey='app.utxoOptions.selected'>selected</T>, <Units value={selectedTotal} symbol={symbol} showSymbol/>)
+        </span>
+      )}
+    </Button>
+    <Collapse isOpen={isCoinControlOpen}>
+      <T tag='p' i18nKey='app.utxoOptions.description' className='font-xs text-muted mt-2 mb-1'>
+        Select the exact outputs to spend. All selected outputs are used. Leave all unselected to choose automatically.
+      </T>
+      {!utxos ? (
+        <Spinner size='sm' inline/>
+      ) : utxos.length === 0 ? (
+        <T tag='p' i18nKey='app.utxoOptions.empty' className='font-xs text-muted'>No unspent outputs</T>
+      ) : (
+        <Table size='sm' responsive className='font-xs mb-0'>
+          <thead>
+            <tr>
+              <th></th>
+              <T tag='th' i18nKey='app.utxoOptions.amount'>Amount</T>
+              <T tag='th' i18nKey='app.utxoOptions.confirmations'>Confirmations</T>
+              <T tag='th' i18nKey='app.utxoOptions.address'>Address</T>
+            </tr>
+          </thead>
+          <tbody>
+            {utxos.map(({ id, value, confirmations, address }) => (
+              <tr key={id} onClick={() => handleToggleUtxo(id)} style={{ cursor: 'pointer' }}>
+                <td className='pl-4'>
+                  <Input type='checkbox' className='position-static m-0' checked={selectedUtxoIds.includes(id)} readOnly/>
+                </td>
+                <td><Units value={value} symbol={symbol} precision={8}/></td>
+                <td>{confirmations}</td>
+                <td className='text-monospace' title={address}>{ellipsize(address, 8, 6)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Collapse>
+  </div>
+)
+
+export default compose(
+  setDisplayName('UtxoOptions'),
+  setPropTypes({
+    walletId: PropTypes.string.isRequired,
+    symbol: PropTypes.string.isRequired,
+    sendAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    feeRate: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    selectedUtxoIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onChangeSelectedUtxoIds: PropTypes.func.isRequired,
+  }),
+  withToggle('coinControlOpen'),
+  withState('utxos', 'updateUtxos', null),
+  withState('defaultFeeRate', 'updateDefaultFeeRate', null),
+  withState('feeEstimate', 'updateFeeEstimate', null),
+  withState('feeEstimateError', 'updateFeeEstimateError', ''),
+  withProps(({ utxos, selectedUtxoIds }) => ({
+    selectedTotal: (utxos || [])
+      .filter(({ id }) => selectedUtxoIds.includes(id))
+      .reduce((total, { value }) => total.plus(value), toBigNumber(0)),
+  })),
+  withHandlers({
+    handleToggleUtxo: ({ selectedUtxoIds, onChangeSelectedUtxoIds }) => (id) => {
+      onChangeSelectedUtxoIds(selectedUtxoIds.includes(id)
+        ? selectedUtxoIds.filter((selectedId) => selectedId !== id)
+        : [...selectedUtxoIds, id])
+    },
+    estimateFee: ({ walletId, symbol, sendAmount, feeRate, selectedUtxoIds, updateFeeEstimate, updateFeeEstimateError }) => () => {
+      const amount = toBigNumber(sendAmount)
+      if (amount.isNaN() || !amount.greaterThan(0) || validateFeeRate(feeRate)) {
+        updateFeeEstimate(null)
+        updateFeeEstimateError('')
+        return
+      }
+      const walletInstance = getWalletForAsset(walletId, symbol)
+      return walletInstance.estimateTransactionFee(amount, {
+        feeRate: feeRate ? toNumber(feeRate) : undefined,
+        utxoIds: selectedUtxoIds,
+      })
+        .then((fee) => {
+          updateFeeEstimate(fee)
+          updateFeeEstimateError('')
+        })
+        .catch((e) => {
+          updateFeeEstimate(null)
+          updateFeeEstimateError(e.message)
+        })
+    },
+  }),
+  lifecycle({
+    componentDidMount() {
+      const { walletId, symbol, updateUtxos, updateDefaultFeeRate, estimateFee } = this.props
+      const walletInstance = getWalletForAsset(walletId, symbol)
+      walletInstance.getDefaultFeeRate(symbol)
+        .then(({ rate }) => updateDefaultFeeRate(toNumber(rate)))
+        .catch(log.error)
+      walletInstance.getUtxos()
+        .then(updateUtxos)
+        .catch((e) => {
+          log.error(e)
+          updateUtxos([])
+        })
+      estimateFee()
+    },
+    componentDidUpdate(prevProps) {
+      const { sendAmount, feeRate, selectedUtxoIds, estimateFee } = this.props
+      if (sendAmount !== prevProps.sendAmount || feeRate !== prevProps.feeRate
+        || selectedUtxoIds !== prevProps.selectedUtxoIds) {
+        estimateFee()
+      }
+    },
+  }),
+)(UtxoOptions)
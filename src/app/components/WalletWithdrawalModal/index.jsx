@@ -4,13 +4,13 @@ import { toBigNumber, toNumber } from 'Utilities/convert'
 import * as validator from 'Utilities/validator'
 import PropTypes from 'prop-types'
 import { push } from 'react-router-redux'
-import { compose, setDisplayName, setPropTypes, withState, withHandlers } from 'recompose'
+import { compose, setDisplayName, setPropTypes, withState, withProps, withHandlers } from 'recompose'
 import { connect } from 'react-redux'
 import { createStructuredSelector } from 'reselect'
 import { Modal, ModalBody, ModalHeader, Form, Button } from 'reactstrap'
 import { getWallet } from 'Selectors/wallet'
 import { pick } from 'lodash'
-import { createWithdrawalTx, signAndSubmitTx } from 'Actions/withdrawal'
+import { createWithdrawalTx, recreateWithdrawalTx, signAndSubmitTx } from 'Actions/withdrawal'
 import { updateHoldings } from 'Actions/portfolio'
 import { getAsset } from 'Selectors/asset'
 import CoinIcon from 'Components/CoinIcon'
@@ -18,13 +18,18 @@ import { withTranslation } from 'react-i18next'
 import ReduxFormField from 'Components/ReduxFormField'
 import { reduxForm, formValueSelector } from 'redux-form'
 import Units from 'Components/Units'
+import FeePresetSelector from 'Components/FeePresetSelector'
+import { getWalletForAsset } from 'Utilities/wallet'
+
+import UtxoOptions from './UtxoOptions'
 
 const FORM_NAME = 'wallet_withdrawal'
 const getFormValue = formValueSelector(FORM_NAME)
 
 const WalletWithdrawalModal = ({ toggle, handleSubmit, asset, wallet, validateSendAmount,
   validateSendAddress, sendAmount, symbol, handleUpdateSendAmount, receiveAddress, tx, 
-  handleSendTx, isSubmitting, ...props, }) => {
+  handleSendTx, isSubmitting, feePreset, handleChangeFeePreset, isUtxoWallet, feeRate, utxoIds,
+  updateUtxoIds, walletId, ...props, }) => {
   const balance = wallet.balances[symbol] || toBigNumber(0)
   const remainingBalance = balance && balance.minus(toBigNumber(sendAmount))
   return (
@@ -98,6 +103,16 @@ const WalletWithdrawalModal = ({ toggle, handleSubmit, asset, wallet, validateSe
                   <span className='font-xs text-muted'>Remaining Balance: <Units value={remainingBalance.gt(0) ? remainingBalance : 0} symbol={symbol} decimals={asset.decmals} showSymbol /></span>
                 </div>
               </div>
+              {isUtxoWallet && (
+                <UtxoOptions
+                  walletId={walletId}
+                  symbol={symbol}
+                  sendAmount={sendAmount}
+                  feeRate={feeRate}
+                  selectedUtxoIds={utxoIds}
+                  onChangeSelectedUtxoIds={updateUtxoIds}
+                />
+              )}
               <Button 
                 color='primary' 
                 type='submit'
@@ -120,7 +135,7 @@ const WalletWithdrawalModal = ({ toggle, handleSubmit, asset, wallet, validateSe
                   showSymbol 
                 />
               </b> to {asset.name} address <i>{receiveAddress} </i>
-              with a fee of <b>
+              with {tx.txData && tx.txData.maxFeePerGas ? 'a maximum' : 'a'} fee of <b>
                 <Units 
                   value={tx.feeAmount} 
                   precision={asset.decimals} 
@@ -129,6 +144,14 @@ const WalletWithdrawalModal = ({ toggle, handleSubmit, asset, wallet, validateSe
                 />?
               </b>
             </p>
+            {tx.feeSymbol === 'ETH' && (
+              <FeePresetSelector
+                className='mb-3'
+                value={feePreset}
+                onChange={handleChangeFeePreset}
+                disabled={isSubmitting}
+              />
+            )}
             <p className='font-sm text-muted'>** Please make sure your {wallet.typeLabel} wallet is connected and set to the correct account.</p>
             <Button 
               color='primary' 
@@ -156,9 +179,11 @@ export default compose(
     asset: (state, { symbol }) => getAsset(state, symbol),
     wallet: (state, { walletId }) => getWallet(state, walletId),
     sendAmount: (state) => getFormValue(state, 'sendAmount'),
-    receiveAddress: (state) => getFormValue(state, 'receiveAddress')
+    receiveAddress: (state) => getFormValue(state, 'receiveAddress'),
+    feeRate: (state) => getFormValue(state, 'feeRate'),
   }), {
     createWithdrawalTx,
+    recreateWithdrawalTx,
     signAndSubmitTx,
     push,
     updateHoldings
@@ -166,12 +191,28 @@ export default compose(
   withState('address', 'updateAddress', ''),
   withState('tx', 'updateTx', ''),
   withState('isSubmitting', 'updateIsSubmitting', false),
+  withState('feePreset', 'updateFeePreset', 'normal'),
+  withState('utxoIds', 'updateUtxoIds', []),
+  withProps(({ walletId, symbol }) => {
+    const walletInstance = getWalletForAsset(walletId, symbol)
+    return {
+      isUtxoWallet: Boolean(walletInstance) && typeof walletInstance.getUtxos === 'function',
+    }
+  }),
   withHandlers({
     onSubmit: ({ createWithdrawalTx, walletId, updateTx, symbol, receiveAddress, 
-      sendAmount, updateIsSubmitting }) => async () => {
+      sendAmount, updateIsSubmitting, feePreset, feeRate, utxoIds }) => async () => {
       updateIsSubmitting(true)
-      const tx = await createWithdrawalTx(walletId, receiveAddress, sendAmount, symbol)
-      updateTx(tx)
+      try {
+        const tx = await createWithdrawalTx(walletId, receiveAddress, sendAmount, symbol, {
+          feePreset,
+          feeRate: feeRate ? toNumber(feeRate) : undefined,
+          utxoIds,
+        })
+        updateTx(tx)
+      } catch (err) {
+        toastr.error(err.message)
+      }
       updateIsSubmitting(false)
     },
     validateSendAddress: ({ asset, t, wallet, }) => validator.all(
@@ -203,6 +244,17 @@ export default compose(
         updateIsSubmitting(false)
       }
     },
+    handleChangeFeePreset: ({ tx, recreateWithdrawalTx, receiveAddress, sendAmount, updateTx,
+      updateFeePreset, updateIsSubmitting }) => async (feePreset) => {
+      updateIsSubmitting(true)
+      try {
+        updateTx(await recreateWithdrawalTx(tx, receiveAddress, sendAmount, { feePreset }))
+        updateFeePreset(feePreset)
+      } catch (err) {
+        toastr.error(err.message)
+      }
+      updateIsSubmitting(false)
+    },
     handleUpdateSendAmount: ({ change }) => (value) => {
       change('sendAmount', value)
     },
@@ -4,6 +4,7 @@ import ReactDOM from 'react-dom'
 import log from 'Log'
 import { name, version } from 'Pkg'
 import Root from './Root'
+import { registerServiceWorker } from './serviceWorker'
 import './i18n'
 import OverlayScrollbars from 'overlayscrollbars'
 
@@ -13,6 +14,8 @@ ReactDOM.render((
   <Root />
 ), document.getElementById('root'))
 
+registerServiceWorker()
+
 OverlayScrollbars(document.body, {
   nativeScrollbarsOverlaid: {
     initialize: true,
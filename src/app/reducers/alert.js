@@ -0,0 +1,36 @@
+import { createReducer } from 'redux-act'
+import { omit } from 'lodash'
+
+import {
+  alertRulesRestored, alertRuleAdded, alertRuleUpdated, alertRuleRemoved, alertRuleTriggered, alertRuleReset,
+} from 'Actions/alert'
+import { createUpserter, createUpdater } from 'Utilities/helpers'
+
+export const initialState = {}
+export const alertRuleInitialState = {
+  id: '',
+  type: '',
+  symbol: undefined,
+  value: undefined,
+  currency: undefined,
+  statuses: undefined,
+  enabled: true,
+  triggered: false,
+  triggeredAt: undefined,
+  createdAt: undefined,
+}
+
+const upsert = createUpserter('id', alertRuleInitialState)
+const update = createUpdater('id')
+
+export default createReducer({
+  [alertRulesRestored]: (state, restoredState) => ({
+    ...state,
+    ...restoredState,
+  }),
+  [alertRuleAdded]: upsert,
+  [alertRuleUpdated]: update,
+  [alertRuleTriggered]: update,
+  [alertRuleReset]: update,
+  [alertRuleRemoved]: (state, { id }) => omit(state, id),
+}, initialState)
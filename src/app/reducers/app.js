@@ -5,13 +5,16 @@ import {
   initialState as commonInitialState
 } from 'Common/reducers/app'
 import { appReady, appError, updateAssetsFilterByTradeable, 
-  updateConnectForwardUrl, updateRememberWallets } from 'Actions/app'
+  updateConnectForwardUrl, updateRememberWallets, updateCostBasisMethod, cachedStateRestored } from 'Actions/app'
+import { DEFAULT_COST_BASIS_METHOD } from 'Utilities/costBasis'
 
 export default createReducer({
   ...commonReducerFunctions,
   [appReady]: (state) => ({ ...state, ready: true }),
   [updateRememberWallets]: (state, rememberWallets) => ({ ...state, rememberWallets }),
+  [updateCostBasisMethod]: (state, costBasisMethod) => ({ ...state, costBasisMethod }),
   [updateConnectForwardUrl]: (state, connectForwardUrl) => ({ ...state, connectForwardUrl }),
+  [cachedStateRestored]: (state, cachedStateRestoredAt) => ({ ...state, cachedStateRestoredAt }),
   [appError]: (state, error) => ({ ...state, error: error.message || error }),
   [updateAssetsFilterByTradeable]: (state, filterTradeableAssets) => ({ ...state, filterTradeableAssets }),
 }, {
@@ -23,5 +26,7 @@ export default createReducer({
   error: '',
   filterTradeableAssets: undefined,
   savedSwapWidgetInputs: undefined,
-  rememberWallets: 'local'
+  rememberWallets: 'local',
+  costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+  cachedStateRestoredAt: undefined,
 })
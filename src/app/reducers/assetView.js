@@ -0,0 +1,24 @@
+import { createReducer } from 'redux-act'
+import { omit } from 'lodash'
+
+import { assetViewsRestored, assetViewAdded, assetViewRemoved } from 'Actions/assetView'
+import { createUpserter } from 'Utilities/helpers'
+
+export const initialState = {}
+export const assetViewInitialState = {
+  id: '',
+  name: '',
+  query: {},
+  createdAt: undefined,
+}
+
+const upsert = createUpserter('id', assetViewInitialState)
+
+export default createReducer({
+  [assetViewsRestored]: (state, restoredState) => ({
+    ...state,
+    ...restoredState,
+  }),
+  [assetViewAdded]: upsert,
+  [assetViewRemoved]: (state, { id }) => omit(state, id),
+}, initialState)
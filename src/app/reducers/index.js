@@ -10,12 +10,16 @@ import swundle from './swundle'
 import orderModal from './orderModal'
 import settings from './settings'
 import portfolio from './portfolio'
+import portfolioHistory from './portfolioHistory'
 import wallet from './wallet'
 import app from './app'
 import accountSearch from './accountSearch'
+import alert from './alert'
+import assetView from './assetView'
 import walletPasswordPrompt from './walletPasswordPrompt'
 import connectHardwareWallet from './connectHardwareWallet'
 import tx from './tx'
+import transactionHistory from './transactionHistory'
 import rate from './rate'
 import widget from './widget'
 import withdrawal from './withdrawal'
@@ -23,19 +27,25 @@ import currency from './currency'
 import i18n from './i18n'
 import news from './news'
 import maker from './maker'
+import scheduler from './scheduler'
 
 export default combineReducers({
   app,
   i18n,
   news,
   accountSearch,
+  alert,
+  assetView,
   portfolio,
+  portfolioHistory,
   wallet,
   asset,
   affiliate,
   rate,
   maker,
+  scheduler,
   tx,
+  transactionHistory,
   swap,
   widget,
   withdrawal,
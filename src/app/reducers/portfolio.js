@@ -1,7 +1,12 @@
 import { createReducer } from 'redux-act'
 import { resetAll } from 'Actions/app'
 import { walletRemoved } from 'Actions/wallet'
-import { setCurrentPortfolio, setCurrentWallet, setCurrentPortfolioAndWallet, portfolioAdded } from 'Actions/portfolio'
+import { omit, sortBy } from 'lodash'
+import {
+  setCurrentPortfolio, setCurrentWallet, setCurrentPortfolioAndWallet, portfolioAdded,
+  targetAllocationSaved, targetAllocationRemoved, targetAllocationSelected, targetAllocationsRestored,
+  portfoliosReordered,
+} from 'Actions/portfolio'
 import { merge } from 'Utilities/helpers'
 
 const defaultPortfolioId = 'default'
@@ -10,6 +15,8 @@ const initialState = {
   currentId: defaultPortfolioId,
   currentWalletId: defaultPortfolioId,
   portfolioIds: [],
+  targetAllocations: {}, // By portfolio ID, then by allocation name
+  selectedTargetAllocations: {}, // Allocation name by portfolio ID
 }
 
 export default createReducer({
@@ -20,12 +27,53 @@ export default createReducer({
   [portfolioAdded]: (state, walletId) => merge(state, {
     portfolioIds: { $union: [walletId] }
   }),
-  [walletRemoved]: (state, { id }) => merge(state, {
-    portfolioIds: { $without: [id] },
-    currentWalletId: state.currentWalletId === id ? state.currentId : state.currentWalletId,
-    ...(state.currentId === id ? {
-      currentId: defaultPortfolioId,
-      currentWalletId: defaultPortfolioId,
-    } : {}),
+  [portfoliosReordered]: (state, { portfolioIds: order }) => ({
+    ...state,
+    // Unknown ids are ignored and portfolios missing from the order keep their relative position at the end
+    portfolioIds: sortBy(state.portfolioIds, (id) => id === defaultPortfolioId ? -1 : (order.indexOf(id) + 1 || Infinity)),
+  }),
+  [walletRemoved]: (state, { id }) => ({
+    ...merge(state, {
+      portfolioIds: { $without: [id] },
+      currentWalletId: state.currentWalletId === id ? state.currentId : state.currentWalletId,
+      ...(state.currentId === id ? {
+        currentId: defaultPortfolioId,
+        currentWalletId: defaultPortfolioId,
+      } : {}),
+    }),
+    targetAllocations: omit(state.targetAllocations, id),
+    selectedTargetAllocations: omit(state.selectedTargetAllocations, id),
+  }),
+  [targetAllocationSaved]: (state, { portfolioId, name, weights }) => ({
+    ...state,
+    targetAllocations: {
+      ...state.targetAllocations,
+      [portfolioId]: {
+        ...state.targetAllocations[portfolioId],
+        [name]: weights,
+      },
+    },
+  }),
+  [targetAllocationRemoved]: (state, { portfolioId, name }) => ({
+    ...state,
+    targetAllocations: {
+      ...state.targetAllocations,
+      [portfolioId]: omit(state.targetAllocations[portfolioId], name),
+    },
+    selectedTargetAllocations: state.selectedTargetAllocations[portfolioId] === name
+      ? omit(state.selectedTargetAllocations, portfolioId)
+      : state.selectedTargetAllocations,
+  }),
+  [targetAllocationSelected]: (state, { portfolioId, name }) => ({
+    ...state,
+    selectedTargetAllocations: {
+      ...state.selectedTargetAllocations,
+      [portfolioId]: name,
+    },
+  }),
+  [targetAllocationsRestored]: (state, { targetAllocations, selectedTargetAllocations }) => ({
+    ...state,
+    targetAllocations: targetAllocations || {},
+    selectedTargetAllocations: selectedTargetAllocations || {},
   }),
 }, initialState)
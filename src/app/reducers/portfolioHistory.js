@@ -0,0 +1,37 @@
+import { createReducer } from 'redux-act'
+import { groupBy, omit } from 'lodash'
+
+import { resetAll } from 'Actions/app'
+import { walletRemoved } from 'Actions/wallet'
+import { portfolioSnapshotsLoaded, portfolioSnapshotAdded } from 'Actions/portfolioHistory'
+
+const initialState = {
+  loaded: false,
+  snapshots: {}, // Snapshots sorted by timestamp, by portfolio ID
+}
+
+const sortByTimestamp = (snapshots) => snapshots.slice().sort((a, b) => a.timestamp - b.timestamp)
+
+export default createReducer({
+  [resetAll]: () => initialState,
+  [portfolioSnapshotsLoaded]: (state, snapshots) => ({
+    ...state,
+    loaded: true,
+    snapshots: Object.entries(groupBy(snapshots, 'portfolioId'))
+      .reduce((byId, [portfolioId, portfolioSnapshots]) => ({
+        ...byId,
+        [portfolioId]: sortByTimestamp([...(state.snapshots[portfolioId] || []), ...portfolioSnapshots]),
+      }), state.snapshots),
+  }),
+  [portfolioSnapshotAdded]: (state, snapshot) => ({
+    ...state,
+    snapshots: {
+      ...state.snapshots,
+      [snapshot.portfolioId]: sortByTimestamp([...(state.snapshots[snapshot.portfolioId] || []), snapshot]),
+    },
+  }),
+  [walletRemoved]: (state, { id }) => ({
+    ...state,
+    snapshots: omit(state.snapshots, id),
+  }),
+}, initialState)
@@ -0,0 +1,13 @@
+import { createReducer } from 'redux-act'
+import {
+  initialState as commonInitialState,
+  reducerFunctions as commonReducerFunctions
+} from 'Common/reducers/scheduler'
+
+const initialState = {
+  ...commonInitialState,
+}
+
+export default createReducer({
+  ...commonReducerFunctions,
+}, initialState)
@@ -0,0 +1,48 @@
+import { createReducer } from 'redux-act'
+
+import { resetAll } from 'Actions/app'
+import { walletRemoved } from 'Actions/wallet'
+import {
+  transactionHistoryLoading, transactionHistoryLoaded, transactionHistoryError,
+} from 'Actions/transactionHistory'
+import { getHistoryKey, historyInitialState } from 'Utilities/transactionHistory'
+
+const initialState = {} // By wallet ID and symbol, see getHistoryKey
+
+const updateHistory = (state, walletId, symbol, update) => {
+  const key = getHistoryKey(walletId, symbol)
+  return {
+    ...state,
+    [key]: {
+      ...historyInitialState,
+      ...state[key],
+      ...update,
+    },
+  }
+}
+
+export default createReducer({
+  [resetAll]: () => initialState,
+  [walletRemoved]: (state, { id }) => Object.entries(state)
+    .filter(([key]) => !key.startsWith(getHistoryKey(id, '')))
+    .reduce((result, [key, history]) => ({ ...result, [key]: history }), {}),
+  [transactionHistoryLoading]: (state, { walletId, symbol }) => updateHistory(state, walletId, symbol, {
+    loading: true,
+    error: '',
+  }),
+  [transactionHistoryLoaded]: (state, { walletId, symbol, transactions, page, hasMore, unsupported }) => {
+    const existing = state[getHistoryKey(walletId, symbol)]
+    return updateHistory(state, walletId, symbol, {
+      transactions: page > 0 && existing ? [...existing.transactions, ...transactions] : transactions,
+      page,
+      hasMore,
+      unsupported,
+      loaded: true,
+      loading: false,
+    })
+  },
+  [transactionHistoryError]: (state, { walletId, symbol, error }) => updateHistory(state, walletId, symbol, {
+    loading: false,
+    error,
+  }),
+}, initialState)
@@ -18,6 +18,8 @@ import {
   txSendingStart,
   txSendingSuccess,
   txSendingFailed,
+  txStuck,
+  txReplaced,
 } from 'Actions/tx'
 
 const initialState = {}
@@ -42,6 +44,11 @@ const txInitialState = {
   signed: false,
   sent: false,
   receipt: null,
+  sentAt: null,
+  stuck: false,
+  replacedById: '',
+  replacesTxId: '',
+  replacementType: '',
   ...txUnpersistedInitialState
 }
 
@@ -96,4 +103,14 @@ export default createReducer({
     sending: false,
     sendingError: sendingError
   }),
+  [txStuck]: (state, { id }) => updateTx(state, {
+    id,
+    stuck: true,
+  }),
+  [txReplaced]: (state, { id, replacedById, replacementType }) => updateTx(state, {
+    id,
+    stuck: false,
+    replacedById,
+    replacementType,
+  }),
 }, initialState)
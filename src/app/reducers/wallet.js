@@ -5,7 +5,7 @@ import { resetAll } from 'Actions/app'
 import {
   walletAdded, walletUpdated, walletRemoved, allWalletsRemoved, 
   walletBalancesUpdating, walletBalancesUpdated, walletBalancesError,
-  walletUsedAddressesUpdated, walletBalancesLoaded,
+  walletUsedAddressesUpdated, walletBalancesLoaded, walletBalancesRestored,
   walletOrdersLoading, walletOrdersLoaded, walletOrdersAllLoaded,
 } from 'Actions/wallet'
 import { createUpserter, createUpdater } from 'Utilities/helpers'
@@ -21,6 +21,8 @@ const walletInitialState = {
   isBlockstack: false,
   isReadOnly: false,
   isSignTxSupported: false,
+  isSignMessageSupported: false,
+  isVerifyMessageSupported: false,
   supportedAssets: [],
   nestedWalletIds: [],
   usedAddresses: [],
@@ -62,6 +64,12 @@ export default createReducer({
     balancesLoaded: true,
     balancesError: '',
   }),
+  [walletBalancesRestored]: (state, { id, balances, balancesLastUpdated }) => updateWallet(state, {
+    id,
+    balances,
+    balancesLoaded: true,
+    balancesLastUpdated,
+  }),
   [walletBalancesError]: (state, { id, error }) => updateWallet(state, {
     id,
     balancesUpdating: false,
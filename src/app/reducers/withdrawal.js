@@ -1,6 +1,7 @@
 import { createReducer } from 'redux-act'
+import { omit } from 'lodash'
 import {
-  updateWithdrawal, restoreWithdrawals, addWithdrawal
+  updateWithdrawal, restoreWithdrawals, addWithdrawal, removeWithdrawal
 } from 'Actions/withdrawal'
 import { createUpserter, createUpdater } from 'Utilities/helpers'
 
@@ -29,6 +30,7 @@ export const reducerFunctions = {
     })
   },
   [updateWithdrawal]: (state, data) => update(state, { ...data }),
+  [removeWithdrawal]: (state, { id }) => omit(state, id),
   [restoreWithdrawals]: (state, restoredState) => ({
     ...state,
     ...restoredState
@@ -37,11 +37,16 @@ const createPath = (...paths) => {
 
 export const root = createPath('/')
 export const dashboard = createPath('/dashboard')
+export const portfolios = createPath('/portfolios')
 export const settings = createPath('/settings')
+export const alertSettings = createPath(settings, '/alerts')
+export const rebalance = createPath('/rebalance')
+export const rebalanceInstructions = createPath(rebalance, '/instructions')
 export const viewOnlyAddress = createPath('/address/:addressQuery')
 export const tradeHistory = createPath('/orders')
 export const walletDepositModal = createPath('/wallets/:symbol/receive/:walletId')
 export const walletWithdrawalModal = createPath('/wallets/:symbol/send/:walletId')
+export const walletMessage = createPath('/wallets/:symbol/message/:walletId')
 export const wallets = createPath('/wallets/:symbol?')
 export const tradeWidgetDetail = createPath('/orders/widget/:tradeId')
 export const tradeDetail = createPath('/orders/:tradeId')
@@ -86,6 +91,7 @@ export const makerRetractCapacityModal = createPath('/makers/settings/retract')
 export const connectMobileWallet = createPath(connect, '/mobile/connect/:walletType')
 export const connect = createPath('/connect')
 export const connectHwWallet = createPath(connect, '/hw/:walletType')
+export const connectWalletConnect = createPath(connect, '/walletconnect')
 export const walletInfoModal = createPath(connect, '/:walletType')
 export const connectHwWalletAsset = createPath(connectHwWallet, '/:assetSymbol')
 export const connectHwWalletAssetConfirm = createPath(connectHwWalletAsset, '/confirm')
@@ -94,6 +100,9 @@ export const connectHwWalletAssetAccounts = createPath(connectHwWalletAsset, '/a
 export default {
   root,
   dashboard,
+  portfolios,
+  rebalance,
+  rebalanceInstructions,
   tradeHistory,
   tradeDetail,
   swapWidget,
@@ -105,6 +114,7 @@ export default {
   connectHwWalletAsset,
   connectHwWalletAssetConfirm,
   connectHwWalletAssetAccounts,
+  connectWalletConnect,
   viewOnlyAddress,
   assetIndex,
   assetNews,
@@ -120,10 +130,12 @@ export default {
   watchlist,
   trending,
   settings,
+  alertSettings,
   affiliateAcceptTerms,
   wallets,
   walletDepositModal,
   walletWithdrawalModal,
+  walletMessage,
   makerLogin,
   makerDashboard,
   makerSwaps,
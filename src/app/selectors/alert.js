@@ -0,0 +1,10 @@
+import { createSelector } from 'reselect'
+
+import { createItemSelector, selectItemId } from 'Utilities/selector'
+
+export const getAlertState = ({ alert }) => alert
+
+export const getAllAlertRules = createSelector(getAlertState, (alertState) => Object.values(alertState)
+  .sort((a, b) => a.createdAt - b.createdAt))
+
+export const getAlertRule = createItemSelector(getAlertState, selectItemId, (alertState, id) => alertState[id])
@@ -8,6 +8,8 @@ const getAppState = ({ app }) => app
 export const isAppReady = createSelector(getAppState, ({ ready }) => ready)
 export const getAppError = createSelector(getAppState, ({ error }) => error)
 export const shouldRememberWallets = createSelector(getAppState, ({ rememberWallets }) => rememberWallets)
+export const getCostBasisMethod = createSelector(getAppState, ({ costBasisMethod }) => costBasisMethod)
 export const isAppRestricted = createSelector(getAppState, ({ restricted }) => restricted)
 export const getTradeableAssetFilter = createSelector(getAppState, ({ filterTradeableAssets }) => filterTradeableAssets)
+export const getCachedStateRestoredAt = createSelector(getAppState, ({ cachedStateRestoredAt }) => cachedStateRestoredAt)
 export const getConnectForwardUrl = createSelector(getAppState, ({ connectForwardUrl }) => connectForwardUrl)
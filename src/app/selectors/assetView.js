@@ -0,0 +1,10 @@
+import { createSelector } from 'reselect'
+
+import { createItemSelector, selectItemId } from 'Utilities/selector'
+
+export const getAssetViewState = ({ assetView }) => assetView
+
+export const getAllAssetViews = createSelector(getAssetViewState, (assetViewState) => Object.values(assetViewState)
+  .sort((a, b) => a.createdAt - b.createdAt))
+
+export const getAssetView = createItemSelector(getAssetViewState, selectItemId, (assetViewState, id) => assetViewState[id])
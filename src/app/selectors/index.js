@@ -1,16 +1,22 @@
 export * from './accountSearch'
+export * from './alert'
 export * from './app'
 export * from './affiliate'
 export * from './asset'
+export * from './assetView'
 export * from './portfolio'
+export * from './portfolioHistory'
+export * from './profitLoss'
 export * from './priceChart'
 export * from './rate'
 export * from './router'
+export * from './scheduler'
 export * from './swap'
 export * from './swundle'
 export * from './wallet'
 export * from './walletPasswordPrompt'
 export * from './tx'
+export * from './transactionHistory'
 export * from './i18n'
 export * from './withdrawal'
 export * from './news'
@@ -1,7 +1,8 @@
 import { createSelector } from 'reselect'
 import config from 'Config'
-import { createItemSelector, currySelector } from 'Utilities/selector'
+import { createItemSelector, currySelector, selectItemId } from 'Utilities/selector'
 import { toPercentage, toBigNumber } from 'Utilities/convert'
+import { getAllocationDrift } from 'Utilities/allocation'
 import {
   getAllWallets, getWallet, getWalletWithHoldings, getWalletNestedIds, getWalletTransitiveNestedIds,
   getWalletHoldingsError, areWalletHoldingsLoaded, areWalletBalancesLoaded, getWalletLabel,
@@ -51,6 +52,52 @@ export const getCurrentPortfolioWithWalletHoldings = (state) => {
   return result
 }
 
+const getAllTargetAllocations = createSelector(getPortfolioState, ({ targetAllocations }) => targetAllocations)
+const getAllSelectedTargetAllocations = createSelector(getPortfolioState, ({ selectedTargetAllocations }) => selectedTargetAllocations)
+
+export const getTargetAllocationState = createSelector(
+  getAllTargetAllocations,
+  getAllSelectedTargetAllocations,
+  (targetAllocations, selectedTargetAllocations) => ({ targetAllocations, selectedTargetAllocations }))
+
+export const getPortfolioTargetAllocations = createItemSelector(
+  getAllTargetAllocations,
+  selectItemId,
+  (targetAllocations, portfolioId) => targetAllocations[portfolioId] || {})
+export const getCurrentPortfolioTargetAllocations = currySelector(getPortfolioTargetAllocations, getCurrentPortfolioId)
+
+/** The selected target allocation of the current portfolio as { name, weights }, or null if none */
+export const getCurrentPortfolioTargetAllocation = createSelector(
+  getCurrentPortfolioId,
+  getCurrentPortfolioTargetAllocations,
+  getAllSelectedTargetAllocations,
+  (portfolioId, targetAllocations, selectedTargetAllocations) => {
+    const name = selectedTargetAllocations[portfolioId]
+    const weights = targetAllocations[name]
+    return weights ? { name, weights } : null
+  })
+
+/**
+ * How far each asset of the current portfolio is from the selected target allocation.
+ * Null if there's no target selected or holdings aren't loaded.
+ */
+export const getCurrentPortfolioTargetDrift = createSelector(
+  getCurrentPortfolioWithHoldings,
+  getCurrentPortfolioTargetAllocation,
+  (portfolio, targetAllocation) => {
+    if (!targetAllocation || !portfolio.holdingsLoaded || portfolio.totalFiat.isZero()) {
+      return null
+    }
+    const fiatBySymbol = portfolio.assetHoldings
+      .reduce((bySymbol, { symbol, fiat }) => ({ ...bySymbol, [symbol]: fiat }), {})
+    const assets = getAllocationDrift(targetAllocation.weights, fiatBySymbol, portfolio.totalFiat)
+    return {
+      ...targetAllocation,
+      assets,
+      maxDrift: assets.length > 0 ? assets[0].drift.abs() : toBigNumber(0),
+    }
+  })
+
 export const getCurrentPortfolioWithIndividualWalletHoldings = (state) => {
   const currentPortfolio = getCurrentPortfolioWithHoldings(state)
   const result = {
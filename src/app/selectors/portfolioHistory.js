@@ -0,0 +1,27 @@
+import { createSelector } from 'reselect'
+import { createItemSelector, currySelector, selectItemId } from 'Utilities/selector'
+
+import { getCurrentPortfolioId } from './portfolio'
+import { getSelectedLabel } from './currency'
+
+const getPortfolioHistoryState = ({ portfolioHistory }) => portfolioHistory
+
+export const isPortfolioHistoryLoaded = createSelector(getPortfolioHistoryState, ({ loaded }) => loaded)
+const getAllPortfolioSnapshots = createSelector(getPortfolioHistoryState, ({ snapshots }) => snapshots)
+
+const getAllSnapshotsOfPortfolio = createItemSelector(
+  getAllPortfolioSnapshots,
+  selectItemId,
+  (allSnapshots, portfolioId) => allSnapshots[portfolioId] || [])
+
+export const getLatestPortfolioSnapshot = createItemSelector(
+  getAllSnapshotsOfPortfolio,
+  (snapshots) => snapshots[snapshots.length - 1] || null)
+
+/** Snapshots of a portfolio in the currently selected currency, sorted by timestamp */
+export const getPortfolioSnapshots = createItemSelector(
+  getAllSnapshotsOfPortfolio,
+  getSelectedLabel,
+  (snapshots, currency) => snapshots.filter((snapshot) => snapshot.currency === currency))
+
+export const getCurrentPortfolioSnapshots = currySelector(getPortfolioSnapshots, getCurrentPortfolioId)
@@ -0,0 +1,54 @@
+import { isEmpty } from 'lodash'
+import { createSelector } from 'reselect'
+import { createItemSelector } from 'Utilities/selector'
+import { ZERO, toBigNumber } from 'Utilities/convert'
+import { mapValues } from 'Utilities/helpers'
+import { getSwapTrades, getPositions, getHoldingProfitLoss } from 'Utilities/costBasis'
+
+import { getWalletWithHoldings } from './wallet'
+import { getConnectedWalletsCompletedSwaps } from './swap'
+import { getCostBasisMethod } from './app'
+import { getSelectedCurrency, getPreviousCurrency } from './currency'
+
+/** Units of the selected currency per USD, falling back the same way asset prices do */
+const getUsdRate = createSelector(
+  getSelectedCurrency,
+  getPreviousCurrency,
+  (currency, previousCurrency) => {
+    const hasRate = (c) => c && (typeof c.rate === 'number' || !isEmpty(c.rate))
+    const rate = hasRate(currency) ? currency.rate : hasRate(previousCurrency) ? previousCurrency.rate : 1
+    return toBigNumber(rate)
+  })
+
+/**
+ * Realized and unrealized gains of a wallet's holdings based on the cost of assets
+ * acquired through completed swaps.
+ */
+export const getWalletProfitLoss = createItemSelector(
+  getWalletWithHoldings,
+  getConnectedWalletsCompletedSwaps,
+  getCostBasisMethod,
+  getUsdRate,
+  (wallet, completedSwaps, method, usdRate) => {
+    if (!wallet) return null
+    const walletIds = [wallet.id, ...(wallet.transitiveNestedWalletIds || [])]
+    const positions = getPositions(getSwapTrades(completedSwaps, walletIds), method)
+    const bySymbol = mapValues(positions, (position, symbol) => {
+      const holding = wallet.assetHoldings.find((h) => h.symbol === symbol)
+      const balance = holding ? holding.balance : ZERO
+      const price = holding ? holding.price : ZERO
+      return getHoldingProfitLoss(position, balance, price, usdRate, method)
+    })
+    const sum = (field) => Object.values(bySymbol).reduce((total, pnl) => total.plus(pnl[field]), ZERO)
+    const totalCostBasis = sum('costBasis')
+    const totalUnrealized = sum('unrealized')
+    return {
+      method,
+      bySymbol,
+      totalCostBasis,
+      totalRealized: sum('realized'),
+      totalUnrealized,
+      totalUnrealizedPercent: totalCostBasis.greaterThan(0) ? totalUnrealized.div(totalCostBasis).times(100) : null,
+    }
+  }
+)
@@ -0,0 +1 @@
+export * from 'Common/selectors/scheduler'
@@ -0,0 +1,11 @@
+import { createItemSelector } from 'Utilities/selector'
+import { getHistoryKey, historyInitialState } from 'Utilities/transactionHistory'
+
+const getTransactionHistoryState = ({ transactionHistory }) => transactionHistory
+
+/** History of an asset in a wallet, selected with { walletId, symbol } */
+export const getTransactionHistory = createItemSelector(
+  getTransactionHistoryState,
+  (state, { walletId, symbol }) => getHistoryKey(walletId, symbol),
+  (historyState, key) => historyState[key] || historyInitialState,
+)
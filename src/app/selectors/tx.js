@@ -9,8 +9,24 @@ import { getAllWallets } from './wallet'
 
 export const getTxState = ({ tx }) => tx
 
-const createTxExtender = (allAssets, allWallets) => (tx) => {
-  const { walletId, outputs, receipt, assetSymbol, feeSymbol, feeAmount } = tx
+/** Follow the replacements of a tx to the most recent one */
+const getLatestReplacement = (txState, tx) => {
+  let replacement = null
+  let { replacedById } = tx
+  while (replacedById && txState[replacedById] && txState[replacedById] !== replacement) {
+    replacement = txState[replacedById]
+    replacedById = replacement.replacedById
+  }
+  return replacement
+}
+
+const createTxExtender = (allAssets, allWallets, txState) => (tx) => {
+  const { walletId, outputs, assetSymbol, feeSymbol, feeAmount } = tx
+  const replacement = getLatestReplacement(txState, tx)
+  const replacementReceipt = replacement && replacement.receipt
+  const cancelled = Boolean(replacementReceipt && replacementReceipt.confirmed && replacement.replacementType === 'cancel')
+  // A confirmed speed up stands in for the original tx
+  const receipt = tx.receipt || (replacement && replacement.replacementType === 'speedUp' && replacementReceipt) || null
   const feeAsset = allAssets[feeSymbol]
   const feeFiat = feeAsset && feeAmount ? feeAsset.price.times(feeAmount) : undefined
   const asset = allAssets[assetSymbol]
@@ -20,8 +36,11 @@ const createTxExtender = (allAssets, allWallets) => (tx) => {
     ...tx,
     asset,
     signingSupported: (allWallets[walletId] || {}).isSignTxSupported,
+    receipt,
     confirmed: receipt && receipt.confirmed,
     succeeded: receipt && receipt.succeeded,
+    replacement,
+    cancelled,
     feeAsset: feeAsset,
     feeFiat: feeFiat,
     totalOutput,
@@ -33,7 +52,7 @@ export const getAllTxs = createSelector(
   getTxState,
   getAllAssets,
   getAllWallets,
-  (txState, allAssets, allWallets) => mapValues(txState, createTxExtender(allAssets, allWallets)))
+  (txState, allAssets, allWallets) => mapValues(txState, createTxExtender(allAssets, allWallets, txState)))
 export const getAllTxsArray = createSelector(getAllTxs, Object.values)
 export const getTxsByAsset = createItemSelector(getAllTxsArray, selectItemId, (allTxs, symbol) => allTxs.filter(tx => tx.asset.symbol = symbol))
 export const getTx = createItemSelector(getAllTxs, selectItemId, (allTxs, id) => allTxs[id])
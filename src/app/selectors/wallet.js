@@ -6,6 +6,7 @@ import { fixPercentageRounding, reduceByKey, mapValues, getMaxValue } from 'Util
 import { createItemSelector, selectItemId, fieldSelector } from 'Utilities/selector'
 
 import { getAllAssets, areAssetPricesLoaded, getAssetPricesError } from './asset'
+import { getCachedStateRestoredAt } from './app'
 
 const getWalletState = ({ wallet }) => wallet
 
@@ -63,6 +64,35 @@ export const getLeafWallets = createSelector(
     .filter(({ type }) => !type.includes('MultiWallet'))
 )
 
+/** Loaded balances of every leaf wallet in the form saved to the offline state cache */
+export const getCacheableWalletBalances = createSelector(
+  getWalletState,
+  (walletState) => Object.values(walletState)
+    .filter(({ type, balancesLoaded }) => balancesLoaded && !type.includes('MultiWallet'))
+    .reduce((result, { id, balances, balancesLastUpdated }) => ({
+      ...result,
+      [id]: { balances, balancesLastUpdated },
+    }), {})
+)
+
+/**
+ * Time of the oldest wallet balances still being shown from the offline state cache,
+ * or undefined once every wallet has been refreshed.
+ */
+export const getStaleBalancesLastUpdated = createSelector(
+  getLeafWallets,
+  getCachedStateRestoredAt,
+  (wallets, restoredAt) => {
+    if (!restoredAt) {
+      return undefined
+    }
+    const staleTimes = wallets
+      .map(({ balancesLastUpdated }) => balancesLastUpdated)
+      .filter((balancesLastUpdated) => balancesLastUpdated && balancesLastUpdated < restoredAt)
+    return staleTimes.length > 0 ? Math.min(...staleTimes) : undefined
+  }
+)
+
 export const getWalletsByType = createItemSelector(getAllWalletsArray, selectItemId, (wallets, walletType) => 
   wallets.filter(({ type }) => {
     if (walletType == 'trezor') {
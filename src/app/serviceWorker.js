@@ -0,0 +1,21 @@
+import log from 'Log'
+import config from 'Config'
+
+const { isDev, isIpfs } = config
+
+/**
+ * Register the service worker generated by workbox in etc/webpack.config.app.js. It precaches
+ * the app shell and caches asset lists, price charts and news so the app can start offline.
+ */
+export const registerServiceWorker = () => {
+  if (isDev || isIpfs || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.ROUTER_BASE_NAME}/sw.js`)
+      .then(({ scope }) => log.info(`Service worker registered for ${scope}`))
+      .catch((e) => log.error('Service worker registration failed', e))
+  })
+}
+
+export default registerServiceWorker
@@ -7,18 +7,26 @@ import { pickBy } from 'lodash'
 
 import reducers from './reducers'
 import { localStorageSetJson, localStorageGetJson } from 'Utilities/storage'
+import { saveCachedState } from 'Utilities/stateCache'
+import log from 'Utilities/log'
 import { isAppReady } from 'Selectors'
 import config from 'Config'
-import { getAssetState, getTxState, getSentSwapOrderTxIds, getWithdrawalState } from 'Selectors'
+import {
+  getAssetState, getTxState, getSentSwapOrderTxIds, getWithdrawalState, getTargetAllocationState, getAlertState,
+  getAssetViewState,
+  getSwapState, getCacheableWalletBalances, getAllPortfolioIds,
+} from 'Selectors'
 import history from './history'
 import { googleAnalytics } from './reactGA'
+import { alertMiddleware } from './alertMiddleware'
 
 const { isDev } = config
 
 const middleware = [
   thunk,
   routerMiddleware(history),
-  googleAnalytics
+  googleAnalytics,
+  alertMiddleware,
 ]
 
 if (isDev && !window.__REDUX_DEVTOOLS_EXTENSION__) middleware.push(logger)
@@ -29,6 +37,15 @@ let cachedAssets
 let cachedTxs
 let cachedSwapTxIds
 let cachedWithdrawals
+let cachedTargetAllocations
+let cachedPortfolioIds
+let cachedAlerts
+let cachedAssetViews
+let cachedSwaps
+let cachedWalletBalances
+
+const saveCachedStateOrLog = (key, data) => saveCachedState(key, data)
+  .catch((e) => log.error(`Failed to cache ${key} state`, e))
 
 store.subscribe(throttle(() => {
   const state = store.getState()
@@ -51,7 +68,7 @@ store.subscribe(throttle(() => {
     }
     const assetState = getAssetState(state)
     if (assetState !== cachedAssets) {
-      localStorageSetJson('state:asset', assetState)
+      saveCachedStateOrLog('asset', assetState)
       cachedAssets = assetState
     }
     const withdrawalState = getWithdrawalState(state)
@@ -59,6 +76,36 @@ store.subscribe(throttle(() => {
       localStorageSetJson('state:withdrawal', withdrawalState)
       cachedWithdrawals = withdrawalState
     }
+    const targetAllocationState = getTargetAllocationState(state)
+    if (targetAllocationState !== cachedTargetAllocations) {
+      localStorageSetJson('state:portfolio-targetAllocation', targetAllocationState)
+      cachedTargetAllocations = targetAllocationState
+    }
+    const portfolioIds = getAllPortfolioIds(state)
+    if (portfolioIds !== cachedPortfolioIds) {
+      localStorageSetJson('state:portfolio-order', portfolioIds)
+      cachedPortfolioIds = portfolioIds
+    }
+    const alertState = getAlertState(state)
+    if (alertState !== cachedAlerts) {
+      localStorageSetJson('state:alert', alertState)
+      cachedAlerts = alertState
+    }
+    const assetViewState = getAssetViewState(state)
+    if (assetViewState !== cachedAssetViews) {
+      localStorageSetJson('state:assetView', assetViewState)
+      cachedAssetViews = assetViewState
+    }
+    const swapState = getSwapState(state)
+    if (swapState !== cachedSwaps) {
+      saveCachedStateOrLog('swap', swapState)
+      cachedSwaps = swapState
+    }
+    const walletBalances = getCacheableWalletBalances(state)
+    if (walletBalances !== cachedWalletBalances) {
+      saveCachedStateOrLog('walletBalances', walletBalances)
+      cachedWalletBalances = walletBalances
+    }
   }
 }, 1000))
 
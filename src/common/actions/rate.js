@@ -33,3 +33,12 @@ export const retrievePairData = (from, to, depositAmount, withdrawalAmount) => (
         throw new Error(message)
       })
   })
+
+/**
+ * Get a fixed rate quote for an amount of a pair. Quotes depend on the amount so, unlike
+ * retrievePairData, the result isn't stored as the market rate of the pair.
+ *
+ * @return {Promise<Object>} Pair data including the quoted deposit_amount and withdrawal_amount
+ */
+export const retrieveFixedQuote = (from, to, depositAmount, withdrawalAmount) => () =>
+  Faast.fetchPairData(`${from}_${to}`.toLowerCase(), depositAmount, withdrawalAmount)
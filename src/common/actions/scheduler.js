@@ -0,0 +1,154 @@
+import { newScopedCreateAction } from 'Utilities/action'
+import log from 'Utilities/log'
+
+const createAction = newScopedCreateAction(__filename)
+
+export const jobScheduled = createAction('JOB_SCHEDULED', (name, interval, nextRunAt) => ({ name, interval, nextRunAt }))
+export const jobRunStarted = createAction('JOB_RUN_STARTED', (name) => ({ name, lastRunAt: Date.now() }))
+export const jobRunSucceeded = createAction('JOB_RUN_SUCCEEDED', (name, nextRunAt) => ({ name, nextRunAt }))
+export const jobRunFailed = createAction('JOB_RUN_FAILED', (name, error, errorCount, nextRunAt) =>
+  ({ name, error, errorCount, nextRunAt }))
+export const jobRemoved = createAction('JOB_REMOVED', (name) => ({ name }))
+export const schedulerStatusUpdated = createAction('STATUS_UPDATED', (status) => status)
+
+/** Upper bound of the backoff delay of a failing job as a multiple of its interval */
+const MAX_BACKOFF_FACTOR = 8
+
+/** Scheduled jobs by name. Functions and timers can't go in the store so only a summary is kept there. */
+const jobs = {}
+let status = {
+  hidden: false,
+  offline: false,
+}
+let isListening = false
+
+const isPaused = () => status.hidden || status.offline
+
+const getRunDelay = ({ interval, maxInterval, errorCount }) => Math.min(interval * Math.pow(2, errorCount), maxInterval)
+
+/** Start the timer for the next run of a job. Only nextRunAt is recorded while the scheduler is paused. */
+const setRunTimer = (name, job, delay) => (dispatch) => {
+  job.nextRunAt = Date.now() + delay
+  if (!isPaused()) {
+    job.timeoutId = window.setTimeout(() => dispatch(runJob(name)), delay)
+  }
+}
+
+const runJob = (name) => (dispatch) => {
+  const job = jobs[name]
+  if (!job) {
+    return
+  }
+  job.timeoutId = null
+  job.running = true
+  dispatch(jobRunStarted(name))
+  return Promise.resolve()
+    .then(() => job.run(job.finish))
+    .then(() => {
+      job.running = false
+      if (jobs[name] !== job) {
+        return // Finished or cancelled during the run
+      }
+      job.errorCount = 0
+      dispatch(setRunTimer(name, job, getRunDelay(job)))
+      dispatch(jobRunSucceeded(name, job.nextRunAt))
+    })
+    .catch((e) => {
+      job.running = false
+      if (jobs[name] !== job) {
+        return
+      }
+      job.errorCount += 1
+      log.error(`scheduler: job ${name} failed ${job.errorCount} time(s)`, e)
+      dispatch(setRunTimer(name, job, getRunDelay(job)))
+      dispatch(jobRunFailed(name, e.message || String(e), job.errorCount, job.nextRunAt))
+    })
+}
+
+const updateStatus = (changes) => (dispatch) => {
+  const wasPaused = isPaused()
+  status = { ...status, ...changes }
+  dispatch(schedulerStatusUpdated(status))
+  if (!wasPaused && isPaused()) {
+    log.debug('scheduler: paused')
+    Object.values(jobs).forEach((job) => {
+      window.clearTimeout(job.timeoutId)
+      job.timeoutId = null
+    })
+  } else if (wasPaused && !isPaused()) {
+    log.debug('scheduler: resumed')
+    Object.entries(jobs).forEach(([name, job]) => {
+      if (!job.running) {
+        // Overdue jobs run right away
+        dispatch(setRunTimer(name, job, Math.max(0, job.nextRunAt - Date.now())))
+      }
+    })
+  }
+}
+
+/** Pause all jobs while the page is hidden or the browser is offline */
+const listenForPauseEvents = () => (dispatch) => {
+  if (isListening || typeof document === 'undefined') {
+    return
+  }
+  isListening = true
+  document.addEventListener('visibilitychange', () => dispatch(updateStatus({ hidden: document.hidden })))
+  window.addEventListener('online', () => dispatch(updateStatus({ offline: false })))
+  window.addEventListener('offline', () => dispatch(updateStatus({ offline: true })))
+  dispatch(updateStatus({
+    hidden: Boolean(document.hidden),
+    offline: typeof navigator !== 'undefined' && navigator.onLine === false,
+  }))
+}
+
+/**
+ * Run a function repeatedly until it's finished or cancelled. Failed runs are retried with
+ * exponential backoff and no runs happen while the page is hidden or offline. Scheduling a job
+ * with the name of an existing one does nothing.
+ *
+ * @param {String} name - Unique job name
+ * @param {Function} run - Called with a `finish(result)` function that stops the job. May return a promise.
+ * @param {Object} options
+ * @param {Number} options.interval - Milliseconds between runs
+ * @param {Number} [options.maxInterval=interval*8] - Maximum milliseconds between runs when backing off
+ * @param {Number} [options.delay=interval] - Milliseconds before the first run
+ * @return {Promise} Resolves to the result passed to `finish`. Never settles if the job is cancelled.
+ */
+export const scheduleJob = (name, run, { interval, maxInterval = interval * MAX_BACKOFF_FACTOR, delay = interval }) =>
+  (dispatch) => {
+    dispatch(listenForPauseEvents())
+    const existing = jobs[name]
+    if (existing) {
+      return existing.promise
+    }
+    const job = {
+      run,
+      interval,
+      maxInterval,
+      errorCount: 0,
+      running: false,
+      timeoutId: null,
+      nextRunAt: null,
+    }
+    job.promise = new Promise((resolve) => {
+      job.finish = (result) => {
+        dispatch(cancelJob(name))
+        resolve(result)
+      }
+    })
+    jobs[name] = job
+    dispatch(setRunTimer(name, job, delay))
+    dispatch(jobScheduled(name, interval, job.nextRunAt))
+    return job.promise
+  }
+
+/** Stop a job from running again. Does nothing if there's no job with the name. */
+export const cancelJob = (name) => (dispatch) => {
+  const job = jobs[name]
+  if (!job) {
+    return
+  }
+  window.clearTimeout(job.timeoutId)
+  delete jobs[name]
+  dispatch(jobRemoved(name))
+}
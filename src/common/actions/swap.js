@@ -3,10 +3,13 @@ import { newScopedCreateAction, idPayload } from 'Utilities/action'
 import log from 'Log'
 import toastr from 'Utilities/toastrWrapper'
 import { getWalletForAsset } from 'Utilities/wallet'
+import { isSwapFinalized, isDepositPollingExpired } from 'Utilities/swap'
 import { toNumber, toBigNumber } from 'Utilities/convert'
 import { retrievePairData } from 'Common/actions/rate'
-import { createTx, updateTxReceipt, pollTxReceipt } from 'Actions/tx'
+import { createTx, txRemoved, updateTxReceipt, pollTxReceipt, getTxReceiptJobName } from 'Actions/tx'
+import { scheduleJob, cancelJob } from 'Common/actions/scheduler'
 import uuid from 'uuid/v4'
+import { pick } from 'lodash'
 
 import { getSwap } from 'Common/selectors/swap'
 
@@ -68,7 +71,7 @@ export const createOrder = (swap) => (dispatch) => {
   }
   let {
     id, sendAmount, sendSymbol, receiveSymbol, sendWalletId, receiveWalletId, receiveAmount: withdrawalAmount,
-    receiveAddressExtraId, refundAddressExtraId,
+    receiveAddressExtraId, refundAddressExtraId, fixedRate = true,
   } = swap
   return Promise.resolve().then(() => {
     if (swap.error) return swap
@@ -93,7 +96,10 @@ export const createOrder = (swap) => (dispatch) => {
         const userId = sendWalletInstance ? sendWalletInstance.getId() : undefined
         const sendWalletType = getMetaWalletType(sendWalletInstance)
         const receiveWalletType = getMetaWalletType(receiveWalletInstance)
-        log.info(`Creating faast order for swap ${id}`)
+        log.info(`Creating ${fixedRate ? 'fixed' : 'floating'} rate faast order for swap ${id}`)
+        // Amounts are what lock the rate, a floating order is priced when the deposit confirms
+        const lockedSendAmount = fixedRate && sendAmount ? toNumber(sendAmount) : undefined
+        const lockedWithdrawalAmount = fixedRate && withdrawalAmount ? toNumber(withdrawalAmount) : undefined
         return Promise.all([
           swap.receiveAddress || getFreshAddress(receiveWalletInstance, receiveSymbol),
           swap.refundAddress || getFreshAddress(sendWalletInstance, sendSymbol),
@@ -102,10 +108,10 @@ export const createOrder = (swap) => (dispatch) => {
           receiveSymbol,
           receiveAddress,
           receiveAddressExtraId, // optional
-          withdrawalAmount: withdrawalAmount ? toNumber(withdrawalAmount) : undefined, // optional
+          withdrawalAmount: lockedWithdrawalAmount, // optional
           refundAddress,  // optional
           refundAddressExtraId, // optional
-          sendAmount: sendAmount ? toNumber(sendAmount) : undefined, // optional
+          sendAmount: lockedSendAmount, // optional
           userId, // optional
           meta: {
             sendWalletType, // optional
@@ -162,6 +168,28 @@ export const createSwapTx = (swap, options) => (dispatch) => Promise.resolve().t
     })
 })
 
+/**
+ * Replace the unsigned deposit tx of a swap with one created using different options (e.g. a
+ * different fee preset). The nonce of Ethereum txs is kept so swundle txs stay in order.
+ */
+export const recreateSwapTx = (swap, options) => (dispatch, getState) => Promise.resolve().then(() => {
+  const { tx = {} } = swap
+  if (tx.signed || tx.sent) {
+    throw new Error('Cannot change a deposit transaction that has already been signed')
+  }
+  return dispatch(createSwapTx(swap, {
+    ...options,
+    extraId: swap.depositAddressExtraId,
+    nonce: tx.txData ? tx.txData.nonce : undefined,
+  })).then((result) => {
+    const updatedSwap = getSwap(getState(), swap.id)
+    if (tx.id && updatedSwap.txId !== tx.id) {
+      dispatch(txRemoved({ id: tx.id }))
+    }
+    return result
+  })
+})
+
 export const createSwap = (swapParams, options) => (dispatch, getState) => {
   const swapId = (swapParams.id = swapParams.id || uuid())
   dispatch(swapAdded(swapParams))
@@ -195,28 +223,42 @@ export const createSwap = (swapParams, options) => (dispatch, getState) => {
     })
 }
 
-const updateOrderStatus = (swap) => (dispatch) => {
+/** Order fields the swap timeline is built from, updated whenever they change while polling */
+const ORDER_PROGRESS_FIELDS = [
+  'depositTxId', 'amountDeposited', 'receiveTxId', 'amountWithdrawn', 'rateLockedAt', 'rateLockedUntil',
+]
+
+const isFieldChanged = (a, b) => String(a || '') !== String(b || '')
+
+const fetchOrderStatus = (swap) => (dispatch) => {
   const { id, orderId, orderStatus } = swap
-  if (!orderId) {
-    log.info(`updateOrderStatus: swap ${id} has no orderId`)
-    return
-  }
   return Faast.fetchSwap(orderId)
     .then((order) => {
+      const changedFields = ORDER_PROGRESS_FIELDS.filter((field) => isFieldChanged(order[field], swap[field]))
+      if (changedFields.length > 0) {
+        dispatch(swapUpdated(id, pick(order, changedFields)))
+      }
       if (order.orderStatus !== orderStatus) {
         dispatch(swapOrderStatusUpdated(id, order.orderStatus))
       }
       return order
     })
+}
+
+const updateOrderStatus = (swap) => (dispatch) => {
+  const { id, orderId } = swap
+  if (!orderId) {
+    log.info(`updateOrderStatus: swap ${id} has no orderId`)
+    return Promise.resolve()
+  }
+  return dispatch(fetchOrderStatus(swap))
     .catch(log.error)
 }
 
-const isSwapFinalized = (swap) => swap && (swap.orderStatus === 'complete' || swap.orderStatus === 'failed' || swap.orderStatus === 'cancelled')
+export const getOrderStatusJobName = (swapId) => `orderStatus:${swapId}`
 
-export const pollOrderStatus = (swap) => (dispatch) => {
-  const { id, orderId, orderStatus, tx, errorType, isManual, createdAt } = swap
-  const createdAtInt = createdAt ? createdAt.getTime() : Date.now()
-  const over2DayOld = (Date.now() - createdAtInt) > 86400000 * 2
+export const pollOrderStatus = (swap) => (dispatch, getState) => {
+  const { id, orderId, orderStatus, tx, errorType, isManual } = swap
   if (!orderId) {
     log.warn(`pollOrderStatus: swap ${id} has no orderId`)
     return
@@ -230,20 +272,46 @@ export const pollOrderStatus = (swap) => (dispatch) => {
     log.debug(`pollOrderStatus: swap ${id} has unsent tx, won't poll`)
     return
   }
-  if (orderStatus === 'awaiting deposit' && over2DayOld) {
-    log.debug(`pollOrderStatus: swap ${id} is old won't poll`)
+  if (isDepositPollingExpired(swap)) {
+    // Shown in the swap timeline, which lets the user re-check the order manually
+    log.info(`pollOrderStatus: swap ${id} is still awaiting deposit after 2 days, won't poll`)
     return
   }
-  const orderStatusInterval = window.setInterval(() => {
-    dispatch(updateOrderStatus(swap))
+  dispatch(scheduleJob(getOrderStatusJobName(id), (finish) => {
+    // Use the latest swap so status changes are only dispatched once
+    const latestSwap = getSwap(getState(), id) || swap
+    return dispatch(fetchOrderStatus(latestSwap))
       .then((order) => {
         if (isSwapFinalized(order)) {
-          clearInterval(orderStatusInterval)
+          finish(order)
         }
       })
-  }, 10000)
+  }, { interval: 10000 }))
+}
 
-  window.faast.intervals.orderStatus.push(orderStatusInterval)
+/**
+ * Have the backend re-check an order for deposits and withdrawals right away, then resume polling
+ * it if the order has progressed since it stopped being checked automatically.
+ */
+export const recheckSwap = (swapId) => (dispatch, getState) => {
+  const swap = getSwap(getState(), swapId)
+  if (!swap || !swap.orderId) {
+    return Promise.reject(new Error(`Cannot re-check swap ${swapId} without an order`))
+  }
+  return dispatch(refreshSwap(swap.orderId))
+    .then(() => {
+      const updatedSwap = getSwap(getState(), swap.id)
+      dispatch(pollOrderStatus(updatedSwap))
+      return updatedSwap
+    })
+}
+
+/** Cancel the order status and deposit tx receipt polling of a swap */
+export const stopSwapPolling = (swap) => (dispatch) => {
+  dispatch(cancelJob(getOrderStatusJobName(swap.id)))
+  if (swap.txId) {
+    dispatch(cancelJob(getTxReceiptJobName(swap.txId)))
+  }
 }
 
 export const restoreSwapPolling = (swapId) => (dispatch, getState) => {
@@ -253,8 +321,8 @@ export const restoreSwapPolling = (swapId) => (dispatch, getState) => {
     return
   }
   return Promise.all([
-    swap.txId ? updateTxReceipt(swap.txId) : null,
-    updateOrderStatus(swap)
+    swap.txId ? dispatch(updateTxReceipt(swap.txId)) : null,
+    dispatch(updateOrderStatus(swap))
   ]).then(() => {
     swap = getSwap(getState(), swap.id)
     const { tx } = swap
@@ -262,7 +330,7 @@ export const restoreSwapPolling = (swapId) => (dispatch, getState) => {
       dispatch(pollTxReceipt(swap.txId))
         .then(() => {
           Faast.provideSwapDepositTx(swap.orderId, tx.hash)
-          return pollOrderStatus(swap)
+          return dispatch(pollOrderStatus(swap))
         })
     } else {
       dispatch(pollOrderStatus(swap))
@@ -14,8 +14,14 @@ export const reducerFunctions = {
   [restrictionsError]: (state, error) => ({ ...state, error }),
   [updateLanguage]: (state, { language }) => ({ ...state, language }),
   [toggleFeedbackForm]: (state, { showFeedbackForm, requestedAsset }) => ({ ...state, showFeedbackForm, requestedAsset }),
-  [updateSwapWidgetInputs]: (state, { to, from, toAddress, fromAddress, toAmount, fromAmount, sendWalletId, receiveWalletId }) => 
-    ({ ...state, savedSwapWidgetInputs: { to, from, toAddress, fromAddress, toAmount, fromAmount, sendWalletId, receiveWalletId } }),
+  [updateSwapWidgetInputs]: (state, {
+    to, from, toAddress, fromAddress, toAmount, fromAmount, sendWalletId, receiveWalletId, fixedRate,
+  }) => ({
+    ...state,
+    savedSwapWidgetInputs: {
+      to, from, toAddress, fromAddress, toAmount, fromAmount, sendWalletId, receiveWalletId, fixedRate,
+    },
+  }),
 }
 
 export default createReducer(reducerFunctions, initialState)
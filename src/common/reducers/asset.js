@@ -9,6 +9,7 @@ import {
 import { watchlistUpdated } from 'Actions/asset'
 import { toBigNumber, ZERO } from 'Utilities/convert'
 import { createUpserter, createUpdater, mapValues } from 'Utilities/helpers'
+import { isAssetAvailable } from 'Utilities/networks'
 
 export const initialState = {
   loading: false,
@@ -62,6 +63,17 @@ const priceDataToAsset = (priceData) => {
   }
 }
 
+/** Assets without a test network can't be swapped in testnet mode */
+const withSwapSupport = (asset) => {
+  const isAvailable = isAssetAvailable(asset.symbol)
+  return {
+    ...asset,
+    deposit: asset.deposit && isAvailable,
+    receive: asset.receive && isAvailable,
+    swapEnabled: asset.deposit && asset.receive && isAvailable,
+  }
+}
+
 const upsertAsset = createUpserter('symbol', assetInitialState)
 const updateAsset = createUpdater('symbol')
 
@@ -71,7 +83,7 @@ export const reducerFunctions = {
     loading: false,
     pricesLoading: false,
     data: mapValues(restoredState.data, (asset) => ({
-      ...asset,
+      ...withSwapSupport(asset),
       priceLoading: false,
     })),
   }),
@@ -82,10 +94,7 @@ export const reducerFunctions = {
   }),
   [assetsLoaded]: (state, assetArray) => ({
     ...state,
-    data: assetArray.reduce((allAssets, asset) => upsertAsset(allAssets, {
-      ...asset,
-      swapEnabled: asset.deposit && asset.receive
-    }), pick(state.data, assetArray.map(({ symbol }) => symbol))), // Removes any old assets not included in new assetArray
+    data: assetArray.reduce((allAssets, asset) => upsertAsset(allAssets, withSwapSupport(asset)), pick(state.data, assetArray.map(({ symbol }) => symbol))), // Removes any old assets not included in new assetArray
     loading: false,
     loaded: true,
     loadingError: initialState.loadingError,
@@ -0,0 +1,47 @@
+import { createReducer } from 'redux-act'
+import { omit } from 'lodash'
+
+import { createUpdater, createUpserter } from 'Utilities/helpers'
+import {
+  jobScheduled, jobRunStarted, jobRunSucceeded, jobRunFailed, jobRemoved, schedulerStatusUpdated,
+} from 'Common/actions/scheduler'
+
+export const initialState = {
+  hidden: false,
+  offline: false,
+  jobs: {},
+}
+
+const jobInitialState = {
+  name: '',
+  interval: 0,
+  nextRunAt: null,
+  lastRunAt: null,
+  running: false,
+  errorCount: 0,
+  error: '',
+}
+
+const upsertJob = createUpserter('name', jobInitialState)
+const updateJob = createUpdater('name')
+
+const updateJobs = (updater) => (state, payload) => ({
+  ...state,
+  jobs: updater(state.jobs, payload),
+})
+
+export const reducerFunctions = {
+  [jobScheduled]: updateJobs(upsertJob),
+  [jobRunStarted]: updateJobs((jobs, payload) => updateJob(jobs, { ...payload, running: true })),
+  [jobRunSucceeded]: updateJobs((jobs, payload) => updateJob(jobs, {
+    ...payload,
+    running: false,
+    errorCount: 0,
+    error: '',
+  })),
+  [jobRunFailed]: updateJobs((jobs, payload) => updateJob(jobs, { ...payload, running: false })),
+  [jobRemoved]: updateJobs((jobs, { name }) => omit(jobs, name)),
+  [schedulerStatusUpdated]: (state, { hidden, offline }) => ({ ...state, hidden, offline }),
+}
+
+export default createReducer(reducerFunctions, initialState)
@@ -47,6 +47,7 @@ export const commonSwapInitialState: SwapState = {
   receiveSymbol: '',
   spotRate: undefined,
   rate: undefined,
+  withdrawalFee: undefined,
   rateLockedAt: null,
   rateLockedUntil: null,
   amountDeposited: undefined,
@@ -60,6 +61,7 @@ export const commonSwapInitialState: SwapState = {
   withdrawalAddressExtraId: undefined,
   refundAddressExtraId: undefined,
   marketMakerName: undefined,
+  valueUsd: undefined,
 }
 
 const upsert = createUpserter('id', commonSwapInitialState)
@@ -3,6 +3,7 @@ import { createSelector } from 'reselect'
 import { toBigNumber } from 'Utilities/convert'
 import { mapValues } from 'Utilities/helpers'
 import { createItemSelector, selectItemId, fieldSelector } from 'Utilities/selector'
+import { filterAssets } from 'Utilities/assetIndex'
 import { getSelectedCurrency, getPreviousCurrency } from 'Selectors/currency'
 
 import Config from 'Config'
@@ -86,3 +87,10 @@ export const getAssetIndexPage = createItemSelector(
   (allAssets, { page, limit, sortField }) => {
     return allAssets.sort((a, b) => b[sortField].comparedTo(a[sortField])).slice(page * limit, page * limit + limit)
   })
+
+/** All assets matching the asset index filters, sorted by sortField descending */
+export const getFilteredAssetIndex = createItemSelector(
+  getAllAssetsArray,
+  selectItemId,
+  (allAssets, { filters, sortField }) => filterAssets(allAssets, filters)
+    .sort((a, b) => b[sortField].comparedTo(a[sortField])))
@@ -0,0 +1,14 @@
+import { createSelector } from 'reselect'
+import { createItemSelector, selectItemId, fieldSelector } from 'Utilities/selector'
+
+export const getSchedulerState = ({ scheduler }) => scheduler
+
+export const getAllJobs = createSelector(getSchedulerState, ({ jobs }) => jobs)
+export const isSchedulerPaused = createSelector(getSchedulerState, ({ hidden, offline }) => hidden || offline)
+export const isOffline = createSelector(getSchedulerState, fieldSelector('offline'))
+
+export const getJob = createItemSelector(
+  getAllJobs,
+  selectItemId,
+  (allJobs, name) => allJobs[name])
+export const getJobNextRunAt = createItemSelector(getJob, fieldSelector('nextRunAt'))
@@ -16,6 +16,19 @@ const isIpfs = process.env.IPFS === 'true'
 const isMocking = process.env.MOCK === 'true'
 const DEPLOY_ENV = process.env.DEPLOY_ENV || 'local' // can be production, staging, develop, or local
 
+// Testnet mode is forced on for a build with TESTNET=true, or switched on in Settings which stores it locally
+function isTestnetEnabled() {
+  if (process.env.TESTNET === 'true') {
+    return true
+  }
+  try {
+    return typeof window !== 'undefined' && window.localStorage.getItem('testnet') === 'true'
+  } catch (e) {
+    return false
+  }
+}
+const isTestnet = isTestnetEnabled()
+
 // Leave empty when not deploying behind a specific domain
 const siteRoot = process.env.SITE_ROOT || ''
 
@@ -27,9 +40,21 @@ module.exports = {
   isProd,
   isIpfs,
   isMocking,
+  isTestnet,
   siteRoot,
   siteUrl: siteRoot || 'https://faa.st',
-  apiUrl: process.env.API_URL || 'https://api.faa.st',
+  apiUrl: process.env.API_URL || (isTestnet ? 'https://testapi.faa.st' : 'https://api.faa.st'),
+  // Optional endpoints of a local node to use in testnet mode instead of the public testnets
+  testnetUrls: {
+    web3: process.env.TESTNET_WEB3_URL,
+    BTC: process.env.TESTNET_BTC_BITCORE_URL,
+    LTC: process.env.TESTNET_LTC_BITCORE_URL,
+    XRP: process.env.TESTNET_XRP_URL,
+  },
+  // Project registered with WalletConnect and the relay used to pair with mobile wallets. WalletConnect
+  // is hidden unless a project ID is set
+  walletConnectProjectId: process.env.WALLETCONNECT_PROJECT_ID,
+  walletConnectRelayUrl: process.env.WALLETCONNECT_RELAY_URL || 'wss://relay.walletconnect.com',
   logLevel: process.env.LOG_LEVEL || (isDev ? 'debug' : 'info'),
   auth0: {
     domain: DEPLOY_ENV == 'production' ? 'login.faa.st' : 'faast-staging.eu.auth0.com',
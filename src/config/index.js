@@ -14,10 +14,19 @@ BigNumber.config({ FORMAT: {
   fractionGroupSize: 0
 } })
 
+const { isTestnet, testnetUrls } = envConfig
+
 export default {
   ...envConfig,
-  web3Provider: 'https://mainnet.infura.io/v3/6c0b732cae674991b713c9b18ffdd0d3',
-  ethereumChainId: 1,
+  web3Provider: isTestnet
+    ? (testnetUrls.web3 || 'https://sepolia.infura.io/v3/6c0b732cae674991b713c9b18ffdd0d3')
+    : 'https://mainnet.infura.io/v3/6c0b732cae674991b713c9b18ffdd0d3',
+  ethereumChainId: isTestnet ? 11155111 : 1, // Sepolia in testnet mode
+  rippleServer: isTestnet
+    ? (testnetUrls.XRP || 'wss://s.altnet.rippletest.net:51233')
+    : 'wss://s1.ripple.com',
+  // Etherscan compatible explorer API used for ETH transaction history
+  ethereumHistoryApiUrl: isTestnet ? 'https://eth-sepolia.blockscout.com/api' : 'https://eth.blockscout.com/api',
   encrOpts: {
     kdf: 'scrypt',
     n: 1024
@@ -33,7 +42,12 @@ export default {
     affiliate_fixed_fee: 0.02,
     terms_version: 2 // use whole numbers
   },
-  explorerUrls: {
+  explorerUrls: isTestnet ? {
+    BTC: 'https://blockstream.info/testnet',
+    ETH: 'https://sepolia.etherscan.io',
+    LTC: 'https://litecoinspace.org/testnet',
+    XRP: 'https://testnet.xrpl.org',
+  } : {
     BTC: 'https://blockchain.info',
     ETH: 'https://etherscan.io',
     LTC: 'https://live.blockcypher.com/ltc',
@@ -9,6 +9,7 @@ import parityLogo from '../../res/img/wallet/parity.svg'
 import coinbaseLogo from '../../res/img/wallet/coinbase.png'
 import trustLogo from '../../res/img/wallet/trust.png'
 import statusLogo from '../../res/img/wallet/status.png'
+import walletConnectLogo from '../../res/img/wallet/walletconnect.svg'
 
 import ledgerGraphic from '../../res/img/wallet/ledgerGraphic.png'
 import trezorGraphic from '../../res/img/wallet/trezorGraphic.png'
@@ -170,5 +171,15 @@ export default {
     howTo: 'https://medium.com/faast/how-to-use-status-mobile-ethereum-wallet-with-faast-4936620e96fd',
     active: true,
     translationKey: 'app.walletTypes.status',
-  }
+  },
+  walletconnect: {
+    name: 'WalletConnect',
+    website: 'https://walletconnect.org/',
+    icon: walletConnectLogo,
+    walletConnect: true,
+    slogan: 'Connect your mobile wallet by scanning a QR code.',
+    description: 'WalletConnect pairs Faa.st with Ethereum wallets on your phone. Transactions are sent to your phone to approve, your keys never leave it.',
+    active: true,
+    translationKey: 'app.walletTypes.walletconnect',
+  },
 }
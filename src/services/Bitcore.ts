@@ -24,9 +24,12 @@ import log from 'Utilities/log'
 import {
   estimateTxFee, getPaymentTypeForHdKey, convertHdKeyAddressEncoding, isSegwitSupported,
 } from 'Utilities/bitcoin'
-import networks, { NetworkConfig } from 'Utilities/networks'
+import networks, { NetworkConfig, AddressEncoding } from 'Utilities/networks'
 import { FeeRate } from 'Types'
 
+/** Address encodings that hd-wallet account discovery can handle */
+export const DISCOVERY_ADDRESS_ENCODINGS: AddressEncoding[] = ['P2PKH', 'P2SH-P2WPKH']
+
 // setting up workers
 const xpubWasmFilePromise = fetch(xpubWasmFile)
     .then((response) => response.ok ? response.arrayBuffer() : Promise.reject('failed to load fastxpub.wasm'))
@@ -58,6 +61,11 @@ export type PaymentTx = {
   isSegwit: boolean,
 }
 
+/** Identifier of a utxo that's unique within an account */
+export function getUtxoId({ transactionHash, index }: BaseUtxoInfo): string {
+  return `${transactionHash}:${index}`
+}
+
 /**
  * Sort the utxos for input selection
  */
@@ -107,7 +115,7 @@ export class Bitcore extends BitcoreBlockchain {
       .then(() => {
         const paymentType = getPaymentTypeForHdKey(hdKey, this.network)
         const { addressEncoding } = paymentType
-        if (!(['P2PKH', 'P2SH-P2WPKH']).includes(addressEncoding)) {
+        if (!DISCOVERY_ADDRESS_ENCODINGS.includes(addressEncoding)) {
           throw new Error(`discoverAccount does not support ${addressEncoding} addressEncoding`)
         }
 
@@ -166,6 +174,8 @@ export class Bitcore extends BitcoreBlockchain {
    * @param {Boolean} [isSegwit=true] - True if this is a segwit transaction
    * @param {Number} [dustThreshold=546] - A change output will only be included when greater than this value.
    *   Otherwise it will be included as a fee instead (unit: satoshi)
+   * @param {String[]} [utxoIds] - IDs (see getUtxoId) of the exact utxos to spend. All of them are used as inputs.
+   *   Selected automatically when omitted.
    * @returns {Object}
    */
   buildPaymentTx(
@@ -174,10 +184,20 @@ export class Bitcore extends BitcoreBlockchain {
     feeRate: FeeRate | number,
     isSegwit = true,
     dustThreshold?: number,
+    utxoIds?: string[],
   ): PaymentTx {
     const { utxos, changeIndex, changeAddresses } = account
     let changeAddress = changeAddresses[changeIndex]
-    const sortedUtxos = sortUtxos(utxos)
+    const isCoinControl = Array.isArray(utxoIds) && utxoIds.length > 0
+    let sortedUtxos: UtxoInfo[]
+    if (isCoinControl) {
+      sortedUtxos = utxos.filter((utxo) => utxoIds.includes(getUtxoId(utxo)))
+      if (sortedUtxos.length !== utxoIds.length) {
+        throw new Error('Some of the selected UTXOs are no longer available, please select them again')
+      }
+    } else {
+      sortedUtxos = sortUtxos(utxos)
+    }
 
     if (isSegwit && !isSegwitSupported(this.network)) {
       throw new Error(`Segwit not supported for ${this.network.symbol}`)
@@ -228,7 +248,7 @@ export class Bitcore extends BitcoreBlockchain {
       amountWithFee = outputTotal + fee
       inputTotal = inputTotal + utxo.value
       inputUtxos.push(utxo)
-      if (inputTotal >= amountWithFee) {
+      if (!isCoinControl && inputTotal >= amountWithFee) {
         break
       }
     }
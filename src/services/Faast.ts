@@ -173,6 +173,7 @@ export const formatOrderResult = (r: any): SwapOrder => ({
   refundAddress: r.refund_address,
   spotRate: r.spot_price ? toBigNumber(r.spot_price) : null,
   rate: r.price ? toBigNumber(r.price) : null,
+  withdrawalFee: r.withdrawal_fee ? toBigNumber(r.withdrawal_fee) : null,
   rateLockedAt: r.price_locked_at ? new Date(r.price_locked_at) : null,
   rateLockedUntil: r.price_locked_until ? new Date(r.price_locked_until) : null,
   amountDeposited: r.amount_deposited ? toBigNumber(r.amount_deposited) : null,
@@ -20,6 +20,16 @@ export default class LedgerBtc {
   serializeTransaction = proxy(AppBtc, 'serializeTransaction')
   displayTransactionDebug = proxy(AppBtc, 'displayTransactionDebug')
 
+  /** Sign a message with the key at derivationPath. Resolves the base64 encoded signature. */
+  signMessage(derivationPath: string, message: string): Promise<string> {
+    return this.signMessageNew(derivationPath, Buffer.from(message, 'utf8').toString('hex'))
+      .then(({ v, r, s }) => {
+        // Header byte of a signature by a compressed public key
+        const header = v + 27 + 4
+        return Buffer.from(header.toString(16) + r + s, 'hex').toString('base64')
+      })
+  }
+
   getHdAccount(network: NetworkConfig, derivationPath: string): Promise<HdAccount> {
     return this.getWalletPublicKey(derivationPath)
       .then(({ publicKey, chainCode }) => {
@@ -1,4 +1,5 @@
 import { RippleAPI } from 'ripple-lib'
+import config from 'Config'
 import log from 'Log'
 
 export { RippleAPI }
@@ -16,7 +17,7 @@ export async function connectRippleAPI() {
     try {
       if (!api) {
         api = new RippleAPI({
-          server: 'wss://s1.ripple.com',
+          server: config.rippleServer,
         })
       }
       if (!api.isConnected()) {
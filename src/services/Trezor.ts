@@ -10,6 +10,7 @@ import {
   PublicKey,
   SignedTransaction,
   EthereumSignedTransaction,
+  SignedMessage,
 } from 'trezor-connect'
 
 // tslint:disable-next-line:no-var-requires
@@ -52,6 +53,21 @@ export function convertAddressFormat(assetSymbol: string, address: string): stri
   return address
 }
 
+/** Oldest firmware able to sign EIP-1559 transactions, by device model */
+const EIP1559_MIN_FIRMWARE: { [model: string]: number[] } = {
+  1: [1, 10, 4],
+  T: [2, 4, 2],
+}
+
+function isVersionAtLeast(version: number[], minimum: number[]): boolean {
+  for (let i = 0; i < minimum.length; i++) {
+    if (version[i] !== minimum[i]) {
+      return version[i] > minimum[i]
+    }
+  }
+  return true
+}
+
 function isResultSuccess<T>(result: ResponseMessage<T>): result is ResponseSuccess<T> {
   return result.success === true
 }
@@ -106,21 +122,27 @@ export class TrezorService {
     tx: {
       to: string,
       value: string | number,
-      gasPrice: string | number,
+      gasPrice?: string | number,
+      maxFeePerGas?: string | number,
+      maxPriorityFeePerGas?: string | number,
       gas: string | number,
       nonce: string | number,
       data?: string,
       chainId?: number,
     },
   ): Promise<EthereumSignedTransaction> {
-    const { to, value, gas, gasPrice, nonce, data, chainId } = tx
+    const { to, value, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce, data, chainId } = tx
+    // Type-2 transactions have fee caps instead of a gas price
+    const feeFields = maxFeePerGas
+      ? { maxFeePerGas: toHex(maxFeePerGas), maxPriorityFeePerGas: toHex(maxPriorityFeePerGas) }
+      : { gasPrice: toHex(gasPrice) }
     return TrezorConnect.ethereumSignTransaction(log.debugInline('TrezorConnect.ethereumSignTransaction', {
       path: derivationPath,
       transaction: {
         to,
         value: toHex(value),
         gasLimit: toHex(gas),
-        gasPrice: toHex(gasPrice),
+        ...feeFields,
         nonce: toHex(nonce),
         data,
         chainId,
@@ -128,10 +150,39 @@ export class TrezorService {
     })).then(handleResult)
   }
 
+  /** Resolves true if the connected device has firmware that can sign EIP-1559 (type-2) transactions */
+  isEip1559Supported(): Promise<boolean> {
+    return TrezorConnect.getFeatures()
+      .then(handleResult)
+      .then((features: { model: string, major_version: number, minor_version: number, patch_version: number }) => {
+        const minimum = EIP1559_MIN_FIRMWARE[features.model]
+        const version = [features.major_version, features.minor_version, features.patch_version]
+        log.debug(`Trezor model ${features.model} firmware ${version.join('.')}`)
+        return Boolean(minimum) && isVersionAtLeast(version, minimum)
+      })
+  }
+
+  /** Sign a message with a Bitcoin-like account address. Signature is base64 encoded. */
+  signMessage(network: NetworkConfig, derivationPath: string, message: string): Promise<SignedMessage> {
+    return TrezorConnect.signMessage(log.debugInline('TrezorConnect.signMessage', {
+      coin: (network.hardwareCoin || network.symbol).toLowerCase(),
+      path: derivationPath,
+      message,
+    })).then(handleResult)
+  }
+
+  /** Sign a message the way personal_sign does. Signature is hex encoded without a 0x prefix. */
+  signEthereumMessage(derivationPath: string, message: string): Promise<SignedMessage> {
+    return TrezorConnect.ethereumSignMessage(log.debugInline('TrezorConnect.ethereumSignMessage', {
+      path: derivationPath,
+      message,
+    })).then(handleResult)
+  }
+
   getHdAccount(network: NetworkConfig, derivationPath: string): Promise<HdAccount> {
     const assetSymbol = network.symbol
     log.debug('Trezor.getHdAccount', assetSymbol, derivationPath)
-    return this.getXPubKey(assetSymbol, derivationPath)
+    return this.getXPubKey(network.hardwareCoin || assetSymbol, derivationPath)
       .then((result) => {
         log.debug(`Trezor.getXPubKey for ${assetSymbol} success`)
         const { xpub, serializedPath } = result
@@ -188,7 +239,7 @@ export class TrezorService {
           script_type: isSegwit ? 'PAYTOP2SHWITNESS' : 'PAYTOADDRESS',
         })
       }
-      return this.signTx(assetSymbol, trezorInputs, trezorOutputs)
+      return this.signTx(network.hardwareCoin || assetSymbol, trezorInputs, trezorOutputs)
         .then((result) => {
           log.info('Trezor transaction signed', result)
           const { serializedTx: signedTxData } = result
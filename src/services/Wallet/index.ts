@@ -5,16 +5,18 @@ if (typeof window === 'undefined') {
 export * from './lib'
 
 import queryString from 'query-string'
+import config from 'Config'
 import log from 'Utilities/log'
 import blockstack from 'Utilities/blockstack'
 import { sessionStorageGet, sessionStorageSet, sessionStorageRemove,
   sessionStorageForEach, localStorageSet, localStorageGet, localStorageRemove,
   localStorageForEach } from 'Utilities/storage'
-import { Wallet, WalletSerializer, MultiWallet } from './lib'
+import { Wallet, WalletSerializer, MultiWallet, EthereumWalletWalletConnect } from './lib'
 import { AssetProvider } from './lib/types'
 
 const legacyStorageKey = 'wallet'
-const walletStorageKeyPrefix = 'faast-wallet-'
+// Testnet wallets are stored apart so they're never restored with mainnet network configs
+const walletStorageKeyPrefix = config.isTestnet ? 'faast-testnet-wallet-' : 'faast-wallet-'
 const multiWalletStorageKeyPrefix = 'faast-multiwallet-' // Deprecated
 
 const walletStorageKey = (id: string) => `${walletStorageKeyPrefix}${id}`
@@ -259,6 +261,13 @@ export class WalletService {
     this.restoreLegacy()
     this.restoreQueryString()
     this.restoreBlockstack()
+    // Sessions saved by the v1 WalletConnect client can't be resumed by the v2 sign client
+    Object.values(this.activeWallets)
+      .filter((wallet) => wallet instanceof EthereumWalletWalletConnect && wallet.session && !wallet.session.topic)
+      .forEach((wallet) => {
+        log.info(`removing WalletConnect wallet ${wallet.getId()} with a v1 session`)
+        this.remove(wallet)
+      })
     // Filter invalid wallet references
     const activeWalletIds = new Set(Object.keys(this.activeWallets))
     const activeWalletsList = Object.values(this.activeWallets)
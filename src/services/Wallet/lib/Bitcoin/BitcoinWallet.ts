@@ -1,3 +1,4 @@
+import config from 'Config'
 import log from 'Utilities/log'
 import { fetchGet } from 'Utilities/fetch'
 import networks from 'Utilities/networks'
@@ -7,6 +8,7 @@ import BitcoreWallet from '../BitcoreWallet'
 import { Asset } from 'Types'
 import { BitcoreTransaction, FeeRate } from '../types'
 
+const FEE_RATE_URL = `https://api.blockcypher.com/v1/btc/${config.isTestnet ? 'test3' : 'main'}`
 const DEFAULT_FEE_PER_BYTE = 50
 
 export default abstract class BitcoinWallet extends BitcoreWallet {
@@ -26,7 +28,7 @@ export default abstract class BitcoinWallet extends BitcoreWallet {
     asset: Asset,
     { level = 'high' }: { level?: 'high' | 'medium' | 'low' } = {},
   ): Promise<FeeRate> {
-    return fetchGet('https://api.blockcypher.com/v1/btc/main')
+    return fetchGet(FEE_RATE_URL)
       .then((result) => {
         const feePerKb = result[`${level}_fee_per_kb`] || (DEFAULT_FEE_PER_BYTE * 1000)
         return feePerKb / 1000
@@ -0,0 +1,26 @@
+import networks from 'Utilities/networks'
+
+import BitcoinWallet from './BitcoinWallet'
+import { toViewOnlyHdKey } from '../BitcoreWallet'
+import { BitcoreTransaction } from '../types'
+
+export default class BitcoinWalletViewOnly extends BitcoinWallet {
+
+  static type = 'BitcoinWalletViewOnly'
+
+  constructor(xpub: string, label?: string) {
+    super(toViewOnlyHdKey(xpub, networks.BTC), null, label)
+  }
+
+  getType() { return BitcoinWalletViewOnly.type }
+
+  getTypeLabel() { return 'View only' }
+
+  getLabel() { return this.label || `${this._network.name} ${this._obfuscatedXpub}` }
+
+  isReadOnly() { return true }
+
+  _signTx(): Promise<Partial<BitcoreTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot sign transactions`))
+  }
+}
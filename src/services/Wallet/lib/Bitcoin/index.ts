@@ -1,3 +1,4 @@
 export { default as BitcoinWallet } from './BitcoinWallet'
 export { default as BitcoinWalletTrezor } from './BitcoinWalletTrezor'
 export { default as BitcoinWalletLedger } from './BitcoinWalletLedger'
+export { default as BitcoinWalletViewOnly } from './BitcoinWalletViewOnly'
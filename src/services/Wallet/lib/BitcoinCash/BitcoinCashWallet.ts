@@ -26,6 +26,10 @@ export default abstract class BitcoinCashWallet extends BitcoreWallet {
     return this.label || `${this._network.name} account #${this.getAccountNumber()}`
   }
 
+  _toBitcoinJsAddress(address: string) {
+    return bchaddr.toLegacyAddress(address)
+  }
+
   _getDefaultFeeRate(
     asset: Asset,
   ): Promise<FeeRate> {
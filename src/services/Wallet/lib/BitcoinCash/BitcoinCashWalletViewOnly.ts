@@ -0,0 +1,26 @@
+import networks from 'Utilities/networks'
+
+import BitcoinCashWallet from './BitcoinCashWallet'
+import { toViewOnlyHdKey } from '../BitcoreWallet'
+import { BitcoreTransaction } from '../types'
+
+export default class BitcoinCashWalletViewOnly extends BitcoinCashWallet {
+
+  static type = 'BitcoinCashWalletViewOnly'
+
+  constructor(xpub: string, label?: string) {
+    super(toViewOnlyHdKey(xpub, networks.BCH), null, label)
+  }
+
+  getType() { return BitcoinCashWalletViewOnly.type }
+
+  getTypeLabel() { return 'View only' }
+
+  getLabel() { return this.label || `${this._network.name} ${this._obfuscatedXpub}` }
+
+  isReadOnly() { return true }
+
+  _signTx(): Promise<Partial<BitcoreTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot sign transactions`))
+  }
+}
@@ -1,3 +1,4 @@
 export { default as BitcoinCashWallet } from './BitcoinCashWallet'
 export { default as BitcoinCashWalletTrezor } from './BitcoinCashWalletTrezor'
 export { default as BitcoinCashWalletLedger } from './BitcoinCashWalletLedger'
+export { default as BitcoinCashWalletViewOnly } from './BitcoinCashWalletViewOnly'
@@ -0,0 +1,111 @@
+import { toMainDenomination } from 'Utilities/convert'
+import { ellipsize } from 'Utilities/display'
+import { fetchGet } from 'Utilities/fetch'
+import { getBitcore, Bitcore } from 'Services/Bitcore'
+import networks, { NetworkConfig } from 'Utilities/networks'
+import { getDefaultFormat, getFormats } from 'Utilities/addressFormat'
+
+import Wallet from './Wallet'
+
+import { Asset } from 'Types'
+import { Amount, BitcoreTransaction, FeeRate, Receipt } from './types'
+
+interface AddressInfo {
+  balance: string
+  unconfirmedBalance: string
+}
+
+/**
+ * View only wallet for a single address of a Bitcoin based asset (e.g. one found using address search)
+ * as opposed to BitcoinWalletViewOnly and friends which require an extended public key.
+ */
+export default class BitcoreAddressWalletViewOnly extends Wallet {
+
+  static type = 'BitcoreAddressWalletViewOnly'
+
+  address: string
+  _network: NetworkConfig
+  _bitcore: Bitcore
+
+  constructor(public assetSymbol: string, address: string, label?: string) {
+    super(`${assetSymbol}:${getDefaultFormat(assetSymbol).convert(address)}`, label)
+    this.address = getDefaultFormat(assetSymbol).convert(address)
+    this._network = networks[assetSymbol]
+    this._bitcore = getBitcore(assetSymbol)
+  }
+
+  getType() { return BitcoreAddressWalletViewOnly.type }
+
+  getTypeLabel() { return 'View only' }
+
+  getLabel() { return this.label || `${this._network.name} ${ellipsize(this.address, 6, 4)}` }
+
+  getAddress() { return this.address }
+
+  isReadOnly() { return true }
+
+  isSingleAddress() { return true }
+
+  _isAssetSupported(asset: Asset) {
+    return asset && asset.symbol === this.assetSymbol
+  }
+
+  _isAggregateTransactionSupported() { return false }
+
+  _getDefaultAddressFormat() {
+    return getDefaultFormat(this.assetSymbol)
+  }
+
+  _getAddressFormats() {
+    return getFormats(this.assetSymbol)
+  }
+
+  _getUsedAddresses() { return Promise.resolve([this.address]) }
+
+  _getFreshAddress() { return Promise.resolve(this.address) }
+
+  /** Look up the address on the first blockbook backend of the network that responds */
+  _getAddressInfo(urls: string[] = this._network.bitcoreUrls): Promise<AddressInfo> {
+    if (urls.length === 0) {
+      return Promise.reject(new Error(`Unable to look up ${this.assetSymbol} address ${this.address}`))
+    }
+    return fetchGet(`${urls[0]}/api/v2/address/${this.address}`, { details: 'basic' })
+      .catch(() => this._getAddressInfo(urls.slice(1)))
+  }
+
+  _getBalance(asset: Asset): Promise<Amount> {
+    return this._getAddressInfo()
+      .then(({ balance }) => toMainDenomination(balance, asset.decimals))
+  }
+
+  _getTransactionReceipt({ hash }: BitcoreTransaction): Promise<Receipt> {
+    return this._bitcore.lookupTransaction(hash)
+      .then((result) => !result ? null : ({
+        confirmed: result.height > 0,
+        succeeded: result.height > 0,
+        blockNumber: result.height,
+        raw: result,
+      }))
+  }
+
+  _getDefaultFeeRate(): Promise<FeeRate> {
+    return Promise.reject(new Error(`${this.getType()} cannot send transactions`))
+  }
+
+  _createTransaction(): Promise<BitcoreTransaction> {
+    return Promise.reject(new Error(`${this.getType()} cannot send transactions`))
+  }
+
+  _createAggregateTransaction(): Promise<BitcoreTransaction> {
+    return Promise.reject(new Error(`${this.getType()} cannot send transactions`))
+  }
+
+  _signTx(): Promise<Partial<BitcoreTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot sign transactions`))
+  }
+
+  _sendSignedTx(): Promise<Partial<BitcoreTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot send transactions`))
+  }
+
+}
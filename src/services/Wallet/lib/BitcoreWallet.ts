@@ -1,28 +1,62 @@
+import { verify as verifyBitcoinMessage } from 'bitcoinjs-message'
+
 import log from 'Utilities/log'
 import { toHashId } from 'Utilities/helpers'
 import { toMainDenomination, toSmallestDenomination, toNumber } from 'Utilities/convert'
 import { ellipsize } from 'Utilities/display'
 import { fetchGet } from 'Utilities/fetch'
-import { getBitcore, Bitcore, AccountInfo } from 'Services/Bitcore'
-import { deriveAddress, getNetworkConfig } from 'Utilities/bitcoin'
+import { getBitcore, getUtxoId, Bitcore, AccountInfo, DISCOVERY_ADDRESS_ENCODINGS } from 'Services/Bitcore'
+import {
+  deriveAddress, getNetworkConfig, getPaymentTypeForHdKey, normalizeHdPublicKey, joinDerivationPath,
+} from 'Utilities/bitcoin'
 import { NetworkConfig } from 'Utilities/networks'
 import toastr from 'Utilities/toastrWrapper'
 import { AddressFormat, getDefaultFormat, getFormats } from 'Utilities/addressFormat'
 
-import Wallet from './Wallet'
+import Wallet, { HISTORY_PAGE_SIZE } from './Wallet'
 
 import { Asset } from 'Types'
 import {
   TransactionOutput, Transaction, BitcoreTransaction, Amount, FeeRate, Receipt, AddressFormatOption,
+  HistoryTransaction, TransactionHistoryPage, SignedMessage,
 } from './types'
 
 const ID_DERIVATION_PATH = [26, 5, 172, 179] // Arbitrary bip32 path used to identify an HD wallet
 const DEFAULT_FEE_PER_BYTE = 10
+const MESSAGE_ADDRESS_PATH = [0, 0] // Messages are signed by the first receive address of the account
 
 export interface GetFreshAddressOption extends AddressFormatOption {
   index?: number
 }
 
+export interface CreateTransactionOptions {
+  /** Fee rate in sat/vbyte. Uses the default fee rate when omitted */
+  feeRate?: number
+  /** IDs of the exact utxos to spend (coin control). Selected automatically when omitted */
+  utxoIds?: string[]
+}
+
+export interface Utxo {
+  id: string
+  value: Amount
+  confirmations: number
+  address: string
+}
+
+/**
+ * Validate an extended public key provided for a view only wallet and convert it to the network's prefix.
+ * Native segwit keys (e.g. zpub) are rejected because hd-wallet discovery can't scan P2WPKH accounts.
+ */
+export function toViewOnlyHdKey(hdKey: string, network: NetworkConfig): string {
+  const normalizedKey = normalizeHdPublicKey(hdKey.trim(), network)
+  const { addressEncoding, bip32: { publicPrefix } } = getPaymentTypeForHdKey(normalizedKey, network)
+  if (!DISCOVERY_ADDRESS_ENCODINGS.includes(addressEncoding)) {
+    throw new Error(`${network.name} ${publicPrefix} keys (${addressEncoding}) aren't supported yet, `
+      + 'please search by address instead')
+  }
+  return normalizedKey
+}
+
 export default abstract class BitcoreWallet extends Wallet {
 
   static type = 'BitcoreWallet'
@@ -42,7 +76,13 @@ export default abstract class BitcoreWallet extends Wallet {
     this._latestDiscoveryResult = null
   }
 
-  isLegacyAccount() { return this.derivationPath.startsWith('m/44') }
+  isLegacyAccount() {
+    if (!this.derivationPath) {
+      // Derivation path is unknown for accounts added by extended public key
+      return getPaymentTypeForHdKey(this.xpub, this._network).addressEncoding === 'P2PKH'
+    }
+    return this.derivationPath.startsWith('m/44')
+  }
 
   getAccountNumber() { return Number.parseInt(this.derivationPath.match(/(\d+)'$/)[1]) + 1 }
 
@@ -80,6 +120,43 @@ export default abstract class BitcoreWallet extends Wallet {
       })
   }
 
+  /** The address whose key signs messages for this account */
+  getMessageAddress(): string {
+    return this._getDefaultAddressFormat().convert(deriveAddress(this.xpub, MESSAGE_ADDRESS_PATH, this._network))
+  }
+
+  /** Sign a message with the key at the full derivation path. Should be overridden in subclass */
+  _signMessageWithPath(derivationPath: string, message: string): Promise<string> {
+    return Promise.reject(new Error(`${this.getType()} does not support message signing`))
+  }
+
+  _signMessage(message: string): Promise<SignedMessage> {
+    return this._signMessageWithPath(joinDerivationPath(this.derivationPath, MESSAGE_ADDRESS_PATH), message)
+      .then((signature) => ({
+        address: this.getMessageAddress(),
+        message,
+        signature,
+      }))
+  }
+
+  _isVerifyMessageSupported() { return true }
+
+  /** Convert an address to a format bitcoinjs-message can decode. Should be overridden for other formats */
+  _toBitcoinJsAddress(address: string): string {
+    return address
+  }
+
+  _verifyMessage(message: string, address: string, signature: string): boolean {
+    try {
+      // Segwit signatures made by devices that only set the P2PKH header flags are accepted too
+      return verifyBitcoinMessage(message, this._toBitcoinJsAddress(address), signature,
+        this._network.bitcoinJsNetwork.messagePrefix, true)
+    } catch (e) {
+      log.debug('invalid message signature', e)
+      return false
+    }
+  }
+
   _getDefaultAddressFormat() {
     return getDefaultFormat(this.assetSymbol)
   }
@@ -112,10 +189,45 @@ export default abstract class BitcoreWallet extends Wallet {
     })
   }
 
+  /** Get the unspent outputs of this account, largest first */
+  getUtxos(): Promise<Utxo[]> {
+    const { decimals } = this.getAsset(this.assetSymbol)
+    return this._getDiscoveryResult()
+      .then(({ utxos }) => utxos
+        .map((utxo) => ({
+          id: getUtxoId(utxo),
+          value: toMainDenomination(utxo.value, decimals),
+          confirmations: utxo.confirmations,
+          address: deriveAddress(this.xpub, utxo.addressPath, this._network),
+        }))
+        .sort((a, b) => b.value.comparedTo(a.value)))
+  }
+
+  /**
+   * Estimate the fee of sending an amount without creating a transaction. The inputs are
+   * selected the same way as when creating one.
+   */
+  estimateTransactionFee(amount: Amount, options: CreateTransactionOptions = {}): Promise<Amount> {
+    const asset = this.getAsset(this.assetSymbol)
+    return Promise.all([
+      this._getDiscoveryResult(),
+      options.feeRate || this._getDefaultFeeRate(asset).then(({ rate }) => toNumber(rate)),
+    ]).then(([discoverResult, feeRate]) => {
+      // Only the amount matters so send to our own change address
+      const outputs = [{
+        address: discoverResult.changeAddresses[discoverResult.changeIndex],
+        amount: toSmallestDenomination(amount, asset.decimals).toNumber(),
+      }]
+      const { fee } = this._bitcore.buildPaymentTx(
+        discoverResult, outputs, feeRate, !this.isLegacyAccount(), undefined, options.utxoIds)
+      return toMainDenomination(fee, asset.decimals)
+    })
+  }
+
   _createAggregateTransaction(
     outputs: TransactionOutput[],
     asset: Asset,
-    { feeRate: feeRateOption }: { feeRate?: number },
+    { feeRate: feeRateOption, utxoIds }: CreateTransactionOptions,
   ): Promise<BitcoreTransaction> {
     return Promise.all([
       this._performDiscovery(),
@@ -126,7 +238,7 @@ export default abstract class BitcoreWallet extends Wallet {
         address,
         amount: toSmallestDenomination(amount, asset.decimals).toNumber(),
       }))
-      return this._bitcore.buildPaymentTx(discoverResult, convertedOutputs, feeRate, isSegwit)
+      return this._bitcore.buildPaymentTx(discoverResult, convertedOutputs, feeRate, isSegwit, undefined, utxoIds)
     })
     .then((txData) => {
       // buildPaymentTx can adjust output amounts in some situations
@@ -147,7 +259,7 @@ export default abstract class BitcoreWallet extends Wallet {
     address: string,
     amount: Amount,
     asset: Asset,
-    options: object,
+    options: CreateTransactionOptions,
   ): Promise<BitcoreTransaction> {
     return this._createAggregateTransaction([{ address, amount }], asset, options)
   }
@@ -157,6 +269,47 @@ export default abstract class BitcoreWallet extends Wallet {
       .then(({ balance }) => toMainDenomination(balance, asset.decimals))
   }
 
+  _isTransactionHistorySupported(asset: Asset) {
+    return this._isAssetSupported(asset)
+  }
+
+  /**
+   * Transactions come from the latest discovery result. hd-wallet doesn't report fees but it does
+   * report the account balance after each transaction, so the fee of a transaction we sent is
+   * the balance change not accounted for by the value sent.
+   */
+  _getTransactionHistory(asset: Asset, page: number): Promise<TransactionHistoryPage> {
+    const { decimals } = asset
+    return this._getDiscoveryResult()
+      .then(({ transactions }) => {
+        const start = page * HISTORY_PAGE_SIZE
+        const pageTransactions = transactions.slice(start, start + HISTORY_PAGE_SIZE)
+          .map((tx, i): HistoryTransaction => {
+            const previous = transactions[start + i + 1]
+            let feeAmount = null
+            if (tx.type !== 'recv' && previous) {
+              const fee = previous.balance - tx.balance - (tx.type === 'sent' ? tx.value : 0)
+              feeAmount = fee >= 0 ? toMainDenomination(fee, decimals) : null
+            }
+            return {
+              hash: tx.hash,
+              assetSymbol: asset.symbol,
+              type: tx.type === 'recv' ? 'received' : tx.type,
+              amount: toMainDenomination(Math.abs(tx.value), decimals),
+              feeAmount,
+              feeSymbol: asset.symbol,
+              confirmations: tx.confirmations || 0,
+              timestamp: tx.timestamp ? tx.timestamp * 1000 : null,
+            }
+          })
+        return {
+          transactions: pageTransactions,
+          page,
+          hasMore: transactions.length > start + HISTORY_PAGE_SIZE,
+        }
+      })
+  }
+
   _getTransactionReceipt({ hash }: BitcoreTransaction): Promise<Receipt> {
     return this._bitcore.lookupTransaction(hash)
       .then((result) => !result ? null : ({
@@ -1,9 +1,10 @@
-import { difference } from 'lodash'
+import { difference, uniq, uniqBy } from 'lodash'
 import EthJsTx from 'ethereumjs-tx'
 
 import config from 'Config'
 import { getWeb3 } from 'Services/Web3'
 import { getFastGasPrice } from 'Services/Faast'
+import { fetchGet } from 'Utilities/fetch'
 import { addHexPrefix, toHashId } from 'Utilities/helpers'
 import {
   ZERO, BigNumber, Numerical, toBigNumber, toSmallestDenomination, toMainDenomination, toHex, toTxFee, toNumber,
@@ -11,11 +12,15 @@ import {
 import { ellipsize } from 'Utilities/display'
 import log from 'Utilities/log'
 
-import { batchRequest, tokenBalanceData, tokenSendData, web3SendTx, toUniversalReceipt } from './util'
-import Wallet from '../Wallet'
-import { EthTransaction, TxData, SignedTxData, GetBalanceOptions } from './types'
+import {
+  batchRequest, tokenBalanceData, tokenSendData, web3SendTx, toUniversalReceipt,
+  estimateEip1559Fees, toLegacyGasPrice, isEip1559TxData, getMaxGasPrice, DEFAULT_FEE_PRESET,
+  TRANSFER_EVENT_TOPIC, toAddressTopic, recoverMessageSigner,
+} from './util'
+import Wallet, { HISTORY_PAGE_SIZE } from '../Wallet'
+import { EthTransaction, TxData, SignedTxData, GetBalanceOptions, FeePreset } from './types'
 import { Asset } from 'Types'
-import { Amount, Balances, Transaction, Receipt } from '../types'
+import { Amount, Balances, Transaction, Receipt, HistoryTransaction, TransactionHistoryPage } from '../types'
 
 const DEFAULT_GAS_PRICE = 21e9 // 21 Gwei
 const DEFAULT_GAS_LIMIT_ETH = toBigNumber(21000)
@@ -29,6 +34,21 @@ const MIN_GAS_LIMIT_TOKEN = DEFAULT_GAS_LIMIT_TOKEN
  */
 const GET_BALANCES_BATCH_SIZE = 500
 
+/**
+ * Number of blocks first searched for token transfer logs in each page of transaction history,
+ * roughly a week. The range doubles each time nothing is found so reaching genesis takes few requests.
+ */
+const HISTORY_BLOCK_RANGE = 40000
+
+/**
+ * Block each page of token history starts from, keyed by address and token. Kept out of the
+ * wallet instance so it isn't persisted with it.
+ */
+const historyStartBlocks: { [key: string]: number[] } = {}
+
+/** Nodes only accept a replacement transaction paying at least 10% more than the original */
+const bumpReplacementFee = (fee: Numerical) => toBigNumber(fee).times(1.1).ceil()
+
 function estimateGasLimit(txData: Partial<TxData>): Promise<BigNumber> {
   log.debug('estimateGasLimit', txData)
   const errorFallback = (e: any) => {
@@ -78,6 +98,48 @@ export default abstract class EthereumWallet extends Wallet {
     return asset && (asset.symbol === 'ETH' || asset.ERC20)
   }
 
+  _isVerifyMessageSupported() { return true }
+
+  _verifyMessage(message: string, address: string, signature: string): boolean {
+    try {
+      return recoverMessageSigner(message, signature) === address.toLowerCase()
+    } catch (e) {
+      log.debug('invalid message signature', e)
+      return false
+    }
+  }
+
+  /** Return true if this wallet can sign type-2 (EIP-1559) transactions */
+  _isEip1559Supported(): boolean { return false }
+
+  /**
+   * Get the fee fields of txData. Type-2 fees are used when both the network and this wallet
+   * support them, otherwise a legacy gas price is used.
+   */
+  async _getTxFeeData(options: {
+    gasPrice?: Numerical,
+    maxFeePerGas?: Numerical,
+    maxPriorityFeePerGas?: Numerical,
+    feePreset?: FeePreset,
+  }): Promise<Partial<TxData>> {
+    if (options.gasPrice) {
+      return { gasPrice: toHex(options.gasPrice) }
+    }
+    const estimates = await estimateEip1559Fees(getWeb3())
+    if (!estimates) {
+      const { rate } = await this._getDefaultFeeRate()
+      return { gasPrice: toHex(rate) }
+    }
+    const fees = estimates[options.feePreset || DEFAULT_FEE_PRESET]
+    if (!this._isEip1559Supported()) {
+      return { gasPrice: toHex(toLegacyGasPrice(fees)) }
+    }
+    return {
+      maxFeePerGas: toHex(options.maxFeePerGas || fees.maxFeePerGas),
+      maxPriorityFeePerGas: toHex(options.maxPriorityFeePerGas || fees.maxPriorityFeePerGas),
+    }
+  }
+
   async _getDefaultFeeRate() {
     let rate: number | BigNumber = DEFAULT_GAS_PRICE
     try {
@@ -141,6 +203,9 @@ export default abstract class EthereumWallet extends Wallet {
     previousTx?: EthTransaction,
     nonce?: number,
     gasPrice?: Numerical,
+    maxFeePerGas?: Numerical,
+    maxPriorityFeePerGas?: Numerical,
+    feePreset?: FeePreset,
     gasLimit?: Numerical,
     gas?: Numerical, // Alias for gasLimit
   }): Promise<EthTransaction> {
@@ -173,29 +238,239 @@ export default abstract class EthereumWallet extends Wallet {
         customNonce = toNumber(previousTx.txData.nonce) + 1
       }
 
-      const customGasPrice = options.gasPrice
       const customGasLimit = options.gasLimit || options.gas
       const networkTxCount = await web3.eth.getTransactionCount(txData.from)
 
       const opts: Array<Numerical | Promise<Numerical>> = [
-        customGasPrice || this._getDefaultFeeRate().then(({ rate }) => rate),
         customGasLimit || await estimateGasLimit(txData),
         customNonce && customNonce >= networkTxCount ? customNonce : networkTxCount,
       ]
-      return Promise.all(opts).then(([gasPrice, gasLimit, nonce]) => ({
-        ...this._newTransaction(asset, [{ address, amount }]),
-        feeAmount: toTxFee(gasLimit, gasPrice),
-        feeSymbol: 'ETH',
-        txData: {
+      const feeData = await this._getTxFeeData(options)
+      return Promise.all(opts).then(([gasLimit, nonce]) => {
+        const fullTxData = {
           ...txData,
-          gasPrice: toHex(gasPrice),
+          ...feeData,
           gas: toHex(gasLimit),
           nonce: toNumber(nonce),
-        },
-      }))
+        }
+        return {
+          ...this._newTransaction(asset, [{ address, amount }]),
+          // Type-2 transactions pay at most this, less if the base fee is lower than the max
+          feeAmount: toTxFee(gasLimit, getMaxGasPrice(fullTxData)),
+          feeSymbol: 'ETH',
+          txData: fullTxData,
+        }
+      })
     })
   }
 
+  /**
+   * Create a transaction replacing a pending one by reusing its nonce with a higher gas price.
+   * When `cancel` is true the replacement is an empty transfer to this wallet, otherwise it's
+   * a copy of the original. Nodes only accept a replacement paying at least 10% more gas.
+   * Type-2 transactions are replaced with type-2 transactions and `gasPrice` sets the max fee.
+   */
+  createReplacementTransaction(tx: EthTransaction, options: {
+    cancel?: boolean,
+    gasPrice?: Numerical,
+  } = {}): Promise<EthTransaction> {
+    return Promise.resolve().then(async () => {
+      const { txData } = tx
+      if (!txData) {
+        throw new Error(`Cannot replace transaction ${tx.hash} without txData`)
+      }
+      const address = this.getAddress()
+      if (txData.from.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`Cannot replace transaction ${tx.hash} sent from another address`)
+      }
+      const networkTxCount = await getWeb3().eth.getTransactionCount(address)
+      if (toNumber(txData.nonce) < networkTxCount) {
+        throw new Error('Transaction has already been confirmed and can no longer be replaced')
+      }
+      // Keep the type of the original so the replacement is signed the same way
+      const feeData = await (isEip1559TxData(txData)
+        ? this._getReplacementEip1559FeeData(txData, options.gasPrice)
+        : this._getReplacementLegacyFeeData(txData, options.gasPrice))
+      const replacementType = options.cancel ? 'cancellation' : 'replacement'
+      log.debug(`Creating ${replacementType} of tx ${tx.hash}`, feeData)
+      if (options.cancel) {
+        const eth = this.getAsset('ETH')
+        const cancelTxData = {
+          ...txData,
+          ...feeData,
+          to: address,
+          value: toHex(ZERO),
+          data: '',
+          gas: toHex(DEFAULT_GAS_LIMIT_ETH),
+        }
+        return {
+          ...this._newTransaction(eth, [{ address, amount: ZERO }]),
+          feeAmount: toTxFee(DEFAULT_GAS_LIMIT_ETH, getMaxGasPrice(cancelTxData)),
+          feeSymbol: 'ETH',
+          txData: cancelTxData,
+        }
+      }
+      const replacementTxData = {
+        ...txData,
+        ...feeData,
+      }
+      return {
+        ...this._newTransaction(this.getAsset(tx.assetSymbol), tx.outputs),
+        feeAmount: toTxFee(txData.gas, getMaxGasPrice(replacementTxData)),
+        feeSymbol: 'ETH',
+        txData: replacementTxData,
+      }
+    })
+  }
+
+  async _getReplacementLegacyFeeData(txData: TxData, gasPrice?: Numerical): Promise<Partial<TxData>> {
+    const { rate } = await this._getDefaultFeeRate()
+    return {
+      gasPrice: toHex(BigNumber.max(
+        bumpReplacementFee(txData.gasPrice),
+        toBigNumber(gasPrice || rate),
+      )),
+    }
+  }
+
+  async _getReplacementEip1559FeeData(txData: TxData, maxFeePerGas?: Numerical): Promise<Partial<TxData>> {
+    const estimates = await estimateEip1559Fees(getWeb3())
+    const fees = estimates ? estimates.fast : { maxFeePerGas: ZERO, maxPriorityFeePerGas: ZERO }
+    return {
+      maxFeePerGas: toHex(BigNumber.max(
+        bumpReplacementFee(txData.maxFeePerGas),
+        toBigNumber(maxFeePerGas || fees.maxFeePerGas),
+      )),
+      maxPriorityFeePerGas: toHex(BigNumber.max(
+        bumpReplacementFee(txData.maxPriorityFeePerGas),
+        fees.maxPriorityFeePerGas,
+      )),
+    }
+  }
+
+  _isTransactionHistorySupported(asset: Asset) {
+    return Boolean(asset && (asset.ERC20 || asset.symbol === 'ETH'))
+  }
+
+  _getTransactionHistory(asset: Asset, page: number): Promise<TransactionHistoryPage> {
+    return asset.ERC20
+      ? this._getTokenTransactionHistory(asset, page)
+      : this._getEthTransactionHistory(asset, page)
+  }
+
+  /**
+   * Only token transfers emit logs so ETH history can't be loaded from a node without scanning
+   * every block. Use the explorer API instead, which is Etherscan compatible.
+   */
+  async _getEthTransactionHistory(asset: Asset, page: number): Promise<TransactionHistoryPage> {
+    const address = this.getAddress().toLowerCase()
+    const { status, message, result } = await fetchGet(config.ethereumHistoryApiUrl, {
+      module: 'account',
+      action: 'txlist',
+      address,
+      sort: 'desc',
+      page: page + 1,
+      offset: HISTORY_PAGE_SIZE,
+    })
+    if (status !== '1') {
+      if (Array.isArray(result) || /no transactions found/i.test(message)) {
+        return { transactions: [], page, hasMore: false }
+      }
+      throw new Error(`Error getting ETH transactions for address ${address}: ${message}`)
+    }
+    const transactions = result.map((tx: any): HistoryTransaction => {
+      const isSent = tx.from.toLowerCase() === address
+      const isReceived = (tx.to || '').toLowerCase() === address
+      return {
+        hash: tx.hash,
+        assetSymbol: asset.symbol,
+        type: isSent && isReceived ? 'self' : (isSent ? 'sent' : 'received'),
+        // Nothing is transferred by a failed transaction but its fee is still paid
+        amount: tx.isError === '1' ? ZERO : toMainDenomination(tx.value, asset.decimals),
+        feeAmount: isSent ? toTxFee(tx.gasUsed, tx.gasPrice) : null,
+        feeSymbol: 'ETH',
+        confirmations: toNumber(tx.confirmations),
+        timestamp: toNumber(tx.timeStamp) * 1000,
+      }
+    })
+    return { transactions, page, hasMore: result.length === HISTORY_PAGE_SIZE }
+  }
+
+  /**
+   * Load ERC20 transfers to and from this wallet from Transfer event logs. Each page searches
+   * back from where the previous one ended until it finds transfers or reaches genesis.
+   */
+  async _getTokenTransactionHistory(asset: Asset, page: number): Promise<TransactionHistoryPage> {
+    const web3 = getWeb3()
+    const address = this.getAddress().toLowerCase()
+    const addressTopic = toAddressTopic(address)
+    const latestBlock = await web3.eth.getBlockNumber()
+    const startBlocksKey = `${address}:${asset.contractAddress}`
+    if (!historyStartBlocks[startBlocksKey]) {
+      historyStartBlocks[startBlocksKey] = []
+    }
+    const startBlocks = historyStartBlocks[startBlocksKey]
+    // Pages are loaded in order, fall back to fixed ranges if an earlier page wasn't
+    const pageStartBlock = page === 0 ? latestBlock : startBlocks[page]
+    let toBlock = typeof pageStartBlock === 'number' ? pageStartBlock : latestBlock - page * HISTORY_BLOCK_RANGE
+    if (toBlock < 0) {
+      return { transactions: [], page, hasMore: false }
+    }
+    const getLogId = ({ transactionHash, logIndex }: { transactionHash: string, logIndex: number }) =>
+      `${transactionHash}:${logIndex}`
+    let blockRange = HISTORY_BLOCK_RANGE
+    let fromBlock
+    let logs: any[] = []
+    do {
+      fromBlock = Math.max(0, toBlock - blockRange + 1)
+      const logFilter = { address: asset.contractAddress, fromBlock, toBlock }
+      const [sentLogs, receivedLogs] = await Promise.all([
+        web3.eth.getPastLogs({ ...logFilter, topics: [TRANSFER_EVENT_TOPIC, addressTopic] }),
+        web3.eth.getPastLogs({ ...logFilter, topics: [TRANSFER_EVENT_TOPIC, null, addressTopic] }),
+      ])
+      logs = uniqBy([...sentLogs, ...receivedLogs], getLogId)
+      toBlock = fromBlock - 1
+      blockRange *= 2
+    } while (logs.length === 0 && fromBlock > 0)
+    startBlocks[page + 1] = fromBlock - 1
+    logs.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    const txHashes = uniq(logs.map(({ transactionHash }) => transactionHash))
+    const blockNumbers = uniq(logs.map(({ blockNumber }) => blockNumber))
+    const [fees, timestamps] = await Promise.all([
+      Promise.all(txHashes.map((hash) => this._getPaidTxFee(hash))),
+      Promise.all(blockNumbers.map((blockNumber) => web3.eth.getBlock(blockNumber)
+        .then((block) => block ? toNumber(block.timestamp) * 1000 : null))),
+    ])
+    const transactions = logs.map((transferLog): HistoryTransaction => {
+      const isSent = transferLog.topics[1] === addressTopic
+      const isReceived = transferLog.topics[2] === addressTopic
+      const hashIndex = txHashes.indexOf(transferLog.transactionHash)
+      return {
+        hash: transferLog.transactionHash,
+        assetSymbol: asset.symbol,
+        type: isSent && isReceived ? 'self' : (isSent ? 'sent' : 'received'),
+        amount: toMainDenomination(transferLog.data, asset.decimals),
+        feeAmount: fees[hashIndex],
+        feeSymbol: 'ETH',
+        confirmations: latestBlock - transferLog.blockNumber + 1,
+        timestamp: timestamps[blockNumbers.indexOf(transferLog.blockNumber)],
+      }
+    })
+    return { transactions, page, hasMore: fromBlock > 0 }
+  }
+
+  /** The fee paid by this wallet for a transaction, or null if it was sent by someone else */
+  async _getPaidTxFee(hash: string): Promise<Amount | null> {
+    const web3 = getWeb3()
+    const receipt: any = await web3.eth.getTransactionReceipt(hash)
+    if (!receipt || receipt.from.toLowerCase() !== this.getAddress().toLowerCase()) {
+      return null
+    }
+    // Receipts from nodes without EIP-1559 support don't include the price paid
+    const gasPrice = receipt.effectiveGasPrice || (await web3.eth.getTransaction(hash)).gasPrice
+    return toTxFee(receipt.gasUsed, gasPrice)
+  }
+
   _getTransactionReceipt(tx: EthTransaction): Promise<Receipt> {
     return getWeb3().eth.getTransactionReceipt(tx.hash)
       .then(toUniversalReceipt)
@@ -211,7 +486,8 @@ export default abstract class EthereumWallet extends Wallet {
       log.error('invalid txData', txData)
       throw new Error(`Invalid ${EthereumWallet.type} txData of type ${typeof txData}`)
     }
-    const requiredProps = ['data', 'from', 'gas', 'gasPrice', 'nonce', 'to', 'value', 'chainId']
+    const feeProps = isEip1559TxData(txData) ? ['maxFeePerGas', 'maxPriorityFeePerGas'] : ['gasPrice']
+    const requiredProps = ['data', 'from', 'gas', 'nonce', 'to', 'value', 'chainId', ...feeProps]
     const missingProps = difference(requiredProps, Object.keys(txData))
     if (missingProps.length > 0) {
       log.debug('invalid txData', txData)
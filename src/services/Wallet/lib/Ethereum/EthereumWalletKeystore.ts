@@ -1,14 +1,19 @@
 import EthereumjsWallet from 'ethereumjs-wallet'
 import EthereumjsTx from 'ethereumjs-tx'
+import { ecsign } from 'ethereumjs-util'
 import { isString, isObject, isUndefined } from 'lodash'
 
 import config from 'Config'
-import { stripHexPrefix, parseJson } from 'Utilities/helpers'
+import { stripHexPrefix, addHexPrefix, parseJson } from 'Utilities/helpers'
 import { toChecksumAddress } from 'Utilities/convert'
 import log from 'Utilities/log'
 
 import EthereumWallet from './EthereumWallet'
-import { Transaction } from '../types'
+import {
+  isEip1559TxData, getEip1559SigningHash, serializeEip1559Tx, hashMessage, toMessageSignature,
+} from './util'
+import { EthTransaction } from './types'
+import { SignedMessage } from '../types'
 
 type Keystore = {
   id: string,
@@ -90,6 +95,8 @@ export default class EthereumWalletKeystore extends EthereumWallet {
 
   isPersistAllowed(): boolean { return super.isPersistAllowed() && this.isPasswordProtected() }
 
+  _isEip1559Supported() { return true }
+
   checkPasswordCorrect(password: string): boolean {
     if (!isString(password)) {
       return false
@@ -131,10 +138,20 @@ export default class EthereumWalletKeystore extends EthereumWallet {
     return new EthereumWalletKeystore(this.getDecryptedKeystore(password))
   }
 
-  _signTx(tx: Transaction, { password }: { password?: string }) {
+  _signTx(tx: EthTransaction, { password }: { password?: string }) {
     return Promise.resolve().then(() => {
       const keystore = this.getDecryptedKeystore(password)
-      const signedTx = new EthereumjsTx(tx.txData)
+      const { txData } = tx
+      if (isEip1559TxData(txData)) {
+        // ethereumjs-tx only supports legacy transactions
+        const { v, r, s } = ecsign(getEip1559SigningHash(txData), keystore.getPrivateKey())
+        return {
+          signedTxData: {
+            raw: addHexPrefix(serializeEip1559Tx(txData, { v: v - 27, r, s }).toString('hex')),
+          },
+        }
+      }
+      const signedTx = new EthereumjsTx(txData)
       signedTx.sign(keystore.getPrivateKey())
       return {
         signedTxData: this._signedEthJsTxToObject(signedTx),
@@ -142,6 +159,20 @@ export default class EthereumWalletKeystore extends EthereumWallet {
     })
   }
 
+  _isSignMessageSupported() { return true }
+
+  _signMessage(message: string, { password }: { password?: string }): Promise<SignedMessage> {
+    return Promise.resolve().then(() => {
+      const keystore = this.getDecryptedKeystore(password)
+      const { v, r, s } = ecsign(hashMessage(message), keystore.getPrivateKey())
+      return {
+        address: this.getAddress(),
+        message,
+        signature: toMessageSignature(v, r, s),
+      }
+    })
+  }
+
   getFileName(password?: string): string {
     return this.getDecryptedKeystore(password).getV3Filename()
   }
@@ -1,5 +1,6 @@
 import * as RLP from 'rlp'
 import EthereumjsTx from 'ethereumjs-tx'
+import { toBuffer } from 'ethereumjs-util'
 
 import config from 'Config'
 import log from 'Utilities/log'
@@ -7,7 +8,9 @@ import { addHexPrefix } from 'Utilities/helpers'
 import Ledger from 'Services/Ledger'
 
 import EthereumWallet from './EthereumWallet'
+import { toMessageSignature } from './util'
 import { EthTransaction } from './types'
+import { SignedMessage } from '../types'
 
 const typeLabel = config.walletTypes.ledger.name
 
@@ -17,6 +20,20 @@ const createAccountGetter = (baseDerivationPath: string) => (index: number) => {
     .then(({ address }) => new EthereumWalletLedger(address, fullDerivationPath))
 }
 
+/**
+ * The Ledger Ethereum app only returns the lowest byte of an EIP-155 v, which is truncated for
+ * chain IDs above 109 (e.g. Sepolia). Recover the full value using the chain ID.
+ */
+const toFullSignatureV = (ledgerV: string, chainId: number): number => {
+  const v = parseInt(ledgerV, 16)
+  const chainBase = chainId * 2 + 35
+  if (chainBase + 1 <= 255) {
+    return v
+  }
+  const recoveryParity = (v - (chainBase % 256) + 256) % 256
+  return chainBase + recoveryParity
+}
+
 const getVersion = () => Ledger.eth.getAppConfiguration()
 .then((data) => {
   log.info(`Ledger ETH connected, version ${data.version}`, data)
@@ -38,6 +55,9 @@ export default class EthereumWalletLedger extends EthereumWallet {
 
   getTypeLabel() { return typeLabel }
 
+  // hw-app-eth 4.x can't parse typed transactions so legacy ones are always used
+  _isEip1559Supported() { return false }
+
   static connect = (derivationPath: string) => {
     return getVersion()
       .then(() => createAccountGetter(derivationPath))
@@ -55,7 +75,7 @@ export default class EthereumWalletLedger extends EthereumWallet {
       }
       const { txData } = tx
       const ethJsTx = new EthereumjsTx(txData)
-      ethJsTx.raw[6] = Buffer.from([txData.chainId])
+      ethJsTx.raw[6] = toBuffer(txData.chainId)
       ethJsTx.raw[7] = 0
       ethJsTx.raw[8] = 0
 
@@ -68,7 +88,7 @@ export default class EthereumWalletLedger extends EthereumWallet {
               ...txData,
               r: addHexPrefix(result.r),
               s: addHexPrefix(result.s),
-              v: addHexPrefix(result.v),
+              v: toFullSignatureV(result.v, txData.chainId),
             })),
           }
         })
@@ -86,4 +106,24 @@ export default class EthereumWalletLedger extends EthereumWallet {
         })
     })
   }
+
+  _isSignMessageSupported() { return true }
+
+  _signMessage(message: string): Promise<SignedMessage> {
+    return Ledger.eth.signPersonalMessage(this.derivationPath, Buffer.from(message, 'utf8').toString('hex'))
+      .then(({ v, r, s }) => ({
+        address: this.getAddress(),
+        message,
+        signature: toMessageSignature(v, r, s),
+      }))
+      .catch((ex) => {
+        log.error('Ledger.eth.signPersonalMessage error', Object.assign({}, ex))
+        if (ex.statusCode === 0x6985) {
+          throw new Error('Message signing was rejected')
+        } else if (ex.message && ex.message.toLowerCase().includes('u2f timeout')) {
+          throw new Error('Took too long to sign message, please try again')
+        }
+        throw ex
+      })
+  }
 }
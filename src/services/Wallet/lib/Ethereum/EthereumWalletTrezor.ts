@@ -5,11 +5,13 @@ import HDKey from 'hdkey'
 import config from 'Config'
 import log from 'Utilities/log'
 import { stripHexPrefix, addHexPrefix } from 'Utilities/helpers'
+import { toTxFee } from 'Utilities/convert'
 import Trezor from 'Services/Trezor'
 
 import EthereumWallet from './EthereumWallet'
-import { ConnectResult } from '../types'
-import { EthTransaction } from './types'
+import { isEip1559TxData, serializeEip1559Tx, toLegacyTxData } from './util'
+import { ConnectResult, SignedMessage } from '../types'
+import { EthTransaction, TxData } from './types'
 
 const typeLabel = config.walletTypes.trezor.name
 
@@ -35,6 +37,8 @@ export default class EthereumWalletTrezor extends EthereumWallet {
 
   getTypeLabel() { return typeLabel }
 
+  _isEip1559Supported() { return true }
+
   static connect(derivationPath: string): Promise<ConnectResult> {
     return Trezor.getXPubKey('ETH', derivationPath)
       .then(({ publicKey, chainCode }) => {
@@ -54,24 +58,69 @@ export default class EthereumWalletTrezor extends EthereumWallet {
   _signTx(tx: EthTransaction, options: object): Promise<Partial<EthTransaction>> {
     return Promise.resolve().then(() => {
       const { txData } = tx
-      return Trezor.signEthereumTx(
-        this.derivationPath,
-        txData,
-      ).then(({ r, s, v }) => {
-        log.info('trezor signed tx', { r, s, v })
+      if (!isEip1559TxData(txData)) {
+        return this._signTxData(txData)
+      }
+      return Trezor.isEip1559Supported()
+        .then((isSupported) => {
+          if (isSupported) {
+            return this._signTxData(txData)
+          }
+          // Older firmware can't sign type-2 transactions
+          log.info(`${typeLabel} firmware doesn't support EIP-1559, signing legacy transaction instead`)
+          const legacyTxData = toLegacyTxData(txData)
+          return this._signTxData(legacyTxData)
+            .then((result) => ({
+              ...result,
+              txData: legacyTxData,
+              feeAmount: toTxFee(legacyTxData.gas, legacyTxData.gasPrice),
+            }))
+        })
+    })
+  }
+
+  _signTxData(txData: TxData): Promise<Partial<EthTransaction>> {
+    return Trezor.signEthereumTx(
+      this.derivationPath,
+      txData,
+    ).then(({ r, s, v }) => {
+      log.info('trezor signed tx', { r, s, v })
+      if (isEip1559TxData(txData)) {
         return {
-          signedTxData: this._signedEthJsTxToObject(new EthereumjsTx({
-            ...txData,
-            r, s, v,
-          })),
+          signedTxData: {
+            raw: addHexPrefix(serializeEip1559Tx(txData, { v, r, s }).toString('hex')),
+          },
         }
-      }).catch((e) => {
+      }
+      return {
+        signedTxData: this._signedEthJsTxToObject(new EthereumjsTx({
+          ...txData,
+          r, s, v,
+        })),
+      }
+    }).catch((e) => {
+      if (e.message === 'Action cancelled by user') {
+        throw new Error('Transaction was denied')
+      } else {
+        throw new Error(`Error from ${typeLabel} - ${e.message}`)
+      }
+    })
+  }
+
+  _isSignMessageSupported() { return true }
+
+  _signMessage(message: string): Promise<SignedMessage> {
+    return Trezor.signEthereumMessage(this.derivationPath, message)
+      .then(({ signature }) => ({
+        address: this.getAddress(),
+        message,
+        signature: addHexPrefix(signature),
+      }))
+      .catch((e) => {
         if (e.message === 'Action cancelled by user') {
-          throw new Error('Transaction was denied')
-        } else {
-          throw new Error(`Error from ${typeLabel} - ${e.message}`)
+          throw new Error('Message signing was denied')
         }
+        throw new Error(`Error from ${typeLabel} - ${e.message}`)
       })
-    })
   }
 }
@@ -0,0 +1,290 @@
+import config from 'Config'
+import log from 'Utilities/log'
+import { toChecksumAddress, toHex } from 'Utilities/convert'
+
+import EthereumWallet from './EthereumWallet'
+import { EthTransaction, SendOptions } from './types'
+import { SignedMessage } from '../types'
+
+/** CAIP-2 id of the Ethereum network the app is using */
+const CHAIN_ID = `eip155:${config.ethereumChainId}`
+
+const REQUIRED_NAMESPACES = {
+  eip155: {
+    chains: [CHAIN_ID],
+    methods: ['eth_sendTransaction', 'personal_sign'],
+    events: ['accountsChanged', 'chainChanged'],
+  },
+}
+
+/** Reason sent to the mobile wallet when its session doesn't include the app's network */
+const UNSUPPORTED_CHAINS_REASON = { code: 5100, message: 'Unsupported chains' }
+
+/** A session as stored by the sign client, only the fields used here */
+type SignClientSession = {
+  topic: string,
+  expiry: number,
+  peer: { metadata: { name: string } },
+  namespaces: { [namespace: string]: { accounts: string[] } },
+}
+
+/**
+ * The parts of the WalletConnect sign client used here. Its bundle is added to the page as a vendor
+ * script (see etc/webpack.config.app.js) because neither webpack nor tsc in this repo can read the package.
+ */
+interface SignClient {
+  session: {
+    get(topic: string): SignClientSession,
+    getAll(): SignClientSession[],
+  }
+  on(event: string, listener: (event: { topic: string }) => void): void
+  connect(params: { requiredNamespaces: object }): Promise<{ uri?: string, approval: () => Promise<SignClientSession> }>
+  request(params: { topic: string, chainId: string, request: { method: string, params: any[] } }): Promise<any>
+  disconnect(params: { topic: string, reason: { code: number, message: string } }): Promise<void>
+}
+
+type SignClientModule = {
+  SignClient: { init(options: object): Promise<SignClient> },
+}
+
+/** The part of a WalletConnect session saved with the wallet, the sign client stores the rest */
+export type WalletConnectSession = {
+  topic: string,
+  expiry: number,
+  peerName?: string,
+}
+
+export type PendingConnection = {
+  promise: Promise<EthereumWalletWalletConnect>,
+  cancel: () => void,
+}
+
+const toWalletSession = ({ topic, expiry, peer }: SignClientSession): WalletConnectSession => ({
+  topic,
+  expiry,
+  peerName: peer.metadata.name,
+})
+
+/** Return the address the session shares for the app's network, if any */
+const getSessionAccount = ({ namespaces }: SignClientSession): string | undefined => {
+  const accounts = namespaces.eip155 ? namespaces.eip155.accounts : []
+  const account = accounts.find((a) => a.startsWith(`${CHAIN_ID}:`))
+  return account ? account.slice(CHAIN_ID.length + 1) : undefined
+}
+
+/** Wallets with a live session keyed by topic, so sign client events can be routed to them */
+const walletsByTopic: { [topic: string]: EthereumWalletWalletConnect } = {}
+
+let sessionListener: (wallet: EthereumWalletWalletConnect) => void = () => undefined
+
+let signClientPromise: Promise<SignClient>
+
+/** The sign client is shared by every WalletConnect wallet, it keeps their sessions in its own storage */
+const getSignClient = (): Promise<SignClient> => {
+  if (!signClientPromise) {
+    if (!config.walletConnectProjectId) {
+      return Promise.reject(new Error('WalletConnect is unavailable, no project ID is configured'))
+    }
+    const signClientModule: SignClientModule = (window as any)['@walletconnect/sign-client']
+    if (!signClientModule) {
+      return Promise.reject(new Error('WalletConnect failed to load, please reload the page'))
+    }
+    signClientPromise = signClientModule.SignClient.init({
+      projectId: config.walletConnectProjectId,
+      relayUrl: config.walletConnectRelayUrl,
+      metadata: {
+        name: 'Faa.st',
+        description: 'Trade cryptocurrencies directly from your wallet',
+        url: config.siteUrl,
+        icons: [`${config.siteUrl}/favicon.png`],
+      },
+    }).then((client) => {
+      client.on('session_update', ({ topic }) => {
+        const wallet = walletsByTopic[topic]
+        if (wallet) {
+          wallet._updateSession(client.session.get(topic))
+        }
+      })
+      client.on('session_extend', ({ topic }) => {
+        const wallet = walletsByTopic[topic]
+        if (wallet) {
+          wallet._updateSession(client.session.get(topic))
+        }
+      })
+      client.on('session_delete', ({ topic }) => {
+        const wallet = walletsByTopic[topic]
+        if (wallet) {
+          wallet._endSession()
+        }
+      })
+      client.on('session_expire', ({ topic }) => {
+        const wallet = walletsByTopic[topic]
+        if (wallet) {
+          wallet._endSession()
+        }
+      })
+      return client
+    }).catch((e) => {
+      // Allow another attempt, e.g. once the relay can be reached again
+      signClientPromise = undefined
+      throw e
+    })
+  }
+  return signClientPromise
+}
+
+export default class EthereumWalletWalletConnect extends EthereumWallet {
+
+  static type = 'EthereumWalletWalletConnect';
+
+  /**
+   * Set the function called whenever the session of a wallet is updated or ended, so the change
+   * can be saved. The wallet's session is null once ended.
+   */
+  static setSessionListener(listener: (wallet: EthereumWalletWalletConnect) => void): void {
+    sessionListener = listener
+  }
+
+  /**
+   * @param session - The WalletConnect session approved by the mobile wallet. Null if the session
+   * was ended, in which case the wallet must be connected again before it can send transactions.
+   */
+  constructor(address: string, public session: WalletConnectSession | null, label?: string) {
+    super(address, label)
+  }
+
+  getType() { return EthereumWalletWalletConnect.type }
+
+  getTypeLabel() {
+    const peerName = this.session && this.session.peerName
+    return peerName ? `${peerName} (WalletConnect)` : 'WalletConnect'
+  }
+
+  // The mobile wallet signs and broadcasts in one step, most don't support eth_signTransaction
+  isSignTransactionSupported() { return false }
+
+  /** Return true if the mobile wallet hasn't ended the session and it hasn't expired */
+  isConnected(): boolean {
+    return Boolean(this.session && this.session.expiry * 1000 > Date.now())
+  }
+
+  /**
+   * Reconnect to the session relay so requests from a previous visit can be approved on the phone.
+   * Resolves once the client is listening, it's safe to call more than once. The session is ended
+   * if the sign client no longer has it.
+   */
+  reconnect(): Promise<void> {
+    return getSignClient().then((client) => {
+      if (!this.session) {
+        return
+      }
+      const { topic } = this.session
+      const session = client.session.getAll().find((s) => s.topic === topic)
+      if (session) {
+        walletsByTopic[topic] = this
+        this._updateSession(session)
+      } else {
+        this._endSession()
+      }
+    })
+  }
+
+  _updateSession(session: SignClientSession): void {
+    const account = getSessionAccount(session)
+    if (account && account.toLowerCase() !== this.address.toLowerCase()) {
+      log.warn(`WalletConnect account changed to ${account}, wallet ${this.id} can no longer send`)
+    }
+    this.session = toWalletSession(session)
+    sessionListener(this)
+  }
+
+  _endSession(): void {
+    if (this.session) {
+      log.info(`WalletConnect session ended for wallet ${this.id}`)
+      delete walletsByTopic[this.session.topic]
+    }
+    this.session = null
+    sessionListener(this)
+  }
+
+  _request(method: string, params: any[]): Promise<any> {
+    return Promise.resolve().then(() => {
+      if (!this.isConnected()) {
+        throw new Error('WalletConnect session has ended, please connect your mobile wallet again')
+      }
+      const { topic } = this.session
+      return getSignClient().then((client) => client.request({
+        topic,
+        chainId: CHAIN_ID,
+        request: { method, params },
+      }))
+    })
+  }
+
+  _signAndSendTx(tx: EthTransaction, options: SendOptions): Promise<Partial<EthTransaction>> {
+    const { from, to, value, data, gas, gasPrice, nonce } = tx.txData
+    return this._request('eth_sendTransaction', [{
+      from: from || this.address,
+      to,
+      value: toHex(value),
+      data: data || '0x',
+      gas: toHex(gas),
+      gasPrice: toHex(gasPrice),
+      nonce: toHex(nonce),
+    }]).then((hash: string) => {
+      if (typeof options.onTxHash === 'function') {
+        options.onTxHash(hash)
+      }
+      return { hash }
+    })
+  }
+
+  _isSignMessageSupported() { return true }
+
+  _signMessage(message: string): Promise<SignedMessage> {
+    return this._request('personal_sign', [
+      '0x' + Buffer.from(message, 'utf8').toString('hex'),
+      this.address,
+    ]).then((signature: string) => ({
+      address: this.getAddress(),
+      message,
+      signature,
+    }))
+  }
+
+  _signTx(): never {
+    throw new Error('WalletConnect wallets cannot sign without sending')
+  }
+
+  /**
+   * Start a new WalletConnect session. onUri is called with the pairing uri to display as a QR code
+   * and the returned promise resolves with a wallet once the session is approved on the phone.
+   * Call the returned cancel function to stop waiting.
+   */
+  static connect(onUri: (uri: string) => void): PendingConnection {
+    let cancel: () => void
+    const promise = new Promise<EthereumWalletWalletConnect>((resolve, reject) => {
+      cancel = () => reject(new Error('WalletConnect pairing cancelled'))
+      getSignClient()
+        .then((client) => client.connect({ requiredNamespaces: REQUIRED_NAMESPACES })
+          .then(({ uri, approval }) => {
+            onUri(uri)
+            return approval()
+          })
+          .then((session) => {
+            const account = getSessionAccount(session)
+            if (!account) {
+              client.disconnect({ topic: session.topic, reason: UNSUPPORTED_CHAINS_REASON })
+                .catch(log.error)
+              throw new Error('Unsupported network')
+            }
+            const wallet = new EthereumWalletWalletConnect(toChecksumAddress(account), toWalletSession(session))
+            walletsByTopic[session.topic] = wallet
+            resolve(wallet)
+          }))
+        .catch(reject)
+    })
+    return { promise, cancel: () => cancel() }
+  }
+
+}
@@ -5,10 +5,10 @@ import { getUserWeb3, getWeb3, Web3 } from 'Services/Web3'
 import log from 'Utilities/log'
 import { toChecksumAddress, toBigNumber } from 'Utilities/convert'
 
-import { web3SendTx } from './util'
+import { web3SendTx, web3SendEip1559Tx, isEip1559TxData } from './util'
 import EthereumWallet from './EthereumWallet'
-import { Transaction } from '../types'
 import { EthTransaction } from './types'
+import { SignedMessage } from '../types'
 
 const VALID_PROVIDER_NAMES = ['faast', ...config.web3WalletTypes]
 
@@ -37,13 +37,17 @@ export default class EthereumWalletWeb3 extends EthereumWallet {
   // Most popular web3 wallets don't currently support signTransaction even though it's part of the web3 1.0 interface
   isSignTransactionSupported() { return false }
 
+  _isEip1559Supported() { return true }
+
   _getUserWeb3(): Promise<Web3> {
     return (this._web3 = getUserWeb3())
   }
 
-  _signAndSendTx(tx: Transaction, options: object): Promise<Partial<EthTransaction>> {
+  _signAndSendTx(tx: EthTransaction, options: object): Promise<Partial<EthTransaction>> {
     return this._getUserWeb3().then((web3) =>
-      web3SendTx(web3, tx.txData, options)
+      (isEip1559TxData(tx.txData)
+        ? web3SendEip1559Tx(web3, tx.txData, options)
+        : web3SendTx(web3, tx.txData, options))
         .then((hash) => ({ hash })));
   }
 
@@ -55,6 +59,19 @@ export default class EthereumWalletWeb3 extends EthereumWallet {
       .then((signedTxData) => ({ signedTxData })))
   }
 
+  _isSignMessageSupported() { return true }
+
+  _signMessage(message: string): Promise<SignedMessage> {
+    return this._getUserWeb3()
+      // Hex encode so providers don't mistake a message that looks like hex for raw bytes
+      .then((web3) => web3.eth.personal.sign(web3.utils.utf8ToHex(message), this.getAddress(), ''))
+      .then((signature) => ({
+        address: this.getAddress(),
+        message,
+        signature,
+      }))
+  }
+
   static fromDefaultAccount(providerName?: string) {
     return getUserWeb3().then((web3) => {
       const { defaultAccount, getAccounts } = web3.eth
@@ -4,3 +4,4 @@ export { default as EthereumWalletTrezor } from './EthereumWalletTrezor'
 export { default as EthereumWalletLedger } from './EthereumWalletLedger'
 export { default as EthereumWalletViewOnly } from './EthereumWalletViewOnly'
 export { default as EthereumWalletBlockstack } from './EthereumWalletBlockstack'
+export { default as EthereumWalletWalletConnect } from './EthereumWalletWalletConnect'
@@ -24,7 +24,11 @@ export type TxData = {
   from?: string,
   value: string | number,
   gas: string | number,
-  gasPrice: string | number,
+  /** Legacy transactions only */
+  gasPrice?: string | number,
+  /** Type-2 (EIP-1559) transactions only */
+  maxFeePerGas?: string | number,
+  maxPriorityFeePerGas?: string | number,
   nonce: number,
   data?: string,
   chainId?: number,
@@ -33,6 +37,16 @@ export type TxData = {
 export type SignedTxData = RLPEncodedTransaction | {
   tx: EthereumjsTx,
   raw: string,
+} | {
+  raw: string,
+}
+
+export type FeePreset = 'slow' | 'normal' | 'fast'
+
+export type Eip1559Fees = {
+  baseFeePerGas: BigNumber,
+  maxFeePerGas: BigNumber,
+  maxPriorityFeePerGas: BigNumber,
 }
 
 export type EthTransaction = Transaction & {
@@ -1,12 +1,37 @@
 import pad from 'pad-left'
+import * as RLP from 'rlp'
+import {
+  toBuffer, stripZeros, keccak256, hashPersonalMessage, ecrecover, fromRpcSig, toRpcSig, pubToAddress, bufferToHex,
+} from 'ethereumjs-util'
 
 import config from 'Config'
 import { Web3 } from 'Services/Web3'
 import { BatchRequest, TransactionConfig as Web3TxConfig } from 'web3-core'
-import { toBigNumber, TEN } from 'Utilities/convert'
+import { BigNumber, Numerical, toBigNumber, toHex, TEN } from 'Utilities/convert'
 import { isValidAddress } from 'Utilities/addressFormat'
+import { addHexPrefix } from 'Utilities/helpers'
+import log from 'Utilities/log'
 import { Web3Receipt, Receipt, Amount } from '../types'
-import { BatchableFn, SendOptions } from './types'
+import { BatchableFn, SendOptions, TxData, FeePreset, Eip1559Fees } from './types'
+
+export const EIP1559_TX_TYPE = 2
+
+export const DEFAULT_FEE_PRESET: FeePreset = 'normal'
+
+/** Reward percentile of recent blocks used as the priority fee of each preset */
+const FEE_PRESET_PERCENTILES: { [preset in FeePreset]: number } = {
+  slow: 10,
+  normal: 50,
+  fast: 90,
+}
+
+/** Number of recent blocks to estimate priority fees from */
+const FEE_HISTORY_BLOCKS = 20
+
+const MIN_PRIORITY_FEE = toBigNumber(1e9) // 1 Gwei
+
+/** The most a block can increase the base fee by */
+const MAX_BASE_FEE_INCREASE = 1.125
 
 export function tokenSendData(address: string, amount: Amount, decimals: number) {
   amount = toBigNumber(amount)
@@ -21,6 +46,36 @@ export function tokenSendData(address: string, amount: Amount, decimals: number)
   return config.tokenFunctionSignatures.transfer + dataAddress + dataAmount
 };
 
+/** keccak256 of the ERC20 Transfer(address,address,uint256) event signature */
+export const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+
+/** Pad an address to the 32 bytes of an indexed event topic */
+export function toAddressTopic(address: string): string {
+  return '0x' + pad(address.toLowerCase().replace('0x', ''), 64, '0')
+}
+
+/** Hash a message the way personal_sign does, with the "Ethereum Signed Message" prefix */
+export function hashMessage(message: string): Buffer {
+  return hashPersonalMessage(Buffer.from(message, 'utf8'))
+}
+
+/** Encode the parts of a message signature as the 0x prefixed hex returned by personal_sign */
+export function toMessageSignature(v: number | string, r: Buffer | string, s: Buffer | string): string {
+  let recovery = typeof v === 'string' ? parseInt(v, 16) : v
+  // Some devices return the recovery id without the 27 offset
+  if (recovery < 27) {
+    recovery += 27
+  }
+  const toSigBuffer = (part: Buffer | string) => toBuffer(typeof part === 'string' ? addHexPrefix(part) : part)
+  return toRpcSig(recovery, toSigBuffer(r), toSigBuffer(s))
+}
+
+/** Return the address that made a personal_sign signature of message, lower cased */
+export function recoverMessageSigner(message: string, signature: string): string {
+  const { v, r, s } = fromRpcSig(addHexPrefix(signature))
+  return bufferToHex(pubToAddress(ecrecover(hashMessage(message), v, r, s)))
+}
+
 export function tokenBalanceData(walletAddress: string): string {
   if (walletAddress.startsWith('0x')) {
     walletAddress = walletAddress.slice(2)
@@ -92,3 +147,157 @@ export function web3SendTx(userWeb3: Web3, txData: Web3TxConfig | string, option
     return sendStatus
   })
 }
+
+/** Send a JSON-RPC request to the web3 provider directly, for methods web3 doesn't know about */
+export function providerRequest(web3: Web3, method: string, params: any[] = []): Promise<any> {
+  const provider: any = web3.currentProvider
+  if (typeof provider.request === 'function') {
+    return provider.request({ method, params })
+  }
+  return new Promise((resolve, reject) => {
+    const send = provider.sendAsync || provider.send
+    send.call(provider, { jsonrpc: '2.0', id: Date.now(), method, params }, (err: Error, response: any) => {
+      if (err) { return reject(err) }
+      if (response.error) { return reject(new Error(response.error.message)) }
+      resolve(response.result)
+    })
+  })
+}
+
+const median = (values: BigNumber[]): BigNumber => {
+  const sorted = values.slice().sort((a, b) => a.comparedTo(b))
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+/**
+ * Estimate type-2 fees for each preset from the priority fees paid in recent blocks. The max fee
+ * allows for the base fee to double before the transaction is mined.
+ *
+ * @return Fees by preset, or null if the network doesn't support EIP-1559
+ */
+export function estimateEip1559Fees(web3: Web3): Promise<{ [preset in FeePreset]: Eip1559Fees } | null> {
+  const presets = Object.keys(FEE_PRESET_PERCENTILES) as FeePreset[]
+  const percentiles = presets.map((preset) => FEE_PRESET_PERCENTILES[preset])
+  return providerRequest(web3, 'eth_feeHistory', [toHex(FEE_HISTORY_BLOCKS), 'latest', percentiles])
+    .then(({ baseFeePerGas, reward }) => {
+      // The last base fee is the one of the next block
+      const baseFee = toBigNumber((baseFeePerGas || []).slice(-1)[0])
+      if (!baseFee.greaterThan(0) || !reward || reward.length === 0) {
+        return null
+      }
+      return presets.reduce((fees, preset, i) => {
+        const priorityFee = BigNumber.max(
+          median(reward.map((blockRewards: string[]) => toBigNumber(blockRewards[i]))),
+          MIN_PRIORITY_FEE,
+        )
+        return {
+          ...fees,
+          [preset]: {
+            baseFeePerGas: baseFee,
+            maxPriorityFeePerGas: priorityFee,
+            maxFeePerGas: baseFee.times(2).plus(priorityFee),
+          },
+        }
+      }, {} as { [preset in FeePreset]: Eip1559Fees })
+    })
+    .catch((e) => {
+      log.warn('Failed to estimate EIP-1559 fees', e)
+      return null
+    })
+}
+
+/** Gas price of a legacy transaction likely to be mined as quickly as the type-2 fees */
+export function toLegacyGasPrice({ baseFeePerGas, maxPriorityFeePerGas }: Eip1559Fees): BigNumber {
+  return baseFeePerGas.times(MAX_BASE_FEE_INCREASE).plus(maxPriorityFeePerGas).ceil()
+}
+
+export function isEip1559TxData(txData: TxData): boolean {
+  return Boolean(txData && txData.maxFeePerGas)
+}
+
+/** The most that could be paid per gas by a transaction */
+export function getMaxGasPrice(txData: TxData): BigNumber {
+  return toBigNumber(isEip1559TxData(txData) ? txData.maxFeePerGas : txData.gasPrice)
+}
+
+/**
+ * Convert type-2 txData to legacy txData for signers that don't support it. The base fee is
+ * recovered from the max fee set by estimateEip1559Fees.
+ */
+export function toLegacyTxData(txData: TxData): TxData {
+  if (!isEip1559TxData(txData)) {
+    return txData
+  }
+  const { maxFeePerGas, maxPriorityFeePerGas, ...legacyTxData } = txData
+  const maxPriorityFee = toBigNumber(maxPriorityFeePerGas)
+  const baseFee = toBigNumber(maxFeePerGas).minus(maxPriorityFee).div(2)
+  return {
+    ...legacyTxData,
+    gasPrice: toHex(toLegacyGasPrice({
+      baseFeePerGas: baseFee,
+      maxPriorityFeePerGas: maxPriorityFee,
+      maxFeePerGas: toBigNumber(maxFeePerGas),
+    })),
+  }
+}
+
+const toRlpQuantity = (value: Numerical | Buffer): Buffer =>
+  stripZeros(toBuffer(Buffer.isBuffer(value) ? value : toHex(value))) as Buffer
+
+/**
+ * Serialize a type-2 transaction as specified by EIP-1559. Without a signature the result is
+ * the payload to be hashed for signing.
+ */
+export function serializeEip1559Tx(
+  txData: TxData,
+  signature?: { v: Numerical | Buffer, r: Numerical | Buffer, s: Numerical | Buffer },
+): Buffer {
+  const fields: Array<Buffer | Buffer[]> = [
+    toRlpQuantity(txData.chainId),
+    toRlpQuantity(txData.nonce),
+    toRlpQuantity(txData.maxPriorityFeePerGas),
+    toRlpQuantity(txData.maxFeePerGas),
+    toRlpQuantity(txData.gas),
+    toBuffer(txData.to),
+    toRlpQuantity(txData.value),
+    toBuffer(txData.data || '0x'),
+    [], // Access list
+  ]
+  if (signature) {
+    fields.push(toRlpQuantity(signature.v), toRlpQuantity(signature.r), toRlpQuantity(signature.s))
+  }
+  return Buffer.concat([Buffer.from([EIP1559_TX_TYPE]), RLP.encode(fields)])
+}
+
+export function getEip1559SigningHash(txData: TxData): Buffer {
+  return keccak256(serializeEip1559Tx(txData))
+}
+
+/**
+ * Send a type-2 transaction through a web3 provider. web3 adds a gasPrice to any transaction
+ * without one, which providers reject alongside type-2 fees, so the provider is called directly.
+ */
+export function web3SendEip1559Tx(userWeb3: Web3, txData: TxData, options: SendOptions = {}): Promise<string> {
+  const { from, to, value, data, gas, nonce, maxFeePerGas, maxPriorityFeePerGas } = txData
+  return providerRequest(userWeb3, 'eth_sendTransaction', [{
+    type: toHex(EIP1559_TX_TYPE),
+    from,
+    to,
+    value: toHex(value),
+    data: data || '0x',
+    gas: toHex(gas),
+    nonce: toHex(nonce),
+    maxFeePerGas: toHex(maxFeePerGas),
+    maxPriorityFeePerGas: toHex(maxPriorityFeePerGas),
+  }]).then((txHash: string) => {
+    if (typeof options.onTxHash === 'function') {
+      options.onTxHash(txHash)
+    }
+    return txHash
+  }).catch((e) => {
+    if (typeof options.onError === 'function') {
+      options.onError(e)
+    }
+    throw e
+  })
+}
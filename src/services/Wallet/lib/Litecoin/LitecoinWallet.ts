@@ -1,3 +1,4 @@
+import config from 'Config'
 import log from 'Utilities/log'
 import { fetchGet } from 'Utilities/fetch'
 import networks from 'Utilities/networks'
@@ -7,6 +8,8 @@ import BitcoreWallet from '../BitcoreWallet'
 import { Asset } from 'Types'
 import { BitcoreTransaction, FeeRate } from '../types'
 
+// BlockCypher has no litecoin testnet, the default rate is used there instead
+const FEE_RATE_URL = config.isTestnet ? null : 'https://api.blockcypher.com/v1/ltc/main'
 const DEFAULT_FEE_PER_BYTE = 10
 
 export default abstract class LitecoinWallet extends BitcoreWallet {
@@ -26,7 +29,13 @@ export default abstract class LitecoinWallet extends BitcoreWallet {
     asset: Asset,
     { level = 'medium' }: { level?: 'high' | 'medium' | 'low' } = {},
   ): Promise<FeeRate> {
-    return fetchGet('https://api.blockcypher.com/v1/ltc/main')
+    if (!FEE_RATE_URL) {
+      return Promise.resolve({
+        rate: DEFAULT_FEE_PER_BYTE,
+        unit: 'sat/byte',
+      })
+    }
+    return fetchGet(FEE_RATE_URL)
       .then((result) => {
         const feePerKb = result[`${level}_fee_per_kb`] || (DEFAULT_FEE_PER_BYTE * 1000)
         return feePerKb / 1000
@@ -24,4 +24,10 @@ export default class LitecoinWalletLedger extends LitecoinWallet {
   _signTx({ txData }: BitcoreTransaction): Promise<Partial<BitcoreTransaction>> {
     return Ledger.btc.signPaymentTx(this._network, this.derivationPath, txData)
   }
+
+  _isSignMessageSupported() { return true }
+
+  _signMessageWithPath(derivationPath: string, message: string): Promise<string> {
+    return Ledger.btc.signMessage(derivationPath, message)
+  }
 }
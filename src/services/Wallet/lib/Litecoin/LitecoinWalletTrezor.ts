@@ -24,4 +24,11 @@ export default class LitecoinWalletTrezor extends LitecoinWallet {
   _signTx({ txData }: BitcoreTransaction): Promise<Partial<BitcoreTransaction>> {
     return Trezor.signPaymentTx(this._network, this.derivationPath, txData)
   }
+
+  _isSignMessageSupported() { return true }
+
+  _signMessageWithPath(derivationPath: string, message: string): Promise<string> {
+    return Trezor.signMessage(this._network, derivationPath, message)
+      .then(({ signature }) => signature)
+  }
 }
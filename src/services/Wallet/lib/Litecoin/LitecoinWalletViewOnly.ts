@@ -0,0 +1,26 @@
+import networks from 'Utilities/networks'
+
+import LitecoinWallet from './LitecoinWallet'
+import { toViewOnlyHdKey } from '../BitcoreWallet'
+import { BitcoreTransaction } from '../types'
+
+export default class LitecoinWalletViewOnly extends LitecoinWallet {
+
+  static type = 'LitecoinWalletViewOnly'
+
+  constructor(xpub: string, label?: string) {
+    super(toViewOnlyHdKey(xpub, networks.LTC), null, label)
+  }
+
+  getType() { return LitecoinWalletViewOnly.type }
+
+  getTypeLabel() { return 'View only' }
+
+  getLabel() { return this.label || `${this._network.name} ${this._obfuscatedXpub}` }
+
+  isReadOnly() { return true }
+
+  _signTx(): Promise<Partial<BitcoreTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot sign transactions`))
+  }
+}
@@ -1,3 +1,4 @@
 export { default as LitecoinWallet } from './LitecoinWallet'
 export { default as LitecoinWalletTrezor } from './LitecoinWalletTrezor'
 export { default as LitecoinWalletLedger } from './LitecoinWalletLedger'
+export { default as LitecoinWalletViewOnly } from './LitecoinWalletViewOnly'
@@ -1,5 +1,5 @@
 import uuid from 'uuid/v4'
-import { flatten } from 'lodash'
+import { flatten, orderBy } from 'lodash'
 import BigNumber from 'bignumber.js'
 import { toBigNumber } from 'Utilities/convert'
 import { reduceByKey, toHashId } from 'Utilities/helpers'
@@ -8,6 +8,7 @@ import Wallet from './Wallet'
 import { Asset } from 'Types'
 import {
   Transaction, Amount, Balances, FeeRate, TransactionOutput, Receipt, AddressFormatOption,
+  TransactionHistoryPage,
 } from './types'
 
 const selectFirst = (wallets: Wallet[]) => wallets[0]
@@ -192,6 +193,25 @@ export default class MultiWallet extends Wallet {
     return Promise.all(balancePromises).then((balances) => balances.reduce(plus, ZERO))
   }
 
+  _isTransactionHistorySupported(asset: Asset) {
+    return this._getWalletsForAsset(asset).some((wallet) => wallet.isTransactionHistorySupported(asset))
+  }
+
+  /** Merge the same page of history from every nested wallet, unconfirmed transactions first */
+  _getTransactionHistory(asset: Asset, page: number, options: object): Promise<TransactionHistoryPage> {
+    const historyPromises = this._getWalletsForAsset(asset)
+      .filter((wallet) => wallet.isTransactionHistorySupported(asset))
+      .map((wallet) => wallet._getTransactionHistory(asset, page, options))
+    return Promise.all(historyPromises).then((histories) => ({
+      transactions: orderBy(
+        flatten(histories.map(({ transactions }) => transactions)),
+        [({ timestamp }) => timestamp === null ? Infinity : timestamp],
+        ['desc']),
+      page,
+      hasMore: histories.some(({ hasMore }) => hasMore),
+    }))
+  }
+
   getAllBalances(options: object): Promise<Balances> {
     return Promise.all(this.getWallets().map((wallet) => wallet.getAllBalances(options)))
       .then((walletBalances) => reduceByKey(walletBalances, plus, ZERO) as Balances)
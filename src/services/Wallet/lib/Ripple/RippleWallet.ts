@@ -2,12 +2,12 @@ import log from 'Utilities/log'
 import { decode } from 'ripple-binary-codec'
 import { difference } from 'lodash'
 import { ellipsize } from 'Utilities/display'
-import { toBigNumber } from 'Utilities/numbers'
+import { toBigNumber, ZERO } from 'Utilities/numbers'
 
 import RippleLib from 'Services/RippleLib'
-import { Amount, Transaction, Receipt } from '../types'
+import { Amount, Transaction, Receipt, HistoryTransaction, TransactionHistoryPage } from '../types'
 
-import Wallet from '../Wallet'
+import Wallet, { HISTORY_PAGE_SIZE } from '../Wallet'
 
 import { Asset } from 'Types'
 import { XRPTransaction, SignedTxData, TxData } from './types'
@@ -54,6 +54,10 @@ export default abstract class RippleWallet extends Wallet {
       const xrpBalance = balances[0].value
       return toBigNumber(xrpBalance)
     } catch (err) {
+      if (err.data && err.data.error === 'actNotFound') {
+        // Accounts that were never funded don't exist on the ledger
+        return ZERO
+      }
       throw new Error(`Error getting XRP Balance for address, ${address}: ${err}`)
     }
   }
@@ -116,6 +120,60 @@ export default abstract class RippleWallet extends Wallet {
     return
   }
 
+  _isTransactionHistorySupported(asset: Asset) {
+    return this._isAssetSupported(asset)
+  }
+
+  /**
+   * Load successful XRP payments to and from this account. rippled pages with markers rather
+   * than offsets so enough transactions are requested to include the whole page.
+   */
+  async _getTransactionHistory(asset: Asset, page: number): Promise<TransactionHistoryPage> {
+    const address = this.getAddress()
+    const start = page * HISTORY_PAGE_SIZE
+    try {
+      const rippleLib = await RippleLib()
+      const [payments, ledgerVersion] = await Promise.all([
+        rippleLib.getTransactions(address, {
+          limit: start + HISTORY_PAGE_SIZE + 1, // One extra to know if there are more
+          types: ['payment'],
+          excludeFailures: true,
+        }),
+        rippleLib.getLedgerVersion(),
+      ])
+      const transactions = payments.slice(start, start + HISTORY_PAGE_SIZE)
+        .map(({ id, specification, outcome }: any): HistoryTransaction => {
+          const isSent = specification.source.address === address
+          const isReceived = specification.destination.address === address
+          const xrpChange = (outcome.balanceChanges[address] || [])
+            .find(({ currency }: { currency: string }) => currency === 'XRP')
+          const fee = toBigNumber(outcome.fee)
+          const change = xrpChange ? toBigNumber(xrpChange.value) : ZERO
+          return {
+            hash: id,
+            assetSymbol: asset.symbol,
+            type: isSent && isReceived ? 'self' : (isSent ? 'sent' : 'received'),
+            // Balance changes of the sender include the fee
+            amount: (isSent ? change.plus(fee) : change).abs(),
+            feeAmount: isSent ? fee : null,
+            feeSymbol: 'XRP',
+            confirmations: ledgerVersion - outcome.ledgerVersion + 1,
+            timestamp: outcome.timestamp ? Date.parse(outcome.timestamp) : null,
+          }
+        })
+      return {
+        transactions,
+        page,
+        hasMore: payments.length > start + HISTORY_PAGE_SIZE,
+      }
+    } catch (err) {
+      if (err.data && err.data.error === 'actNotFound') {
+        return { transactions: [], page, hasMore: false }
+      }
+      throw new Error(`Error getting XRP transactions for address ${address}: ${err}`)
+    }
+  }
+
   async _validateSignedTxData(signedTxData: SignedTxData): Promise<SignedTxData> {
     if (signedTxData === null || typeof signedTxData !== 'object') {
       log.error('invalid signedTxData', signedTxData)
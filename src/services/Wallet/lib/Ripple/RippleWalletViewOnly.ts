@@ -0,0 +1,17 @@
+import RippleWallet from './RippleWallet'
+import { XRPTransaction } from './types'
+
+export default class RippleWalletViewOnly extends RippleWallet {
+
+  static type = 'RippleWalletViewOnly'
+
+  getType() { return RippleWalletViewOnly.type }
+
+  getTypeLabel() { return 'View only' }
+
+  isReadOnly() { return true }
+
+  _signTx(): Promise<Partial<XRPTransaction>> {
+    return Promise.reject(new Error(`${this.getType()} cannot sign transactions`))
+  }
+}
@@ -1,3 +1,4 @@
 export { default as RippleWallet } from './RippleWallet'
 export { default as RippleWalletTrezor } from './RippleWalletTrezor'
 export { default as RippleWalletLedger } from './RippleWalletLedger'
+export { default as RippleWalletViewOnly } from './RippleWalletViewOnly'
@@ -1,13 +1,17 @@
 import { BigNumber, ZERO } from 'Utilities/convert'
 import log from 'Utilities/log'
+import { isAssetAvailable } from 'Utilities/networks'
 
 import { Asset } from 'Types'
 import {
   Transaction, TransactionOutput, Receipt, AddressFormatOption,
-  Amount, Balances, FeeRate, AssetProvider, WalletGetter,
+  Amount, Balances, FeeRate, AssetProvider, WalletGetter, TransactionHistoryPage, SignedMessage,
 } from './types'
 import { AddressFormat, DEFAULT_FORMAT as DEFAULT_ADDRESS_FORMAT } from 'Utilities/addressFormat'
 
+/** Number of transactions in each page returned by getTransactionHistory */
+export const HISTORY_PAGE_SIZE = 20
+
 export default abstract class Wallet {
 
   constructor(public id: string, public label?: string) {}
@@ -81,6 +85,30 @@ export default abstract class Wallet {
     options: object,
   ): Promise<Transaction>
 
+  /** Return true if the transaction history of the asset can be loaded. Should be overridden in subclass */
+  _isTransactionHistorySupported(asset: Asset): boolean { return false }
+
+  /** Get a page of the asset's transaction history, newest first. Should be overridden in subclass */
+  _getTransactionHistory(asset: Asset, page: number, options: object): Promise<TransactionHistoryPage> {
+    return Promise.reject(new Error(`${this.getType()} does not support transaction history for ${asset.symbol}`))
+  }
+
+  /** Return true if this wallet can sign messages. Should be overridden in subclass */
+  _isSignMessageSupported(): boolean { return false }
+
+  /** Sign a message with the key of one of this wallet's addresses. Should be overridden in subclass */
+  _signMessage(message: string, options: object): Promise<SignedMessage> {
+    return Promise.reject(new Error(`${this.getType()} does not support message signing`))
+  }
+
+  /** Return true if signatures from this wallet's network can be verified. Should be overridden in subclass */
+  _isVerifyMessageSupported(): boolean { return false }
+
+  /** Return true if signature was made by address for message. Should be overridden in subclass */
+  _verifyMessage(message: string, address: string, signature: string): boolean {
+    throw new Error(`${this.getType()} does not support message verification`)
+  }
+
   /** Return the default address format */
   _getDefaultAddressFormat(): AddressFormat {
     return DEFAULT_ADDRESS_FORMAT
@@ -135,16 +163,21 @@ export default abstract class Wallet {
     return aos
   }
 
+  /** Assets without a test network are never supported in testnet mode */
+  _isAssetUsable(asset: Asset): boolean {
+    return Boolean(asset) && isAssetAvailable(asset.symbol) && this._isAssetSupported(asset)
+  }
+
   isAssetSupported(aos: Asset | string): boolean {
-    return this._isAssetSupported(this.getAsset(aos))
+    return this._isAssetUsable(this.getAsset(aos))
   }
 
   getSupportedAssets(): Asset[] {
-    return this.getAllAssets().filter((a) => this._isAssetSupported(a))
+    return this.getAllAssets().filter((a) => this._isAssetUsable(a))
   }
 
   getTop10SupportedAssets(): Asset[] {
-    return this.getAllAssets().filter((a) => this._isAssetSupported(a))
+    return this.getAllAssets().filter((a) => this._isAssetUsable(a))
       .sort((a, b) => b.marketCap.comparedTo(a.marketCap))
       .slice(0, 10)
   }
@@ -159,7 +192,7 @@ export default abstract class Wallet {
 
   getSupportedAsset(aos: Asset | string): Asset {
     const asset = this.getAsset(aos)
-    return (asset && this._isAssetSupported(asset)) ? asset : null
+    return this._isAssetUsable(asset) ? asset : null
   }
 
   assertAssetSupported(aos: Asset | string): Asset {
@@ -318,6 +351,53 @@ export default abstract class Wallet {
     }).then((result) => log.debugInline('getTransactionReceipt', result))
   }
 
+  isTransactionHistorySupported(aos: Asset | string): boolean {
+    const asset = this.getSupportedAsset(aos)
+    return Boolean(asset) && this._isTransactionHistorySupported(asset)
+  }
+
+  /** Get the on-chain deposits and withdrawals of an asset, newest first. Pages start at 0. */
+  getTransactionHistory(aos: Asset | string, page: number = 0, options: object = {}): Promise<TransactionHistoryPage> {
+    return Promise.resolve().then(() => {
+      const asset = this.assertAssetSupported(aos)
+      return this._getTransactionHistory(asset, page, options)
+    })
+  }
+
+  isSignMessageSupported(): boolean {
+    return !this.isReadOnly() && this._isSignMessageSupported()
+  }
+
+  /** Sign a message to prove ownership of one of this wallet's addresses */
+  signMessage(message: string, options: object = {}): Promise<SignedMessage> {
+    return Promise.resolve().then(() => {
+      if (!this.isSignMessageSupported()) {
+        throw new Error(`${this.getTypeLabel()} wallets do not support message signing`)
+      }
+      if (!message) {
+        throw new Error('Cannot sign an empty message')
+      }
+      return this._signMessage(message, options)
+    }).then((result) => log.debugInline('signMessage', result))
+  }
+
+  isVerifyMessageSupported(): boolean {
+    return this._isVerifyMessageSupported()
+  }
+
+  /**
+   * Check a message signature made by any address on this wallet's network, not only addresses of
+   * this wallet. Resolves false for invalid signatures rather than rejecting.
+   */
+  verifyMessage(message: string, address: string, signature: string): Promise<boolean> {
+    return Promise.resolve().then(() => {
+      if (!this.isVerifyMessageSupported()) {
+        throw new Error(`${this.getTypeLabel()} wallets do not support message verification`)
+      }
+      return this._verifyMessage(message, address.trim(), signature.trim())
+    })
+  }
+
   send(address: string, amount: Amount, aos: Asset | string, options: object = {}): Promise<Transaction> {
     return this.createTransaction(address, amount, aos, options)
       .then((tx) => this.sendTransaction(tx, options))
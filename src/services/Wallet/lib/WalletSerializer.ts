@@ -3,14 +3,16 @@ import Wallet from './Wallet'
 import MultiWallet from './MultiWallet'
 import MultiWalletTrezor from './MultiWalletTrezor'
 import MultiWalletLedger from './MultiWalletLedger'
+import BitcoreAddressWalletViewOnly from './BitcoreAddressWalletViewOnly'
 import {
   EthereumWalletWeb3, EthereumWalletTrezor, EthereumWalletLedger,
-  EthereumWalletKeystore, EthereumWalletViewOnly,
+  EthereumWalletKeystore, EthereumWalletViewOnly, EthereumWalletWalletConnect,
 } from './Ethereum'
-import { BitcoinWalletTrezor, BitcoinWalletLedger } from './Bitcoin'
-import { BitcoinCashWalletTrezor, BitcoinCashWalletLedger } from './BitcoinCash'
-import { LitecoinWalletTrezor, LitecoinWalletLedger } from './Litecoin'
-import { RippleWalletTrezor, RippleWalletLedger } from './Ripple'
+import { WalletConnectSession } from './Ethereum/EthereumWalletWalletConnect'
+import { BitcoinWalletTrezor, BitcoinWalletLedger, BitcoinWalletViewOnly } from './Bitcoin'
+import { BitcoinCashWalletTrezor, BitcoinCashWalletLedger, BitcoinCashWalletViewOnly } from './BitcoinCash'
+import { LitecoinWalletTrezor, LitecoinWalletLedger, LitecoinWalletViewOnly } from './Litecoin'
+import { RippleWalletTrezor, RippleWalletLedger, RippleWalletViewOnly } from './Ripple'
 
 interface SerializedWallet {
   id: string,
@@ -22,6 +24,8 @@ interface SerializedWallet {
   providerName?: string,
   xpub?: string,
   keystore?: object,
+  assetSymbol?: string,
+  session?: WalletConnectSession,
 }
 
 const parseWalletObject = (wallet: Wallet | SerializedWallet): Wallet | null => {
@@ -38,17 +42,24 @@ const parseWalletObject = (wallet: Wallet | SerializedWallet): Wallet | null =>
     case 'MultiWalletLedger': return new MultiWalletLedger(wallet.id, wallet.walletIds, label)
     case 'EthereumWalletKeystore': return new EthereumWalletKeystore(wallet.keystore, label)
     case 'EthereumWalletWeb3': return new EthereumWalletWeb3(wallet.address, wallet.providerName, label)
+    case 'EthereumWalletWalletConnect': return new EthereumWalletWalletConnect(wallet.address, wallet.session, label)
     case 'EthereumWalletViewOnly': return new EthereumWalletViewOnly(wallet.address, label)
     case 'EthereumWalletTrezor': return new EthereumWalletTrezor(wallet.address, wallet.derivationPath, label)
     case 'EthereumWalletLedger': return new EthereumWalletLedger(wallet.address, wallet.derivationPath, label)
     case 'BitcoinWalletTrezor': return new BitcoinWalletTrezor(wallet.xpub, wallet.derivationPath, label)
     case 'BitcoinWalletLedger': return new BitcoinWalletLedger(wallet.xpub, wallet.derivationPath, label)
+    case 'BitcoinWalletViewOnly': return new BitcoinWalletViewOnly(wallet.xpub, label)
     case 'BitcoinCashWalletTrezor': return new BitcoinCashWalletTrezor(wallet.xpub, wallet.derivationPath, label)
     case 'BitcoinCashWalletLedger': return new BitcoinCashWalletLedger(wallet.xpub, wallet.derivationPath, label)
+    case 'BitcoinCashWalletViewOnly': return new BitcoinCashWalletViewOnly(wallet.xpub, label)
     case 'LitecoinWalletTrezor': return new LitecoinWalletTrezor(wallet.xpub, wallet.derivationPath, label)
     case 'LitecoinWalletLedger': return new LitecoinWalletLedger(wallet.xpub, wallet.derivationPath, label)
+    case 'LitecoinWalletViewOnly': return new LitecoinWalletViewOnly(wallet.xpub, label)
     case 'RippleWalletTrezor': return new RippleWalletTrezor(wallet.address, wallet.derivationPath, label)
     case 'RippleWalletLedger': return new RippleWalletLedger(wallet.address, wallet.derivationPath, label)
+    case 'RippleWalletViewOnly': return new RippleWalletViewOnly(wallet.address, label)
+    case 'BitcoreAddressWalletViewOnly':
+      return new BitcoreAddressWalletViewOnly(wallet.assetSymbol, wallet.address, label)
     default: log.error(`Cannot parse wallet: invalid type '${type}'`, wallet)
   }
   return null
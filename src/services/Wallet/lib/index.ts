@@ -4,6 +4,7 @@ export { default as MultiWallet } from './MultiWallet'
 export { default as MultiWalletTrezor } from './MultiWalletTrezor'
 export { default as MultiWalletLedger } from './MultiWalletLedger'
 export { default as BitcoreWallet } from './BitcoreWallet'
+export { default as BitcoreAddressWalletViewOnly } from './BitcoreAddressWalletViewOnly'
 export * from './Ethereum'
 export * from './Bitcoin'
 export * from './BitcoinCash'
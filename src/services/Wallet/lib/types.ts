@@ -32,6 +32,32 @@ export interface BitcoreTransaction extends Transaction {
   signedTxData?: string | null
 }
 
+/** An on-chain transaction affecting a wallet as returned by getTransactionHistory */
+export interface HistoryTransaction {
+  hash: string
+  assetSymbol: string
+  type: 'sent' | 'received' | 'self'
+  amount: Amount // Always positive, direction is given by type
+  feeAmount: Amount | null // Null when unknown or paid by someone else
+  feeSymbol: string
+  confirmations: number
+  timestamp: number | null // Milliseconds, null while unconfirmed
+}
+
+export interface TransactionHistoryPage {
+  transactions: HistoryTransaction[]
+  page: number
+  hasMore: boolean
+}
+
+export interface SignedMessage {
+  /** The address whose key signed the message */
+  address: string
+  message: string
+  /** 0x prefixed hex for Ethereum, base64 for Bitcoin-like networks */
+  signature: string
+}
+
 export interface Balances {
   [symbol: string]: Amount
 }
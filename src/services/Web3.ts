@@ -31,6 +31,17 @@ export function getFaastWeb3(): Web3 {
   return faastWeb3
 }
 
+/** Resolve an ENS name (e.g. faast.eth) to the address it points to using the configured provider */
+export function resolveEnsName(name: string): Promise<string> {
+  return faastWeb3.eth.ens.getAddress(name)
+    .then((address: string) => {
+      if (!address || /^0x0+$/.test(address)) {
+        throw new Error(`ENS name ${name} does not resolve to an address`)
+      }
+      return address
+    })
+}
+
 export function getUserWeb3(): Promise<Web3> {
   if (window.userWeb3) {
     return Promise.resolve(window.userWeb3)
@@ -55,7 +66,7 @@ export function getUserWeb3(): Promise<Web3> {
     }
     return web3.eth.net.getId()
       .then((id) => {
-        if (id !== 1) {
+        if (id !== config.ethereumChainId) {
           throw new Error('Unsupported network')
         }
         window.userWeb3 = web3
@@ -32,6 +32,7 @@ export interface SwapOrder {
   receiveSymbol: string
   spotRate: BigNumber
   rate: BigNumber
+  withdrawalFee?: BigNumber
   rateLockedAt: Date
   rateLockedUntil: Date
   amountDeposited?: BigNumber
@@ -0,0 +1,49 @@
+import bitcoin from 'bitcoinjs-lib'
+
+import Config from 'Config'
+import networks from 'Utilities/networks'
+import { isValidAddress as isValidBitcoinAddress } from 'Utilities/bitcoin'
+
+import { AddressFormat, FormatConfig, testFromValidate } from '../common'
+
+/**
+ * Version byte of P2SH addresses before Litecoin moved off the Bitcoin prefix (3... on mainnet,
+ * 2... on testnet). Those addresses are still in use and map to the same script as M... addresses.
+ */
+const LEGACY_SCRIPT_HASH = Config.isTestnet ? 0xc4 : 0x05
+
+/** Convert a legacy P2SH address to the current prefix, any other address is returned as is */
+function ltcConvert(address: string): string {
+  try {
+    const { version, hash } = bitcoin.address.fromBase58Check(address)
+    if (version === LEGACY_SCRIPT_HASH) {
+      return bitcoin.address.toBase58Check(hash, networks.LTC.bitcoinJsNetwork.scriptHash)
+    }
+  } catch (e) {
+    // Not base58, e.g. bech32
+  }
+  return address
+}
+
+function ltcValidate(address: string) {
+  if (!isValidBitcoinAddress(ltcConvert(address), networks.LTC)) {
+    return 'Invalid Litecoin address'
+  }
+}
+
+export const litecoinFormat: AddressFormat = {
+  type: 'litecoin',
+  label: 'Litecoin address format',
+  description: 'Address format as per bitcoinjs-lib spec, including both base58/bech32 encodings.'
+    + ' Legacy 3... P2SH addresses are accepted and converted to M... addresses.',
+  test: testFromValidate(ltcValidate),
+  validate: ltcValidate,
+  convert: ltcConvert,
+}
+
+const config: FormatConfig = {
+  default: litecoinFormat.type,
+  formats: [litecoinFormat],
+}
+
+export default config
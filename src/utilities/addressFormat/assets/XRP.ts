@@ -0,0 +1,22 @@
+import { identity } from 'lodash'
+import { isValidClassicAddress } from 'ripple-address-codec'
+
+import { AddressFormat, FormatConfig, safeTest, validateFromTest } from '../common'
+
+const xrpTestClassic = safeTest(isValidClassicAddress)
+
+export const xrpClassicFormat: AddressFormat = {
+  type: 'classic',
+  label: 'Classic',
+  description: 'Base58 account address starting with r. Destination tags are provided separately.',
+  test: xrpTestClassic,
+  validate: validateFromTest(xrpTestClassic, 'XRP'),
+  convert: identity,
+}
+
+const config: FormatConfig = {
+  default: xrpClassicFormat.type,
+  formats: [xrpClassicFormat],
+}
+
+export default config
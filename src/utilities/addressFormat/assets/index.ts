@@ -1,3 +1,5 @@
 export { default as ETH } from './ETH'
 export { default as BTC } from './BTC'
 export { default as BCH } from './BCH'
+export { default as LTC } from './LTC'
+export { default as XRP } from './XRP'
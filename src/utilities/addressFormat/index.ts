@@ -19,6 +19,19 @@ export function getDefaultFormat(symbol: string): AddressFormat {
   return formatConfig.formats.find((f) => f.type === formatConfig.default) || DEFAULT_FORMAT
 }
 
-export function isValidAddress(address: string, symbol: string): boolean {
+/** Return true if the address is valid in the default format of the asset, or any format when allFormats is set */
+export function isValidAddress(address: string, symbol: string, allFormats: boolean = false): boolean {
+  if (allFormats) {
+    return getFormats(symbol).some((format) => format.test(address))
+  }
   return getDefaultFormat(symbol).test(address)
 }
+
+/**
+ * Detect which assets an address belongs to by testing it against all formats of every asset
+ * with a known address format. Ambiguous addresses (e.g. legacy BTC and BCH) return multiple symbols
+ * in the order the formats are configured.
+ */
+export function getAddressAssetSymbols(address: string): string[] {
+  return Object.keys(ALL_CONFIGS).filter((symbol) => isValidAddress(address, symbol, true))
+}
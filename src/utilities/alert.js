@@ -0,0 +1,78 @@
+import { toBigNumber } from 'Utilities/convert'
+
+/** Swap statuses that can trigger a swap alert */
+export const ALERT_SWAP_STATUSES = ['complete', 'refunded', 'failed']
+
+/**
+ * Kinds of alert rules. Price and portfolio rules are checked against the current asset
+ * (with prices in the selected currency) and the total value of all wallets using isMet.
+ * Swap rules are triggered by swap status changes instead.
+ */
+export const ALERT_RULE_TYPES = {
+  priceAbove: {
+    label: 'Price above',
+    hasSymbol: true,
+    isMet: ({ asset }, value) => asset.price.gt(value),
+    describe: ({ symbol, value, currency }) => `${symbol} price is above ${value} ${currency}`,
+  },
+  priceBelow: {
+    label: 'Price below',
+    hasSymbol: true,
+    isMet: ({ asset }, value) => asset.price.lt(value),
+    describe: ({ symbol, value, currency }) => `${symbol} price is below ${value} ${currency}`,
+  },
+  change24Up: {
+    label: 'Up % in 24h',
+    hasSymbol: true,
+    isPercent: true,
+    isMet: ({ asset }, value) => asset.change24.gte(value),
+    describe: ({ symbol, value }) => `${symbol} is up ${value}% in 24h`,
+  },
+  change24Down: {
+    label: 'Down % in 24h',
+    hasSymbol: true,
+    isPercent: true,
+    isMet: ({ asset }, value) => asset.change24.lte(toBigNumber(value).negated()),
+    describe: ({ symbol, value }) => `${symbol} is down ${value}% in 24h`,
+  },
+  portfolioAbove: {
+    label: 'Portfolio value above',
+    isMet: ({ portfolioValue }, value) => portfolioValue.gt(value),
+    describe: ({ value, currency }) => `Portfolio value is above ${value} ${currency}`,
+  },
+  portfolioBelow: {
+    label: 'Portfolio value below',
+    isMet: ({ portfolioValue }, value) => portfolioValue.lt(value),
+    describe: ({ value, currency }) => `Portfolio value is below ${value} ${currency}`,
+  },
+  swapStatus: {
+    label: 'Swap status',
+    isSwap: true,
+    describe: ({ statuses }) => `Swap is ${statuses.join(' or ')}`,
+  },
+}
+
+export const describeAlertRule = (rule) => {
+  const ruleType = ALERT_RULE_TYPES[rule.type]
+  return ruleType ? ruleType.describe(rule) : rule.type
+}
+
+/**
+ * Return true if the condition of a price or portfolio rule is currently met, false if it isn't,
+ * or undefined if it can't be checked (e.g. the price of the asset isn't loaded or the rule was
+ * created for a different currency than the one selected).
+ */
+export const isAlertRuleMet = (rule, { assets, portfolioValue, currency }) => {
+  const ruleType = ALERT_RULE_TYPES[rule.type]
+  if (!ruleType || !ruleType.isMet || (!ruleType.isPercent && rule.currency !== currency)) {
+    return undefined
+  }
+  const asset = ruleType.hasSymbol ? assets[rule.symbol] : undefined
+  if (ruleType.hasSymbol && !(asset && asset.priceLoaded)) {
+    return undefined
+  }
+  if (!ruleType.hasSymbol && !portfolioValue) {
+    return undefined
+  }
+  return ruleType.isMet({ asset, portfolioValue }, toBigNumber(rule.value))
+}
@@ -0,0 +1,117 @@
+import { ZERO, HUNDRED, toBigNumber, toPercentage } from 'Utilities/convert'
+
+/**
+ * Target allocations are stored as percentage weights keyed by asset symbol
+ * (e.g. { BTC: 50, ETH: 30 }). Whatever isn't explicitly assigned is the "rest",
+ * which gets spread over the other held assets in proportion to their current value.
+ */
+
+export const REST_KEYWORD = 'rest'
+
+const sumWeights = (weights) => Object.values(weights)
+  .reduce((sum, weight) => sum.plus(weight), ZERO)
+
+export const getRestWeight = (weights) => HUNDRED.minus(sumWeights(weights))
+
+/** Parse an allocation string such as "BTC 50 / ETH 30 / rest 20" into weights by symbol */
+export function parseAllocation(text) {
+  const weights = {}
+  let rest
+  const parts = (text || '').split(/[/,]/).map((part) => part.trim()).filter(Boolean)
+  if (parts.length === 0) {
+    throw new Error('Allocation is empty')
+  }
+  parts.forEach((part) => {
+    const match = /^([a-z0-9]+)\s*:?\s*(\d+(?:\.\d+)?)\s*%?$/i.exec(part)
+    if (!match) {
+      throw new Error(`Invalid allocation "${part}", expected a symbol followed by a percentage`)
+    }
+    const key = match[1].toUpperCase()
+    const weight = Number.parseFloat(match[2])
+    if (key === REST_KEYWORD.toUpperCase()) {
+      rest = weight
+      return
+    }
+    if (weights[key]) {
+      throw new Error(`${key} is allocated more than once`)
+    }
+    if (weight <= 0) {
+      throw new Error(`${key} allocation must be greater than 0`)
+    }
+    weights[key] = weight
+  })
+  const total = sumWeights(weights)
+  if (total.greaterThan(100)) {
+    throw new Error(`Allocations add up to ${total}%, must be at most 100%`)
+  }
+  if (typeof rest !== 'undefined' && !total.plus(rest).equals(100)) {
+    throw new Error(`Allocations add up to ${total.plus(rest)}%, must be exactly 100%`)
+  }
+  return weights
+}
+
+/** Inverse of parseAllocation */
+export function formatAllocation(weights) {
+  const parts = Object.entries(weights).map(([symbol, weight]) => `${symbol} ${weight}`)
+  const rest = getRestWeight(weights)
+  if (rest.greaterThan(0)) {
+    parts.push(`${REST_KEYWORD} ${rest}`)
+  }
+  return parts.join(' / ')
+}
+
+/**
+ * Resolve the target weight of every asset given the current fiat value of each holding.
+ *
+ * @param {Object} weights - Target weights by symbol
+ * @param {Object} fiatBySymbol - Current fiat value of holdings by symbol
+ * @return {Object} Target weights (BigNumber percentages) by symbol, summing to 100
+ */
+export function resolveTargetWeights(weights, fiatBySymbol) {
+  const restWeight = getRestWeight(weights)
+  const restFiatBySymbol = Object.entries(fiatBySymbol)
+    .filter(([symbol, fiat]) => !weights[symbol] && toBigNumber(fiat).greaterThan(0))
+  const restFiat = restFiatBySymbol.reduce((sum, [, fiat]) => sum.plus(fiat), ZERO)
+  const explicitWeight = HUNDRED.minus(restWeight)
+  // Nothing else is held so scale up the explicit weights to fill the rest
+  const scale = restFiat.isZero() && explicitWeight.greaterThan(0)
+    ? HUNDRED.div(explicitWeight)
+    : 1
+  const result = Object.entries(weights).reduce((byId, [symbol, weight]) => ({
+    ...byId,
+    [symbol]: toBigNumber(weight).times(scale),
+  }), {})
+  restFiatBySymbol.forEach(([symbol, fiat]) => {
+    result[symbol] = restWeight.times(fiat).div(restFiat)
+  })
+  return result
+}
+
+/**
+ * Calculate how far each asset is from its target weight.
+ *
+ * @param {Object} weights - Target weights by symbol
+ * @param {Object} fiatBySymbol - Current fiat value of holdings by symbol
+ * @param {BigNumber} totalFiat - Total fiat value of the portfolio
+ * @return {Object[]} Drift of each asset, largest first
+ */
+export function getAllocationDrift(weights, fiatBySymbol, totalFiat) {
+  totalFiat = toBigNumber(totalFiat)
+  const targetWeights = resolveTargetWeights(weights, fiatBySymbol)
+  return Object.entries(targetWeights)
+    .map(([symbol, targetWeight]) => {
+      const fiat = toBigNumber(fiatBySymbol[symbol] || 0)
+      const weight = toPercentage(fiat, totalFiat)
+      const targetFiat = targetWeight.div(100).times(totalFiat)
+      return {
+        symbol,
+        fiat,
+        weight,
+        targetFiat,
+        targetWeight,
+        drift: weight.minus(targetWeight),
+        fiatDelta: targetFiat.minus(fiat),
+      }
+    })
+    .sort((a, b) => b.drift.abs().comparedTo(a.drift.abs()))
+}
@@ -0,0 +1,126 @@
+import { pick, isNil } from 'lodash'
+
+import { toBigNumber } from 'Utilities/convert'
+
+/** Columns of the asset index table that can be hidden, in display order */
+export const ASSET_INDEX_COLUMNS = {
+  price: { label: 'Price', i18nKey: 'app.assetIndexTable.price' },
+  marketCap: { label: 'Market Cap', i18nKey: 'app.assetIndexTable.marketCap' },
+  volume24: { label: 'Volume', i18nKey: 'app.assetIndexTable.volume' },
+  availableSupply: { label: 'Supply', i18nKey: 'app.assetIndexTable.supply' },
+  change: { label: 'Change', i18nKey: 'app.assetIndexTable.change' },
+}
+
+export const DEFAULT_ASSET_INDEX_COLUMNS = Object.keys(ASSET_INDEX_COLUMNS)
+
+/** Market cap bands in the selected currency, min inclusive and max exclusive */
+export const MARKET_CAP_BANDS = {
+  micro: { label: 'Under 10M', max: 1e7 },
+  small: { label: '10M - 100M', min: 1e7, max: 1e8 },
+  mid: { label: '100M - 1B', min: 1e8, max: 1e9 },
+  large: { label: '1B - 10B', min: 1e9, max: 1e10 },
+  mega: { label: 'Over 10B', min: 1e10 },
+}
+
+export const ASSET_SUPPORT_FILTERS = ['deposit', 'receive']
+export const ASSET_TYPE_FILTERS = ['erc20', 'native']
+
+/** Filters that hold a percentage bound for a price change field */
+export const CHANGE_RANGE_FILTERS = {
+  change24Min: { field: 'change24', isMin: true },
+  change24Max: { field: 'change24' },
+  change7dMin: { field: 'change7d', isMin: true },
+  change7dMax: { field: 'change7d' },
+}
+
+/** Query string params used by the asset index, shared views are made of these */
+export const ASSET_INDEX_QUERY_PARAMS = ['tradeable', 'support', 'type', 'cap', 'cols', ...Object.keys(CHANGE_RANGE_FILTERS)]
+
+const splitList = (value) => typeof value === 'string' && value ? value.split(',') : []
+
+const parseNumber = (value) => {
+  if (isNil(value) || value === '') {
+    return undefined
+  }
+  const n = Number(value)
+  return Number.isFinite(n) ? n : undefined
+}
+
+/**
+ * Parse the asset index filters and visible columns from query string params. Unknown
+ * values are dropped so a hand edited or outdated link never breaks the page.
+ */
+export const parseAssetIndexQuery = (query = {}) => {
+  const columns = splitList(query.cols).filter((key) => ASSET_INDEX_COLUMNS[key])
+  const filters = {
+    tradeable: query.tradeable === 'true' || query.tradeable === '1',
+    support: ASSET_SUPPORT_FILTERS.includes(query.support) ? query.support : undefined,
+    type: ASSET_TYPE_FILTERS.includes(query.type) ? query.type : undefined,
+    cap: splitList(query.cap).filter((key) => MARKET_CAP_BANDS[key]),
+  }
+  Object.keys(CHANGE_RANGE_FILTERS).forEach((key) => {
+    filters[key] = parseNumber(query[key])
+  })
+  return {
+    filters,
+    columns: columns.length > 0 ? columns : DEFAULT_ASSET_INDEX_COLUMNS,
+  }
+}
+
+/**
+ * Convert filters and columns to query string params. Every asset index param is included so
+ * applying the result with updateQueryStringReplace clears anything it doesn't set.
+ */
+export const toAssetIndexQuery = ({ filters = {}, columns = DEFAULT_ASSET_INDEX_COLUMNS }) => {
+  const query = {
+    tradeable: filters.tradeable ? 'true' : undefined,
+    support: filters.support,
+    type: filters.type,
+    cap: filters.cap && filters.cap.length > 0 ? filters.cap.join(',') : undefined,
+    cols: columns.length !== DEFAULT_ASSET_INDEX_COLUMNS.length ? columns.join(',') : undefined,
+  }
+  Object.keys(CHANGE_RANGE_FILTERS).forEach((key) => {
+    query[key] = isNil(filters[key]) ? undefined : String(filters[key])
+  })
+  return query
+}
+
+/** Pick only the asset index params out of a query string object */
+export const pickAssetIndexQuery = (query = {}) => pick(query, ASSET_INDEX_QUERY_PARAMS)
+
+export const countActiveFilters = (filters) => [
+  filters.tradeable,
+  filters.support,
+  filters.type,
+  filters.cap && filters.cap.length > 0,
+  ...Object.keys(CHANGE_RANGE_FILTERS).map((key) => !isNil(filters[key])),
+].filter(Boolean).length
+
+const isInMarketCapBand = (marketCap, { min, max }) =>
+  (isNil(min) || marketCap.gte(min)) && (isNil(max) || marketCap.lt(max))
+
+/** Return the assets matching all of the given filters */
+export const filterAssets = (assets, filters) => assets.filter((asset) => {
+  const { tradeable, support, type, cap = [] } = filters
+  if (tradeable && !asset.swapEnabled) {
+    return false
+  }
+  if (support && !asset[support]) {
+    return false
+  }
+  if (type && (type === 'erc20') !== Boolean(asset.ERC20)) {
+    return false
+  }
+  if (cap.length > 0 && !cap.some((band) => isInMarketCapBand(toBigNumber(asset.marketCap), MARKET_CAP_BANDS[band]))) {
+    return false
+  }
+  return Object.keys(CHANGE_RANGE_FILTERS).every((key) => {
+    const bound = filters[key]
+    if (isNil(bound)) {
+      return true
+    }
+    const { field, isMin } = CHANGE_RANGE_FILTERS[key]
+    const change = toBigNumber(asset[field])
+    return isMin ? change.gte(bound) : change.lte(bound)
+  })
+})
@@ -117,6 +117,30 @@ export function convertHdKeyPrefixForPath(
   return convertHdKeyPaymentType(hdKey, newPaymentType)
 }
 
+/**
+ * Converts an extended public key to the prefix the network uses for the same address encoding.
+ * Allows keys exported with another network's prefix to be used (e.g. a Litecoin account exported as xpub).
+ */
+export function normalizeHdPublicKey(
+  hdKey: string,
+  network: NetworkConfig,
+): string {
+  const prefix = getHdKeyPrefix(hdKey)
+  if (!isPublicPrefix(prefix)) {
+    throw new Error(`Expected an extended public key but got ${prefix}`)
+  }
+  if (network.paymentTypes.some((pt) => isPrefixForPaymentType(prefix, pt))) {
+    return hdKey
+  }
+  const foreignPaymentType = Object.values(networks)
+    .map((n) => n.paymentTypes.find((pt) => isPrefixForPaymentType(prefix, pt)))
+    .find(Boolean)
+  if (!foreignPaymentType) {
+    throw new Error(`Cannot find ${network.name} PaymentType for prefix ${prefix}`)
+  }
+  return convertHdKeyAddressEncoding(hdKey, foreignPaymentType.addressEncoding, network)
+}
+
 export const toXpub = (hdKey: string) => convertHdKeyAddressEncoding(hdKey, 'P2PKH', BTC)
 export const toYpub = (hdKey: string) => convertHdKeyAddressEncoding(hdKey, 'P2SH-P2WPKH', BTC)
 
@@ -0,0 +1,72 @@
+import { flatMap } from 'lodash'
+
+const MAX_PARAM_COMPLETIONS = 5
+
+/**
+ * Split a command template such as 'swap {from} to {to}' into word and parameter tokens.
+ *
+ * @param {String} template
+ * @return {Object[]} Tokens, either { word } or { param }
+ */
+export const parseTemplate = (template) => template.split(' ').filter(Boolean).map((token) => {
+  const match = /^\{(\w+)\}$/.exec(token)
+  return match ? { param: match[1] } : { word: token.toLowerCase() }
+})
+
+const sortExactFirst = (values, typed) => [
+  ...values.filter((value) => value.toLowerCase() === typed),
+  ...values.filter((value) => value.toLowerCase() !== typed),
+]
+
+const matchTokens = (tokens, words, typing, getOptions, matched = [], params = {}) => {
+  if (words.length === 0) {
+    return [{ matched, params, remaining: tokens }]
+  }
+  if (tokens.length === 0) {
+    return []
+  }
+  const [token, ...restTokens] = tokens
+  const [word, ...restWords] = words
+  const typed = word.toLowerCase()
+  const partial = typing && restWords.length === 0
+  if (token.word) {
+    const isMatch = partial ? token.word.startsWith(typed) : token.word === typed
+    return isMatch
+      ? matchTokens(restTokens, restWords, typing, getOptions, [...matched, token.word], params)
+      : []
+  }
+  const options = getOptions(token.param) || []
+  const values = partial
+    ? sortExactFirst(options.filter((option) => option.toLowerCase().startsWith(typed)), typed)
+      .slice(0, MAX_PARAM_COMPLETIONS)
+    : options.filter((option) => option.toLowerCase() === typed)
+  return flatMap(values, (value) => matchTokens(
+    restTokens, restWords, typing, getOptions, [...matched, value], { ...params, [token.param]: value }))
+}
+
+/**
+ * Match what's been typed into the command palette against a command template, completing
+ * the word being typed. A trailing space means the last word is finished.
+ *
+ * @param {String} input - Text typed by the user, e.g. 'swap btc to e'
+ * @param {String} template - Command template, e.g. 'swap {from} to {to}'
+ * @param {Function} getOptions - Returns the possible values of a parameter given its name
+ * @return {Object[]} Matches, each as { params, complete, completion, display }.
+ * completion is the input after completing the next token and display the whole command
+ * with placeholders for missing parameters. Empty when the input doesn't match.
+ */
+export const matchTemplate = (input, template, getOptions) => {
+  const words = input.trim().split(/\s+/).filter(Boolean)
+  if (words.length === 0) {
+    return []
+  }
+  const typing = !/\s$/.test(input)
+  return matchTokens(parseTemplate(template), words, typing, getOptions)
+    .map(({ matched, params, remaining }) => ({
+      params,
+      complete: remaining.length === 0,
+      completion: [...matched, ...remaining.slice(0, 1).filter(({ word }) => word).map(({ word }) => word)]
+        .join(' ') + (remaining.length > 0 ? ' ' : ''),
+      display: [...matched, ...remaining.map(({ word, param }) => word || `<${param}>`)].join(' '),
+    }))
+}
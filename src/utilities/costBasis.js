@@ -0,0 +1,128 @@
+import { ZERO, BigNumber, toBigNumber } from 'Utilities/convert'
+
+export const COST_BASIS_METHODS = ['fifo', 'lifo', 'average']
+export const DEFAULT_COST_BASIS_METHOD = 'fifo'
+
+const isValidAmount = (amount) => amount && !amount.isNaN() && amount.greaterThan(0)
+
+/**
+ * Convert completed swaps into the buys and sells of a set of wallets, oldest first.
+ * Swaps without a USD value can't be priced and are left out.
+ *
+ * @param {Object[]} swaps - Extended swaps (see createSwapExtender)
+ * @param {String[]} walletIds - IDs of the wallets being accounted for
+ * @return {Object[]} Trades of the form { type: 'buy'|'sell', symbol, amount, valueUsd, timestamp }
+ */
+export function getSwapTrades(swaps, walletIds) {
+  const trades = []
+  swaps
+    .filter(({ orderStatus }) => orderStatus === 'complete')
+    .forEach((swap) => {
+      const valueUsd = toBigNumber(swap.valueUsd)
+      if (!isValidAmount(valueUsd)) {
+        return
+      }
+      const timestamp = new Date(swap.createdAt).getTime()
+      const sentAmount = toBigNumber(swap.amountDeposited || swap.sendAmount)
+      const receivedAmount = toBigNumber(swap.amountWithdrawn || swap.receiveAmount)
+      if (walletIds.includes(swap.sendWalletId) && isValidAmount(sentAmount)) {
+        trades.push({ type: 'sell', symbol: swap.sendSymbol, amount: sentAmount, valueUsd, timestamp })
+      }
+      if (walletIds.includes(swap.receiveWalletId) && isValidAmount(receivedAmount)) {
+        trades.push({ type: 'buy', symbol: swap.receiveSymbol, amount: receivedAmount, valueUsd, timestamp })
+      }
+    })
+  // Sells come after buys at the same time so an asset received and sent in one swundle is matched
+  return trades.sort((a, b) => a.timestamp - b.timestamp || (a.type === 'buy' ? -1 : 1))
+}
+
+/**
+ * Remove an amount from a list of lots according to the accounting method.
+ *
+ * @return {Object} { lots, amount, costUsd } where amount and costUsd are what was removed
+ */
+function takeFromLots(lots, amount, method) {
+  lots = lots.slice()
+  let remaining = amount
+  let costUsd = ZERO
+  while (remaining.greaterThan(0) && lots.length > 0) {
+    const index = method === 'lifo' ? lots.length - 1 : 0
+    const lot = lots[index]
+    const taken = BigNumber.min(lot.amount, remaining)
+    costUsd = costUsd.plus(taken.times(lot.costUsd).div(lot.amount))
+    remaining = remaining.minus(taken)
+    if (taken.equals(lot.amount)) {
+      lots.splice(index, 1)
+    } else {
+      lots[index] = {
+        amount: lot.amount.minus(taken),
+        costUsd: lot.costUsd.minus(taken.times(lot.costUsd).div(lot.amount)),
+      }
+    }
+  }
+  return { lots, amount: amount.minus(remaining), costUsd }
+}
+
+/**
+ * Rebuild the lots held of each asset from a list of trades.
+ *
+ * @param {Object[]} trades - Trades returned by getSwapTrades
+ * @param {String} method - One of COST_BASIS_METHODS
+ * @return {Object} Positions by symbol, each { lots, realizedUsd, untrackedSold } where lots are
+ *   { amount, costUsd }, realizedUsd is the gain on sells matched to lots and untrackedSold is the
+ *   amount sold that wasn't acquired through a swap
+ */
+export function getPositions(trades, method) {
+  return trades.reduce((positions, { type, symbol, amount, valueUsd }) => {
+    const position = positions[symbol] || { lots: [], realizedUsd: ZERO, untrackedSold: ZERO }
+    let { lots, realizedUsd, untrackedSold } = position
+    if (type === 'buy') {
+      lots = method === 'average' && lots.length > 0
+        // Average cost keeps a single lot so every unit has the same cost
+        ? [{ amount: lots[0].amount.plus(amount), costUsd: lots[0].costUsd.plus(valueUsd) }]
+        : [...lots, { amount, costUsd: valueUsd }]
+    } else {
+      const taken = takeFromLots(lots, amount, method)
+      lots = taken.lots
+      // Only the portion with a known cost contributes to the realized gain
+      const matchedProceedsUsd = valueUsd.times(taken.amount).div(amount)
+      realizedUsd = realizedUsd.plus(matchedProceedsUsd.minus(taken.costUsd))
+      untrackedSold = untrackedSold.plus(amount.minus(taken.amount))
+    }
+    return { ...positions, [symbol]: { lots, realizedUsd, untrackedSold } }
+  }, {})
+}
+
+/**
+ * Calculate the realized and unrealized gain of a holding.
+ *
+ * Lots larger than the current balance (e.g. after a withdrawal) are reduced to the balance
+ * without realizing a gain. Fiat values are converted from USD at the current rate.
+ *
+ * @param {Object} position - Position returned by getPositions
+ * @param {BigNumber} balance - Current balance of the asset
+ * @param {BigNumber} price - Current price of the asset in the selected currency
+ * @param {BigNumber} usdRate - Units of the selected currency per USD
+ * @param {String} method - One of COST_BASIS_METHODS
+ * @return {Object} { trackedAmount, costBasis, value, realized, unrealized, unrealizedPercent }
+ */
+export function getHoldingProfitLoss(position, balance, price, usdRate, method) {
+  let { lots } = position
+  const lotsAmount = lots.reduce((sum, lot) => sum.plus(lot.amount), ZERO)
+  const excess = lotsAmount.minus(balance)
+  if (excess.greaterThan(0)) {
+    lots = takeFromLots(lots, excess, method).lots
+  }
+  const trackedAmount = lots.reduce((sum, lot) => sum.plus(lot.amount), ZERO)
+  const costBasis = lots.reduce((sum, lot) => sum.plus(lot.costUsd), ZERO).times(usdRate)
+  const value = trackedAmount.times(price)
+  const unrealized = value.minus(costBasis)
+  return {
+    trackedAmount,
+    costBasis,
+    value,
+    realized: position.realizedUsd.times(usdRate),
+    unrealized,
+    unrealizedPercent: costBasis.greaterThan(0) ? unrealized.div(costBasis).times(100) : null,
+  }
+}
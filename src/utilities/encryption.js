@@ -0,0 +1,87 @@
+import crypto from 'crypto'
+import scrypt from 'scrypt.js'
+
+import config from 'Config'
+
+const CIPHER = 'aes-128-ctr'
+
+/** Scrypt parameters used for every encryption, only n is configurable */
+const SCRYPT_PARAMS = { r: 8, p: 1, dklen: 32 }
+
+/** Range of scrypt n accepted when decrypting, so a tampered file can't make derivation hang or be trivial */
+const MIN_SCRYPT_N = 1024
+const MAX_SCRYPT_N = 262144
+
+const isPowerOfTwo = (n) => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0
+
+const areKdfParamsAllowed = ({ salt, n, r, p, dklen }) =>
+  typeof salt === 'string' && /^[0-9a-f]{64}$/i.test(salt)
+  && isPowerOfTwo(n) && n >= MIN_SCRYPT_N && n <= MAX_SCRYPT_N
+  && r === SCRYPT_PARAMS.r && p === SCRYPT_PARAMS.p && dklen === SCRYPT_PARAMS.dklen
+
+const deriveKey = (password, { salt, n, r, p, dklen }) =>
+  scrypt(Buffer.from(password, 'utf8'), Buffer.from(salt, 'hex'), n, r, p, dklen)
+
+const createMac = (derivedKey, ciphertext) => crypto.createHash('sha256')
+  .update(Buffer.concat([derivedKey.slice(16, 32), ciphertext]))
+  .digest('hex')
+
+/**
+ * Encrypt JSON serializable data with a password. The result is laid out like the crypto section of
+ * an Ethereum V3 keystore but isn't compatible with one, the MAC is sha256 rather than keccak256.
+ * The key is derived using config.encrOpts.
+ *
+ * @param {*} data - Data to encrypt
+ * @param {String} password - Password to derive the key from
+ * @return {Object} The encrypted data and the parameters needed to decrypt it
+ */
+export const encryptJson = (data, password) => {
+  if (!password) {
+    throw new Error('A password is required to encrypt')
+  }
+  const kdfparams = {
+    salt: crypto.randomBytes(32).toString('hex'),
+    n: config.encrOpts.n,
+    ...SCRYPT_PARAMS,
+  }
+  const derivedKey = deriveKey(password, kdfparams)
+  const iv = crypto.randomBytes(16)
+  const cipher = crypto.createCipheriv(CIPHER, derivedKey.slice(0, 16), iv)
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(JSON.stringify(data), 'utf8')), cipher.final()])
+  return {
+    cipher: CIPHER,
+    cipherparams: { iv: iv.toString('hex') },
+    ciphertext: ciphertext.toString('hex'),
+    kdf: config.encrOpts.kdf,
+    kdfparams,
+    mac: createMac(derivedKey, ciphertext),
+  }
+}
+
+/**
+ * Decrypt data encrypted by encryptJson.
+ *
+ * @param {Object} encrypted - Result of encryptJson
+ * @param {String} password - Password used to encrypt
+ * @return {*} The decrypted data
+ * @throws {Error} If the password is incorrect or the encryption parameters aren't supported
+ */
+export const decryptJson = (encrypted, password) => {
+  const { cipher, cipherparams, ciphertext, kdf, kdfparams, mac } = encrypted || {}
+  if (cipher !== CIPHER || kdf !== 'scrypt' || !cipherparams || !kdfparams || !ciphertext
+    || !areKdfParamsAllowed(kdfparams)) {
+    throw new Error('Unsupported encryption parameters')
+  }
+  const derivedKey = deriveKey(password || '', kdfparams)
+  const ciphertextBuffer = Buffer.from(ciphertext, 'hex')
+  if (createMac(derivedKey, ciphertextBuffer) !== mac) {
+    throw new Error('Incorrect password')
+  }
+  const decipher = crypto.createDecipheriv(cipher, derivedKey.slice(0, 16), Buffer.from(cipherparams.iv, 'hex'))
+  return JSON.parse(Buffer.concat([decipher.update(ciphertextBuffer), decipher.final()]).toString('utf8'))
+}
+
+export default {
+  encryptJson,
+  decryptJson,
+}
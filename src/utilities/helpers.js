@@ -188,6 +188,18 @@ export const downloadJson = (obj, fileName, noExtension) => {
   })
 }
 
+export const downloadCsv = (csvString, fileName) => {
+  if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    const blob = new window.Blob([csvString], { type: 'text/csv' })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.download = `${fileName}.csv`
+    a.href = url
+    a.click()
+  }
+  return csvString
+}
+
 export const sortByProperty = (arr, propOrTest, ...moreProps) => {
   let pass = []
   const fail = []
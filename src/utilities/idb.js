@@ -16,21 +16,33 @@ const IDBStore = typeof window !== 'undefined'
     }
   }
 
+const SETUP_TIMEOUT = 5000
+
+/**
+ * Open the given object stores. Rejects if IndexedDB fails to open (e.g. in private browsing)
+ * or doesn't respond within SETUP_TIMEOUT, so callers waiting on it are never left hanging.
+ */
 const setup = (storeNames) => {
   return Promise.all(
-    storeNames.map((storeName) => new Promise((resolve) => {
+    storeNames.map((storeName) => new Promise((resolve, reject) => {
       if (!stores[storeName]) {
         stores[storeName] = {}
       }
+      const timeout = setTimeout(() => reject(new Error(`timed out opening idb store ${storeName}`)), SETUP_TIMEOUT)
       stores[storeName].store = new IDBStore({
         dbVersion: 1,
         storeName,
         keyPath: 'id',
         autoIncrement: true,
         onStoreReady: () => {
+          clearTimeout(timeout)
           stores[storeName].ready = true
           resolve()
-        }
+        },
+        onError: (error) => {
+          clearTimeout(timeout)
+          reject(error || new Error(`failed to open idb store ${storeName}`))
+        },
       })
     }))
   )
@@ -114,6 +126,8 @@ const exportDb = (storeName) => {
 export default {
   setup,
   put,
+  getAll,
+  remove,
   exportDb,
   removeOld
 }
@@ -131,5 +131,7 @@ idb.setup([storeName])
       idbNotReadyQueue = []
     })
     .catch((e) => defaultLogger.error(`Failed to push ${idbNotReadyQueue.length} log messages to IDB`, e)))
+  // IndexedDB can be unavailable (e.g. private browsing or prerendering), messages stay queued
+  .catch((e) => console.warn('Failed to set up IDB for logging -', e.message))
 
 export default defaultLogger
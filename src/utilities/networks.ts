@@ -8,6 +8,7 @@ import coininfo from 'coininfo'
 import { Network as BitcoinJsNetwork } from 'bitcoinjs-lib'
 import { pick } from 'lodash'
 
+import Config from 'Config'
 import { FeeRate } from 'Types'
 
 export type AddressEncoding = 'P2PKH' | 'P2SH-P2WPKH' | 'P2WPKH' | 'P2SH-P2WSH' | 'P2WSH'
@@ -27,6 +28,8 @@ type BaseNetworkConfig = {
   symbol: string,
   name: string,
   bitcoreUrls: string[],
+  /** Coin name used by hardware wallets when it isn't the lowercased symbol */
+  hardwareCoin?: string,
   minTxFee?: FeeRate,
   dustThreshold?: number,
   paymentTypes: PaymentType[],
@@ -130,7 +133,11 @@ export const BTC = network({
 export const BTC_TEST = network({
   symbol: 'BTC-TEST',
   name: 'Bitcoin Testnet',
-  bitcoreUrls: [],
+  bitcoreUrls: [
+    'https://tbtc1.trezor.io',
+    'https://tbtc2.trezor.io',
+  ],
+  hardwareCoin: 'test',
   paymentTypes: [
     {
       addressEncoding: 'P2PKH',
@@ -259,7 +266,9 @@ export const LTC = network({
 export const LTC_TEST = network({
   symbol: 'LTC-TEST',
   name: 'Litecoin Testnet',
+  // No public Blockbook backend, set TESTNET_LTC_BITCORE_URL to a local one
   bitcoreUrls: [],
+  hardwareCoin: 'tltc',
   paymentTypes: [
     {
       addressEncoding: 'P2PKH',
@@ -298,12 +307,39 @@ export const VTC = network({
   ],
 })
 
+/**
+ * Use a test network in place of the mainnet of an asset. The asset symbol is kept so wallets,
+ * Bitcore and address formats keyed by symbol all pick up the test network.
+ */
+const testnetUrls: { [symbol: string]: string | undefined } = Config.testnetUrls
+
+function testnetFor(mainnet: NetworkConfig, testnet: NetworkConfig): NetworkConfig {
+  const localUrl = testnetUrls[mainnet.symbol]
+  return {
+    ...testnet,
+    symbol: mainnet.symbol,
+    hardwareCoin: testnet.hardwareCoin || testnet.symbol.toLowerCase(),
+    bitcoreUrls: localUrl ? [localUrl] : testnet.bitcoreUrls,
+  }
+}
+
+/**
+ * Assets that have a test network. In testnet mode every other asset, including ERC20 tokens whose
+ * contracts only exist on mainnet, is disabled so it can't be mistaken for a test asset. LTC is only
+ * included when a local testnet backend is configured.
+ */
+export const TESTNET_ASSETS = ['BTC', 'ETH', 'XRP', ...(testnetUrls.LTC ? ['LTC'] : [])]
+
+/** True if the asset can be used in the current network mode */
+export function isAssetAvailable(symbol: string): boolean {
+  return !Config.isTestnet || TESTNET_ASSETS.includes(symbol)
+}
 
 const allConfigs: { [symbol: string]: NetworkConfig } = {
-  BTC,
+  BTC: Config.isTestnet ? testnetFor(BTC, BTC_TEST) : BTC,
   BTC_TEST,
   BCH,
-  LTC,
+  LTC: Config.isTestnet ? testnetFor(LTC, LTC_TEST) : LTC,
   LTC_TEST,
   VTC,
 }
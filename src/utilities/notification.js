@@ -0,0 +1,38 @@
+import toastr from 'Utilities/toastrWrapper'
+import log from 'Utilities/log'
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window
+
+/** One of 'granted', 'denied', 'default' (not yet asked) or 'unsupported' */
+export const getNotificationPermission = () => isNotificationSupported() ? window.Notification.permission : 'unsupported'
+
+export const requestNotificationPermission = () => {
+  if (!isNotificationSupported()) {
+    return Promise.resolve('unsupported')
+  }
+  // Older browsers only support the callback form
+  return new Promise((resolve) => {
+    const result = window.Notification.requestPermission(resolve)
+    if (result && result.then) {
+      result.then(resolve)
+    }
+  })
+}
+
+/** Show a browser notification when permitted, otherwise fall back to a toast */
+export const notify = (title, body) => {
+  if (getNotificationPermission() === 'granted') {
+    try {
+      const notification = new window.Notification(title, { body, tag: `${title}:${body}` })
+      notification.onclick = () => {
+        window.focus()
+        notification.close()
+      }
+      return
+    } catch (e) {
+      // Some mobile browsers only allow notifications from a service worker
+      log.warn('Failed to show browser notification', e)
+    }
+  }
+  toastr.info(`${title}: ${body}`)
+}
@@ -0,0 +1,118 @@
+import { groupBy } from 'lodash'
+
+const HOUR = 1000 * 60 * 60
+const DAY = HOUR * 24
+
+/** Minimum time between two snapshots of the same portfolio */
+export const SNAPSHOT_INTERVAL = 1000 * 60 * 5
+
+/** Chart ranges selectable on the dashboard, in milliseconds (0 means all time) */
+export const HISTORY_RANGES = {
+  '24h': DAY,
+  '7d': DAY * 7,
+  '30d': DAY * 30,
+  all: 0,
+}
+
+/**
+ * Older snapshots are kept at a lower resolution so history can be stored indefinitely.
+ * Each entry is [minimum age, bucket size].
+ */
+const RETENTION = [
+  [DAY * 30, DAY],
+  [DAY, HOUR],
+]
+
+/**
+ * Create a snapshot of a portfolio's holdings.
+ *
+ * @param {Object} portfolio - Portfolio returned by getWalletWithHoldings
+ * @param {String} currency - Label of the currency the fiat values are in
+ * @param {Number} [timestamp=Date.now()]
+ * @return {Object} { portfolioId, timestamp, currency, totalFiat, assets } where assets maps each
+ *   held symbol to { balance, fiat }. Balances are strings to preserve precision.
+ */
+export function createSnapshot(portfolio, currency, timestamp = Date.now()) {
+  return {
+    portfolioId: portfolio.id,
+    timestamp,
+    currency,
+    totalFiat: portfolio.totalFiat.toNumber(),
+    assets: portfolio.assetHoldings.reduce((assets, { symbol, balance, fiat }) => ({
+      ...assets,
+      [symbol]: {
+        balance: balance.toString(),
+        fiat: fiat.toNumber(),
+      },
+    }), {}),
+  }
+}
+
+/**
+ * Find the snapshots that should be removed to reduce the resolution of older history.
+ * The most recent snapshot of each portfolio within a retention bucket is kept.
+ *
+ * @param {Object[]} snapshots - Snapshots of any number of portfolios
+ * @param {Number} [now=Date.now()]
+ * @return {Object[]} Snapshots to remove
+ */
+export function getExpendableSnapshots(snapshots, now = Date.now()) {
+  const expendable = []
+  Object.values(groupBy(snapshots, 'portfolioId')).forEach((portfolioSnapshots) => {
+    const keptBuckets = {}
+    portfolioSnapshots
+      .slice()
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .forEach((snapshot) => {
+        const age = now - snapshot.timestamp
+        const retention = RETENTION.find(([minAge]) => age >= minAge)
+        if (!retention) {
+          return
+        }
+        const bucket = `${retention[1]}:${Math.floor(snapshot.timestamp / retention[1])}`
+        if (keptBuckets[bucket]) {
+          expendable.push(snapshot)
+        } else {
+          keptBuckets[bucket] = true
+        }
+      })
+  })
+  return expendable
+}
+
+/**
+ * Build the chart series for a portfolio's history.
+ *
+ * @param {Object[]} snapshots - Snapshots of a single portfolio sorted by timestamp
+ * @param {Number} range - Milliseconds of history to include, 0 for all
+ * @param {Number} [maxAssets=8] - Assets beyond this many (ordered by latest value) are combined
+ * @param {Number} [now=Date.now()]
+ * @return {Object} { total, assets, other } where total and other are [timestamp, fiat] points
+ *   and assets are { symbol, data } with data in the same format
+ */
+export function getHistorySeries(snapshots, range, maxAssets = 8, now = Date.now()) {
+  const inRange = range ? snapshots.filter(({ timestamp }) => timestamp >= now - range) : snapshots
+  const latest = inRange[inRange.length - 1]
+  const symbols = latest
+    ? Object.keys(latest.assets).sort((a, b) => latest.assets[b].fiat - latest.assets[a].fiat)
+    : []
+  // Include assets that were held earlier in the range but no longer are
+  inRange.forEach(({ assets }) => Object.keys(assets)
+    .filter((symbol) => !symbols.includes(symbol))
+    .forEach((symbol) => symbols.push(symbol)))
+  const shownSymbols = symbols.slice(0, maxAssets)
+  const getFiat = ({ assets }, symbol) => assets[symbol] ? assets[symbol].fiat : 0
+  return {
+    total: inRange.map(({ timestamp, totalFiat }) => [timestamp, totalFiat]),
+    assets: shownSymbols.map((symbol) => ({
+      symbol,
+      data: inRange.map((snapshot) => [snapshot.timestamp, getFiat(snapshot, symbol)]),
+    })),
+    other: symbols.length > maxAssets
+      ? inRange.map((snapshot) => [
+        snapshot.timestamp,
+        snapshot.totalFiat - shownSymbols.reduce((sum, symbol) => sum + getFiat(snapshot, symbol), 0),
+      ])
+      : [],
+  }
+}
@@ -0,0 +1,134 @@
+import { omit } from 'lodash'
+import { ZERO, BigNumber, toBigNumber, toUnit } from 'Utilities/convert'
+
+/** Fiat amounts smaller than this are considered settled */
+const FIAT_TOLERANCE = 0.01
+
+const isSettled = (fiat) => fiat.lessThan(FIAT_TOLERANCE)
+
+const sortByRemaining = (entries) => entries
+  .filter(({ remaining }) => !isSettled(remaining))
+  .sort((a, b) => b.remaining.comparedTo(a.remaining))
+
+/**
+ * Plan the swaps needed to move between the current and target holdings of a portfolio.
+ *
+ * Finding the fewest swaps is NP-hard in general so this uses the usual heuristic: first pair
+ * up sells and buys of the same value, then repeatedly match the largest remaining sell with the
+ * largest remaining buy. The result has at most (sells + buys - 1) swaps rather than the
+ * (sells * buys) produced by pairing holdings one by one.
+ *
+ * @param {Object[]} adjustments - Holdings to change, each { walletId, symbol, price, decimals,
+ *   balance, fiat } where fiat is the value to sell (positive) or buy (negative)
+ * @return {Object} { legs, unmatched } where legs are { sendWalletId, sendSymbol, sendAmount,
+ *   sendFiat, receiveWalletId, receiveSymbol } and unmatched are adjustments that couldn't be swapped
+ */
+export function planSwapLegs(adjustments) {
+  const toEntry = (adjustment) => ({ ...adjustment, remaining: toBigNumber(adjustment.fiat).abs() })
+  let sells = adjustments.filter(({ fiat }) => toBigNumber(fiat).greaterThan(0)).map(toEntry)
+  let buys = adjustments.filter(({ fiat }) => toBigNumber(fiat).isNegative()).map(toEntry)
+  const matches = []
+  const match = (sell, buy, fiat) => {
+    matches.push({ sell, buy, fiat })
+    sell.remaining = sell.remaining.minus(fiat)
+    buy.remaining = buy.remaining.minus(fiat)
+  }
+
+  // Pairs of equal value settle each other with a single swap
+  sells.forEach((sell) => {
+    const buy = buys.find((b) => b.symbol !== sell.symbol && !isSettled(b.remaining)
+      && sell.remaining.minus(b.remaining).abs().lessThan(FIAT_TOLERANCE))
+    if (buy) {
+      match(sell, buy, sell.remaining)
+    }
+  })
+
+  sells = sortByRemaining(sells)
+  buys = sortByRemaining(buys)
+  while (sells.length > 0 && buys.length > 0) {
+    const sell = sells[0]
+    // An asset can't be swapped for itself
+    const buy = buys.find(({ symbol }) => symbol !== sell.symbol)
+    if (!buy) {
+      break
+    }
+    match(sell, buy, BigNumber.min(sell.remaining, buy.remaining))
+    sells = sortByRemaining(sells)
+    buys = sortByRemaining(buys)
+  }
+
+  const unmatched = [...sells, ...buys].map((entry) => omit(entry, 'remaining'))
+  const legs = matches.map(({ sell, buy, fiat }) => ({
+    sendWalletId: sell.walletId,
+    sendSymbol: sell.symbol,
+    // Round to a reasonable number of decimal places to improve readability on hardware wallet
+    // screens. 8 decimals is more than enough to accurately represent $0.01 of any asset
+    sendAmount: toUnit(fiat, sell.price, sell.decimals, true).round(8),
+    sendFiat: fiat,
+    receiveWalletId: buy.walletId,
+    receiveSymbol: buy.symbol,
+  }))
+  return { legs: sweepEmptiedHoldings(legs, adjustments), unmatched }
+}
+
+/**
+ * When the entire balance of a holding is sold, ensure no dust is left behind
+ * by adding the difference to the last leg that sends it.
+ */
+function sweepEmptiedHoldings(legs, adjustments) {
+  adjustments
+    .filter(({ fiat, emptyAsset }) => emptyAsset && toBigNumber(fiat).greaterThan(0))
+    .forEach(({ walletId, symbol, balance }) => {
+      const legIndexes = legs
+        .map((leg, i) => leg.sendWalletId === walletId && leg.sendSymbol === symbol ? i : -1)
+        .filter((i) => i >= 0)
+      if (legIndexes.length === 0) {
+        return
+      }
+      const lastIndex = legIndexes[legIndexes.length - 1]
+      const sentTotal = legIndexes.reduce((sum, i) => sum.plus(legs[i].sendAmount), ZERO)
+      const last = legs[lastIndex]
+      legs[lastIndex] = { ...last, sendAmount: last.sendAmount.plus(toBigNumber(balance).minus(sentTotal)) }
+    })
+  return legs
+}
+
+/**
+ * Estimate the outcome of a swap leg from the rate of its pair.
+ *
+ * @param {Object} leg - A leg returned by planSwapLegs
+ * @param {Object} rate - { price, withdrawalFee, minimumDeposit, isStale } read with the rate selectors,
+ *   where price is the amount of the send asset per unit of the receive asset and isStale is true
+ *   when the rate was outdated or still loading
+ * @param {Object} sendAsset - Asset being sent
+ * @param {Object} receiveAsset - Asset being received
+ * @return {Object} The leg with { receiveAmount, withdrawalFee, feeFiat, slippage, belowMinimum, minimumDeposit,
+ *   isEstimateStale, error }
+ */
+export function estimateSwapLeg(leg, rate, sendAsset, receiveAsset) {
+  const { sendAmount } = leg
+  const price = toBigNumber(rate.price)
+  const minimumDeposit = toBigNumber(rate.minimumDeposit)
+  const withdrawalFee = toBigNumber(rate.withdrawalFee)
+  if (!price.greaterThan(0)) {
+    // Without a price nothing can be estimated, don't pretend the leg receives nothing
+    return { ...leg, error: 'rate unavailable' }
+  }
+  const receiveAmount = BigNumber.max(sendAmount.div(price).round(receiveAsset.decimals).minus(withdrawalFee), ZERO)
+  // Market price derived from asset fiat prices, in units of the send asset per receive asset
+  const marketPrice = toBigNumber(receiveAsset.price).div(sendAsset.price)
+  const slippage = marketPrice.greaterThan(0)
+    ? price.minus(marketPrice).div(marketPrice).times(100)
+    : null
+  return {
+    ...leg,
+    rate: price,
+    receiveAmount,
+    withdrawalFee,
+    feeFiat: withdrawalFee.times(receiveAsset.price),
+    slippage,
+    minimumDeposit,
+    belowMinimum: sendAmount.lessThan(minimumDeposit),
+    isEstimateStale: Boolean(rate.isStale),
+  }
+}
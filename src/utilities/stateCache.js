@@ -0,0 +1,50 @@
+import idb from './idb'
+
+const STORE_NAME = 'stateCache'
+const LOAD_TIMEOUT = 3000
+
+let storeReady
+
+const setupStore = () => {
+  if (!storeReady) {
+    storeReady = idb.setup([STORE_NAME])
+  }
+  return storeReady
+}
+
+/**
+ * Save the last known value of a slice of redux state to IndexedDB so it can be shown
+ * when the app is opened without a network connection. The data is passed through JSON
+ * first because IndexedDB would drop the prototype of class instances such as BigNumber.
+ *
+ * @param {String} key - Name of the cached slice
+ * @param {Object} data - Slice to cache
+ * @return {Promise} Resolved once the slice is saved
+ */
+export const saveCachedState = (key, data) => setupStore()
+  .then(() => idb.put(STORE_NAME, {
+    id: key,
+    data: JSON.parse(JSON.stringify(data)),
+    savedAt: Date.now(),
+  }))
+
+/**
+ * Load every cached slice of redux state. Never rejects, an empty object is returned
+ * when IndexedDB is unavailable or too slow to open so the app can still start.
+ *
+ * @return {Promise<Object>} Cached slices keyed by name, each as { data, savedAt }
+ */
+export const loadCachedState = () => Promise.race([
+  setupStore()
+    .then(() => idb.getAll(STORE_NAME))
+    .then((entries) => entries.reduce((result, { id, data, savedAt }) => ({
+      ...result,
+      [id]: { data, savedAt },
+    }), {})),
+  new Promise((resolve) => setTimeout(() => resolve({}), LOAD_TIMEOUT)),
+]).catch(() => ({}))
+
+export default {
+  saveCachedState,
+  loadCachedState,
+}
@@ -1,5 +1,20 @@
 import { isString } from 'lodash'
 import { i18nTranslate as t } from 'Utilities/translate'
+import { toBigNumber } from 'Utilities/convert'
+
+/** Order statuses that won't change again */
+export const FINAL_ORDER_STATUSES = ['complete', 'failed', 'cancelled', 'refunded']
+
+export const isSwapFinalized = (swap) => Boolean(swap) && FINAL_ORDER_STATUSES.includes(swap.orderStatus)
+
+/** Orders still awaiting a deposit after this long (ms) are no longer checked automatically */
+export const DEPOSIT_POLLING_MAX_AGE = 86400000 * 2
+
+export const isDepositPollingExpired = (swap, now = Date.now()) => {
+  const { orderStatus, createdAt } = swap
+  return orderStatus === 'awaiting deposit' && Boolean(createdAt)
+    && (now - new Date(createdAt).getTime()) > DEPOSIT_POLLING_MAX_AGE
+}
 
 const createStatus = (code, label, labelClass) => (detailsCode, details) => ({ code, label, labelClass, detailsCode, details })
 
@@ -36,6 +51,9 @@ export const getSwapStatus = (swap) => {
       if (!(tx && tx.walletId)) {
         return statusPending('creating_tx', t('app.statuses.generateTx', 'Generating deposit transaction'))
       }
+      if (tx.cancelled) {
+        return statusFailed('tx_cancelled', t('app.statuses.txCancelled', 'Deposit transaction was cancelled'))
+      }
       if (!tx.receipt) {
         if (tx.sendingError) {
           return statusFailed('send_tx_error', t('app.statuses.sendTxError', 'Failed to send deposit transaction, please try again'))
@@ -43,6 +61,9 @@ export const getSwapStatus = (swap) => {
         if (tx.sending) {
           return statusPending('sending', t('app.statuses.sending', 'Sending deposit transaction'))
         }
+        if (tx.stuck) {
+          return statusPending('tx_stuck', t('app.statuses.txStuck', 'Deposit transaction is taking longer than usual to confirm'))
+        }
         if (tx.sent) {
           return statusPending('pending_receipt', t('app.statuses.sent', 'Waiting for transaction confirmation'))
         }
@@ -115,3 +136,125 @@ export const getSwapReadyToSign = (swap) => Boolean(swap) &&
 
 export const getSwapReadyToSend = (swap) => Boolean(swap) &&
   ['send_tx_error', 'signing_unsupported', 'signed'].includes(swap.status.detailsCode)
+
+/**
+ * True when the locked rate of a fixed rate swap ran out before any deposit was seen. The swap
+ * can be requoted, funds sent to it before then would be swapped at a rate that's no longer honoured.
+ */
+export const isRateLockLapsed = (swap, now = Date.now()) => {
+  const { rateLockedUntil, orderStatus, depositTxId, amountDeposited, tx } = swap
+  return Boolean(rateLockedUntil) && new Date(rateLockedUntil).getTime() < now
+    && orderStatus === 'awaiting deposit' && !depositTxId && !(tx && tx.sent)
+    && !(amountDeposited && toBigNumber(amountDeposited).gt(0))
+}
+
+/**
+ * The amount the user entered in a swap form, the other one is estimated from it. estimatedField is
+ * 'send' when the user entered the receive amount.
+ */
+export const getEnteredSwapAmount = ({ estimatedField, sendAmount, receiveAmount }) =>
+  estimatedField === 'send' ? receiveAmount : sendAmount
+
+/** A fixed rate swap locks the entered amount, so a rate can only be fixed once there is one */
+export const canFixSwapRate = (amounts) => {
+  const enteredAmount = getEnteredSwapAmount(amounts)
+  return Boolean(enteredAmount) && toBigNumber(enteredAmount).gt(0)
+}
+
+const createEvent = (code, label, state, fields = {}) => ({ code, label, state, ...fields })
+
+/**
+ * Build the lifecycle events of a swap from its order fields, oldest first. Each event has a state
+ * of done, active, pending, warning or failed. Events that need the user to act include guidance.
+ */
+export const getSwapTimeline = (swap, now = Date.now()) => {
+  const {
+    orderId, orderStatus, createdAt, sendSymbol, receiveSymbol, depositAmount, amountDeposited,
+    depositTxId, receiveTxId, rateLockedAt, rateLockedUntil, refundAddress, tx,
+  } = swap
+  if (!orderId) {
+    return []
+  }
+  const isComplete = orderStatus === 'complete'
+  const isRefunded = orderStatus === 'refunded'
+  const isFailed = orderStatus === 'failed' || orderStatus === 'cancelled'
+  const isAwaitingDeposit = orderStatus === 'awaiting deposit'
+  const deposited = amountDeposited ? toBigNumber(amountDeposited) : null
+  const depositHash = depositTxId || (tx && tx.sent ? tx.hash : null)
+  const depositSeen = Boolean(depositHash) || Boolean(deposited && deposited.gt(0))
+  const depositConfirmed = Boolean(deposited && deposited.gt(0)) || isComplete || (!isAwaitingDeposit && !isFailed)
+  const isPartialDeposit = Boolean(deposited && deposited.gt(0) && depositAmount
+    && deposited.lt(depositAmount) && !isComplete && !isRefunded)
+  const rateExpired = Boolean(rateLockedUntil) && new Date(rateLockedUntil).getTime() < now
+  const isLateDeposit = depositSeen && rateExpired && isAwaitingDeposit
+
+  const events = [
+    createEvent('created', t('app.swapTimeline.created', 'Order created'), 'done', { date: createdAt }),
+  ]
+
+  if (isLateDeposit) {
+    events.push(createEvent('deposit_late', t('app.swapTimeline.depositLate', 'Deposit received after the rate expired'), 'warning', {
+      txId: depositHash,
+      symbol: sendSymbol,
+      guidance: t('app.swapTimeline.depositLateGuidance', 'Your deposit arrived after the locked rate expired. It will be swapped at the current rate or refunded to you. Re-check for updates or contact support@faa.st.'),
+    }))
+  } else if (depositSeen) {
+    events.push(createEvent('deposit_seen', t('app.swapTimeline.depositSeen', 'Deposit seen'), 'done', {
+      txId: depositHash,
+      symbol: sendSymbol,
+    }))
+  } else if (isRateLockLapsed(swap, now)) {
+    events.push(createEvent('deposit_seen', t('app.swapTimeline.rateExpired', 'Rate expired before a deposit arrived'), 'warning', {
+      guidance: t('app.swapTimeline.rateExpiredGuidance', "Don't send funds to this order until you re-check it to get a new quote."),
+    }))
+  } else if (isAwaitingDeposit && isDepositPollingExpired(swap, now)) {
+    events.push(createEvent('deposit_seen', t('app.swapTimeline.depositNotSeen', 'No deposit seen'), 'warning', {
+      guidance: t('app.swapTimeline.depositNotSeenGuidance', "We've stopped checking this order automatically. If you sent a deposit, re-check now."),
+    }))
+  } else {
+    events.push(createEvent('deposit_seen', t('app.swapTimeline.depositSeen', 'Deposit seen'), isFailed ? 'pending' : 'active'))
+  }
+
+  if (isPartialDeposit) {
+    events.push(createEvent('deposit_partial', t('app.swapTimeline.depositPartial', 'Partial deposit received'), 'warning', {
+      amount: deposited,
+      expectedAmount: depositAmount,
+      symbol: sendSymbol,
+      guidance: t('app.swapTimeline.depositPartialGuidance', 'Less than the required amount was deposited. Send the remainder to the same deposit address, or contact support@faa.st to have it refunded.'),
+    }))
+  } else {
+    events.push(createEvent('deposit_confirmed', t('app.swapTimeline.depositConfirmed', 'Deposit confirmed'),
+      depositConfirmed ? 'done' : (depositSeen && !isFailed ? 'active' : 'pending'), {
+        amount: deposited && deposited.gt(0) ? deposited : null,
+        symbol: sendSymbol,
+      }))
+  }
+
+  events.push(createEvent('rate_locked', t('app.swapTimeline.rateLocked', 'Rate locked'),
+    rateLockedAt && !isLateDeposit ? 'done' : 'pending', {
+      date: rateLockedAt,
+      expiresAt: rateLockedUntil,
+    }))
+
+  if (isRefunded) {
+    events.push(createEvent('refunded', t('app.swapTimeline.refunded', 'Deposit refunded'), 'done', {
+      address: refundAddress,
+      guidance: refundAddress
+        ? t('app.swapTimeline.refundedGuidance', 'Your deposit was returned to your refund address. It can take a few confirmations to show up in your wallet.')
+        : t('app.swapTimeline.refundedNoAddressGuidance', 'Your deposit was returned to the address it was sent from. It can take a few confirmations to show up in your wallet.'),
+    }))
+  } else if (isFailed) {
+    events.push(createEvent('failed', t('app.swapTimeline.failed', 'Order unsuccessful'), 'failed', {
+      guidance: depositSeen
+        ? t('app.swapTimeline.failedDepositGuidance', 'Contact support@faa.st with your order ID to get your deposit refunded.')
+        : t('app.swapTimeline.failedGuidance', "Don't send funds to this order. Create a new swap instead."),
+    }))
+  } else {
+    events.push(createEvent('withdrawal_sent', t('app.swapTimeline.withdrawalSent', 'Withdrawal sent'),
+      receiveTxId || isComplete ? 'done' : (depositConfirmed ? 'active' : 'pending'), {
+        txId: receiveTxId,
+        symbol: receiveSymbol,
+      }))
+  }
+  return events
+}
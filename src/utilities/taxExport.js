@@ -0,0 +1,213 @@
+import { flatMap } from 'lodash'
+
+import { toBigNumber, ZERO } from 'Utilities/convert'
+
+const DAY = 1000 * 60 * 60 * 24
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/** Format a date in UTC using a pattern of YYYY, MM, DD, hh, mm and ss */
+const formatUtc = (date, pattern) => {
+  const d = new Date(date)
+  return pattern
+    .replace('YYYY', d.getUTCFullYear())
+    .replace('MM', pad(d.getUTCMonth() + 1))
+    .replace('DD', pad(d.getUTCDate()))
+    .replace('hh', pad(d.getUTCHours()))
+    .replace('mm', pad(d.getUTCMinutes()))
+    .replace('ss', pad(d.getUTCSeconds()))
+}
+
+const formatAmount = (amount) => {
+  amount = toBigNumber(amount)
+  return amount.isNaN() ? '' : amount.toString()
+}
+
+/**
+ * Columns of each export layout. Each column is [header, (row) => value] where row is one of
+ * the results of toTaxRows. Layouts with a single fee column set separateNetworkFee to list the
+ * network fee of a deposit as its own row, because it's usually paid in a third currency.
+ */
+export const TAX_EXPORT_LAYOUTS = {
+  generic: {
+    label: 'Generic',
+    columns: [
+      ['Date (UTC)', ({ date }) => formatUtc(date, 'YYYY-MM-DD hh:mm:ss')],
+      ['Sent Amount', ({ sentAmount }) => sentAmount],
+      ['Sent Currency', ({ sentSymbol }) => sentSymbol],
+      ['Received Amount', ({ receivedAmount }) => receivedAmount],
+      ['Received Currency', ({ receivedSymbol }) => receivedSymbol],
+      ['Value (USD)', ({ valueUsd }) => valueUsd],
+      ['Withdrawal Fee', ({ withdrawalFee }) => withdrawalFee],
+      ['Exchange Fee', ({ exchangeFee }) => exchangeFee],
+      ['Swap Fee Currency', ({ swapFeeAmount, receivedSymbol }) => swapFeeAmount ? receivedSymbol : ''],
+      ['Network Fee Amount', ({ networkFeeAmount }) => networkFeeAmount],
+      ['Network Fee Currency', ({ networkFeeSymbol }) => networkFeeSymbol],
+      ['Deposit Tx ID', ({ depositTxId }) => depositTxId],
+      ['Withdrawal Tx ID', ({ withdrawalTxId }) => withdrawalTxId],
+      ['Order ID', ({ orderId }) => orderId],
+    ],
+  },
+  koinly: {
+    label: 'Koinly',
+    separateNetworkFee: true,
+    columns: [
+      ['Date', ({ date }) => `${formatUtc(date, 'YYYY-MM-DD hh:mm')} UTC`],
+      ['Sent Amount', ({ sentAmount }) => sentAmount],
+      ['Sent Currency', ({ sentSymbol }) => sentSymbol],
+      ['Received Amount', ({ receivedAmount }) => receivedAmount],
+      ['Received Currency', ({ receivedSymbol }) => receivedSymbol],
+      ['Fee Amount', ({ feeAmount }) => feeAmount],
+      ['Fee Currency', ({ feeSymbol }) => feeSymbol],
+      ['Net Worth Amount', ({ valueUsd }) => valueUsd],
+      ['Net Worth Currency', ({ valueUsd }) => valueUsd ? 'USD' : ''],
+      ['Label', ({ isNetworkFee }) => isNetworkFee ? 'cost' : ''],
+      ['Description', ({ orderId, isNetworkFee }) => `${isNetworkFee ? 'Network fee of ' : ''}Faa.st swap ${orderId}`],
+      ['TxHash', ({ depositTxId }) => depositTxId],
+    ],
+  },
+  cointracker: {
+    label: 'CoinTracker',
+    separateNetworkFee: true,
+    columns: [
+      ['Date', ({ date }) => formatUtc(date, 'MM/DD/YYYY hh:mm:ss')],
+      ['Received Quantity', ({ receivedAmount }) => receivedAmount],
+      ['Received Currency', ({ receivedSymbol }) => receivedSymbol],
+      ['Sent Quantity', ({ sentAmount }) => sentAmount],
+      ['Sent Currency', ({ sentSymbol }) => sentSymbol],
+      ['Fee Amount', ({ feeAmount }) => feeAmount],
+      ['Fee Currency', ({ feeSymbol }) => feeSymbol],
+      ['Tag', () => ''],
+    ],
+  },
+  cointracking: {
+    label: 'CoinTracking',
+    separateNetworkFee: true,
+    columns: [
+      ['Type', ({ isNetworkFee }) => isNetworkFee ? 'Other Fee' : 'Trade'],
+      ['Buy Amount', ({ receivedAmount }) => receivedAmount],
+      ['Buy Currency', ({ receivedSymbol }) => receivedSymbol],
+      ['Sell Amount', ({ sentAmount }) => sentAmount],
+      ['Sell Currency', ({ sentSymbol }) => sentSymbol],
+      ['Fee', ({ feeAmount }) => feeAmount],
+      ['Fee Currency', ({ feeSymbol }) => feeSymbol],
+      ['Exchange', () => 'Faa.st'],
+      ['Trade-Group', () => ''],
+      ['Comment', ({ orderId }) => orderId],
+      ['Date', ({ date }) => formatUtc(date, 'DD.MM.YYYY hh:mm:ss')],
+    ],
+  },
+}
+
+/**
+ * Fee charged through the spread, in units of the receive asset: the difference between what the
+ * deposit would have bought at the spot rate and at the quoted rate. Both rates are the amount of
+ * the send asset per unit of the receive asset.
+ */
+const getExchangeFee = (deposited, { rate, spotRate }) => {
+  rate = toBigNumber(rate)
+  spotRate = toBigNumber(spotRate)
+  if (!deposited.greaterThan(0) || !rate.greaterThan(0) || !spotRate.greaterThan(0)) {
+    return null
+  }
+  const fee = deposited.div(spotRate).minus(deposited.div(rate)).round(8)
+  return fee.greaterThan(0) ? fee : ZERO
+}
+
+/** Flatten an extended swap into the fields used by the export layouts */
+export const toTaxTrade = (swap) => {
+  const { tx = {} } = swap
+  const deposited = toBigNumber(swap.amountDeposited || swap.sendAmount)
+  const withdrawalFee = swap.withdrawalFee ? toBigNumber(swap.withdrawalFee) : null
+  const exchangeFee = getExchangeFee(deposited, swap)
+  const swapFee = [withdrawalFee, exchangeFee].filter(Boolean)
+  const swapFeeAmount = swapFee.length > 0 ? swapFee.reduce((sum, fee) => sum.plus(fee), ZERO) : null
+  return {
+    date: swap.createdAt,
+    orderId: swap.orderId,
+    sentAmount: formatAmount(deposited),
+    sentSymbol: swap.sendSymbol,
+    receivedAmount: formatAmount(swap.amountWithdrawn || swap.receiveAmount),
+    receivedSymbol: swap.receiveSymbol,
+    valueUsd: formatAmount(swap.valueUsd),
+    withdrawalFee: withdrawalFee ? formatAmount(withdrawalFee) : '',
+    exchangeFee: exchangeFee ? formatAmount(exchangeFee) : '',
+    swapFeeAmount: swapFeeAmount ? formatAmount(swapFeeAmount) : '',
+    // Withdrawal and exchange fees are taken out of the amount received
+    feeAmount: swapFeeAmount ? formatAmount(swapFeeAmount) : '',
+    feeSymbol: swapFeeAmount ? swap.receiveSymbol : '',
+    // Only the network fee of deposits sent from this app is known
+    networkFeeAmount: tx.feeAmount ? formatAmount(tx.feeAmount) : '',
+    networkFeeSymbol: tx.feeAmount ? tx.feeSymbol : '',
+    depositTxId: swap.depositTxId || tx.hash || '',
+    withdrawalTxId: swap.receiveTxId || '',
+  }
+}
+
+/**
+ * Convert an extended swap to the rows of an export layout: the trade itself, followed by its
+ * deposit network fee when the layout lists it separately.
+ */
+export const toTaxRows = (swap, layout) => {
+  const trade = toTaxTrade(swap)
+  if (!TAX_EXPORT_LAYOUTS[layout].separateNetworkFee || !trade.networkFeeAmount) {
+    return [trade]
+  }
+  return [trade, {
+    ...trade,
+    isNetworkFee: true,
+    sentAmount: trade.networkFeeAmount,
+    sentSymbol: trade.networkFeeSymbol,
+    receivedAmount: '',
+    receivedSymbol: '',
+    valueUsd: '',
+    feeAmount: '',
+    feeSymbol: '',
+  }]
+}
+
+/**
+ * Select the completed swaps to export.
+ *
+ * @param {Object[]} swaps - Extended swaps
+ * @param {Object} filters - { from, to, walletId } where from and to are YYYY-MM-DD dates in UTC
+ *   (inclusive, either may be omitted) and walletId limits to swaps sent from or received by that wallet
+ * @return {Object[]} Matching swaps, oldest first
+ */
+export const filterTaxSwaps = (swaps, { from, to, walletId } = {}) => {
+  const fromTime = from ? new Date(from).getTime() : -Infinity
+  const toTime = to ? new Date(to).getTime() + DAY - 1 : Infinity
+  return swaps
+    .filter(({ orderStatus }) => orderStatus === 'complete')
+    .filter(({ createdAt }) => {
+      const time = new Date(createdAt).getTime()
+      return time >= fromTime && time <= toTime
+    })
+    .filter(({ sendWalletId, receiveWalletId }) => !walletId || sendWalletId === walletId || receiveWalletId === walletId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+}
+
+const escapeCsvValue = (value) => {
+  value = value === null || typeof value === 'undefined' ? '' : String(value)
+  // Stop spreadsheet apps from evaluating a value as a formula
+  if (/^[=+\-@]/.test(value)) {
+    value = `'${value}`
+  }
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+}
+
+/**
+ * Build a CSV document of swaps in one of the TAX_EXPORT_LAYOUTS.
+ *
+ * @param {Object[]} swaps - Extended swaps to include
+ * @param {String} layout - Key of TAX_EXPORT_LAYOUTS
+ * @return {String} CSV text
+ */
+export const toTaxCsv = (swaps, layout) => {
+  const { columns } = TAX_EXPORT_LAYOUTS[layout]
+  const rows = [
+    columns.map(([header]) => header),
+    ...flatMap(swaps, (swap) => toTaxRows(swap, layout)).map((row) => columns.map(([, getValue]) => getValue(row))),
+  ]
+  return rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n')
+}
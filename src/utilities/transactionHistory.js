@@ -0,0 +1,19 @@
+import config from 'Config'
+
+export const historyInitialState = {
+  transactions: [],
+  page: 0,
+  hasMore: false,
+  loaded: false,
+  loading: false,
+  unsupported: false, // True when history can't be loaded for the asset, use the explorer instead
+  error: '',
+}
+
+/** Key of a wallet's history of one asset in the transactionHistory state */
+export const getHistoryKey = (walletId, symbol) => `${walletId}:${symbol}`
+
+/** Block explorer for an asset, tokens use the explorer of their chain */
+export const getExplorerUrl = (asset) => asset
+  ? config.explorerUrls[asset.symbol] || (asset.ERC20 ? config.explorerUrls.ETH : null)
+  : null
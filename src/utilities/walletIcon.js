@@ -34,6 +34,9 @@ export const getWalletIconProps = (walletInstance) => {
   if (type.includes('blockstack')) {
     return { src: walletTypes.blockstack.icon }
   }
+  if (type.includes('walletconnect')) {
+    return { src: walletTypes.walletconnect.icon }
+  }
   if (type.includes('web3')) {
     return { src: (walletTypes[walletInstance.providerName] || {}).icon || EthereumIcon }
   }
@@ -11,12 +11,6 @@ ReactGA.set({
   dimension1: 'faast'
 })
 
-if (!window.faast) window.faast = {}
-window.faast.intervals = {
-  orderStatus: [],
-  txReceipt: []
-}
-
 const Root = () => {
   return (
     <Provider store={store}>
@@ -14,6 +14,7 @@ import {
 
 import log from 'Log'
 import { toBigNumber } from 'Utilities/convert'
+import { canFixSwapRate } from 'Utilities/swap'
 import * as validator from 'Utilities/validator'
 import * as qs from 'query-string'
 import { retrievePairData } from 'Common/actions/rate'
@@ -30,6 +31,7 @@ import Overlay from 'Components/Overlay'
 import GAEventButton from 'Components/GAEventButton'
 import ReduxFormField from 'Components/ReduxFormField'
 import Checkbox from 'Components/Checkbox'
+import RateModeSelector from 'Components/RateModeSelector'
 import CoinIcon from 'Components/CoinIcon'
 import AssetSelector from 'Components/AssetSelectorList'
 import T from 'Components/i18n/T'
@@ -61,7 +63,8 @@ const SwapStepOne = ({
   sendSymbol, receiveSymbol, assetSymbols, assetSelect, setAssetSelect, validateSendAmount, validateReceiveAmount,
   handleSubmit, handleSelectedAsset, isAssetDisabled, handleSwitchAssets, isAppBlocked,
   onChangeSendAmount, maxGeoBuy, handleSelectGeoMax, onChangeReceiveAmount, estimatedField,
-  sendAmount, receiveAmount, rateError, sendAsset, t, onCloseAssetSelector, isSubmittingSwap
+  sendAmount, receiveAmount, rateError, sendAsset, t, onCloseAssetSelector, isSubmittingSwap,
+  fixedRate, setFixedRate,
 }) => {
   return (
     <Fragment>
@@ -190,6 +193,16 @@ const SwapStepOne = ({
                 />
               </Col>
             </Row>
+            <RateModeSelector
+              className='mb-3'
+              fixedRate={fixedRate}
+              onChange={setFixedRate}
+              sendSymbol={sendSymbol}
+              receiveSymbol={receiveSymbol}
+              sendAmount={sendAmount}
+              receiveAmount={receiveAmount}
+              estimatedField={estimatedField}
+            />
             <div className='mt-0 mb-4'>
               <Checkbox
                 label={
@@ -287,6 +300,7 @@ export default compose(
   withState('assetSelect', 'setAssetSelect', null), // send, receive, or null
   withState('estimatedField', 'setEstimatedField', 'receive'), // send or receive
   withState('isSubmittingSwap', 'updateIsSubmittingSwap', false),
+  withState('fixedRate', 'setFixedRate', ({ previousSwapInputs }) => !previousSwapInputs || previousSwapInputs.fixedRate !== false),
   withHandlers({
     onCloseAssetSelector: ({ setAssetSelect }) => () => {
       setAssetSelect(null)
@@ -298,7 +312,9 @@ export default compose(
       validator.number(),
       validator.integer()
     ),
-    onSubmit: ({ sendSymbol, receiveSymbol, updateIsSubmittingSwap, saveSwapWidgetInputs }) => (values) => {
+    onSubmit: ({
+      sendSymbol, receiveSymbol, estimatedField, fixedRate, updateIsSubmittingSwap, saveSwapWidgetInputs,
+    }) => (values) => {
       updateIsSubmittingSwap(true)
       let { sendAmount, receiveAmount } = values
       saveSwapWidgetInputs({
@@ -306,6 +322,7 @@ export default compose(
         from: sendSymbol,
         toAmount: receiveAmount ? parseFloat(receiveAmount) : undefined,
         fromAmount: sendAmount ? parseFloat(sendAmount) : undefined,
+        fixedRate: fixedRate && canFixSwapRate({ estimatedField, sendAmount, receiveAmount }),
         currentStep: 2
       })
       updateIsSubmittingSwap(false)
@@ -9,11 +9,11 @@ import { getSwap } from 'Common/selectors/swap'
 import DepositQRCode from 'Components/DepositQRCode'
 import ClipboardCopyField from 'Components/ClipboardCopyField'
 import Expandable from 'Components/Expandable'
-import { refreshSwap, restoreSwapPolling } from 'Common/actions/swap'
+import { restoreSwapPolling } from 'Common/actions/swap'
 import { capitalizeFirstLetter } from 'Utilities/helpers'
 import { retrievePairData } from 'Common/actions/rate'
 import { saveSwapWidgetInputs } from 'Actions/widget'
-import Timer from 'Components/Timer'
+import RateLockCountdown from 'Components/RateLockCountdown'
 
 import { getRateMinimumDeposit, getRatePrice, getRateMaximumDeposit, } from 'Common/selectors/rate'
 import { getGeoLimit } from 'Common/selectors/app'
@@ -28,8 +28,8 @@ import FaastLogo from 'Img/faast-logo.png'
 import style from './style.scss'
 
 
-const StepThree = ({ onBack, swap: { orderId, depositAddressExtraId, depositAddress, sendAsset, 
-  sendAmount, sendSymbol, maxGeoBuy, isFixedPrice, orderStatus }, minimumDeposit, handleTimerEnd, secondsUntilPriceExpiry }) => {
+const StepThree = ({ onBack, swap, swap: { orderId, depositAddressExtraId, depositAddress, sendAsset, 
+  sendAmount, sendSymbol, maxGeoBuy, isFixedPrice, orderStatus }, minimumDeposit }) => {
   const depositFieldName = extraAssetFields[sendSymbol] && extraAssetFields[sendSymbol].deposit
   return (
     <Fragment>
@@ -98,11 +98,9 @@ const StepThree = ({ onBack, swap: { orderId, depositAddressExtraId, depositAddr
             <small className='text-muted'>
               {!isFixedPrice ? (
                 <T tag='span' i18nKey='app.stepTwoManual.fixedPrice'>* Quoted rate is an estimate based on current market conditions. Actual rate may vary.</T>
-              ) : (secondsUntilPriceExpiry > 0 && (
-                <Timer style={{ color: '#8392ac' }} seconds={secondsUntilPriceExpiry}
-                  label={ <T tag='span' i18nKey='app.stepTwoManual.quotedRate'>* Quoted rate is guaranteed if funds are sent within:</T>}
-                  onTimerEnd={handleTimerEnd}/>
-              ))}
+              ) : (
+                <RateLockCountdown style={{ color: '#8392ac' }} swap={swap}/>
+              )}
             </small>
             <small className='d-block' style={{ color: '#8392ac' }}>
               ** Your swap ID is <a href={`https://faa.st/app/orders/${orderId}`} target='_blank noreferrer'>{orderId}</a>
@@ -129,24 +127,19 @@ export default compose(
     limit: getGeoLimit(state),
     currentSwap: getSwap(state, id),
   }), {
-    refreshSwap,
     retrievePairData: retrievePairData,
     saveSwapWidgetInputs,
     restoreSwapPolling
   }),
-  withProps(({ swap: { rateLockedUntil, rate, sendAsset }, estimatedRate, swap, limit, currentSwap }) => {
+  withProps(({ swap: { rate, sendAsset }, estimatedRate, swap, limit, currentSwap }) => {
     const maxGeoBuy = limit ? limit.per_transaction.amount / parseFloat(sendAsset.price) : null
     return ({
-      secondsUntilPriceExpiry: (Date.parse(rateLockedUntil) - Date.now()) / 1000,
       quotedRate: rate || estimatedRate,
       maxGeoBuy,
       swap: currentSwap ? currentSwap : swap,
     })
   }),
   withHandlers({
-    handleTimerEnd: ({ refreshSwap, swap }) => () => {
-      refreshSwap(swap.orderId)
-    },
     onBack: ({ saveSwapWidgetInputs }) => () => {
       saveSwapWidgetInputs({
         currentStep: 2
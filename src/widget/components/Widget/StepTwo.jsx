@@ -191,7 +191,9 @@ export default compose(
       updateIsSubmittingSwap(true)
       updateSwapError('')
       const { symbol: receiveSymbol, ERC20 } = receiveAsset
-      const sendAmount = previousSwapInputs && previousSwapInputs.fromAmount
+      const { fromAmount, fixedRate = true } = previousSwapInputs || {}
+      // Floating rate swaps are priced by whatever amount is deposited
+      const sendAmount = fixedRate ? fromAmount : undefined
       let { receiveAddress, refundAddress, receiveAddressExtraId, refundAddressExtraId } = values
       if (receiveSymbol == 'ETH' || ERC20) {
         receiveAddress = toChecksumAddress(receiveAddress)
@@ -231,7 +233,8 @@ export default compose(
         receiveAddress,
         refundAddress,
         receiveAddressExtraId,
-        refundAddressExtraId
+        refundAddressExtraId,
+        fixedRate,
       })
         .then((swap) => {
           updateIsSubmittingSwap(false)
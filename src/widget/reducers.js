@@ -9,6 +9,7 @@ import wallet from 'Reducers/wallet'
 import app from 'Reducers/app'
 import tx from 'Reducers/tx'
 import rate from 'Common/reducers/rate'
+import scheduler from 'Common/reducers/scheduler'
 import widget from 'Reducers/widget'
 import i18n from 'Reducers/i18n'
 import affiliate from 'Reducers/affiliate'
@@ -21,6 +22,7 @@ export default combineReducers({
   wallet,
   asset,
   rate,
+  scheduler,
   tx,
   swap,
   widget,
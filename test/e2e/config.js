@@ -1,5 +1,7 @@
 export default {
   baseUrl: 'https://127.0.0.1:8000',
+  // Set when the app was built against the mock Faast API, see test/mock/api
+  mockApiUrl: process.env.MOCK_API_URL,
   users: [
     {
       key: 'user1',
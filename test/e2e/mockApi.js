@@ -0,0 +1,31 @@
+import http from 'http'
+import url from 'url'
+
+/** Call one of the control endpoints of the mock Faast API (see test/mock/api) */
+export const controlMockApi = (baseUrl, pathname, body = {}) => new Promise((resolve, reject) => {
+  const { hostname, port } = url.parse(baseUrl)
+  const data = JSON.stringify(body)
+  const req = http.request({
+    hostname,
+    port,
+    method: 'POST',
+    path: `/__mock/${pathname}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data),
+    },
+  }, (res) => {
+    let result = ''
+    res.on('data', (chunk) => { result += chunk })
+    res.on('end', () => {
+      const parsed = JSON.parse(result)
+      if (res.statusCode >= 400) {
+        reject(new Error(parsed.error))
+      } else {
+        resolve(parsed)
+      }
+    })
+  })
+  req.on('error', reject)
+  req.end(data)
+})
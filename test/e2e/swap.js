@@ -0,0 +1,35 @@
+import { Selector, ClientFunction } from 'testcafe'
+
+import { controlMockApi } from './mockApi'
+
+const RECEIVE_ADDRESS = '0x1111111111111111111111111111111111111111'
+
+const getLocation = ClientFunction(() => window.location.href)
+
+export default (config) => {
+  if (!config.mockApiUrl) {
+    // Swapping end to end needs the mock API so no real funds are involved
+    return
+  }
+
+  fixture `Swap`
+    .page(`${config.baseUrl}/app/swap?from=BTC&to=ETH`)
+    .beforeEach(() => controlMockApi(config.mockApiUrl, 'reset'))
+
+  const STATUS = Selector('span.text-capitalize')
+
+  test('Create a swap and follow it until complete', async t => {
+    await t
+      .typeText(Selector('input[name="receiveAddress"]'), RECEIVE_ADDRESS)
+      .click(Selector('button[type="submit"]').withText('Create Swap'))
+      .expect(getLocation()).contains('/swap/send?id=', { timeout: 20000 })
+      .expect(STATUS.innerText).contains('awaiting deposit')
+
+    const swapId = new URL(await getLocation()).searchParams.get('id')
+    await controlMockApi(config.mockApiUrl, `swaps/${swapId}/deposit`)
+    await controlMockApi(config.mockApiUrl, 'clock/advance', { ms: 60 * 60 * 1000 })
+
+    await t
+      .expect(STATUS.innerText).contains('complete', { timeout: 30000 })
+  })
+}
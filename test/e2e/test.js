@@ -1,11 +1,13 @@
 import config from './config'
 import setup from './setup'
 import navigation from './navigation'
+import swap from './swap'
 
 const clients = {};
 
 [
   setup,
-  navigation
+  navigation,
+  swap
 ].forEach(f => f(config, clients))
 
@@ -0,0 +1,106 @@
+const querystring = require('querystring')
+
+const { createClock } = require('./clock')
+const { createFixtures } = require('./fixtures')
+const { createSwapStore } = require('./swaps')
+const { createRoutes, createControlRoutes } = require('./routes')
+const { HttpError } = require('./errors')
+
+/** Convert a path such as /swaps/:id into a regex and its param names */
+const compilePath = (path) => {
+  const names = []
+  const pattern = path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name)
+    return '([^/]+)'
+  })
+  return { regex: new RegExp(`^${pattern}/?$`), names }
+}
+
+const compileRoutes = (routes) => routes.map(([method, path, handler]) => ({
+  method,
+  handler,
+  ...compilePath(path),
+}))
+
+const matchRoute = (routes, method, pathname) => {
+  for (let route of routes) {
+    if (route.method !== method) {
+      continue
+    }
+    const match = route.regex.exec(pathname)
+    if (match) {
+      const params = route.names.reduce((byName, name, i) => ({
+        ...byName,
+        [name]: decodeURIComponent(match[i + 1]),
+      }), {})
+      return { handler: route.handler, params }
+    }
+  }
+}
+
+const parseBody = (rawBody, contentType = '') => {
+  if (!rawBody) {
+    return {}
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return querystring.parse(rawBody)
+  }
+  try {
+    return JSON.parse(rawBody)
+  } catch (e) {
+    throw new HttpError(400, 'Invalid JSON body')
+  }
+}
+
+/**
+ * Create a mock of the Faast API that handles requests in process. See server.js for serving it
+ * over http.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.seed] - Fixture overrides, see createFixtures
+ * @param {Object} [options.clock] - Clock that advances swaps, defaults to real time
+ * @return {Object} A request function along with the clock and a reset function
+ */
+function createMockApi({ seed = {}, clock = createClock() } = {}) {
+  let routes
+  let swaps
+
+  const reset = () => {
+    // Copy the seed so changes made through the API don't leak into the next reset
+    const fixtures = createFixtures(JSON.parse(JSON.stringify(seed)))
+    swaps = createSwapStore({ fixtures, clock })
+    routes = compileRoutes([
+      ...createRoutes({ fixtures, swaps, clock }),
+      ...createControlRoutes({ swaps, clock, reset }),
+    ])
+  }
+  reset()
+
+  /** Handle a request and resolve to the response body. Rejects with an HttpError. */
+  const request = (method, pathname, { query = {}, headers = {}, body, rawBody } = {}) => Promise.resolve()
+    .then(() => {
+      const route = matchRoute(routes, method, pathname)
+      if (!route) {
+        throw new HttpError(404, `No mock for ${method} ${pathname}`)
+      }
+      if (typeof rawBody === 'undefined') {
+        rawBody = body ? JSON.stringify(body) : ''
+      }
+      return route.handler({
+        params: route.params,
+        query,
+        headers,
+        rawBody,
+        body: parseBody(rawBody, headers['content-type']),
+      })
+    })
+
+  return {
+    clock,
+    reset,
+    request,
+    getSwaps: () => swaps,
+  }
+}
+
+module.exports = { createMockApi }
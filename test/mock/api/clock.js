@@ -0,0 +1,46 @@
+/**
+ * Clock used by the mock API to advance swaps. Runs in real time by default and can be
+ * moved forward so tests don't have to wait for swaps to progress.
+ */
+function createClock({ start, frozen = false } = {}) {
+  let offset = typeof start === 'number' ? start - Date.now() : 0
+  let frozenAt = frozen ? Date.now() + offset : null
+
+  return {
+    now() {
+      return frozenAt !== null ? frozenAt : Date.now() + offset
+    },
+    advance(ms) {
+      if (frozenAt !== null) {
+        frozenAt += ms
+      } else {
+        offset += ms
+      }
+      return this.now()
+    },
+    set(timestamp) {
+      if (frozenAt !== null) {
+        frozenAt = timestamp
+      } else {
+        offset = timestamp - Date.now()
+      }
+      return this.now()
+    },
+    freeze() {
+      frozenAt = this.now()
+      return frozenAt
+    },
+    unfreeze() {
+      if (frozenAt !== null) {
+        offset = frozenAt - Date.now()
+        frozenAt = null
+      }
+      return this.now()
+    },
+    isFrozen() {
+      return frozenAt !== null
+    },
+  }
+}
+
+module.exports = { createClock }
@@ -0,0 +1,10 @@
+/** Error with the HTTP status code the mock API should respond with */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+module.exports = { HttpError }
@@ -0,0 +1,112 @@
+const assets = require('../assets.json')
+const assetPrices = require('../assetPrices.json')
+
+/** Swap timing in milliseconds after the deposit is reported */
+const DEFAULT_TIMING = {
+  depositConfirmation: 30 * 1000,
+  processing: 60 * 1000,
+  quoteExpiry: 15 * 60 * 1000,
+}
+
+const DEFAULT_AFFILIATE = {
+  affiliate_id: 'mock-affiliate',
+  secret: 'mock-affiliate-secret',
+  affiliate_payment_address: '0x9f6c6a0fbd2e7bd4c2c23e8c2b0bd5c2f7b4e6a1',
+  contact_email: 'affiliate@example.com',
+  balance: 0.0125,
+  minimum_withdrawal: 0.001,
+}
+
+const DEFAULT_MAKER = {
+  accessToken: 'mock-maker-token',
+  profile: {
+    makerId: 'mock-maker',
+    status: 'enabled',
+    capacityAddress: '0x9f6c6a0fbd2e7bd4c2c23e8c2b0bd5c2f7b4e6a1',
+    capacityMaxBtc: 1,
+    assetsEnabled: ['BTC', 'ETH', 'LTC'],
+    balances: {
+      BTC: { balance: 0.5, target: 0.5 },
+      ETH: { balance: 10, target: 10 },
+    },
+  },
+  statistics: {
+    revenue: { total: 0.012 },
+    expenses: {},
+    swaps: 3,
+  },
+  balanceTargets: {
+    BTC: 0.5,
+    ETH: 10,
+  },
+  swaps: [],
+}
+
+const toMarketInfo = (price) => price ? ({
+  circulating_supply: Number(price.available_supply),
+  quote: {
+    USD: {
+      price: Number(price.price_usd),
+      volume_24h: Number(price['24h_volume_usd']),
+      percent_change_1h: Number(price.percent_change_1h),
+      percent_change_24h: Number(price.percent_change_24h),
+      percent_change_7d: Number(price.percent_change_7d),
+      market_cap: Number(price.market_cap_usd),
+    },
+  },
+}) : undefined
+
+/** Combine the mocked asset list and prices into the shape returned by /currencies */
+const createCurrencies = () => {
+  const priceBySymbol = assetPrices.reduce((bySymbol, price) => ({ ...bySymbol, [price.symbol]: price }), {})
+  return assets.map((asset, i) => ({
+    ...asset,
+    cmcIDno: i + 1,
+    marketInfo: toMarketInfo(priceBySymbol[asset.symbol]),
+  }))
+}
+
+/**
+ * Create the data the mock API starts with. Every field can be overridden by a seed, e.g. one
+ * loaded from a JSON file with `--seed`.
+ *
+ * @param {Object} [seed]
+ * @param {Object[]} [seed.currencies] - Replaces the currency list
+ * @param {Object} [seed.prices] - USD price by symbol, overrides the price in the currency list
+ * @param {Object} [seed.geoinfo] - Response of /geoinfo
+ * @param {Object[]} [seed.swaps] - Swaps that exist at startup, in API format
+ * @param {Object} [seed.outcomes] - Final swap status ('complete', 'failed', 'refunded') by withdrawal address
+ * @param {String} [seed.defaultOutcome='complete'] - Final status of swaps without an outcome
+ * @param {Object} [seed.depositAddresses] - Deposit address to give out by currency symbol
+ * @param {Object} [seed.timing] - Overrides of DEFAULT_TIMING
+ * @param {Object[]} [seed.affiliates] - Registered affiliates
+ * @param {Object[]} [seed.makers] - Market makers by access token
+ */
+function createFixtures(seed = {}) {
+  const currencies = seed.currencies || createCurrencies()
+  const prices = currencies.reduce((bySymbol, { symbol, marketInfo }) => {
+    const price = marketInfo && marketInfo.quote && marketInfo.quote.USD.price
+    return price ? { ...bySymbol, [symbol]: price } : bySymbol
+  }, {})
+  return {
+    currencies,
+    prices: { ...prices, ...seed.prices },
+    geoinfo: {
+      ip: '127.0.0.1',
+      country: 'CA',
+      blocked: false,
+      restricted: false,
+      limit: null,
+      ...seed.geoinfo,
+    },
+    swaps: seed.swaps || [],
+    outcomes: seed.outcomes || {},
+    defaultOutcome: seed.defaultOutcome || 'complete',
+    depositAddresses: seed.depositAddresses || {},
+    timing: { ...DEFAULT_TIMING, ...seed.timing },
+    affiliates: seed.affiliates || [DEFAULT_AFFILIATE],
+    makers: seed.makers || [DEFAULT_MAKER],
+  }
+}
+
+module.exports = { createFixtures, DEFAULT_TIMING }
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Start the mock Faast API.
+ *
+ * Usage: node test/mock/api [--port 8001] [--host 127.0.0.1] [--seed fixtures.json] [--frozen] [--log]
+ *
+ * Point the app at it by building or running the dev server with API_URL=http://127.0.0.1:8001
+ */
+const fs = require('fs')
+const path = require('path')
+
+const { createMockServer } = require('./server')
+const { createClock } = require('./clock')
+
+const getArg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 ? process.argv[i + 1] : fallback
+}
+const hasFlag = (name) => process.argv.includes(`--${name}`)
+
+const port = Number.parseInt(getArg('port', process.env.MOCK_API_PORT || 8001))
+const host = getArg('host', '127.0.0.1')
+const seedPath = getArg('seed', process.env.MOCK_API_SEED)
+const seed = seedPath ? JSON.parse(fs.readFileSync(path.resolve(seedPath), 'utf8')) : {}
+
+const mockServer = createMockServer({
+  seed,
+  clock: createClock({ frozen: hasFlag('frozen') }),
+  log: hasFlag('log'),
+})
+
+mockServer.listen(port, host).then(() => {
+  console.log(`Mock Faast API listening at http://${host}:${port}`)
+})
+
+module.exports = mockServer
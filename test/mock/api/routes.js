@@ -0,0 +1,226 @@
+const crypto = require('crypto')
+
+const { HttpError } = require('./errors')
+
+const V2 = '/api/v2/public'
+const DAY = 24 * 60 * 60 * 1000
+
+const findAffiliate = (fixtures, { headers, rawBody }) => {
+  const id = headers['affiliate-id']
+  const affiliate = fixtures.affiliates.find((a) => a.affiliate_id === id)
+  if (!affiliate) {
+    throw new HttpError(401, 'Unknown affiliate')
+  }
+  const nonce = headers.nonce || ''
+  const expected = crypto.createHmac('sha256', affiliate.secret)
+    .update(rawBody ? nonce + rawBody : nonce, 'utf8')
+    .digest('hex')
+  if (headers.signature !== expected) {
+    throw new HttpError(401, 'Invalid signature')
+  }
+  return affiliate
+}
+
+const findMaker = (fixtures, { headers }) => {
+  const token = (headers.authorization || '').replace(/^Bearer /, '')
+  const maker = fixtures.makers.find((m) => m.accessToken === token)
+  if (!maker) {
+    throw new HttpError(401, 'Invalid access token')
+  }
+  return maker
+}
+
+const validateAddress = (fixtures, { address, currency }) => {
+  const asset = fixtures.currencies.find((c) => c.symbol === currency)
+  if (!asset) {
+    return { valid: false, message: `${currency} is not supported` }
+  }
+  if (!address || /\s/.test(address)) {
+    return { valid: false, message: 'Invalid address' }
+  }
+  if ((currency === 'ETH' || asset.ERC20) && !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return { valid: false, message: `Invalid ${currency} address` }
+  }
+  return { valid: true, standardized: address }
+}
+
+const createPriceHistory = (price, now) => Array.from({ length: 30 }, (_, i) => [
+  now - (29 - i) * DAY,
+  Number((price * (1 + 0.05 * Math.sin(i / 3))).toFixed(8)),
+])
+
+/**
+ * Every endpoint of the Faast API used by Services/Faast.ts. Handlers receive the
+ * request context and return the JSON response body or throw an HttpError.
+ */
+function createRoutes({ fixtures, swaps, clock }) {
+  return [
+    ['GET', `${V2}/currencies`, ({ query }) => {
+      const symbols = query.symbols ? [].concat(query.symbols).join(',').split(',') : null
+      return fixtures.currencies
+        .filter(({ symbol }) => !symbols || symbols.includes(symbol))
+        .map((currency) => {
+          const price = fixtures.prices[currency.symbol]
+          if (!price || !currency.marketInfo) {
+            return currency
+          }
+          const { quote } = currency.marketInfo
+          return { ...currency, marketInfo: { ...currency.marketInfo, quote: { USD: { ...quote.USD, price } } } }
+        })
+    }],
+    ['GET', `${V2}/price/:pair`, ({ params, query }) => swaps.getQuote(params.pair, {
+      depositAmount: query.deposit_amount,
+      withdrawalAmount: query.withdrawal_amount,
+    })],
+    ['GET', `${V2}/geoinfo`, () => fixtures.geoinfo],
+    ['POST', `${V2}/address`, ({ body }) => validateAddress(fixtures, body)],
+    ['POST', `${V2}/swap`, ({ body }) => swaps.createSwap(body)],
+    ['GET', `${V2}/swaps`, ({ query }) => swaps.listSwaps({
+      address: query.any_address,
+      page: query.page,
+      limit: query.limit,
+    })],
+    ['GET', `${V2}/swaps/:id`, ({ params }) => swaps.getSwap(params.id)],
+    ['POST', `${V2}/swaps/:id/refresh`, ({ params }) => swaps.refreshSwap(params.id)],
+    ['POST', `${V2}/swaps/:id/deposit`, ({ params, body }) => swaps.reportDeposit(params.id, { txId: body.tx_id })],
+
+    ['POST', `${V2}/affiliate/register`, ({ body }) => {
+      if (!body.affiliate_id || !body.affiliate_payment_address) {
+        throw new HttpError(400, 'affiliate_id and affiliate_payment_address are required')
+      }
+      if (fixtures.affiliates.some((a) => a.affiliate_id === body.affiliate_id)) {
+        throw new HttpError(400, `Affiliate ${body.affiliate_id} already exists`)
+      }
+      const affiliate = {
+        affiliate_id: body.affiliate_id,
+        affiliate_payment_address: body.affiliate_payment_address,
+        contact_email: body.contact_email,
+        secret: crypto.randomBytes(16).toString('hex'),
+        balance: 0,
+        minimum_withdrawal: 0.001,
+      }
+      fixtures.affiliates.push(affiliate)
+      return { affiliate_id: affiliate.affiliate_id, secret: affiliate.secret }
+    }],
+    ['GET', `${V2}/affiliate/account`, (ctx) => {
+      const { affiliate_id, affiliate_payment_address, contact_email } = findAffiliate(fixtures, ctx)
+      return { affiliate_id, affiliate_payment_address, contact_email }
+    }],
+    ['GET', `${V2}/affiliate/stats`, (ctx) => {
+      const { affiliate_id } = findAffiliate(fixtures, ctx)
+      const { orders } = swaps.listSwaps({ affiliateId: affiliate_id, limit: Infinity })
+      const completed = orders.filter(({ status }) => status === 'complete')
+      return {
+        affiliate_id,
+        totals: {
+          swaps_completed: completed.length,
+          value_usd: completed.reduce((total, { value_usd }) => total + value_usd, 0),
+          value_btc: completed.reduce((total, { value_btc }) => total + value_btc, 0),
+        },
+      }
+    }],
+    ['GET', `${V2}/affiliate/balance`, (ctx) => {
+      const { affiliate_id, balance, minimum_withdrawal } = findAffiliate(fixtures, ctx)
+      return {
+        balance,
+        minimum_withdrawal,
+        swaps: swaps.listSwaps({ affiliateId: affiliate_id, limit: Infinity }).total,
+      }
+    }],
+    ['GET', `${V2}/affiliate/swaps`, (ctx) => {
+      const { affiliate_id } = findAffiliate(fixtures, ctx)
+      return swaps.listSwaps({ affiliateId: affiliate_id, page: ctx.query.page, limit: ctx.query.limit })
+    }],
+    ['GET', `${V2}/affiliate/swaps/export`, (ctx) => {
+      const { affiliate_id } = findAffiliate(fixtures, ctx)
+      return { url: `data:text/csv,swap_id%0A${affiliate_id}` }
+    }],
+    ['GET', `${V2}/affiliate/withdrawals`, (ctx) => {
+      findAffiliate(fixtures, ctx)
+      return { page: Number(ctx.query.page || 1), limit: Number(ctx.query.limit || 20), total: 0, withdrawals: [] }
+    }],
+    ['POST', `${V2}/affiliate/withdraw`, (ctx) => {
+      const affiliate = findAffiliate(fixtures, ctx)
+      if (affiliate.balance < affiliate.minimum_withdrawal) {
+        throw new HttpError(400, 'Balance is below the minimum withdrawal')
+      }
+      const amount = affiliate.balance
+      affiliate.balance = 0
+      return {
+        withdrawal_address: ctx.body.withdrawal_address || affiliate.affiliate_payment_address,
+        amount,
+        created_at: new Date(clock.now()).toISOString(),
+      }
+    }],
+
+    ['GET', `${V2}/maker/profile`, (ctx) => findMaker(fixtures, ctx).profile],
+    ['GET', `${V2}/maker/statistics`, (ctx) => findMaker(fixtures, ctx).statistics],
+    ['GET', `${V2}/maker/balanceTargets`, (ctx) => findMaker(fixtures, ctx).balanceTargets],
+    ['GET', `${V2}/maker/swaps`, (ctx) => {
+      const { swaps: makerSwaps } = findMaker(fixtures, ctx)
+      const page = Number(ctx.query.page || 1)
+      const limit = Number(ctx.query.limit || 50)
+      return { page, limit, total: makerSwaps.length, swaps: makerSwaps.slice((page - 1) * limit, page * limit) }
+    }],
+    ['GET', `${V2}/maker/users`, (ctx) => ({ makerId: findMaker(fixtures, ctx).profile.makerId })],
+    ['POST', `${V2}/maker/create`, (ctx) => {
+      const maker = findMaker(fixtures, ctx)
+      maker.profile = { ...maker.profile, ...ctx.body.maker, status: 'enabled' }
+      return maker.profile
+    }],
+    ['POST', `${V2}/maker/update`, (ctx) => {
+      const maker = findMaker(fixtures, ctx)
+      maker.profile = { ...maker.profile, ...ctx.body.data }
+      return maker.profile
+    }],
+    ['POST', `${V2}/maker/enable`, (ctx) => {
+      const maker = findMaker(fixtures, ctx)
+      maker.profile = { ...maker.profile, status: 'enabled' }
+      return maker.profile
+    }],
+    ['POST', `${V2}/maker/disable`, (ctx) => {
+      const maker = findMaker(fixtures, ctx)
+      maker.profile = { ...maker.profile, status: 'disabled' }
+      return maker.profile
+    }],
+    ['POST', `${V2}/maker/retract`, (ctx) => {
+      const maker = findMaker(fixtures, ctx)
+      maker.profile = { ...maker.profile, capacityMaxBtc: Math.max(0, maker.profile.capacityMaxBtc - Number(ctx.body.amount)) }
+      return maker.profile
+    }],
+
+    ['GET', '/api/v1/data/cmc/price/:id', ({ params }) => {
+      const currency = fixtures.currencies.find(({ cmcIDno }) => String(cmcIDno) === params.id)
+      const price = currency && fixtures.prices[currency.symbol]
+      if (!price) {
+        throw new HttpError(404, `No price history for ${params.id}`)
+      }
+      const history = createPriceHistory(price, clock.now())
+      return {
+        data: {
+          price_usd: history,
+          market_cap_usd: history.map(([t, p]) => [t, p * 1e7]),
+          volume_24h_usd: history.map(([t, p]) => [t, p * 1e5]),
+        },
+      }
+    }],
+  ]
+}
+
+/** Endpoints for tests to control the mock. They're not part of the Faast API. */
+function createControlRoutes({ swaps, clock, reset }) {
+  return [
+    ['GET', '/__mock/clock', () => ({ now: clock.now(), frozen: clock.isFrozen() })],
+    ['POST', '/__mock/clock/advance', ({ body }) => ({ now: clock.advance(Number(body.ms || 0)) })],
+    ['POST', '/__mock/clock/set', ({ body }) => ({ now: clock.set(Number(body.now)) })],
+    ['POST', '/__mock/swaps/:id/deposit', ({ params, body }) =>
+      swaps.reportDeposit(params.id, { txId: body.tx_id, amount: body.amount })],
+    ['POST', '/__mock/swaps/:id/outcome', ({ params, body }) => swaps.setOutcome(params.id, body.outcome)],
+    ['POST', '/__mock/reset', () => {
+      reset()
+      return { ok: true }
+    }],
+  ]
+}
+
+module.exports = { createRoutes, createControlRoutes }
@@ -0,0 +1,66 @@
+const http = require('http')
+const url = require('url')
+
+const { createMockApi } = require('./api')
+const { HttpError } = require('./errors')
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, affiliate-id, nonce, signature',
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = ''
+  req.on('data', (chunk) => { data += chunk })
+  req.on('end', () => resolve(data))
+  req.on('error', reject)
+})
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Serve the mock Faast API over http. Nothing leaves the machine so the app and e2e tests can
+ * run without a network connection.
+ *
+ * @param {Object} [options] - Options of createMockApi
+ * @param {Boolean} [options.log=false] - Log every request
+ * @return {Object} The mock API along with the http server
+ */
+function createMockServer({ log = false, ...options } = {}) {
+  const mockApi = createMockApi(options)
+
+  const server = http.createServer((req, res) => {
+    const { pathname, query } = url.parse(req.url, true)
+    if (log) {
+      console.log(`[mock api] ${req.method} ${req.url}`)
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS)
+      res.end()
+      return
+    }
+    readBody(req)
+      .then((rawBody) => mockApi.request(req.method, pathname, { query, headers: req.headers, rawBody }))
+      .then((result) => sendJson(res, 200, result))
+      .catch((e) => {
+        const status = e instanceof HttpError ? e.status : 500
+        if (status === 500) {
+          console.error('[mock api]', e)
+        }
+        sendJson(res, status, { error: e.message })
+      })
+  })
+
+  return {
+    ...mockApi,
+    server,
+    listen: (port, host = '127.0.0.1') => new Promise((resolve) => server.listen(port, host, () => resolve(server))),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+module.exports = { createMockServer }
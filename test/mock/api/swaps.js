@@ -0,0 +1,288 @@
+const crypto = require('crypto')
+
+const { HttpError } = require('./errors')
+
+/** Statuses a swap can end up in once its deposit is processed */
+const SWAP_OUTCOMES = ['complete', 'failed', 'refunded']
+
+const SPREAD = 0.005
+const MINIMUM_USD = 10
+const MAXIMUM_USD = 25000
+const WITHDRAWAL_FEE_USD = 1
+
+const round = (n) => Number(n.toFixed(8))
+
+const hash = (...parts) => crypto.createHash('sha256').update(parts.join(':')).digest('hex')
+
+/**
+ * In memory swaps that move through the states of a real swap according to a clock:
+ * awaiting deposit -> processing -> complete | failed | refunded
+ *
+ * A swap stays awaiting deposit until a deposit is reported. It's processing once the deposit
+ * has confirmed and finishes after processing with the outcome for its withdrawal address.
+ */
+function createSwapStore({ fixtures, clock }) {
+  const { prices, currencies, timing } = fixtures
+  let entries = new Map()
+  let count = 0
+
+  const getCurrency = (symbol) => currencies.find((c) => c.symbol === symbol)
+
+  const getUsdPrice = (symbol) => {
+    const price = prices[symbol]
+    if (!price) {
+      throw new HttpError(400, `No price available for ${symbol}`)
+    }
+    return price
+  }
+
+  const generateDepositAddress = (symbol) => {
+    if (fixtures.depositAddresses[symbol]) {
+      return fixtures.depositAddresses[symbol]
+    }
+    const currency = getCurrency(symbol) || {}
+    if (symbol === 'ETH' || currency.ERC20) {
+      return `0x${hash('deposit', symbol, count).slice(0, 40)}`
+    }
+    return `mock${symbol.toLowerCase()}${hash('deposit', symbol, count).slice(0, 30)}`
+  }
+
+  const getQuote = (pair, { depositAmount, withdrawalAmount } = {}) => {
+    const [from, to] = pair.toUpperCase().split('_')
+    const fromUsd = getUsdPrice(from)
+    const toUsd = getUsdPrice(to)
+    const spotPrice = fromUsd / toUsd
+    const price = spotPrice * (1 - SPREAD)
+    const withdrawalFee = WITHDRAWAL_FEE_USD / toUsd
+    let deposit = depositAmount ? Number(depositAmount) : null
+    let withdrawal = withdrawalAmount ? Number(withdrawalAmount) : null
+    if (deposit !== null) {
+      withdrawal = Math.max(0, deposit * price - withdrawalFee)
+    } else if (withdrawal !== null) {
+      deposit = (withdrawal + withdrawalFee) / price
+    }
+    return {
+      pair: pair.toLowerCase(),
+      price: round(price),
+      spot_price: round(spotPrice),
+      minimum_deposit: round(MINIMUM_USD / fromUsd),
+      maximum_deposit: round(MAXIMUM_USD / fromUsd),
+      minimum_withdrawal: round(MINIMUM_USD / toUsd),
+      maximum_withdrawal: round(MAXIMUM_USD / toUsd),
+      withdrawal_fee: round(withdrawalFee),
+      deposit_amount: deposit !== null ? round(deposit) : null,
+      withdrawal_amount: withdrawal !== null ? round(withdrawal) : null,
+    }
+  }
+
+  /** Move a swap to the state it should be in at the current time */
+  const advance = (entry) => {
+    const { swap, depositedAt, outcome } = entry
+    if (depositedAt === null || SWAP_OUTCOMES.includes(swap.status)) {
+      return swap
+    }
+    const confirmedAt = depositedAt + timing.depositConfirmation
+    const finishedAt = confirmedAt + timing.processing
+    const now = clock.now()
+    if (now >= finishedAt) {
+      swap.status = outcome
+      swap.updated_at = new Date(finishedAt).toISOString()
+      if (outcome === 'complete') {
+        swap.amount_withdrawn = swap.withdrawal_amount
+        swap.transaction_id = hash('withdrawal', swap.swap_id)
+      } else if (outcome === 'refunded') {
+        swap.refund_tx_id = hash('refund', swap.swap_id)
+      }
+    } else if (now >= confirmedAt && swap.status !== 'processing') {
+      swap.status = 'processing'
+      swap.updated_at = new Date(confirmedAt).toISOString()
+    }
+    return swap
+  }
+
+  const getEntry = (swapId) => {
+    const entry = entries.get(swapId)
+    if (!entry) {
+      throw new HttpError(404, `Swap ${swapId} not found`)
+    }
+    return entry
+  }
+
+  const addSwap = (swap, outcome) => {
+    entries.set(swap.swap_id, {
+      swap,
+      outcome: outcome || fixtures.outcomes[swap.withdrawal_address] || fixtures.defaultOutcome,
+      depositedAt: swap.deposit_tx_id ? Date.parse(swap.updated_at || swap.created_at) : null,
+    })
+    return swap
+  }
+
+  const createSwap = (params) => {
+    const {
+      deposit_currency: depositSymbol, withdrawal_currency: withdrawalSymbol,
+      withdrawal_address: withdrawalAddress, deposit_amount: depositAmount,
+      withdrawal_amount: withdrawalAmount,
+    } = params
+    const depositCurrency = getCurrency(depositSymbol)
+    const withdrawalCurrency = getCurrency(withdrawalSymbol)
+    if (!depositCurrency || !depositCurrency.deposit) {
+      throw new HttpError(400, `${depositSymbol} deposits are not supported`)
+    }
+    if (!withdrawalCurrency || !withdrawalCurrency.receive) {
+      throw new HttpError(400, `${withdrawalSymbol} withdrawals are not supported`)
+    }
+    if (!withdrawalAddress) {
+      throw new HttpError(400, 'withdrawal_address is required')
+    }
+    const quote = getQuote(`${depositSymbol}_${withdrawalSymbol}`, { depositAmount, withdrawalAmount })
+    if (quote.deposit_amount !== null
+      && (quote.deposit_amount < quote.minimum_deposit || quote.deposit_amount > quote.maximum_deposit)) {
+      throw new HttpError(400,
+        `Deposit amount must be between ${quote.minimum_deposit} and ${quote.maximum_deposit} ${depositSymbol}`)
+    }
+    count += 1
+    const now = clock.now()
+    const swapId = hash('swap', now, count).slice(0, 24)
+    const isFixedPrice = quote.deposit_amount !== null
+    const valueUsd = quote.deposit_amount !== null ? quote.deposit_amount * prices[depositSymbol] : 0
+    return addSwap({
+      swap_id: swapId,
+      order_id: `mock-order-${count}`,
+      status: 'awaiting deposit',
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+      user_id: params.user_id || null,
+      deposit_address: generateDepositAddress(depositSymbol),
+      deposit_address_extra_id: null,
+      deposit_currency: depositSymbol,
+      deposit_amount: quote.deposit_amount,
+      deposit_tx_id: null,
+      withdrawal_currency: withdrawalSymbol,
+      withdrawal_address: withdrawalAddress,
+      withdrawal_address_extra_id: params.withdrawal_address_extra_id || null,
+      withdrawal_amount: quote.withdrawal_amount,
+      refund_address: params.refund_address || null,
+      refund_address_extra_id: params.refund_address_extra_id || null,
+      spot_price: quote.spot_price,
+      price: quote.price,
+      withdrawal_fee: quote.withdrawal_fee,
+      price_locked_at: isFixedPrice ? new Date(now).toISOString() : null,
+      price_locked_until: isFixedPrice ? new Date(now + timing.quoteExpiry).toISOString() : null,
+      amount_deposited: null,
+      amount_withdrawn: null,
+      transaction_id: null,
+      maker_name: 'Mock Maker',
+      affiliate_id: params.affiliate_id || null,
+      value_usd: round(valueUsd),
+      value_btc: prices.BTC ? round(valueUsd / prices.BTC) : 0,
+      maker_rewards_btc: 0,
+    })
+  }
+
+  const getSwap = (swapId) => advance(getEntry(swapId))
+
+  const listSwaps = ({ address, affiliateId, page = 1, limit = 20 } = {}) => {
+    const matching = Array.from(entries.values())
+      .map(advance)
+      .filter((swap) => !address || [swap.user_id, swap.withdrawal_address, swap.refund_address, swap.deposit_address]
+        .some((a) => a && a.toLowerCase() === String(address).toLowerCase()))
+      .filter((swap) => !affiliateId || swap.affiliate_id === affiliateId)
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+    page = Number(page)
+    limit = Number(limit)
+    return {
+      page,
+      limit,
+      total: matching.length,
+      orders: matching.slice((page - 1) * limit, page * limit),
+    }
+  }
+
+  /**
+   * Record a deposit to a swap. Swaps without a fixed deposit amount need `amount`, otherwise
+   * the minimum deposit is assumed.
+   */
+  const reportDeposit = (swapId, { txId, amount } = {}) => {
+    const entry = getEntry(swapId)
+    const swap = advance(entry)
+    if (entry.depositedAt !== null) {
+      return swap
+    }
+    if (swap.status !== 'awaiting deposit') {
+      throw new HttpError(400, `Swap ${swapId} is ${swap.status}`)
+    }
+    const now = clock.now()
+    let depositAmount = amount ? Number(amount) : swap.deposit_amount
+    if (!depositAmount) {
+      depositAmount = getQuote(`${swap.deposit_currency}_${swap.withdrawal_currency}`).minimum_deposit
+    }
+    const quote = getQuote(`${swap.deposit_currency}_${swap.withdrawal_currency}`, { depositAmount })
+    entry.depositedAt = now
+    Object.assign(swap, {
+      deposit_tx_id: txId || hash('deposit', swapId),
+      amount_deposited: depositAmount,
+      deposit_amount: swap.deposit_amount || depositAmount,
+      withdrawal_amount: swap.price_locked_until ? swap.withdrawal_amount : quote.withdrawal_amount,
+      updated_at: new Date(now).toISOString(),
+    })
+    return advance(entry)
+  }
+
+  /**
+   * Requote a fixed price swap whose locked price lapsed before a deposit was reported. The deposit
+   * amount is kept and the withdrawal amount follows the current price. Other swaps are unchanged.
+   */
+  const refreshSwap = (swapId) => {
+    const entry = getEntry(swapId)
+    const swap = advance(entry)
+    const now = clock.now()
+    if (entry.depositedAt !== null || swap.status !== 'awaiting deposit'
+      || !swap.price_locked_until || Date.parse(swap.price_locked_until) > now) {
+      return swap
+    }
+    const quote = getQuote(`${swap.deposit_currency}_${swap.withdrawal_currency}`, {
+      depositAmount: swap.deposit_amount,
+    })
+    Object.assign(swap, {
+      spot_price: quote.spot_price,
+      price: quote.price,
+      withdrawal_fee: quote.withdrawal_fee,
+      withdrawal_amount: quote.withdrawal_amount,
+      price_locked_at: new Date(now).toISOString(),
+      price_locked_until: new Date(now + timing.quoteExpiry).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })
+    return swap
+  }
+
+  /** Change how a swap will finish if it hasn't already */
+  const setOutcome = (swapId, outcome) => {
+    if (!SWAP_OUTCOMES.includes(outcome)) {
+      throw new HttpError(400, `Outcome must be one of ${SWAP_OUTCOMES.join(', ')}`)
+    }
+    const entry = getEntry(swapId)
+    entry.outcome = outcome
+    return advance(entry)
+  }
+
+  const reset = () => {
+    entries = new Map()
+    count = 0
+    fixtures.swaps.forEach((swap) => addSwap({ ...swap }))
+  }
+
+  reset()
+
+  return {
+    getQuote,
+    createSwap,
+    getSwap,
+    refreshSwap,
+    listSwaps,
+    reportDeposit,
+    setOutcome,
+    reset,
+  }
+}
+
+module.exports = { createSwapStore, SWAP_OUTCOMES }